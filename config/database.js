@@ -12,6 +12,9 @@ require('dotenv').config();
  * 
  * DB_STRING=mongodb://<user>:<password>@localhost:27017/database_name
  * DB_STRING_PROD=<your production database string>
+ *
+ * Money movements run inside MongoDB transactions, so the server must be a replica set
+ * (a single-node replica set is enough for development, e.g. `mongod --replSet rs0`).
  */ 
 mongoose.set("strictQuery", false);
 
@@ -173,7 +173,7 @@ module.exports.registerPhoneNumber = async (req, res, next) => {
 
 module.exports.verifyOtp = async (req, res, next) => {
   try {
-    const { phoneNumber, otp,pushToken } = req.body;
+    const { phoneNumber, otp,pushToken, language } = req.body;
     console.log(req.body)
     if (!phoneNumber || !otp) {
       return res
@@ -195,6 +195,7 @@ module.exports.verifyOtp = async (req, res, next) => {
         return res.status(400).json({ message: "Customer not found" });
       }
       customer.notifyToken = pushToken;
+      if (["ar", "en"].includes(language)) customer.language = language;
       await customer.save();
       const token = createToken(customer._id);
       res.cookie("jwt", token, {
@@ -121,12 +121,19 @@ module.exports.register = async (req, res, next) => {
 };
 
 module.exports.login = async (req, res) => {
-  const { email, password } = req.body;
+  const { email, password, pushToken, language } = req.body;
   try {
     console.log(email, password);
     console.log(email, password);
     const user = await Driver.login(email, password);
     console.log(user);
+    // Push token used to reach the captain while the app is in the background
+    if (pushToken || ["ar", "en"].includes(language)) {
+      const update = {};
+      if (pushToken) update.notifyToken = pushToken;
+      if (["ar", "en"].includes(language)) update.language = language;
+      await Driver.updateOne({ _id: user._id }, { $set: update });
+    }
     const token = createToken(user._id);
     res.cookie("jwt", token, {
       withCredentials: true,
@@ -24,6 +24,22 @@ const SystemService = require("./services/systemService");
 const ChatService = require("./services/chatService"); // Chat service
 const PaymentService = require("./services/paymentService"); // Payment service
 const StateManagementService = require("./services/stateManagementService"); // State management service
+const PromoCodeService = require("./services/promoCodeService"); // Promo code service
+const RechargeCardService = require("./services/rechargeCardService"); // Recharge card service
+const RideSchedulerService = require("./services/rideSchedulerService"); // Scheduled rides
+const PoolingService = require("./services/poolingService"); // Shared rides
+const SurgePricingService = require("./services/surgePricingService"); // Zone-based surge pricing
+const DispatchTimelineService = require("./services/dispatchTimelineService"); // Per-ride dispatch audit trail
+const RoutingService = require("./services/routingService"); // Road distance/ETA with a pluggable backend
+const TripProgressService = require("./services/tripProgressService"); // Live ETA and trip alerts for customers
+const TripMeteringService = require("./services/tripMeteringService"); // Recorded trip path and metered final fare
+const CaptainShiftService = require("./services/captainShiftService"); // Captain shift sessions and forced breaks
+const CaptainDestinationService = require("./services/captainDestinationService"); // Captain destination mode
+const RatingService = require("./services/ratingService"); // Two-way post-trip ratings and review flags
+const NotificationService = require("./services/notificationService"); // Push notifications outbox for offline users
+const EventJournalService = require("./services/eventJournalService"); // Numbered socket events replayed on reconnect
+const MaskedCallService = require("./services/maskedCallService"); // Proxy numbers and in-app calls between captain and customer
+const ClusterStateService = require("./services/clusterStateService"); // Multi-node presence and dispatch leases
 const LocationTrackingService = require("./services/locationTrackingService"); // Location tracking service
 const AdminSocketService = require("./services/adminSocketService"); // Admin socket service
 
@@ -68,7 +84,7 @@ class RideHailingApp {
     this.onlineCustomers = {}; // Map: customerId -> socketId
     this.onlineCaptains = {};  // Map: captainId -> socketId
     this.dispatchProcesses = new Map(); // Map: rideId -> cancelDispatchFunction
-    this.rideSharingMap = new Map();   // Map: captainId -> customerId
+    this.rideSharingMap = new Map();   // Map: captainId -> Set<customerId> (several passengers on shared rides)
 
     // Services
     this.customerSocketService = null;
@@ -80,6 +96,10 @@ class RideHailingApp {
     this.stateManagementService = null; // State management service instance
     this.locationTrackingService = null; // Location tracking service instance
     this.adminSocketService = null; // Admin socket service instance
+    this.rideSchedulerService = null; // Scheduled rides service instance
+    this.surgePricingService = null; // Zone surge pricing service instance
+    this.dispatchTimelineService = null; // Dispatch audit trail service instance
+    this.routingService = null; // Road routing service instance
 
     this.logger.info('[System] RideHailingApp instance created.');
   }
@@ -132,7 +152,19 @@ class RideHailingApp {
         methods: ["GET", "POST"],
       },
     });
-    this.logger.info('[System] Socket.IO server initialized.');
+
+    // Redis adapter: emits to a socket id reach it on whichever node it is connected to
+    const { createAdapter } = require("socket.io-redis");
+    const redisAdapter = createAdapter(process.env.REDIS_URL || "redis://127.0.0.1:6379", {
+      key: process.env.SOCKET_IO_REDIS_KEY || "socket.io",
+    });
+    const logger = this.logger;
+    this.io.adapter(function (nsp) {
+      const adapter = redisAdapter(nsp);
+      adapter.on("error", (err) => logger.error(`[Socket.IO] Redis adapter error on ${nsp.name}:`, err));
+      return adapter;
+    });
+    this.logger.info('[System] Socket.IO server initialized with the Redis adapter.');
   }
 
   setupMiddleware() {
@@ -152,6 +184,14 @@ class RideHailingApp {
       req.chatService = this.chatService;
       req.financialAccountService = this.financialAccountService;
       req.stateManagementService = this.stateManagementService;
+      req.promoCodeService = this.promoCodeService;
+      req.ledgerService = this.financialAccountService?.ledgerService;
+      req.rechargeCardService = this.rechargeCardService;
+      req.surgePricingService = this.surgePricingService;
+      req.dispatchTimelineService = this.dispatchTimelineService;
+      req.routingService = this.routingService;
+      req.captainShiftService = this.captainShiftService;
+      req.ratingService = this.ratingService;
       next();
     });
 
@@ -196,14 +236,72 @@ class RideHailingApp {
       this.logger.info('[System] 🔄 Main vault will be created when first needed');
     }
 
+    // Open pre-ledger balances before the first reconciliation, otherwise they all report as drift
+    try {
+      await this.financialAccountService.ledgerService.seedOpeningBalances();
+    } catch (error) {
+      this.logger.error('[System] Failed to post ledger opening balances:', error);
+    }
+
+    // Start periodic ledger reconciliation (balances vs. double-entry ledger)
+    const reconciliationIntervalMinutes = parseInt(process.env.LEDGER_RECONCILIATION_INTERVAL_MINUTES) || 360;
+    this.financialAccountService.ledgerService.startReconciliationJob(reconciliationIntervalMinutes * 60 * 1000);
+
+    // Initialize recharge card service
+    this.rechargeCardService = new RechargeCardService(this.logger, this.financialAccountService);
+    this.logger.info('[System] Recharge card service initialized successfully.');
+
+    // Initialize promo code service
+    this.promoCodeService = new PromoCodeService(this.logger);
+    this.logger.info('[System] Promo code service initialized successfully.');
+
     // Initialize state management service
-    this.stateManagementService = new StateManagementService(this.logger, this.redisClient);
+    this.stateManagementService = new StateManagementService(this.logger, this.redisClient, this.promoCodeService);
     this.logger.info('[System] State management service initialized successfully.');
 
     // Initialize location tracking service
     this.locationTrackingService = new LocationTrackingService(this.logger, this.redisClient);
     this.logger.info('[System] Location tracking service initialized successfully.');
 
+    // Cluster state - mirrors presence of the other nodes into the online maps before anything reads them
+    this.clusterStateService = new ClusterStateService(this.logger, { redisClient: this.redisClient });
+    await this.clusterStateService.start();
+    await this.clusterStateService.trackPresence('captain', this.onlineCaptains);
+    await this.clusterStateService.trackPresence('customer', this.onlineCustomers);
+
+    // Zone surge pricing - reads online captains, the admin socket is attached once it exists
+    this.surgePricingService = new SurgePricingService(this.logger, {
+      onlineCaptains: this.onlineCaptains,
+      redisClient: this.redisClient
+    });
+
+    // Road routing - backend from ROUTING_PROVIDER/ROUTING_URL, legs cached in Redis
+    this.routingService = new RoutingService(this.logger, { redisClient: this.redisClient });
+
+    // Dispatch timeline - tags each ride with its surge zone for the reports
+    this.dispatchTimelineService = new DispatchTimelineService(this.logger, {
+      nodeId: this.clusterStateService.nodeId,
+      surgePricingService: this.surgePricingService
+    });
+
+    // Captain shifts - online/trip hours and forced breaks, the captain socket is attached once it exists
+    this.captainShiftService = new CaptainShiftService(this.logger, { redisClient: this.redisClient });
+
+    // Destination mode - the admin socket is attached once it exists
+    this.captainDestinationService = new CaptainDestinationService(this.logger, { redisClient: this.redisClient });
+
+    // Ratings - flagged accounts are pushed to the admin socket once it exists
+    this.ratingService = new RatingService(this.logger);
+
+    // Push notifications - socket events missed by offline users go through the outbox
+    this.notificationService = new NotificationService(this.logger);
+
+    // Event journal - per-user sequence numbers and replay window, shared by every node through Redis
+    this.eventJournalService = new EventJournalService(this.logger, { redisClient: this.redisClient });
+
+    // Masked calling - per-ride proxy number and call signalling, socket emitters attached once they exist
+    this.maskedCallService = new MaskedCallService(this.logger);
+
     const shared = {
       onlineCustomers: this.onlineCustomers,
       onlineCaptains: this.onlineCaptains,
@@ -215,7 +313,21 @@ class RideHailingApp {
       paymentService: this.paymentService, // Add payment service to shared dependencies
       financialAccountService: this.financialAccountService, // Add financial account service to shared dependencies
       stateManagementService: this.stateManagementService, // Add state management service to shared dependencies
-      locationTrackingService: this.locationTrackingService // Add location tracking service to shared dependencies
+      locationTrackingService: this.locationTrackingService, // Add location tracking service to shared dependencies
+      promoCodeService: this.promoCodeService, // Add promo code service to shared dependencies
+      rechargeCardService: this.rechargeCardService, // Add recharge card service to shared dependencies
+      poolingService: new PoolingService(this.logger, { redisClient: this.redisClient }), // Shared rides matching
+      surgePricingService: this.surgePricingService, // Zone surge multipliers for fare quotes
+      clusterStateService: this.clusterStateService, // Presence, offers and dispatch leases across nodes
+      dispatchTimelineService: this.dispatchTimelineService, // Persisted dispatch events per ride
+      routingService: this.routingService, // Road distances and ETAs for fares and dispatch
+      captainShiftService: this.captainShiftService, // Shift sessions, dispatch skips captains on a break
+      captainDestinationService: this.captainDestinationService, // Rides towards the captain's target only
+      ratingService: this.ratingService, // Post-trip ratings from both sides
+      notificationService: this.notificationService, // Push for events missed while offline
+      eventJournalService: this.eventJournalService, // Numbered events replayed after a reconnection
+      maskedCallService: this.maskedCallService, // Per-ride proxy numbers, real numbers stay hidden
+      tripMeteringService: new TripMeteringService(this.logger, { redisClient: this.redisClient }) // Final fare from the trip path
     };
 
     /* 2. أنشئ Dispatcher أولاً */
@@ -227,11 +339,21 @@ class RideHailingApp {
     // *** KEY FIX: Add DispatchService reference to shared dependencies ***
     shared.dispatchService = this.dispatchService;
 
+    // Scheduled rides - customer socket service is attached once it exists
+    this.rideSchedulerService = new RideSchedulerService(this.logger, { dispatchService: this.dispatchService });
+    shared.rideSchedulerService = this.rideSchedulerService;
+
     /* 4. أنشئ خدمات السوكت بالدالة الجاهزة */
     this.customerSocketService = new CustomerSocketService(this.io, this.logger, shared);
     await this.customerSocketService.initialize();        // <- من الأفضل await
     shared.customerSocketService = this.customerSocketService;
 
+    // Live trip progress - fed by captain locations, pushed to the customer socket
+    shared.tripProgressService = new TripProgressService(this.logger, {
+      routingService: this.routingService,
+      customerSocketService: this.customerSocketService
+    });
+
     this.captainSocketService = new CaptainSocketService(this.io, this.logger, shared);
     await this.captainSocketService.initialize();
 
@@ -245,6 +367,15 @@ class RideHailingApp {
       this.captainSocketService,
       this.customerSocketService
     );
+    this.rideSchedulerService.setCustomerSocketService(this.customerSocketService);
+    shared.tripMeteringService.setCustomerSocketService(this.customerSocketService);
+    this.surgePricingService.setAdminSocketService(this.adminSocketService);
+    this.dispatchTimelineService.setAdminSocketService(this.adminSocketService);
+    this.captainShiftService.setCaptainSocketService(this.captainSocketService);
+    this.captainDestinationService.setAdminSocketService(this.adminSocketService);
+    this.ratingService.setAdminSocketService(this.adminSocketService);
+    this.chatService.setAdminSocketService(this.adminSocketService);
+    this.maskedCallService.setCustomerSocketService(this.customerSocketService);
 
     // *** VERIFICATION: Double-check that DispatchService is properly injected ***
     if (this.captainSocketService.dispatchService) {
@@ -254,12 +385,37 @@ class RideHailingApp {
     }
 
     /* 6. API + الخلفية */
-    const apiRouter = createApiRoutes(this.logger, this.dispatchService, this.chatService, this.paymentService, this.stateManagementService);
+    const apiRouter = createApiRoutes(this.logger, this.dispatchService, this.chatService, this.paymentService, this.stateManagementService, this.surgePricingService, this.customerSocketService);
     this.app.use("/api", apiRouter);
 
     // Initialize DispatchService after all socket services are ready
     await this.dispatchService.initialize();
     this.dispatchService.startBackgroundDispatcher();
+
+    // Start the ride scheduler - reloads bookings that were pending before a restart
+    await this.rideSchedulerService.start();
+
+    // Start zone surge pricing (supply/demand per zone)
+    await this.surgePricingService.start();
+
+    // Start the fatigue checks (break warnings, forced breaks, stale shifts)
+    await this.captainShiftService.start();
+
+    // Start the push notification worker (retries and entries left by a crashed node)
+    await this.notificationService.start();
+
+    // Give back promo code uses reserved by rides that ended without completing
+    this.promoCodeService.start();
+
+    // Start the call session worker (expired numbers, rides that ended elsewhere, unanswered calls)
+    await this.maskedCallService.start();
+
+    // Copy ratings stored only on rides before the ratings collection existed
+    try {
+      await this.ratingService.backfillRideRatings();
+    } catch (error) {
+      this.logger.error('[System] Failed to backfill ride ratings:', error);
+    }
     
     this.logger.info("[System] All services initialized successfully.");
   }
@@ -273,7 +429,7 @@ class RideHailingApp {
   }
 
   setupGracefulShutdown() {
-    this.systemService.setupGracefulShutdown(this.server, this.io, this.redisClient);
+    this.systemService.setupGracefulShutdown(this.server, this.io, this.redisClient, this.clusterStateService);
   }
 
   async start() {
@@ -336,6 +492,7 @@ class RideHailingApp {
     if (this.chatService) {
       this.logger.info('  ✅ Chat features available:');
       this.logger.info('    - Real-time messaging');
+      this.logger.info('    - Photos, voice notes & location pins');
       this.logger.info('    - Quick messages (Customer: 5, Driver: 6)');
       this.logger.info('    - Typing indicators');
       this.logger.info('    - Message read receipts');
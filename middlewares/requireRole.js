@@ -0,0 +1,39 @@
+const User = require('../model/user');
+
+/**
+ * Middleware allowing only users with one of the given roles (must run after authenticateToken)
+ * The loaded user is kept on req.adminUser for the route.
+ * @param {Array<string>} roles - e.g. ['admin'] or ['admin', 'support']
+ * @param {string} message - Sent with the 403 to other users
+ */
+const requireRole = (roles, message) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user || !roles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message
+      });
+    }
+
+    req.adminUser = user;
+    next();
+
+  } catch (error) {
+    console.error(`[Auth] Error verifying ${roles.join('/')} role:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during authentication'
+    });
+  }
+};
+
+module.exports = requireRole;
@@ -28,16 +28,59 @@ const driverSchema = new mongoose.Schema({
     licensePlate: { type: String },
     color: { type: String },
   },
+  gender: { type: String, enum: ["male", "female"] },
+
+  // فئة المركبة المعتمدة (تُحدد بعد مراجعة الإدارة)
+  vehicleCategory: { type: String, default: "economy", index: true },
+  vehicleCategoryReview: {
+    status: { type: String, enum: ["pending", "approved", "rejected"] },
+    requestedCategory: { type: String },
+    requestedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    notes: { type: String }
+  },
+  // وضع الوجهة (العودة للمنزل): يستلم الكابتن فقط الرحلات التي تقربه من وجهته
+  destinationMode: {
+    active: { type: Boolean, default: false },
+    target: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+    },
+    address: { type: String },
+    activatedAt: { type: Date },
+    expiresAt: { type: Date },
+    endedAt: { type: Date },
+    endReason: { type: String, enum: ["cleared", "expired", "arrived"] },
+    usage: {
+      day: { type: String },            // YYYY-MM-DD
+      count: { type: Number, default: 0 }
+    }
+  },
   age: { type: Number },
   address: { type: String },
   rideHistory: [{ type: mongoose.Schema.Types.ObjectId, ref: "Ride" }],
   isAvailable: { type: Boolean, default: true },
+  notifyToken: { type: String, default: "" }, // Push token of the captain app, saved at login
+  language: { type: String, enum: ["ar", "en"], default: "ar" }, // لغة الإشعارات
   
   // Financial fields
   balance: { type: Number, default: 0 }, // Current wallet balance
   totalEarnings: { type: Number, default: 0 }, // Total earnings from rides
   totalRides: { type: Number, default: 0 }, // Total completed rides
-  rating: { type: Number, default: 5, min: 1, max: 5 }, // Driver rating
+  rating: { type: Number, default: 5, min: 1, max: 5 }, // Rolling weighted average of recent trips
+  ratingCount: { type: Number, default: 0 }, // Ratings received
+  // مراجعة الإدارة عند تكرار التقييمات المنخفضة
+  ratingReview: {
+    status: { type: String, enum: ["pending", "cleared", "deactivated"] },
+    reason: { type: String },             // low_ratings | low_average
+    flaggedAt: { type: Date },
+    ratingAtFlag: { type: Number },
+    lowRatings: { type: Number },         // التقييمات المنخفضة خلال فترة المراقبة
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    notes: { type: String }
+  },
   lastPaymentDate: { type: Date }, // Last payment received date
   
   financialAccount: {
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Call Session Schema
+ * جلسة اتصال مقنّعة لكل رحلة: رقم وسيط مؤقت ومكالمات داخل التطبيق بين الكابتن والزبون
+ * Only one active session per ride; real phone numbers are never stored here.
+ */
+const callSchema = new Schema(
+  {
+    callId: { type: String, required: true },
+    caller: { type: String, enum: ["customer", "captain"], required: true },
+    status: {
+      type: String,
+      enum: ["ringing", "answered", "ended", "missed", "rejected"],
+      default: "ringing"
+    },
+    startedAt: { type: Date, default: Date.now },
+    answeredAt: { type: Date },
+    endedAt: { type: Date },
+    endReason: { type: String }
+  },
+  { _id: false }
+);
+
+const callSessionSchema = new Schema(
+  {
+    rideId: { type: Schema.Types.ObjectId, ref: "Ride", required: true },
+    customer: { type: Schema.Types.ObjectId, ref: "Customer", required: true },
+    captain: { type: Schema.Types.ObjectId, ref: "Driver", required: true },
+
+    // Proxy number, empty when the provider is not configured or failed (in-app calls still work)
+    proxyNumber: { type: String, default: null },
+    provider: { type: String, default: null },
+    providerSessionId: { type: String, default: null },
+
+    status: { type: String, enum: ["active", "closed"], default: "active" },
+    expiresAt: { type: Date, required: true },
+    closedAt: { type: Date },
+    closeReason: { type: String },
+
+    calls: { type: [callSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+callSessionSchema.index(
+  { rideId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+callSessionSchema.index({ status: 1, expiresAt: 1 });
+callSessionSchema.index({ "calls.callId": 1 });
+// Call history is kept for support for a month
+callSessionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("CallSession", callSessionSchema);
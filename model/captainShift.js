@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Captain Shift Schema
+ * وردية الكابتن: من الاتصال/التفعيل حتى قطع الاتصال/الإيقاف، مع وقت الرحلات والاستراحات الإجبارية
+ * Online time is endedAt - startedAt, idle time is online minus onTripSeconds.
+ */
+const shiftBreakSchema = new Schema(
+  {
+    startedAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    reason: { type: String, enum: ["fatigue"], default: "fatigue" }
+  },
+  { _id: false }
+);
+
+const captainShiftSchema = new Schema(
+  {
+    captain: { type: Schema.Types.ObjectId, ref: "Driver", required: true },
+    status: { type: String, enum: ["open", "closed"], default: "open" },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date },
+    endReason: {
+      type: String,
+      enum: ["offline", "disconnect", "unavailable", "stale"]
+    },
+    lastSeenAt: { type: Date }, // Last location update, used to close shifts left open by a crashed node
+
+    onTripSeconds: { type: Number, default: 0 },
+    currentTripStartedAt: { type: Date, default: null },
+    onlineSeconds: { type: Number, default: 0 }, // Set when the shift closes
+    idleSeconds: { type: Number, default: 0 },
+
+    // Start of the current continuous driving period, carried over short disconnections
+    continuousSince: { type: Date, required: true },
+    breakWarningSentAt: { type: Date, default: null },
+    breaks: { type: [shiftBreakSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+// One open shift per captain, across nodes
+captainShiftSchema.index(
+  { captain: 1 },
+  { unique: true, partialFilterExpression: { status: "open" }, name: "captain_open_shift" }
+);
+captainShiftSchema.index({ captain: 1, startedAt: -1 });
+captainShiftSchema.index({ status: 1, continuousSince: 1 });
+
+module.exports = mongoose.model("CaptainShift", captainShiftSchema);
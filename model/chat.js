@@ -8,19 +8,42 @@ const ChatMessageSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    messageType: {
+      type: String,
+      enum: ["text", "image", "audio", "location"],
+      default: "text"
+    },
     text: {
       type: String,
-      required: true,
+      // نص اختياري (تعليق) لرسائل الوسائط والموقع
+      required: function() { return this.messageType === "text"; },
+      default: "",
       maxlength: 1000,
       trim: true
     },
+    // صورة أو رسالة صوتية (الملف نفسه في ChatAttachment)
+    attachment: {
+      attachmentId: { type: mongoose.Schema.Types.ObjectId, ref: "ChatAttachment" },
+      url: String,
+      thumbnailUrl: String,
+      mimeType: String,
+      size: Number,
+      durationSeconds: Number, // للرسائل الصوتية
+      expiresAt: Date
+    },
+    // دبوس موقع ("أنا عند البوابة")
+    location: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+      label: { type: String, maxlength: 200, trim: true }
+    },
     senderId: {
       type: mongoose.Schema.Types.ObjectId,
       required: true
     },
     senderType: {
       type: String,
-      enum: ["customer", "driver"],
+      enum: ["customer", "driver", "support"], // support: موظف الدعم (User) ويرى رسالته الطرفان
       required: true
     },
     isQuick: {
@@ -53,8 +76,17 @@ const ChatMessageSchema = new mongoose.Schema(
     },
     metadata: {
       quickMessageType: String, // نوع الرسالة السريعة
+      senderName: String, // اسم موظف الدعم
       editedAt: Date,
       isEdited: { type: Boolean, default: false }
+    },
+    // الفحص التلقائي للرسالة (ألفاظ مسيئة، مشاركة رقم هاتف)
+    moderation: {
+      flags: {
+        type: [{ type: String, enum: ["abusive_language", "phone_number"] }],
+        default: undefined
+      },
+      flaggedAt: Date
     }
   },
   {
@@ -67,6 +99,7 @@ const ChatMessageSchema = new mongoose.Schema(
 ChatMessageSchema.index({ rideId: 1, createdAt: -1 });
 ChatMessageSchema.index({ senderId: 1, createdAt: -1 });
 ChatMessageSchema.index({ "messageStatus.read": 1, senderType: 1 });
+ChatMessageSchema.index({ "moderation.flaggedAt": -1 }, { sparse: true });
 
 // Virtual للحصول على الرسائل غير المقروءة
 ChatMessageSchema.virtual('isUnread').get(function() {
@@ -96,13 +129,11 @@ ChatMessageSchema.statics.getChatStats = async function(rideId) {
 
 // دالة لتحديد الرسائل كمقروءة
 ChatMessageSchema.statics.markAsRead = async function(rideId, messageIds, readerType) {
-  const oppositeType = readerType === 'customer' ? 'driver' : 'customer';
-  
   const result = await this.updateMany(
     {
       rideId: new mongoose.Types.ObjectId(rideId),
       _id: { $in: messageIds.map(id => new mongoose.Types.ObjectId(id)) },
-      senderType: oppositeType, // تحديد رسائل الطرف الآخر فقط
+      senderType: { $ne: readerType }, // رسائل الطرف الآخر والدعم فقط
       "messageStatus.read": false
     },
     {
@@ -118,19 +149,20 @@ ChatMessageSchema.statics.markAsRead = async function(rideId, messageIds, reader
 
 // دالة للحصول على عدد الرسائل غير المقروءة
 ChatMessageSchema.statics.getUnreadCount = async function(rideId, readerType) {
-  const oppositeType = readerType === 'customer' ? 'driver' : 'customer';
-  
   const count = await this.countDocuments({
     rideId: new mongoose.Types.ObjectId(rideId),
-    senderType: oppositeType,
+    senderType: { $ne: readerType },
     "messageStatus.read": false
   });
   
   return count;
 };
 
+// مدة الاحتفاظ بالرسائل والمرفقات (أيام)
+const MESSAGE_RETENTION_DAYS = 30;
+
 // دالة لتنظيف الرسائل القديمة (يمكن استخدامها في مهمة مجدولة)
-ChatMessageSchema.statics.cleanOldMessages = async function(daysOld = 30) {
+ChatMessageSchema.statics.cleanOldMessages = async function(daysOld = MESSAGE_RETENTION_DAYS) {
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - daysOld);
   
@@ -151,6 +183,90 @@ ChatMessageSchema.pre('save', function(next) {
   next();
 });
 
+// مرفقات الدردشة: الملف المرفوع قبل إرساله في رسالة، ثم مرتبط بها حتى انتهاء صلاحيته
+const ChatAttachmentSchema = new mongoose.Schema(
+  {
+    rideId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true
+    },
+    uploaderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    uploaderType: {
+      type: String,
+      enum: ["customer", "driver"],
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ["image", "audio"],
+      required: true
+    },
+    filename: { type: String, required: true }, // اسم الملف في مجلد uploads
+    originalName: String,
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    thumbnail: {
+      filename: String,
+      mimeType: String,
+      size: Number
+    },
+    durationSeconds: Number,
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatMessage",
+      default: null // null حتى يُرسل في رسالة
+    },
+    expiresAt: { type: Date, required: true }
+  },
+  {
+    timestamps: true,
+    collection: "chatAttachments"
+  }
+);
+
+ChatAttachmentSchema.index({ expiresAt: 1 });
+ChatAttachmentSchema.index({ rideId: 1, createdAt: -1 });
+
+// كتم أحد طرفي الرحلة في الدردشة من قبل الدعم
+const ChatMuteSchema = new mongoose.Schema(
+  {
+    rideId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true
+    },
+    participantType: {
+      type: String,
+      enum: ["customer", "driver"],
+      required: true
+    },
+    participantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    mutedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    reason: { type: String, maxlength: 300, trim: true },
+    mutedUntil: { type: Date, default: null }, // null = حتى إلغاء الكتم
+    active: { type: Boolean, default: true },
+    unmutedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    unmutedAt: Date
+  },
+  {
+    timestamps: true,
+    collection: "chatMutes"
+  }
+);
+
+ChatMuteSchema.index({ rideId: 1, participantType: 1, active: 1 });
+
 // نموذج مؤشر الكتابة (في الذاكرة فقط)
 const TypingIndicatorSchema = new mongoose.Schema({
   rideId: {
@@ -180,8 +296,13 @@ const TypingIndicatorSchema = new mongoose.Schema({
 
 const ChatMessage = mongoose.model("ChatMessage", ChatMessageSchema);
 const TypingIndicator = mongoose.model("TypingIndicator", TypingIndicatorSchema);
+const ChatAttachment = mongoose.model("ChatAttachment", ChatAttachmentSchema);
+const ChatMute = mongoose.model("ChatMute", ChatMuteSchema);
 
 module.exports = {
   ChatMessage,
-  TypingIndicator
+  TypingIndicator,
+  ChatAttachment,
+  ChatMute,
+  MESSAGE_RETENTION_DAYS
 };
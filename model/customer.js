@@ -6,6 +6,7 @@ const customerSchema = new mongoose.Schema(
     phoneNumber: { type: String, required: true },
     email: { type: String, },
     isActive: { type: Boolean, default: true },
+    gender: { type: String, enum: ["male", "female"] }, // مطلوب لفئة "للنساء فقط"
     
     rideHistory: [
       {
@@ -17,6 +18,7 @@ const customerSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    language: { type: String, enum: ["ar", "en"], default: "ar" }, // لغة الإشعارات
 
     token: { type: String }, // For storing JWT or other auth tokens
     
@@ -24,6 +26,20 @@ const customerSchema = new mongoose.Schema(
     walletBalance: { type: Number, default: 0 }, // Current wallet balance
     totalSpent: { type: Number, default: 0 }, // Total amount spent on rides
     totalRides: { type: Number, default: 0 }, // Total completed rides
+
+    // Ratings given by captains
+    rating: { type: Number, default: 5, min: 1, max: 5 }, // Rolling weighted average of recent trips
+    ratingCount: { type: Number, default: 0 },
+    ratingReview: {
+      status: { type: String, enum: ["pending", "cleared", "deactivated"] },
+      reason: { type: String },             // low_ratings | low_average
+      flaggedAt: { type: Date },
+      ratingAtFlag: { type: Number },
+      lowRatings: { type: Number },         // التقييمات المنخفضة خلال فترة المراقبة
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reviewedAt: { type: Date },
+      notes: { type: String }
+    },
     
     financialAccount: {
       type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Dispatch Timeline Schema
+ * سجل توزيع الرحلة: خطوات نصف القطر، الكباتن الذين أُرسل لهم الطلب، الرفض، انتهاء المهلة والطوابير
+ * One document per ride, written by every node that took part in its dispatch.
+ */
+const dispatchEventSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        "dispatch_started",
+        "radius_searched",
+        "batch_matched",
+        "captain_notified",
+        "captain_forwarded",
+        "captain_queued",
+        "captain_rejected",
+        "captain_timeout",
+        "captain_accepted",
+        "captain_cancelled",
+        "dispatch_ended"
+      ]
+    },
+    at: { type: Date, default: Date.now },
+    captain: { type: Schema.Types.ObjectId, ref: "Driver" },
+    radiusKm: { type: Number },
+    reason: { type: String },
+    node: { type: String },
+    data: { type: Schema.Types.Mixed }
+  },
+  { _id: false }
+);
+
+const dispatchTimelineSchema = new Schema(
+  {
+    ride: { type: Schema.Types.ObjectId, ref: "Ride", required: true, unique: true },
+    passenger: { type: Schema.Types.ObjectId, ref: "Customer" },
+    vehicleCategory: { type: String },
+    isShared: { type: Boolean, default: false },
+    pickup: { type: [Number] }, // [longitude, latitude]
+    zone: {
+      zoneId: { type: Schema.Types.ObjectId, ref: "SurgeZone" },
+      zoneName: { type: String }
+    },
+
+    status: { type: String, enum: ["active", "finished"], default: "active" },
+    outcome: { type: String, enum: ["accepted", "cancelled", "timeout", "no_captain", "expired", "error"] },
+    acceptedBy: { type: Schema.Types.ObjectId, ref: "Driver" },
+    startedAt: { type: Date },
+    endedAt: { type: Date },
+    durationSeconds: { type: Number },
+
+    // Counters kept next to the events for cheap reports
+    maxRadiusKm: { type: Number, default: 0 },
+    radiusSteps: { type: Number, default: 0 },
+    notifiedCount: { type: Number, default: 0 },
+    queuedCount: { type: Number, default: 0 },
+    rejectionCount: { type: Number, default: 0 },
+    timeoutCount: { type: Number, default: 0 },
+    nodes: { type: [String], default: [] },
+
+    events: { type: [dispatchEventSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+dispatchTimelineSchema.index({ startedAt: -1 });
+dispatchTimelineSchema.index({ outcome: 1, startedAt: -1 });
+dispatchTimelineSchema.index({ "zone.zoneName": 1, startedAt: -1 });
+
+module.exports = mongoose.model("DispatchTimeline", dispatchTimelineSchema);
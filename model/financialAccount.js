@@ -27,6 +27,11 @@ const financialAccountSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set once the balance held before the ledger existed has been posted as an opening entry
+  ledgerOpenedAt: {
+    type: Date,
+    default: null
+  },
   transactions: [
     {
       moneyTransfers: [
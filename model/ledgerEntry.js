@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Ledger Entry Schema
+ * دفتر القيود المزدوجة (مدين / دائن) - سجل إلحاقي فقط لا يعدل ولا يحذف
+ *
+ * Every money movement is posted as one journal (shared journalId) whose
+ * debit and credit lines are equal. An account balance is Σcredit − Σdebit.
+ * Lines with account = null belong to the "external" counterparty
+ * (cash entering or leaving the platform through addBalance/deductBalance).
+ */
+const ledgerEntrySchema = new Schema(
+  {
+    journalId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      index: true
+    },
+
+    account: {
+      type: Schema.Types.ObjectId,
+      ref: "FinancialAccount",
+      default: null
+    },
+
+    accountType: {
+      type: String,
+      enum: ["captain", "customer", "admin", "main_vault", "system", "external"],
+      required: true
+    },
+
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'مبلغ القيد لا يمكن أن يكون سالباً']
+    },
+
+    // رصيد الحساب بعد القيد (غير موجود للطرف الخارجي)
+    balanceAfter: {
+      type: Number,
+      default: null
+    },
+
+    currency: {
+      type: String,
+      default: "IQD"
+    },
+
+    // نوع الحركة: نوع التحويل (dtc, ride_deduction...) أو credit / debit / opening_balance / reversal
+    entryType: {
+      type: String,
+      required: true
+    },
+
+    moneyTransfer: {
+      type: Schema.Types.ObjectId,
+      ref: "MoneyTransfers",
+      default: null
+    },
+
+    description: { type: String },
+    metadata: { type: Schema.Types.Mixed }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ledgerEntrySchema.index({ account: 1, createdAt: 1 });
+ledgerEntrySchema.index({ createdAt: 1 });
+
+// Append-only: entries are never modified or removed, corrections are new journals
+ledgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Ledger entries are append-only and cannot be modified"));
+  }
+  next();
+});
+
+const rejectMutation = function (next) {
+  next(new Error("Ledger entries are append-only and cannot be modified or deleted"));
+};
+
+ledgerEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectMutation
+);
+ledgerEntrySchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: false, query: true },
+  rejectMutation
+);
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
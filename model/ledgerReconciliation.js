@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Ledger Reconciliation Schema
+ * تقارير مطابقة أرصدة الحسابات المالية مع دفتر القيود
+ */
+const ledgerReconciliationSchema = new Schema(
+  {
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+
+    status: {
+      type: String,
+      enum: ["running", "balanced", "drift_detected", "failed"],
+      default: "running"
+    },
+
+    trigger: {
+      type: String,
+      enum: ["scheduled", "manual"],
+      default: "scheduled"
+    },
+    triggeredBy: { type: Schema.Types.ObjectId, ref: "Users", default: null },
+
+    accountsChecked: { type: Number, default: 0 },
+    accountsWithDrift: { type: Number, default: 0 },
+    totalDrift: { type: Number, default: 0 },
+
+    // مجموع المدين والدائن في الدفتر كاملاً (يجب أن يتساويا)
+    totalDebits: { type: Number, default: 0 },
+    totalCredits: { type: Number, default: 0 },
+    ledgerBalanced: { type: Boolean, default: true },
+
+    drifts: [
+      {
+        account: { type: Schema.Types.ObjectId, ref: "FinancialAccount" },
+        user: { type: Schema.Types.ObjectId },
+        accountType: { type: String },
+        storedBalance: { type: Number },
+        ledgerBalance: { type: Number },
+        drift: { type: Number },
+        entryCount: { type: Number }
+      }
+    ],
+
+    error: { type: String }
+  },
+  { timestamps: true }
+);
+
+ledgerReconciliationSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model("LedgerReconciliation", ledgerReconciliationSchema);
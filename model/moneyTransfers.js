@@ -3,19 +3,36 @@ const mongoose = require("mongoose");
 const moneyTransfersSchema = new mongoose.Schema({
   vault: { type: Number, default: 0 },
   transferType: { type: String, required: true },
-  status: { 
-    type: String, 
-    enum: ["completed", "pending", "failed"], 
-    default: "completed" 
+  status: {
+    type: String,
+    enum: ["completed", "pending", "settled", "failed", "reversed"],
+    default: "completed"
   },
-  from: { 
+  from: {
     id: { type: mongoose.Schema.Types.ObjectId, required: true },
     role: { type: String, enum: ["Customer", "Driver", "Users"], required: true }
   },
-  to: { 
+  to: {
     id: { type: mongoose.Schema.Types.ObjectId, required: true },
     role: { type: String, enum: ["Customer", "Driver", "Users"], required: true }
   },
+  description: { type: String },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+
+  // Replayed requests carrying the same key return the original transfer
+  idempotencyKey: { type: String },
+
+  // Compensating reversal tracking
+  reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: "MoneyTransfers" },
+  reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: "MoneyTransfers" },
+  reversedAt: { type: Date },
+  reversalReason: { type: String },
+
+  // A settled debt is closed by the settlement transfer, which is the one to reverse
+  settledBy: { type: mongoose.Schema.Types.ObjectId, ref: "MoneyTransfers" },
+  settledAt: { type: Date },
 }, { timestamps: true });
 
-module.exports = mongoose.model("MoneyTransfers", moneyTransfersSchema);
\ No newline at end of file
+moneyTransfersSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model("MoneyTransfers", moneyTransfersSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Notification Outbox Schema
+ * صندوق الإشعارات الصادرة: كل إشعار يُحفظ قبل إرساله ويُعاد المحاولة عليه حتى ينجح أو يُستنفد
+ * An entry is claimed by one node at a time through lockedUntil, so every node can run the worker.
+ */
+const notificationOutboxSchema = new Schema(
+  {
+    recipientType: { type: String, enum: ["customer", "captain"], required: true },
+    recipient: { type: Schema.Types.ObjectId, required: true }, // Customer or Driver id
+    event: { type: String, required: true }, // Socket event that could not be delivered
+    token: { type: String, required: true },
+    locale: { type: String, enum: ["ar", "en"], default: "ar" },
+    title: { type: String, required: true },
+    body: { type: String, required: true },
+    data: { type: Schema.Types.Mixed, default: {} },
+    collapseKey: { type: String },
+
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed", "invalid_token"],
+      default: "pending"
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    lastError: { type: String },
+    sentAt: { type: Date },
+    provider: { type: String },
+    providerMessageId: { type: String }
+  },
+  { timestamps: true }
+);
+
+notificationOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationOutboxSchema.index({ recipient: 1, createdAt: -1 });
+// Delivered or abandoned notifications are only kept for a week
+notificationOutboxSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("NotificationOutbox", notificationOutboxSchema);
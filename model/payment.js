@@ -101,6 +101,11 @@ const paymentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User"
     },
+    // Set in the same transaction as the earnings, spending and commission movements
+    movementsAppliedAt: {
+      type: Date,
+      default: null
+    },
     
     // Dispute handling
     hasDispute: {
@@ -0,0 +1,207 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Promo Code Schema
+ * أكواد الخصم مع فترات الصلاحية وحدود الاستخدام
+ */
+const PromoCodeSchema = new Schema(
+  {
+    // الكود كما يدخله الزبون (يحفظ بأحرف كبيرة)
+    code: {
+      type: String,
+      required: [true, 'كود الخصم مطلوب'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: [32, 'كود الخصم يجب أن يكون أقل من 32 حرف']
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    },
+
+    // نوع الخصم: نسبة مئوية أو مبلغ ثابت
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true
+    },
+
+    // قيمة الخصم (نسبة من 1 إلى 100 أو مبلغ بالدينار)
+    discountValue: {
+      type: Number,
+      required: true,
+      min: [0, 'قيمة الخصم لا يمكن أن تكون سالبة']
+    },
+
+    // الحد الأقصى للخصم (للنسب المئوية)، null = بدون حد
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+
+    // أقل أجرة يمكن تطبيق الكود عليها
+    minFare: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    currency: {
+      type: String,
+      default: "IQD"
+    },
+
+    // فترة الصلاحية
+    validFrom: {
+      type: Date,
+      default: Date.now
+    },
+    validTo: {
+      type: Date,
+      default: null
+    },
+
+    // عدد مرات الاستخدام الكلي، null = غير محدود
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+
+    // عدد مرات الاستخدام لكل زبون
+    perCustomerLimit: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+
+    // عدد مرات الاستخدام (يُحجز عند طلب الرحلة ويُعاد عند إلغائها)
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    // للرحلة الأولى فقط
+    firstRideOnly: {
+      type: Boolean,
+      default: false
+    },
+
+    // يظهر في قائمة الأكواد المتاحة للزبائن
+    isPublic: {
+      type: Boolean,
+      default: false
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Users"
+    }
+  },
+  { timestamps: true }
+);
+
+PromoCodeSchema.pre("validate", function (next) {
+  if (this.discountType === "percentage" && this.discountValue > 100) {
+    this.invalidate("discountValue", 'نسبة الخصم لا يمكن أن تزيد عن 100%');
+  }
+  if (this.validTo && this.validFrom && this.validTo <= this.validFrom) {
+    this.invalidate("validTo", 'تاريخ الانتهاء يجب أن يكون بعد تاريخ البداية');
+  }
+  next();
+});
+
+PromoCodeSchema.index({ isActive: 1, validFrom: 1, validTo: 1 });
+
+/**
+ * حساب قيمة الخصم لأجرة معينة
+ * terms: { discountType, discountValue, maxDiscount } - the code itself or the copy stored on a ride
+ */
+PromoCodeSchema.statics.discountFor = function (terms, fare) {
+  let discount = 0;
+
+  if (terms.discountType === "percentage") {
+    discount = (fare * terms.discountValue) / 100;
+  } else {
+    discount = terms.discountValue;
+  }
+
+  if (terms.maxDiscount !== null && terms.maxDiscount !== undefined) {
+    discount = Math.min(discount, terms.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, fare));
+};
+
+PromoCodeSchema.methods.calculateDiscount = function (fare) {
+  return this.constructor.discountFor(this, fare);
+};
+
+/**
+ * Promo Code Redemption Schema
+ * سجل استخدام أكواد الخصم (سجل واحد لكل رحلة، يُحجز عند طلب الرحلة ويُثبت عند إكمالها)
+ */
+const PromoCodeRedemptionSchema = new Schema(
+  {
+    promoCode: {
+      type: Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+      index: true
+    },
+    code: {
+      type: String,
+      required: true
+    },
+    customer: {
+      type: Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+      index: true
+    },
+    ride: {
+      type: Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+      unique: true
+    },
+    originalFare: Number,
+    discountAmount: Number,
+    finalFare: Number,
+    currency: {
+      type: String,
+      default: "IQD"
+    },
+    // reserved: held by a ride that is still running, redeemed: the ride completed
+    // (entries from before reservations have no status and are redeemed)
+    status: {
+      type: String,
+      enum: ["reserved", "redeemed"],
+      default: "redeemed"
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { timestamps: true }
+);
+
+PromoCodeRedemptionSchema.index({ promoCode: 1, customer: 1 });
+PromoCodeRedemptionSchema.index({ status: 1, createdAt: 1 });
+
+const PromoCode = mongoose.model("PromoCode", PromoCodeSchema);
+const PromoCodeRedemption = mongoose.model("PromoCodeRedemption", PromoCodeRedemptionSchema);
+
+module.exports = { PromoCode, PromoCodeRedemption };
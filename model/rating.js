@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Rating Schema
+ * تقييم بعد الرحلة في الاتجاهين: الزبون يقيّم الكابتن والكابتن يقيّم الزبون، مع تعليق ووسوم اختيارية
+ * Ride.driverRating / Ride.passengerRating keep the star values; comments and tags live here.
+ */
+const ratingSchema = new Schema(
+  {
+    ride: { type: Schema.Types.ObjectId, ref: "Ride", required: true },
+    raterType: { type: String, enum: ["customer", "captain"], required: true },
+    rater: { type: Schema.Types.ObjectId, required: true },
+    rateeType: { type: String, enum: ["customer", "captain"], required: true },
+    ratee: { type: Schema.Types.ObjectId, required: true },
+
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, trim: true, maxlength: 500 },
+    tags: { type: [String], default: [] }, // cleanliness, driving, politeness...
+    low: { type: Boolean, default: false } // At or below ratings.lowRatingThreshold
+  },
+  { timestamps: true }
+);
+
+// One rating per side and ride
+ratingSchema.index({ ride: 1, raterType: 1 }, { unique: true });
+ratingSchema.index({ ratee: 1, rateeType: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Rating", ratingSchema);
@@ -1,14 +1,44 @@
 const mongoose = require("mongoose");
 
+/**
+ * Recharge Card Schema
+ * كروت الشحن: الرقم التسلسلي مطبوع على الكرت، والرمز السري يحفظ مشفراً (hash) فقط
+ */
 const rechargeCardSchema = new mongoose.Schema(
   {
-    serialNumber: { type: Number },
-    vault: { type: Number },
+    serialNumber: { type: Number, required: true, unique: true },
+
+    // HMAC of the secret code printed under the scratch area, the code itself is never stored
+    codeHash: { type: String, required: true, unique: true, select: false },
+    codeLast4: { type: String },
+
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RechargeCardBatch",
+      index: true
+    },
+
+    // قيمة الكرت
+    vault: { type: Number, required: true, min: 1 },
+    currency: { type: String, default: "IQD" },
+
+    // inactive: مطبوع ولم يفعل بعد، active: قابل للاستخدام، redeemed: مستخدم، void: ملغي
+    status: {
+      type: String,
+      enum: ["inactive", "active", "redeemed", "void"],
+      default: "inactive",
+      index: true
+    },
+
+    expiresAt: { type: Date, default: null },
+
+    // تحويل الرصيد الناتج عن استخدام الكرت
     moneyTransfers: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "moneyTransfers",
+      ref: "MoneyTransfers",
     },
-    active: { type: Boolean, default: true },
+
+    // الجهة المصدرة للكرت
     from: {
       id: { type: mongoose.Schema.Types.ObjectId, required: true },
       role: {
@@ -17,16 +47,21 @@ const rechargeCardSchema = new mongoose.Schema(
         required: true,
       },
     },
+    // المستخدم الذي شحن الكرت (يملأ عند الاستخدام)
     to: {
-      id: { type: mongoose.Schema.Types.ObjectId, required: true },
+      id: { type: mongoose.Schema.Types.ObjectId },
       role: {
         type: String,
         enum: ["Customer", "Driver", "Users"],
-        required: true,
       },
     },
+
+    redeemedAt: { type: Date },
+    voidedAt: { type: Date },
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model("RechargeCard", rechargeCardSchema);
\ No newline at end of file
+rechargeCardSchema.index({ "to.id": 1, redeemedAt: -1 });
+
+module.exports = mongoose.model("RechargeCard", rechargeCardSchema);
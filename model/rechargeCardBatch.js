@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Recharge Card Batch Schema
+ * دفعات كروت الشحن (فئة واحدة لكل دفعة، تفعل أو تلغى بالكامل)
+ */
+const rechargeCardBatchSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'اسم الدفعة مطلوب'],
+      trim: true,
+      maxlength: 100
+    },
+
+    // فئة الكرت
+    denomination: {
+      type: Number,
+      required: [true, 'فئة الكرت مطلوبة'],
+      min: [1, 'فئة الكرت يجب أن تكون أكبر من صفر']
+    },
+
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+
+    currency: {
+      type: String,
+      default: "IQD"
+    },
+
+    status: {
+      type: String,
+      enum: ["inactive", "active", "void"],
+      default: "inactive",
+      index: true
+    },
+
+    serialFrom: { type: Number },
+    serialTo: { type: Number },
+
+    expiresAt: { type: Date, default: null },
+    notes: { type: String, trim: true, maxlength: 500 },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "Users" },
+    activatedAt: { type: Date },
+    activatedBy: { type: Schema.Types.ObjectId, ref: "Users" },
+    voidedAt: { type: Date },
+    voidedBy: { type: Schema.Types.ObjectId, ref: "Users" },
+    voidReason: { type: String, trim: true }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RechargeCardBatch", rechargeCardBatchSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Recharge Card Lockout Counter Schema
+ * عداد المحاولات الخاطئة لكل مستخدم ولكل عنوان IP ضمن نافذة زمنية ثابتة
+ * One document per subject and window; the window end never moves, the document
+ * is dropped by the TTL index once it has passed.
+ */
+const rechargeCardLockoutSchema = new Schema(
+  {
+    // user:<id>:<windowStart> | ip:<address>:<windowStart>
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+rechargeCardLockoutSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RechargeCardLockout", rechargeCardLockoutSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Recharge Card Redemption Attempt Schema
+ * سجل تدقيق لكل محاولة استخدام كرت شحن (الناجحة والفاشلة)
+ * The brute-force lockout itself is counted in RechargeCardLockout.
+ */
+const rechargeCardRedemptionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, required: true },
+    userType: {
+      type: String,
+      enum: ["customer", "captain"],
+      required: true
+    },
+
+    card: { type: Schema.Types.ObjectId, ref: "RechargeCard", default: null },
+    serialNumber: { type: Number, default: null },
+    batch: { type: Schema.Types.ObjectId, ref: "RechargeCardBatch", default: null },
+    amount: { type: Number, default: 0 },
+    currency: { type: String, default: "IQD" },
+
+    success: { type: Boolean, required: true },
+    // invalid_code, already_redeemed, card_inactive, card_void, card_expired, locked, credit_failed
+    reason: { type: String, default: null },
+
+    channel: {
+      type: String,
+      enum: ["rest", "socket"],
+      required: true
+    },
+    ipAddress: { type: String },
+    userAgent: { type: String },
+
+    moneyTransfer: { type: Schema.Types.ObjectId, ref: "MoneyTransfers", default: null },
+    balanceAfter: { type: Number, default: null }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+rechargeCardRedemptionSchema.index({ user: 1, success: 1, createdAt: -1 });
+rechargeCardRedemptionSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+rechargeCardRedemptionSchema.index({ serialNumber: 1 });
+
+module.exports = mongoose.model("RechargeCardRedemption", rechargeCardRedemptionSchema);
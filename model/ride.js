@@ -31,9 +31,28 @@ const rideSchema = new mongoose.Schema(
       locationName: { type: String }, // e.g., "University District"
       coordinates: { type: [Number], required: true },
     },
+    // Intermediate stops between pickup and dropoff, in visiting order
+    waypoints: [
+      {
+        type: { type: String, enum: ["Point"], default: "Point" },
+        locationName: { type: String },
+        coordinates: { type: [Number], required: true },
+        order: { type: Number, required: true },
+        status: {
+          type: String,
+          enum: ["pending", "arrived", "departed"],
+          default: "pending",
+        },
+        arrivedAt: { type: Date },
+        departedAt: { type: Date },
+        waitMinutes: { type: Number, default: 0 },
+        waitCharge: { type: Number, default: 0 }, // added to fare.amount when the captain leaves the stop
+      },
+    ],
     status: {
       type: String,
       enum: [
+        "scheduled",
         "requested",
         "accepted",
         "arrived",
@@ -49,6 +68,8 @@ const rideSchema = new mongoose.Schema(
     fare: {
       amount: { type: Number, required: true },
       currency: { type: String, default: "IQD" },
+      // Time and surge multiplier of the quote, stop changes are priced with it
+      multiplier: { type: Number },
     },
     distance: { type: Number, required: true }, // In kilometers or miles
     duration: { type: Number, required: true }, // In minutes
@@ -104,6 +125,110 @@ const rideSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // Cancellation
+    cancellationReason: { type: String },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId },
+    cancellationType: { type: String }, // customer, captain_permanent, ...
+    cancellationFee: { type: Number, default: 0 },
+    cancellationCharge: {
+      amount: { type: Number },
+      currency: { type: String, default: "IQD" },
+      status: { type: String, enum: ["completed", "debt", "failed"] },
+      transferId: { type: mongoose.Schema.Types.ObjectId, ref: "MoneyTransfers" }, // customer -> main vault
+      captainId: { type: mongoose.Schema.Types.ObjectId, ref: "Driver" },
+      captainShare: { type: Number, default: 0 },
+      captainTransferId: { type: mongoose.Schema.Types.ObjectId, ref: "MoneyTransfers" }, // customer -> captain
+      chargedAt: { type: Date },
+    },
+
+    // Zone surge applied when the ride was requested
+    surge: {
+      zoneId: { type: mongoose.Schema.Types.ObjectId, ref: "SurgeZone" },
+      zoneName: { type: String },
+      multiplier: { type: Number },
+      source: { type: String, enum: ["auto", "override"] },
+    },
+
+    // Captain ranking of each dispatch wave - why every notified captain was ranked where he was
+    dispatchRanking: [
+      {
+        _id: false,
+        captain: { type: mongoose.Schema.Types.ObjectId, ref: "Driver" },
+        radiusKm: { type: Number },
+        rank: { type: Number },
+        score: { type: Number },          // null when scoring is disabled (nearest first)
+        factors: { type: mongoose.Schema.Types.Mixed }, // { eta: { value, weight, raw }, ... }
+        notified: { type: Boolean },      // false when cut by maxCaptainsPerWave
+        rankedAt: { type: Date },
+      },
+    ],
+
+    // Captain assigned to the ride by a batch matching round (before the radius loop)
+    batchMatch: {
+      captain: { type: mongoose.Schema.Types.ObjectId, ref: "Driver" },
+      pickupMinutes: { type: Number },
+      batchSize: { type: Number },           // rides solved together in that round
+      captainsConsidered: { type: Number },  // idle captains in that round
+      matchedAt: { type: Date },
+    },
+
+    // Vehicle category requested by the customer, only captains of this category are notified
+    vehicleCategory: { type: String, default: "economy" },
+
+    // Shared (pooled) rides - each passenger has his own ride and pays his own split fare
+    isShared: { type: Boolean, default: false },
+    pool: {
+      poolId: { type: mongoose.Schema.Types.ObjectId, ref: "RidePool" },
+      soloFare: { type: Number },      // fare the passenger would pay alone
+      discountRate: { type: Number },  // shared discount applied to soloFare
+      detourKm: { type: Number },      // extra distance added to the captain's route when joining
+    },
+
+    // Scheduled (advance-booking) rides
+    scheduledFor: { type: Date, default: null },
+    scheduling: {
+      dispatchAt: { type: Date },        // when dispatch starts (scheduledFor - dispatchLeadMinutes)
+      dispatchStartedAt: { type: Date },
+      remindersSent: { type: [Number], default: undefined }, // reminder offsets (minutes) already sent
+    },
+
+    // Promo code applied at request time (redeemed when the ride completes)
+    promoCode: {
+      promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: "PromoCode" },
+      code: { type: String },
+      discount: { type: Number, default: 0 },
+      originalFare: { type: Number },
+      // Terms at request time, the discount is recomputed from them when the fare changes
+      discountType: { type: String, enum: ["percentage", "fixed"] },
+      discountValue: { type: Number },
+      maxDiscount: { type: Number },
+      redeemed: { type: Boolean, default: false },
+      redeemedAt: { type: Date },
+    },
+
+    acceptedAt: { type: Date },    // captain assigned (the free-cancel window starts here)
+    rideStartTime: { type: Date }, // passenger picked up (startRide)
+    rideEndTime: { type: Date },   // passenger dropped off (endRide)
+
+    // Final fare from the recorded trip path, compared with the quote (endRide)
+    metering: {
+      quotedFare: { type: Number },
+      meteredFare: { type: Number },   // fare from measured distance, time and waiting time
+      finalFare: { type: Number },     // what the passenger is asked to pay
+      rule: {
+        type: String,
+        enum: ["within_tolerance", "metered", "capped", "quote_honoured", "unreliable_track", "shared_ride", "disabled"],
+      },
+      differenceAmount: { type: Number }, // finalFare - quotedFare
+      differencePercent: { type: Number },
+      distanceKm: { type: Number },
+      durationMinutes: { type: Number },
+      waitingMinutes: { type: Number },
+      sampleCount: { type: Number },
+      meteredAt: { type: Date },
+    },
+
   },
   {
     timestamps: true,
@@ -129,6 +254,7 @@ rideSchema.pre("validate", async function (next) {
   next();
 });
 rideSchema.index({ rideCode: 1 }, { unique: true });
+rideSchema.index({ status: 1, "scheduling.dispatchAt": 1 });
 
 // Adding indexes for geospatial queries
 rideSchema.index({ pickupLocation: "2dsphere" });
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Ride Pool Schema
+ * مجموعة الرحلات المشتركة لكابتن واحد وخطة التوقفات (صعود/نزول كل راكب)
+ * Each passenger keeps his own Ride document (own status, fare and payment),
+ * the pool only holds the captain's combined stop plan.
+ */
+const poolStopSchema = new Schema(
+  {
+    ride: { type: Schema.Types.ObjectId, ref: "Ride", required: true },
+    passenger: { type: Schema.Types.ObjectId, ref: "Customer" },
+    type: { type: String, enum: ["pickup", "dropoff"], required: true },
+    coordinates: { type: [Number], required: true }, // [longitude, latitude]
+    locationName: { type: String },
+    status: { type: String, enum: ["pending", "done"], default: "pending" },
+    completedAt: { type: Date }
+  },
+  { _id: false }
+);
+
+const ridePoolSchema = new Schema(
+  {
+    driver: { type: Schema.Types.ObjectId, ref: "Driver", required: true },
+    status: {
+      type: String,
+      enum: ["active", "completed"],
+      default: "active"
+    },
+    maxPassengers: { type: Number, default: 3 },
+    rides: [{ type: Schema.Types.ObjectId, ref: "Ride" }],
+    stops: [poolStopSchema],
+    completedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+ridePoolSchema.index({ driver: 1, status: 1 });
+ridePoolSchema.index({ status: 1 });
+
+module.exports = mongoose.model("RidePool", ridePoolSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { DEFAULT_VEHICLE_CATEGORIES } = require("../utils/vehicleCategories");
 
 /** ⚙️ إعدادات التسعير */
 const FareSchema = new mongoose.Schema(
@@ -21,6 +22,43 @@ const FareSchema = new mongoose.Schema(
   { _id: false }           // لا نحتاج _id فرعي لكل كتلة
 );
 
+/** 🏅 ترتيب الكباتن قبل الإرسال (الأوزان قابلة للتعديل من الإدارة) */
+const DispatchScoringSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: true },     // معطّل = الأقرب أولاً
+    weights: {
+      eta:               { type: Number, default: 0.35, min: 0 }, // زمن الوصول لنقطة الصعود
+      acceptanceRate:    { type: Number, default: 0.2, min: 0 },  // نسبة القبول من آخر الردود
+      recentRejections:  { type: Number, default: 0.15, min: 0 }, // رفض/تجاهل خلال النافذة الأخيرة
+      rating:            { type: Number, default: 0.15, min: 0 },
+      idleTime:          { type: Number, default: 0.1, min: 0 },  // مدة الانتظار منذ آخر رحلة
+      walletBalance:     { type: Number, default: 0.05, min: 0 }
+    },
+    averageSpeedKmh:     { type: Number, default: 25, min: 1 },     // لتقدير زمن الوصول
+    maxEtaMinutes:       { type: Number, default: 15, min: 1 },     // زمن وصول يساوي صفر نقاط
+    historySize:         { type: Number, default: 20, min: 1 },     // عدد الردود المحسوبة في نسبة القبول
+    rejectionWindowMinutes: { type: Number, default: 30, min: 1 },
+    maxRecentRejections: { type: Number, default: 3, min: 1 },      // عدد الرفض الذي يساوي صفر نقاط
+    maxIdleMinutes:      { type: Number, default: 60, min: 1 },     // انتظار يساوي النقاط الكاملة
+    walletTarget:        { type: Number, default: 10000, min: 1 },  // رصيد يساوي النقاط الكاملة
+    maxCaptainsPerWave:  { type: Number, default: 0, min: 0 }       // 0 = إرسال لكل الكباتن الجدد في النطاق
+  },
+  { _id: false }
+);
+
+/** 🧮 المطابقة الجماعية (تعيين عدة طلبات لعدة كباتن دفعة واحدة) */
+const BatchMatchingSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: false },
+    intervalSeconds:     { type: Number, default: 5, min: 1 },      // كل كم ثانية تُحل جولة تعيين
+    searchRadiusKm:      { type: Number, default: 5, min: 0.5 },    // الكباتن المرشحون لكل طلب
+    maxPickupMinutes:    { type: Number, default: 15, min: 1 },     // أبعد زمن وصول مقبول في التعيين
+    averageSpeedKmh:     { type: Number, default: 25, min: 1 },
+    maxRidesPerBatch:    { type: Number, default: 50, min: 1 }      // الباقي ينتظر الجولة التالية
+  },
+  { _id: false }
+);
+
 /** ⚙️ إعدادات منطق التوزيع */
 const DispatchSchema = new mongoose.Schema(
   {
@@ -29,7 +67,9 @@ const DispatchSchema = new mongoose.Schema(
     radiusIncrementKm:   { type: Number, default: 1 },
     notificationTimeout: { type: Number, default: 15 },     // بالثواني
     maxDispatchTime:     { type: Number, default: 300 },    // 5 دقائق = 300 ث
-    graceAfterMaxRadius: { type: Number, default: 30 }      // بعد بلوغ أقصى نصف قطر
+    graceAfterMaxRadius: { type: Number, default: 30 },     // بعد بلوغ أقصى نصف قطر
+    scoring:             { type: DispatchScoringSchema, default: () => ({}) },
+    batchMatching:       { type: BatchMatchingSchema, default: () => ({}) }
   },
   { _id: false }
 );
@@ -60,11 +100,156 @@ const PassengerRulesSchema = new mongoose.Schema(
   {
     cancellationFee:     { type: Number, default: 1000 },
     freeCancelWindow:    { type: Number, default: 120 },    // ثانية قبل فرض الغرامة
+    captainCancellationShare: { type: Number, default: 0.5, min: 0, max: 1 }, // حصة الكابتن من الغرامة إذا كان في الطريق
     minRatingRequired:   { type: Number, default: 0 }       // لو تريد منع عملاء ذوي تقييم منخفض
   },
   { _id: false }
 );
 
+/** 📅 إعدادات الحجز المسبق */
+const SchedulingSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: true },
+    minLeadMinutes:      { type: Number, default: 30, min: 0 },   // أقل مدة بين الحجز وموعد الانطلاق
+    maxLeadDays:         { type: Number, default: 7, min: 1 },    // أبعد موعد يمكن حجزه
+    dispatchLeadMinutes: { type: Number, default: 15, min: 1 },   // بدء البحث عن كابتن قبل الموعد بـ
+    reminderMinutes:     { type: [Number], default: [60, 15] },   // تذكير الزبون قبل الموعد بـ
+    maxScheduledPerCustomer: { type: Number, default: 3, min: 1 },
+    expireAfterMinutes:  { type: Number, default: 30, min: 0 }    // إلغاء الحجز إذا فات موعده دون إرسال (بعد إعادة التشغيل مثلاً)
+  },
+  { _id: false }
+);
+
+/** 📍 إعدادات نقاط التوقف (الرحلات متعددة المحطات) */
+const StopsSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: true },
+    maxStops:            { type: Number, default: 3, min: 0 },    // أقصى عدد محطات وسطية
+    pricePerStop:        { type: Number, default: 500, min: 0 },  // رسم ثابت لكل محطة
+    freeWaitMinutes:     { type: Number, default: 3, min: 0 },    // انتظار مجاني عند كل محطة
+    waitPricePerMinute:  { type: Number, default: 100, min: 0 }   // بعد انتهاء الانتظار المجاني
+  },
+  { _id: false }
+);
+
+/** 👥 إعدادات الرحلات المشتركة (تُفعّل عبر allowShared) */
+const PoolingSchema = new mongoose.Schema(
+  {
+    maxPassengers:       { type: Number, default: 3, min: 2 },      // أقصى عدد ركاب في نفس الرحلة المشتركة
+    maxDetourKm:         { type: Number, default: 3, min: 0 },      // أقصى مسافة إضافية على مسار الكابتن
+    searchRadiusKm:      { type: Number, default: 3, min: 0 },      // أقصى بعد لنقطة الصعود عن الكابتن
+    discountRate:        { type: Number, default: 0.25, min: 0, max: 0.9 } // خصم الأجرة لكل راكب
+  },
+  { _id: false }
+);
+
+/** 📈 التسعير الديناميكي حسب المناطق (العرض والطلب) */
+const ZoneSurgeSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: false },
+    intervalSeconds:     { type: Number, default: 60, min: 10 },     // كل كم ثانية يُعاد الحساب
+    requestWindowMinutes:{ type: Number, default: 10, min: 1 },      // الطلبات المفتوحة خلال آخر N دقيقة
+    smoothing:           { type: Number, default: 0.5, min: 0.05, max: 1 }, // وزن القراءة الأحدث في النسبة المتدحرجة
+    activateRatio:       { type: Number, default: 1.5, min: 0 },     // نسبة الطلب/العرض لتفعيل الزيادة
+    deactivateRatio:     { type: Number, default: 1.0, min: 0 },     // نسبة إيقاف الزيادة (أقل من التفعيل = hysteresis)
+    multiplierPerRatio:  { type: Number, default: 0.5, min: 0 },     // زيادة المعامل لكل وحدة نسبة فوق 1
+    maxMultiplier:       { type: Number, default: 2.5, min: 1 },     // سقف المعامل
+    maxStepPerTick:      { type: Number, default: 0.25, min: 0.05 }  // أقصى تغيير للمعامل في كل دورة
+  },
+  { _id: false }
+);
+
+/** 🧭 تقدم الرحلة المباشر للزبون (زمن الوصول والتنبيهات) */
+const TripProgressSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: true },
+    updateIntervalSeconds:{ type: Number, default: 10, min: 3 },    // أقل فاصل بين تحديثين لنفس الرحلة
+    nearbyAlertMinutes:  { type: Number, default: 1, min: 0 },      // تنبيه "الكابتن على بعد دقيقة"
+    detourThresholdKm:   { type: Number, default: 0.5, min: 0.1 },  // زيادة المسافة المتبقية التي تعتبر انحرافاً
+    detourConfirmSamples:{ type: Number, default: 2, min: 1 },      // عدد القراءات المتتالية قبل التنبيه
+    detourAlertCooldownSeconds: { type: Number, default: 120, min: 0 } // أقل فاصل بين تنبيهين للانحراف
+  },
+  { _id: false }
+);
+
+/** 📏 الأجرة الفعلية من مسار الرحلة المسجل وقواعد الالتزام بالسعر المعروض */
+const MeteringSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: true },
+    minSampleIntervalSeconds: { type: Number, default: 5, min: 1 }, // أقل فاصل بين عينتي موقع
+    minSamples:          { type: Number, default: 5, min: 2 },      // أقل عدد عينات لاعتماد المسار
+    maxSampleGapSeconds: { type: Number, default: 180, min: 10 },   // فجوة أكبر = مسار غير موثوق (يُعتمد السعر المعروض)
+    maxSpeedKmh:         { type: Number, default: 160, min: 10 },   // قفزات GPS أسرع من هذا تُستبعد
+    waitingSpeedKmh:     { type: Number, default: 5, min: 0 },      // أبطأ من هذا يُحسب وقت انتظار
+    honourQuoteWithinPercent: { type: Number, default: 10, min: 0 }, // فرق ضمن هذه النسبة = يُدفع السعر المعروض
+    maxIncreasePercent:  { type: Number, default: 50, min: 0 },     // سقف الزيادة فوق السعر المعروض
+    chargeLowerActual:   { type: Boolean, default: true }           // الأجرة الفعلية الأقل تُخصم للزبون
+  },
+  { _id: false }
+);
+
+/** 😴 ورديات الكباتن والاستراحة الإجبارية بعد ساعات القيادة المتواصلة */
+const FatigueSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: true },
+    maxContinuousHours:  { type: Number, default: 8, min: 1 },      // ساعات القيادة المتواصلة قبل الاستراحة
+    breakMinutes:        { type: Number, default: 30, min: 1 },     // مدة الاستراحة الإجبارية (لا يستلم طلبات)
+    restGapMinutes:      { type: Number, default: 15, min: 0 },     // انقطاع أقصر من هذا لا يُعد استراحة
+    warnBeforeMinutes:   { type: Number, default: 15, min: 0 },     // تنبيه الكابتن قبل بدء الاستراحة
+    checkIntervalSeconds:{ type: Number, default: 60, min: 10 }     // فاصل فحص الورديات المفتوحة
+  },
+  { _id: false }
+);
+
+/** 🏠 وضع الوجهة: الكابتن يستلم فقط الرحلات التي تقربه من وجهته */
+const DestinationModeSchema = new mongoose.Schema(
+  {
+    enabled:             { type: Boolean, default: true },
+    maxUsesPerDay:       { type: Number, default: 2, min: 1 },      // عدد مرات التفعيل في اليوم
+    durationMinutes:     { type: Number, default: 120, min: 10 },   // ينتهي الوضع تلقائياً بعدها
+    minTargetDistanceKm: { type: Number, default: 3, min: 0 },      // أقل بعد للوجهة عن موقع الكابتن
+    minProgressKm:       { type: Number, default: 2, min: 0 },      // أقل تقدم نحو الوجهة لقبول الرحلة
+    minProgressPercent:  { type: Number, default: 25, min: 0, max: 100 }, // أو نسبة من المسافة للوجهة (الأكبر)
+    arrivalRadiusKm:     { type: Number, default: 1, min: 0.1 }     // الوصول للوجهة ينهي الوضع
+  },
+  { _id: false }
+);
+
+/** ⭐ التقييمات في الاتجاهين والمتوسط المرجّح لآخر الرحلات */
+const RatingsSchema = new mongoose.Schema(
+  {
+    ratingWindowHours:   { type: Number, default: 48, min: 1 },     // مهلة التقييم بعد انتهاء الرحلة
+    recentRatings:       { type: Number, default: 100, min: 1 },    // عدد آخر التقييمات في المتوسط
+    decay:               { type: Number, default: 0.98, min: 0.5, max: 1 }, // وزن كل تقييم أقدم بدرجة
+    priorRating:         { type: Number, default: 5, min: 1, max: 5 }, // تقييم افتراضي للحسابات الجديدة
+    priorWeight:         { type: Number, default: 3, min: 0 },      // وزن التقييم الافتراضي
+    lowRatingThreshold:  { type: Number, default: 2, min: 1, max: 5 }, // تقييم منخفض (حدث للمراقبة)
+    lowRatingsToFlag:    { type: Number, default: 3, min: 1 },      // عدد التقييمات المنخفضة لتحويل الحساب للمراجعة
+    flagWindowDays:      { type: Number, default: 30, min: 1 },
+    flagBelowAverage:    { type: Number, default: 3.5, min: 1, max: 5 }, // متوسط أقل من هذا = مراجعة
+    minRatingsToFlag:    { type: Number, default: 10, min: 1 }      // أقل عدد تقييمات قبل الحكم على المتوسط
+  },
+  { _id: false }
+);
+
+/** 🚗 فئات المركبات - لكل فئة جدول أسعارها */
+const VehicleCategorySchema = new mongoose.Schema(
+  {
+    key:                 { type: String, required: true },        // economy, comfort, van, women_only
+    name:                { type: String, required: true },        // الاسم المعروض للزبون
+    description:         { type: String, default: "" },
+    seats:               { type: Number, default: 4, min: 1 },
+    baseFare:            { type: Number, required: true, min: 0 },
+    pricePerKm:          { type: Number, required: true, min: 0 },
+    pricePerMinute:      { type: Number, default: 0, min: 0 },
+    minRidePrice:        { type: Number, required: true, min: 0 },
+    maxRidePrice:        { type: Number, required: true, min: 0 },
+    femaleOnly:          { type: Boolean, default: false },       // راكبات وكابتن امرأة فقط
+    enabled:             { type: Boolean, default: true }
+  },
+  { _id: false }
+);
+
 /** 🔗 المخطط الرئيسي */
 const RideSettingSchema = new mongoose.Schema(
   {
@@ -74,8 +259,21 @@ const RideSettingSchema = new mongoose.Schema(
     mainVault:     MainVaultSchema,                                    // إعدادات الخزنة الرئيسية
     captainRules:  CaptainRulesSchema,
     passengerRules:PassengerRulesSchema,
+    scheduling:    { type: SchedulingSchema, default: () => ({}) },   // الرحلات المجدولة
+    stops:         { type: StopsSchema, default: () => ({}) },        // الرحلات متعددة المحطات
     paymentMethods:{ type: [String], default: ["cash", "wallet"] },   // ["card"] لاحقاً
-    allowShared:   { type: Boolean, default: false }                  // رحلات مشتركة
+    allowShared:   { type: Boolean, default: false },                 // رحلات مشتركة
+    pooling:       { type: PoolingSchema, default: () => ({}) },      // إعدادات مطابقة الرحلات المشتركة
+    zoneSurge:     { type: ZoneSurgeSchema, default: () => ({}) },    // زيادة الأسعار حسب المنطقة
+    tripProgress:  { type: TripProgressSchema, default: () => ({}) }, // زمن الوصول المباشر وتنبيهات الزبون
+    metering:      { type: MeteringSchema, default: () => ({}) },     // الأجرة الفعلية من مسار الرحلة
+    fatigue:       { type: FatigueSchema, default: () => ({}) },      // الاستراحة الإجبارية للكباتن
+    destinationMode: { type: DestinationModeSchema, default: () => ({}) }, // وضع الوجهة (العودة للمنزل)
+    ratings:       { type: RatingsSchema, default: () => ({}) },      // التقييمات ومراجعة الحسابات
+    vehicleCategories: {                                              // فئات المركبات وأسعارها
+      type: [VehicleCategorySchema],
+      default: () => DEFAULT_VEHICLE_CATEGORIES.map(category => ({ ...category }))
+    }
   },
   { timestamps: true }
 );
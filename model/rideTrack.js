@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Ride Track Schema
+ * مسار الرحلة المسجل بين بدء الرحلة وإنهائها (عينات موقع الكابتن) لحساب الأجرة الفعلية
+ * Samples are collected in Redis during the trip and written here once, on endRide.
+ */
+const trackSampleSchema = new Schema(
+  {
+    coordinates: { type: [Number], required: true }, // [longitude, latitude]
+    at: { type: Date, required: true },
+    speedKmh: { type: Number }
+  },
+  { _id: false }
+);
+
+const rideTrackSchema = new Schema(
+  {
+    ride: { type: Schema.Types.ObjectId, ref: "Ride", required: true, unique: true },
+    captain: { type: Schema.Types.ObjectId, ref: "Driver" },
+    startedAt: { type: Date },
+    endedAt: { type: Date },
+
+    distanceKm: { type: Number, default: 0 },
+    durationMinutes: { type: Number, default: 0 },
+    waitingMinutes: { type: Number, default: 0 },
+    sampleCount: { type: Number, default: 0 },
+    droppedSamples: { type: Number, default: 0 }, // GPS jumps left out of the distance
+    maxGapSeconds: { type: Number, default: 0 },
+    reliable: { type: Boolean, default: false },
+
+    samples: { type: [trackSampleSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+rideTrackSchema.index({ captain: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RideTrack", rideTrackSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Surge Zone Schema
+ * منطقة تسعير ديناميكي: مضلع ترسمه الإدارة، مع حالة العرض والطلب الحية ومعامل الزيادة
+ * The state block is rewritten by the surge service on every tick,
+ * an admin override (while not expired) takes precedence over it.
+ */
+const surgeZoneSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    area: {
+      type: { type: String, enum: ["Polygon"], default: "Polygon" },
+      coordinates: { type: [[[Number]]], required: true } // [[[longitude, latitude], ...]]
+    },
+    enabled: { type: Boolean, default: true },
+
+    state: {
+      openRequests: { type: Number, default: 0 },
+      onlineCaptains: { type: Number, default: 0 },
+      ratio: { type: Number, default: 0 },          // open requests / available captains, last tick
+      smoothedRatio: { type: Number, default: 0 },  // rolling (exponentially smoothed) ratio
+      active: { type: Boolean, default: false },    // surge on/off after hysteresis
+      multiplier: { type: Number, default: 1 },     // automatic multiplier
+      updatedAt: { type: Date }
+    },
+
+    override: {
+      multiplier: { type: Number, min: 1 },
+      reason: { type: String },
+      setBy: { type: Schema.Types.ObjectId, ref: "User" },
+      setAt: { type: Date },
+      expiresAt: { type: Date }                      // no expiry = until cleared
+    },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+surgeZoneSchema.index({ area: "2dsphere" });
+surgeZoneSchema.index({ enabled: 1 });
+
+module.exports = mongoose.model("SurgeZone", surgeZoneSchema);
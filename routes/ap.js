@@ -1151,7 +1151,8 @@ router.patch('/rides/:id/assign-driver', async (req, res) => {
       id,
       { 
         driver: driverId,
-        status: 'accepted'
+        status: 'accepted',
+        acceptedAt: new Date()
       },
       { new: true }
     )
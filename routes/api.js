@@ -1,11 +1,12 @@
 const express = require("express");
 const jwt = require("jsonwebtoken");
 const Ride = require("../model/ride");
+const { DEFAULT_VEHICLE_CATEGORY } = require("../utils/vehicleCategories");
 const chatRoutes = require("./chat"); // Chat routes
 const paymentRoutes = require("./payments"); // Payment routes
 const stateManagementRoutes = require("./stateManagement"); // State management routes
 
-const createApiRoutes = (logger, dispatchService, chatService, paymentService, stateManagementService) => {
+const createApiRoutes = (logger, dispatchService, chatService, paymentService, stateManagementService, surgePricingService, customerSocketService) => {
   const router = express.Router();
 
   // Middleware to inject services into request object
@@ -14,6 +15,7 @@ const createApiRoutes = (logger, dispatchService, chatService, paymentService, s
     req.dispatchService = dispatchService;
     req.paymentService = paymentService;
     req.stateManagementService = stateManagementService;
+    req.surgePricingService = surgePricingService;
     req.logger = logger;
     next();
   });
@@ -304,6 +306,21 @@ router.use("/users", require("./users"));
           return res.status(409).json({ error: 'Conflict', message: `You already have an active ride (Status: ${existingRide.status}).` });
         }
 
+        // Priced on the server like socket requests: category table, zone surge and the routed distance
+        const origin = [rideData.origin.longitude, rideData.origin.latitude];
+        const route = await customerSocketService.routingService.getRoute([
+          origin,
+          [rideData.destination.longitude, rideData.destination.latitude]
+        ]);
+        const distance = route.estimated
+          ? Math.max(rideData.distance || 0, Number(route.distanceKm.toFixed(2)))
+          : Number(route.distanceKm.toFixed(2));
+        const duration = route.estimated
+          ? (rideData.duration || Math.round(route.durationMinutes))
+          : Math.round(route.durationMinutes);
+        const zoneSurge = customerSocketService.getZoneSurge(origin);
+        const fareAmount = customerSocketService.calculateFare(distance, duration, 0, DEFAULT_VEHICLE_CATEGORY, zoneSurge?.multiplier);
+
         // Create a new ride instance
         logger.info(`[API] Creating ride via API for customer ${customerId}.`);
         const newRide = new Ride({
@@ -317,12 +334,14 @@ router.use("/users", require("./users"));
             type: 'Point',
             coordinates: [rideData.destination.longitude, rideData.destination.latitude],
           },
+          ...(zoneSurge && { surge: zoneSurge }),
           fare: {
-            amount: rideData.fareAmount || 6000, // Use provided or default
+            amount: fareAmount,
             currency: "IQD",
+            multiplier: customerSocketService.getFareMultiplier(zoneSurge?.multiplier),
           },
-          distance: rideData.distance,
-          duration: rideData.duration,
+          distance,
+          duration,
           status: "requested",
           isDispatching: true, // Mark for dispatch
           notified: false,
@@ -366,8 +385,10 @@ router.use("/users", require("./users"));
         // Admin can see all pending payments
       }
 
+      // Captains never get the passenger's real number, they call through the masked call session
+      const isCaptain = userType === 'captain' || userType === 'driver';
       const pendingRides = await Ride.find(query)
-        .populate('passenger', 'name phoneNumber')
+        .populate('passenger', isCaptain ? 'name' : 'name phoneNumber')
         .populate('driver', 'name phoneNumber')
         .sort({ rideEndTime: -1 })
         .lean();
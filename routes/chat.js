@@ -1,6 +1,35 @@
 const express = require('express');
+const multer = require('multer');
+const { storage } = require('../utils/uploadStorage');
 const router = express.Router();
 
+// Chat media reuses the upload storage; exact type/size limits per kind are checked by ChatService
+const chatUpload = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // Largest attachment kind (images)
+    files: 2
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('audio/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image and audio files are allowed'), false);
+    }
+  }
+}).fields([{ name: 'file', maxCount: 1 }, { name: 'thumbnail', maxCount: 1 }]);
+
+// multipart/form-data bodies only, JSON requests pass through untouched
+const handleChatUpload = (req, res, next) => {
+  chatUpload(req, res, (error) => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? 'File size too large (max 5MB)'
+      : error.message || 'Upload failed';
+    res.status(400).json({ success: false, message });
+  });
+};
+
 /**
  * Chat API Routes
  * RESTful endpoints for chat functionality
@@ -66,22 +95,108 @@ router.get('/history/:rideId', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/chat/attachments
+ * @desc Upload an image or voice note to send later in a chat message (sendChatMessage with attachmentId)
+ * @access Private (authenticated users only)
+ * @body {string} rideId - The ride ID
+ * @body {string} type - image | audio
+ * @body {number} durationSeconds - Voice note length (audio only)
+ * @file file - The image or audio file (multipart/form-data)
+ * @file thumbnail - Small preview of the image (optional)
+ */
+router.post('/attachments', handleChatUpload, async (req, res) => {
+  try {
+    const { rideId, type, durationSeconds } = req.body;
+    const { userId } = req.user;
+
+    const chatService = req.chatService;
+    
+    if (!chatService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Chat service not available'
+      });
+    }
+
+    const attachment = await chatService.saveAttachment({
+      rideId,
+      uploaderId: userId,
+      kind: type,
+      file: req.files?.file?.[0],
+      thumbnail: req.files?.thumbnail?.[0],
+      durationSeconds
+    });
+
+    res.status(201).json({
+      success: true,
+      data: attachment
+    });
+
+  } catch (error) {
+    console.error('Error uploading chat attachment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to upload attachment'
+    });
+  }
+});
+
+/**
+ * @route GET /api/chat/attachments/:attachmentId(/thumbnail)
+ * @desc Download a chat attachment (ride participants only, until it expires)
+ * @access Private (authenticated users only)
+ */
+router.get(['/attachments/:attachmentId', '/attachments/:attachmentId/thumbnail'], async (req, res) => {
+  try {
+    const chatService = req.chatService;
+    
+    if (!chatService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Chat service not available'
+      });
+    }
+
+    const variant = req.path.endsWith('/thumbnail') ? 'thumbnail' : 'file';
+    const { filePath, mimeType } = await chatService.getAttachmentFile(req.params.attachmentId, req.user.userId, variant);
+
+    res.type(mimeType);
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, message: 'Attachment not found' });
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting chat attachment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to get attachment'
+    });
+  }
+});
+
 /**
  * @route POST /api/chat/send
- * @desc Send a chat message
+ * @desc Send a chat message (text, image, voice note or location pin)
  * @access Private (authenticated users only)
  * @body {string} rideId - The ride ID
- * @body {string} text - Message text
+ * @body {string} messageType - text (default) | image | audio | location
+ * @body {string} text - Message text (optional caption for other types)
+ * @body {string} attachmentId - Uploaded attachment (image/audio), or send the file itself as multipart
+ * @body {Object} location - { latitude, longitude, label } (location)
  * @body {boolean} isQuick - Whether it's a quick message
  * @body {string} quickMessageType - Type of quick message
  */
-router.post('/send', async (req, res) => {
+router.post('/send', handleChatUpload, async (req, res) => {
   try {
-    const { rideId, text, isQuick = false, quickMessageType = null } = req.body;
+    const { rideId, text, isQuick = false, quickMessageType = null, messageType = 'text', durationSeconds } = req.body;
     const { userId, userType } = req.user; // From authentication middleware
+    let { attachmentId, location } = req.body;
 
     // Validate required fields
-    if (!rideId || !text) {
+    if (!rideId || (messageType === 'text' && !text)) {
       return res.status(400).json({
         success: false,
         message: 'Ride ID and text are required'
@@ -98,33 +213,49 @@ router.post('/send', async (req, res) => {
       });
     }
 
+    // File sent with the message itself (multipart/form-data)
+    if (req.files?.file?.[0]) {
+      const attachment = await chatService.saveAttachment({
+        rideId,
+        uploaderId: userId,
+        kind: messageType,
+        file: req.files.file[0],
+        thumbnail: req.files?.thumbnail?.[0],
+        durationSeconds
+      });
+      attachmentId = attachment.attachmentId;
+    }
+
+    // Form fields arrive as strings
+    if (typeof location === 'string') {
+      try {
+        location = JSON.parse(location);
+      } catch (parseError) {
+        location = null;
+      }
+    }
+
     // Send message
     const message = await chatService.sendMessage({
       rideId,
       senderId: userId,
       senderType: userType === 'customer' ? 'customer' : 'driver',
-      text: text.trim(),
+      text: (text || '').trim(),
+      messageType,
+      attachmentId,
+      location,
       isQuick,
       quickMessageType
     });
 
     res.status(201).json({
       success: true,
-      data: {
-        messageId: message._id,
-        rideId: message.rideId,
-        text: message.text,
-        senderId: message.senderId,
-        senderType: message.senderType,
-        isQuick: message.isQuick,
-        timestamp: message.createdAt,
-        messageStatus: message.messageStatus
-      }
+      data: chatService.formatMessage(message)
     });
 
   } catch (error) {
     console.error('Error sending message:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to send message'
     });
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Customer Promo Code Routes
+ * أكواد الخصم من جهة الزبون (المتاحة، التحقق، السجل)
+ * Mounted under /customer/promo-codes behind authenticateToken
+ */
+
+/**
+ * @route GET /customer/promo-codes
+ * @desc Public promo codes the current customer can still use
+ */
+router.get('/', async (req, res) => {
+  try {
+    const promoCodes = await req.promoCodeService.getAvailableForCustomer(req.user.id);
+    res.json({ success: true, promoCodes });
+  } catch (error) {
+    console.error('Error fetching available promo codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب أكواد الخصم',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /customer/promo-codes/validate
+ * @desc Validate a promo code against an estimated fare
+ * @body {string} promoCode, {number} estimatedFare
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { promoCode, estimatedFare } = req.body;
+
+    if (!promoCode) {
+      return res.status(400).json({ success: false, message: 'كود الخصم مطلوب' });
+    }
+
+    const validation = await req.promoCodeService.validateForCustomer({
+      code: promoCode,
+      customerId: req.user.id,
+      fare: estimatedFare
+    });
+
+    if (!validation.isValid) {
+      return res.json({ success: false, message: validation.reason, promoCode });
+    }
+
+    res.json({
+      success: true,
+      code: validation.code,
+      discount: validation.discount,
+      newFare: validation.newFare,
+      promoType: validation.promoType,
+      message: validation.message
+    });
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في التحقق من كود الخصم',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /customer/promo-codes/history
+ * @desc Promo codes redeemed by the current customer
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await req.promoCodeService.getCustomerRedemptions(req.user.id, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100)
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error fetching promo code history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب سجل أكواد الخصم',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireRole = require('../middlewares/requireRole');
+
+const verifyAdmin = requireRole(['admin'], 'Admin privileges required');
+
+/**
+ * Dispatch Timeline Admin Routes
+ * سجل توزيع الرحلات: تفاصيل رحلة واحدة للدعم الفني وتقارير متوسط نصف القطر وأسباب الرفض حسب المنطقة
+ * Mounted under /dispatch-timeline behind authenticateToken
+ */
+
+const OUTCOMES = ['accepted', 'cancelled', 'timeout', 'no_captain', 'expired', 'error'];
+
+router.use(verifyAdmin);
+
+const isValidDate = (value) => !value || !isNaN(new Date(value).getTime());
+
+/**
+ * @route GET /dispatch-timeline
+ * @desc Dispatch timelines without events, newest first
+ * @query {string} outcome, {string} zone, {string} from, {string} to, {number} page, {number} limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { outcome, zone, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ success: false, message: 'نتيجة التوزيع غير صالحة' });
+    }
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ success: false, message: 'نطاق التاريخ غير صالح' });
+    }
+
+    const result = await req.dispatchTimelineService.listTimelines({ outcome, zone, from, to, page, limit });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error listing dispatch timelines:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب سجلات التوزيع' });
+  }
+});
+
+/**
+ * @route GET /dispatch-timeline/reports
+ * @desc Outcomes, average radius reached and rejection reasons by zone
+ * @query {string} from, {string} to
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ success: false, message: 'نطاق التاريخ غير صالح' });
+    }
+
+    const report = await req.dispatchTimelineService.getReport({ from, to });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error building dispatch report:', error);
+    res.status(500).json({ success: false, message: 'خطأ في إعداد تقرير التوزيع' });
+  }
+});
+
+/**
+ * @route GET /dispatch-timeline/:rideId
+ * @desc Full dispatch timeline of one ride
+ */
+router.get('/:rideId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.rideId)) {
+      return res.status(400).json({ success: false, message: 'معرف الرحلة غير صالح' });
+    }
+
+    const timeline = await req.dispatchTimelineService.getTimeline(req.params.rideId);
+    if (!timeline) {
+      return res.status(404).json({ success: false, message: 'لا يوجد سجل توزيع لهذه الرحلة' });
+    }
+
+    res.json({ success: true, data: timeline });
+  } catch (error) {
+    console.error('Error fetching dispatch timeline:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب سجل التوزيع' });
+  }
+});
+
+module.exports = router;
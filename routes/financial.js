@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const FinancialAccount = require('../model/financialAccount');
 const transfer = require('../services/TransferMoney');
+const requireRole = require('../middlewares/requireRole');
+
+const verifyAdmin = requireRole(['admin'], 'Admin privileges required');
 
 // Get financial account details for a User
 router.get('/financial/user/:id', async (req, res) => {
@@ -46,19 +49,76 @@ router.get('/financial/driver/:id', async (req, res) => {
 });
 
 // POST route for transferring money
-router.post('/transfer', async (req, res) => {
+// Send an Idempotency-Key header (or idempotencyKey in the body) to make retries safe
+router.post('/transfer', verifyAdmin, async (req, res) => {
     const { type, fromId, toId, amount } = req.body;
-    
-    console.log(type,fromId,toId,amount)
-    
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+
+    if (!transfer.getRole(type, 'from') || !fromId || !toId || !(Number(amount) > 0)) {
+      return res.status(400).json({ message: 'Invalid transfer request' });
+    }
+
     try {
-      await transfer(type, fromId, toId, amount);
-      res.status(200).json({ message: 'Transfer successful' });
+      const result = await transfer(type, fromId, toId, Number(amount), { idempotencyKey });
+
+      if (!result.success) {
+        return res.status(result.reason === 'insufficient_funds' ? 400 : 500).json({
+          message: 'Error processing transfer',
+          reason: result.reason,
+          error: result.error
+        });
+      }
+
+      res.status(200).json({
+        message: result.replayed ? 'Transfer already processed' : 'Transfer successful',
+        transferId: result.transferId,
+        status: result.status,
+        replayed: !!result.replayed
+      });
     } catch (error) {
-      res.status(500).json({ message: 'Error processing transfer', error });
+      res.status(500).json({ message: 'Error processing transfer', error: error.message });
     }
   });
-  
-  
+
+// POST route for reversing a transfer (admin only)
+router.post('/transfers/:transferId/reverse', verifyAdmin, async (req, res) => {
+  const { reason } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+
+  try {
+    const result = await transfer.financialAccountService.reverseTransfer(req.params.transferId, {
+      reason,
+      reversedBy: req.user.id,
+      idempotencyKey
+    });
+
+    if (!result.success) {
+      const statusCode = {
+        transfer_not_found: 404,
+        already_reversed: 409,
+        cannot_reverse_reversal: 400,
+        transfer_failed: 400,
+        transfer_settled: 409,
+        insufficient_funds: 400
+      }[result.reason] || 500;
+      return res.status(statusCode).json({
+        message: 'Error reversing transfer',
+        reason: result.reason,
+        error: result.error,
+        ...(result.settledBy && { settledBy: result.settledBy })
+      });
+    }
+
+    res.status(200).json({
+      message: result.replayed ? 'Transfer already reversed' : 'Transfer reversed',
+      reversalId: result.reversalId,
+      originalTransferId: result.originalTransferId,
+      amount: result.amount,
+      replayed: !!result.replayed
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reversing transfer', error: error.message });
+  }
+});
 
 module.exports = router;
@@ -5,6 +5,7 @@ router.use("/users", require("./users"));
 router.use("/", require("./routes"));
 // router.use("/auditos",authenticateToken, require("./auditos"));
 // router.use("/department", require("./department"));
+router.use("/customer/promo-codes", authenticateToken, require("./customerPromoCode"));
 router.use("/customer", require("./customer"));
 router.use("/financial",authenticateToken, require("./financial"));
 router.use("/driver", require("./driver"));
@@ -12,6 +13,14 @@ router.use("/system",authenticateToken, require("./systemSetting"));
 router.use("/ride", require("./ride"));
 router.use("/rides", require("./payments")); // Add payment routes under /rides prefix
 router.use("/places",authenticateToken, require("./places"));
+router.use("/promo-codes", authenticateToken, require("./promoCode")); // Admin promo code management
+router.use("/ledger", authenticateToken, require("./ledger")); // Admin ledger reports and reconciliation
+router.use("/recharge-cards", authenticateToken, require("./rechargeCard")); // Admin recharge card batches
+router.use("/wallet/recharge-cards", authenticateToken, require("./walletRechargeCard")); // Customer/captain card redemption
+router.use("/surge-zones", authenticateToken, require("./surgeZones")); // Admin surge zones and overrides
+router.use("/dispatch-timeline", authenticateToken, require("./dispatchTimeline")); // Admin dispatch audit trail and reports
+router.use("/ratings", authenticateToken, require("./ratings")); // Admin rating reviews of flagged accounts
+router.use("/support/chats", authenticateToken, require("./supportChats")); // Support view of ride chats and transcripts
 router.use("/", require("./admin")); // Admin routes
 router.get("/delete-account", (req, res) => {
   res.render("delete-account-phone");
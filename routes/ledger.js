@@ -0,0 +1,142 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const LedgerReconciliation = require('../model/ledgerReconciliation');
+const requireRole = require('../middlewares/requireRole');
+
+const verifyAdmin = requireRole(['admin'], 'Admin privileges required');
+
+/**
+ * Ledger Admin Routes
+ * ميزان المراجعة، كشوف الحسابات، وتقارير المطابقة
+ * Mounted under /ledger behind authenticateToken
+ */
+
+router.use(verifyAdmin);
+
+const isValidDate = (value) => value === undefined || !isNaN(new Date(value).getTime());
+
+/**
+ * @route GET /ledger/trial-balance
+ * @desc Trial balance per account for a date range
+ * @query {string} from, to (ISO dates), {string} accountType
+ */
+router.get('/trial-balance', async (req, res) => {
+  try {
+    const { from, to, accountType } = req.query;
+
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ success: false, message: 'تاريخ غير صالح' });
+    }
+
+    const trialBalance = await req.ledgerService.getTrialBalance({ from, to, accountType });
+    res.json({ success: true, data: trialBalance });
+  } catch (error) {
+    console.error('Error building trial balance:', error);
+    res.status(500).json({ success: false, message: 'خطأ في إعداد ميزان المراجعة' });
+  }
+});
+
+/**
+ * @route GET /ledger/accounts/:accountId/statement
+ * @desc Statement of a financial account for a date range
+ * @query {string} from, to (ISO dates), {number} page, limit
+ */
+router.get('/accounts/:accountId/statement', async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { from, to, page, limit } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({ success: false, message: 'معرف الحساب غير صالح' });
+    }
+
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ success: false, message: 'تاريخ غير صالح' });
+    }
+
+    const statement = await req.ledgerService.getAccountStatement(accountId, { from, to, page, limit });
+
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'الحساب المالي غير موجود' });
+    }
+
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    console.error('Error building account statement:', error);
+    res.status(500).json({ success: false, message: 'خطأ في إعداد كشف الحساب' });
+  }
+});
+
+/**
+ * @route GET /ledger/reconciliations
+ * @desc Latest reconciliation reports
+ * @query {number} limit
+ */
+router.get('/reconciliations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const reports = await LedgerReconciliation.find({})
+      .select('-drifts')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+
+    res.json({ success: true, data: reports });
+  } catch (error) {
+    console.error('Error listing reconciliation reports:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب تقارير المطابقة' });
+  }
+});
+
+/**
+ * @route GET /ledger/reconciliations/:id
+ * @desc Reconciliation report with per-account drift
+ */
+router.get('/reconciliations/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'معرف التقرير غير صالح' });
+    }
+
+    const report = await LedgerReconciliation.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'التقرير غير موجود' });
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب تقرير المطابقة' });
+  }
+});
+
+/**
+ * @route POST /ledger/reconciliations
+ * @desc Run a reconciliation now
+ */
+router.post('/reconciliations', async (req, res) => {
+  try {
+    const report = await req.ledgerService.reconcile({ trigger: 'manual', triggeredBy: req.user.id });
+    res.status(201).json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({ success: false, message: 'فشل تشغيل المطابقة' });
+  }
+});
+
+/**
+ * @route POST /ledger/opening-balances
+ * @desc Post opening balances for accounts that existed before the ledger
+ */
+router.post('/opening-balances', async (req, res) => {
+  try {
+    const result = await req.ledgerService.seedOpeningBalances();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error posting opening balances:', error);
+    res.status(500).json({ success: false, message: 'فشل تسجيل الأرصدة الافتتاحية' });
+  }
+});
+
+module.exports = router;
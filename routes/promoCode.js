@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const requireRole = require('../middlewares/requireRole');
+
+const verifyAdmin = requireRole(['admin'], 'Admin privileges required');
+
+/**
+ * Promo Code Admin Routes
+ * إدارة أكواد الخصم (إنشاء، تعديل، تعطيل، سجل الاستخدام)
+ * Mounted under /promo-codes behind authenticateToken
+ */
+
+router.use(verifyAdmin);
+
+/**
+ * @route GET /promo-codes
+ * @desc List promo codes with pagination
+ * @query {number} page, limit, {boolean} isActive, {string} search
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive, search } = req.query;
+    const result = await req.promoCodeService.listPromoCodes({
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100),
+      isActive: isActive === undefined ? undefined : isActive === 'true',
+      search
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error listing promo codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب أكواد الخصم',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /promo-codes/:id
+ * @desc Get a single promo code
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const promo = await req.promoCodeService.getPromoCode(req.params.id);
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'كود الخصم غير موجود' });
+    }
+
+    res.json({ success: true, data: promo });
+  } catch (error) {
+    console.error('Error fetching promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب كود الخصم',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /promo-codes/:id/redemptions
+ * @desc Usage history of a promo code
+ */
+router.get('/:id/redemptions', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const result = await req.promoCodeService.getPromoCodeRedemptions(req.params.id, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 200)
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error fetching promo code redemptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب سجل استخدام كود الخصم',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /promo-codes
+ * @desc Create a promo code
+ * @body {string} code, {string} discountType, {number} discountValue, ...
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { code, discountType, discountValue } = req.body;
+    if (!code || !discountType || discountValue === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'الكود ونوع الخصم وقيمته مطلوبة'
+      });
+    }
+
+    const promo = await req.promoCodeService.createPromoCode(req.body, req.adminUser._id);
+    res.status(201).json({ success: true, message: 'تم إنشاء كود الخصم', data: promo });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'كود الخصم موجود مسبقاً' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error creating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إنشاء كود الخصم',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /promo-codes/:id
+ * @desc Update a promo code
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const promo = await req.promoCodeService.updatePromoCode(req.params.id, req.body);
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'كود الخصم غير موجود' });
+    }
+
+    res.json({ success: true, message: 'تم تحديث كود الخصم', data: promo });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'كود الخصم موجود مسبقاً' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error updating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث كود الخصم',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /promo-codes/:id
+ * @desc Deactivate a promo code (redemption history is kept)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const promo = await req.promoCodeService.deactivatePromoCode(req.params.id);
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'كود الخصم غير موجود' });
+    }
+
+    res.json({ success: true, message: 'تم تعطيل كود الخصم', data: promo });
+  } catch (error) {
+    console.error('Error deactivating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تعطيل كود الخصم',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireRole = require('../middlewares/requireRole');
+
+const verifyAdmin = requireRole(['admin'], 'Admin privileges required');
+
+/**
+ * Rating Review Admin Routes
+ * مراجعة التقييمات: الحسابات المحوّلة للمراجعة بسبب التقييمات المنخفضة، تفاصيل التقييمات، وقرار الإدارة
+ * Mounted under /ratings behind authenticateToken
+ */
+
+const ACCOUNT_TYPES = ['captain', 'customer'];
+const REVIEW_ACTIONS = ['clear', 'deactivate'];
+
+router.use(verifyAdmin);
+
+/**
+ * @route GET /ratings
+ * @desc Ratings newest first, optionally of one account or low ones only
+ * @query {string} accountType, {string} accountId, {boolean} lowOnly, {number} page, {number} limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { accountType, accountId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (accountType && !ACCOUNT_TYPES.includes(accountType)) {
+      return res.status(400).json({ success: false, message: 'نوع الحساب غير صالح' });
+    }
+    if (accountId && !mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({ success: false, message: 'معرف الحساب غير صالح' });
+    }
+
+    const result = await req.ratingService.listRatings({
+      rateeType: accountType,
+      rateeId: accountId,
+      lowOnly: req.query.lowOnly === 'true',
+      page,
+      limit
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error listing ratings:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب التقييمات' });
+  }
+});
+
+/**
+ * @route GET /ratings/flags
+ * @desc Accounts waiting for a rating review, oldest flag first
+ * @query {string} accountType
+ */
+router.get('/flags', async (req, res) => {
+  try {
+    const { accountType } = req.query;
+    if (accountType && !ACCOUNT_TYPES.includes(accountType)) {
+      return res.status(400).json({ success: false, message: 'نوع الحساب غير صالح' });
+    }
+
+    const accounts = await req.ratingService.listFlaggedAccounts(accountType);
+    res.json({ success: true, data: accounts });
+  } catch (error) {
+    console.error('Error listing flagged accounts:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب الحسابات المحوّلة للمراجعة' });
+  }
+});
+
+/**
+ * @route GET /ratings/:accountType/:accountId/summary
+ * @desc Rating summary of one account (aggregate, distribution, tags, latest comments)
+ */
+router.get('/:accountType/:accountId/summary', async (req, res) => {
+  try {
+    const { accountType, accountId } = req.params;
+    if (!ACCOUNT_TYPES.includes(accountType) || !mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({ success: false, message: 'الحساب غير صالح' });
+    }
+
+    const summary = await req.ratingService.getSummary(accountType, accountId);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Error fetching rating summary:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب ملخص التقييم' });
+  }
+});
+
+/**
+ * @route POST /ratings/:accountType/:accountId/review
+ * @desc Close the review of a flagged account
+ * @body {string} action - clear | deactivate, {string} notes
+ */
+router.post('/:accountType/:accountId/review', async (req, res) => {
+  try {
+    const { accountType, accountId } = req.params;
+    const { action, notes } = req.body;
+
+    if (!ACCOUNT_TYPES.includes(accountType) || !mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({ success: false, message: 'الحساب غير صالح' });
+    }
+    if (!REVIEW_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, message: 'الإجراء يجب أن يكون clear أو deactivate' });
+    }
+
+    const account = await req.ratingService.reviewAccount(accountType, accountId, {
+      action,
+      notes,
+      adminId: req.adminUser._id
+    });
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'لا توجد مراجعة معلقة لهذا الحساب' });
+    }
+
+    res.json({
+      success: true,
+      message: action === 'deactivate' ? 'تم إيقاف الحساب' : 'تم إغلاق المراجعة',
+      data: account
+    });
+  } catch (error) {
+    console.error('Error reviewing account:', error);
+    res.status(500).json({ success: false, message: 'خطأ في حفظ قرار المراجعة' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const requireRole = require('../middlewares/requireRole');
+
+const verifyAdmin = requireRole(['admin'], 'Admin privileges required');
+
+/**
+ * Recharge Card Admin Routes
+ * إدارة دفعات كروت الشحن (إنشاء، تفعيل، إلغاء، سجل الاستخدام)
+ * Mounted under /recharge-cards behind authenticateToken
+ */
+
+router.use(verifyAdmin);
+
+const validateBatchId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'معرف الدفعة غير صالح' });
+  }
+  next();
+};
+
+/**
+ * @route GET /recharge-cards/batches
+ * @desc List batches with card counts per status
+ * @query {number} page, limit, {string} status
+ */
+router.get('/batches', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const result = await req.rechargeCardService.listBatches({
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      status
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error listing recharge card batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب دفعات كروت الشحن',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /recharge-cards/batches/:id
+ * @desc Get a single batch
+ */
+router.get('/batches/:id', validateBatchId, async (req, res) => {
+  try {
+    const batch = await req.rechargeCardService.getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'الدفعة غير موجودة' });
+    }
+
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    console.error('Error fetching recharge card batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الدفعة',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /recharge-cards/batches
+ * @desc Generate a printable batch. Codes are returned only in this response.
+ * @body {string} name, {number} denomination, {number} quantity, {string} currency, {Date} expiresAt, {boolean} activate
+ * @query {string} format - "csv" to download the printable list
+ */
+router.post('/batches', async (req, res) => {
+  try {
+    const { name, denomination, quantity } = req.body;
+    if (!name || !(Number(denomination) > 0) || !(parseInt(quantity) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'اسم الدفعة والفئة وعدد الكروت مطلوبة'
+      });
+    }
+
+    if (parseInt(quantity) > 5000) {
+      return res.status(400).json({ success: false, message: 'الحد الأقصى 5000 كرت في الدفعة الواحدة' });
+    }
+
+    const result = await req.rechargeCardService.generateBatch(req.body, req.adminUser._id);
+
+    if (req.query.format === 'csv') {
+      const rows = ['serialNumber,code,denomination,currency']
+        .concat(result.cards.map(card => `${card.serialNumber},${card.code},${card.denomination},${card.currency}`));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="recharge-cards-${result.batch._id}.csv"`);
+      return res.status(201).send(rows.join('\n'));
+    }
+
+    res.status(201).json({ success: true, message: 'تم إنشاء دفعة كروت الشحن', data: result });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 'not_configured') {
+      return res.status(503).json({ success: false, reason: error.code, message: error.message });
+    }
+    console.error('Error generating recharge card batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إنشاء دفعة كروت الشحن',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /recharge-cards/batches/:id/activate
+ * @desc Activate an inactive batch
+ */
+router.post('/batches/:id/activate', validateBatchId, async (req, res) => {
+  try {
+    const result = await req.rechargeCardService.activateBatch(req.params.id, req.adminUser._id);
+    if (!result.success) {
+      return res.status(result.reason === 'not_found' ? 404 : 409).json({
+        success: false,
+        message: result.reason === 'not_found' ? 'الدفعة غير موجودة' : 'لا يمكن تفعيل هذه الدفعة'
+      });
+    }
+
+    res.json({ success: true, message: 'تم تفعيل الدفعة', data: result });
+  } catch (error) {
+    console.error('Error activating recharge card batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تفعيل الدفعة',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /recharge-cards/batches/:id/void
+ * @desc Void a batch, unredeemed cards become unusable
+ * @body {string} reason
+ */
+router.post('/batches/:id/void', validateBatchId, async (req, res) => {
+  try {
+    const result = await req.rechargeCardService.voidBatch(req.params.id, req.adminUser._id, req.body.reason);
+    if (!result.success) {
+      return res.status(result.reason === 'not_found' ? 404 : 409).json({
+        success: false,
+        message: result.reason === 'not_found' ? 'الدفعة غير موجودة' : 'الدفعة ملغاة مسبقاً'
+      });
+    }
+
+    res.json({ success: true, message: 'تم إلغاء الدفعة', data: result });
+  } catch (error) {
+    console.error('Error voiding recharge card batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إلغاء الدفعة',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /recharge-cards/cards/:serialNumber
+ * @desc Look up a card by serial number with its redemption attempts
+ */
+router.get('/cards/:serialNumber', async (req, res) => {
+  try {
+    const serialNumber = parseInt(req.params.serialNumber);
+    if (!serialNumber) {
+      return res.status(400).json({ success: false, message: 'الرقم التسلسلي غير صالح' });
+    }
+
+    const card = await req.rechargeCardService.getCardBySerial(serialNumber);
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'الكرت غير موجود' });
+    }
+
+    res.json({ success: true, data: card });
+  } catch (error) {
+    console.error('Error fetching recharge card:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الكرت',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /recharge-cards/audit
+ * @desc Audit trail of redemption attempts
+ * @query {number} page, limit, {string} userId, {number} serialNumber, {boolean} success
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, userId, serialNumber, success } = req.query;
+
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'معرف المستخدم غير صالح' });
+    }
+
+    const result = await req.rechargeCardService.getAuditTrail({
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      userId,
+      serialNumber: serialNumber ? parseInt(serialNumber) : undefined,
+      success: success === undefined ? undefined : success === 'true'
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error fetching recharge card audit trail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب سجل استخدام الكروت',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
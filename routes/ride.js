@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 const Ride = require("../model/ride");
 const rideSetting = require("../model/rideSetting");
-const { calculateRideFare, calculateDistance, estimateDuration } = require("../utils/fareCalculator");
+const { calculateRideFare, toCoordinates } = require("../utils/fareCalculator");
 
 // Create a new ride
 router.post("/rides", async (req, res) => {
@@ -62,8 +62,8 @@ router.get("/rides", async (req, res) => {
 router.get("/reqestRide", async (req, res) => {
   // Get all rides
   try {
-    const rides = await Ride.find({ status:"requested"}).populate("passenger");
-    console.log(rides)
+    // Captains never get the passenger's real number, they call through the masked call session
+    const rides = await Ride.find({ status:"requested"}).populate("passenger", "name");
     res.status(200).json(rides);
   } catch (error) {
     res.status(500).json({ error: "Error fetching rides" });
@@ -139,7 +139,7 @@ router.delete("/rides/:id", async (req, res) => {
 
 router.post('/estimate', async (req, res) => {
   try {
-    const { pickupLocation, dropoffLocation, vehicleType, paymentMethod, isShared, priority, scheduledTime, customerType } = req.body;
+    const { pickupLocation, dropoffLocation, waypoints = [], vehicleType, paymentMethod, isShared, priority, scheduledTime, customerType } = req.body;
 
     if (
       !pickupLocation?.coordinates ||
@@ -155,9 +155,22 @@ router.post('/estimate', async (req, res) => {
       });
     }
 
-    // 1. Calculate distance & duration
-    const distance = calculateDistance(pickupLocation.coordinates, dropoffLocation.coordinates);
-    const duration = estimateDuration(distance);
+    const stopCoordinates = Array.isArray(waypoints) ? waypoints.map(toCoordinates) : [null];
+    if (stopCoordinates.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        message: 'waypoints must be an array of valid coordinates'
+      });
+    }
+
+    // 1. Road distance over all legs (pickup -> stops -> dropoff) & duration
+    const route = await req.routingService.getRoute([
+      pickupLocation.coordinates,
+      ...stopCoordinates,
+      dropoffLocation.coordinates
+    ]);
+    const distance = route.distanceKm;
+    const duration = Math.round(route.durationMinutes);
 
     // 2. Build rideDetails for fare calculation
     const rideDetails = {
@@ -165,6 +178,7 @@ router.post('/estimate', async (req, res) => {
       duration,
       pickupLocation,
       dropoffLocation,
+      waypoints: stopCoordinates.map(coordinates => ({ coordinates })),
       vehicleType: vehicleType || 'standard',
       paymentMethod: paymentMethod || 'cash',
       isShared: Boolean(isShared),
@@ -178,7 +192,8 @@ router.post('/estimate', async (req, res) => {
     const settings = settingsDoc || {};
 
     // 4. Run fare calculation
-    const fareResult = calculateRideFare(rideDetails, settings, { breakdown: true });
+    const surgeOptions = req.surgePricingService?.getFareOptions(pickupLocation.coordinates) || {};
+    const fareResult = calculateRideFare(rideDetails, settings, { breakdown: true, ...surgeOptions });
 
     // 5. Send response
     res.json({
@@ -186,6 +201,7 @@ router.post('/estimate', async (req, res) => {
       data: {
         distance: Number(distance.toFixed(2)),   // km
         duration,                                 // minutes
+        routing: { provider: route.provider, estimated: route.estimated },
         fare: fareResult
       }
     });
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { calculateRideFare, calculateDistance, estimateDuration } = require('../utils/fareCalculator');
+const { calculateRideFare } = require('../utils/fareCalculator');
 const RideSetting = require('../model/rideSetting');
 const StateManagementService = require('../services/stateManagementService');
 const authenticateToken = require('../middlewares/authenticateToken');
@@ -71,14 +71,24 @@ router.post('/calculate-fare', authenticateToken, async (req, res) => {
       scheduledTime: scheduledTime ? new Date(scheduledTime) : null
     };
 
-    // حساب المسافة بين نقطة الانطلاق والوصول
-    const distance = calculateDistance(
+    if (fareData.waypoints.some(point => isNaN(point.latitude) || isNaN(point.longitude))) {
+      return res.status(400).json({
+        success: false,
+        message: 'إحداثيات نقاط التوقف غير صحيحة',
+        error: 'Invalid waypoint coordinates provided'
+      });
+    }
+
+    // مسافة الطريق عبر كل المقاطع: الانطلاق ← نقاط التوقف ← الوصول
+    const route = await req.routingService.getRoute([
       [fareData.origin.longitude, fareData.origin.latitude],
+      ...fareData.waypoints.map(point => [point.longitude, point.latitude]),
       [fareData.destination.longitude, fareData.destination.latitude]
-    );
+    ]);
+    const distance = route.distanceKm;
 
     // تقدير مدة الرحلة
-    const estimatedDuration = estimateDuration(distance);
+    const estimatedDuration = Math.round(route.durationMinutes);
 
     // إعداد بيانات مكتملة للرحلة
     const completeRideData = {
@@ -111,8 +121,19 @@ router.post('/calculate-fare', authenticateToken, async (req, res) => {
       });
     }
 
+    const maxStops = rideSettings.stops?.enabled === false ? 0 : (rideSettings.stops?.maxStops ?? 3);
+    if (fareData.waypoints.length > maxStops) {
+      return res.status(400).json({
+        success: false,
+        message: `الحد الأقصى لنقاط التوقف هو ${maxStops}`,
+        error: 'Too many waypoints'
+      });
+    }
+
     // حساب التكلفة الأساسية
-    const fareCalculation = calculateRideFare(completeRideData, rideSettings);
+    // زيادة السعر حسب منطقة الانطلاق (العرض والطلب)
+    const surgeOptions = req.surgePricingService?.getFareOptions(completeRideData.pickupLocation.coordinates) || {};
+    const fareCalculation = calculateRideFare(completeRideData, rideSettings, surgeOptions);
     
     if (!fareCalculation || !fareCalculation.fare) {
       return res.status(500).json({
@@ -332,43 +353,23 @@ router.get('/ride-settings', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/available-promo-codes
- * الحصول على أكواد الخصم المتاحة (للاختبار فقط)
+ * الحصول على أكواد الخصم العامة المتاحة للزبون الحالي
  */
 router.get('/available-promo-codes', authenticateToken, async (req, res) => {
   try {
-    // هذا endpoint للاختبار فقط - في الواقع لا يجب عرض جميع أكواد الخصم
-    const availablePromoCodes = [
-      {
-        code: 'LYGO10',
-        discount: 10,
-        type: 'percentage',
-        description: 'خصم 10% على جميع الرحلات',
-        maxUse: 100,
-        active: true
-      },
-      {
-        code: 'WELCOME20',
-        discount: 20,
-        type: 'percentage',
-        description: 'خصم 20% للعملاء الجدد',
-        maxUse: 1,
-        firstTimeOnly: true,
-        active: true
-      },
-      {
-        code: 'SAVE5000',
-        discount: 5000,
-        type: 'fixed',
-        description: 'خصم 5000 دينار عراقي',
-        maxUse: 50,
-        active: true
-      }
-    ];
+    if (!stateManagementService) {
+      return res.status(503).json({
+        success: false,
+        message: 'خدمة أكواد الخصم غير متوفرة حالياً',
+        error: 'State management service not available'
+      });
+    }
+
+    const promoCodes = await stateManagementService.promoCodeService.getAvailableForCustomer(req.user.id);
 
     res.json({
       success: true,
-      promoCodes: availablePromoCodes,
-      note: 'هذه القائمة للاختبار فقط'
+      promoCodes
     });
 
   } catch (error) {
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const requireRole = require('../middlewares/requireRole');
+
+/**
+ * Support Chat Routes
+ * محادثات الرحلات لفريق الدعم: قراءة المحادثة مع سياق الرحلة وتنزيل نصها
+ * Mounted under /support/chats behind authenticateToken; live replies and mutes go through the /admin socket
+ */
+
+router.use(requireRole(['admin', 'support'], 'Support privileges required'));
+
+/**
+ * @route GET /support/chats/:rideId
+ * @desc Ride chat with ride context, moderation flags and active mutes
+ */
+router.get('/:rideId', async (req, res) => {
+  try {
+    const thread = await req.chatService.getSupportThread(req.params.rideId);
+    if (!thread) {
+      return res.status(404).json({ success: false, message: 'الرحلة غير موجودة' });
+    }
+    res.json({ success: true, data: thread });
+  } catch (error) {
+    console.error('Error getting ride chat:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'خطأ في جلب المحادثة' });
+  }
+});
+
+/**
+ * @route GET /support/chats/:rideId/transcript
+ * @desc Download the chat transcript
+ * @query {string} format - txt (default) | json
+ */
+router.get('/:rideId/transcript', async (req, res) => {
+  try {
+    const format = req.query.format || 'txt';
+    if (!['txt', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'صيغة التصدير غير صالحة' });
+    }
+
+    const transcript = await req.chatService.exportTranscript(req.params.rideId, format);
+    if (!transcript) {
+      return res.status(404).json({ success: false, message: 'الرحلة غير موجودة' });
+    }
+
+    res.set('Content-Type', transcript.contentType);
+    res.attachment(transcript.filename);
+    res.send(transcript.content);
+  } catch (error) {
+    console.error('Error exporting ride chat:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'خطأ في تصدير المحادثة' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const SurgeZone = require('../model/surgeZone');
+const requireRole = require('../middlewares/requireRole');
+
+const verifyAdmin = requireRole(['admin'], 'Admin privileges required');
+
+/**
+ * Surge Zone Admin Routes
+ * مناطق التسعير الديناميكي: رسم المناطق، متابعة المعاملات الحية، وتجاوزها يدوياً
+ * Mounted under /surge-zones behind authenticateToken
+ */
+
+router.use(verifyAdmin);
+
+const validateZoneId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'معرف المنطقة غير صالح' });
+  }
+  next();
+};
+
+/**
+ * Closed polygon ring of at least 3 distinct [longitude, latitude] points
+ * @returns {Array|null} GeoJSON polygon coordinates
+ */
+const normalizePolygon = (points) => {
+  if (!Array.isArray(points) || points.length < 3) return null;
+
+  const ring = points.map(point => (Array.isArray(point)
+    ? [Number(point[0]), Number(point[1])]
+    : [Number(point?.longitude), Number(point?.latitude)]));
+
+  if (ring.some(([longitude, latitude]) => isNaN(longitude) || isNaN(latitude) ||
+    Math.abs(longitude) > 180 || Math.abs(latitude) > 90)) {
+    return null;
+  }
+
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push([...first]);
+
+  return ring.length >= 4 ? [ring] : null;
+};
+
+/**
+ * @route GET /surge-zones
+ * @desc Zones with live supply/demand state and effective multiplier
+ */
+router.get('/', async (req, res) => {
+  try {
+    const zones = await req.surgePricingService.listZones();
+    res.json({ success: true, data: zones });
+  } catch (error) {
+    console.error('Error listing surge zones:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب مناطق التسعير' });
+  }
+});
+
+/**
+ * @route POST /surge-zones
+ * @desc Create a zone from an admin-drawn polygon
+ * @body {string} name, {Array} polygon - [[lng, lat], ...] or [{latitude, longitude}, ...]
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, polygon, enabled } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ success: false, message: 'اسم المنطقة مطلوب' });
+    }
+
+    const coordinates = normalizePolygon(polygon);
+    if (!coordinates) {
+      return res.status(400).json({ success: false, message: 'حدود المنطقة غير صالحة (3 نقاط على الأقل)' });
+    }
+
+    const zone = await SurgeZone.create({
+      name,
+      area: { type: 'Polygon', coordinates },
+      enabled: enabled !== false,
+      createdBy: req.user.id
+    });
+
+    await req.surgePricingService.refreshZones();
+    res.status(201).json({ success: true, data: req.surgePricingService.formatZone(zone.toObject()) });
+  } catch (error) {
+    console.error('Error creating surge zone:', error);
+    res.status(400).json({ success: false, message: 'فشل إنشاء المنطقة', error: error.message });
+  }
+});
+
+/**
+ * @route PATCH /surge-zones/:id
+ * @desc Rename, redraw, enable or disable a zone
+ */
+router.patch('/:id', validateZoneId, async (req, res) => {
+  try {
+    const { name, polygon, enabled } = req.body;
+    const update = {};
+
+    if (name !== undefined) update.name = name;
+    if (enabled !== undefined) update.enabled = Boolean(enabled);
+    if (polygon !== undefined) {
+      const coordinates = normalizePolygon(polygon);
+      if (!coordinates) {
+        return res.status(400).json({ success: false, message: 'حدود المنطقة غير صالحة (3 نقاط على الأقل)' });
+      }
+      update.area = { type: 'Polygon', coordinates };
+    }
+
+    const zone = await SurgeZone.findByIdAndUpdate(req.params.id, { $set: update }, { new: true, runValidators: true }).lean();
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'المنطقة غير موجودة' });
+    }
+
+    await req.surgePricingService.refreshZones();
+    res.json({ success: true, data: req.surgePricingService.formatZone(zone) });
+  } catch (error) {
+    console.error('Error updating surge zone:', error);
+    res.status(400).json({ success: false, message: 'فشل تحديث المنطقة', error: error.message });
+  }
+});
+
+/**
+ * @route DELETE /surge-zones/:id
+ */
+router.delete('/:id', validateZoneId, async (req, res) => {
+  try {
+    const zone = await SurgeZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'المنطقة غير موجودة' });
+    }
+
+    await req.surgePricingService.refreshZones();
+    res.json({ success: true, message: 'تم حذف المنطقة' });
+  } catch (error) {
+    console.error('Error deleting surge zone:', error);
+    res.status(500).json({ success: false, message: 'فشل حذف المنطقة' });
+  }
+});
+
+/**
+ * @route PUT /surge-zones/:id/override
+ * @desc Set the multiplier of a zone manually (takes precedence over the automatic one)
+ * @body {number} multiplier (>= 1), {number} expiresInMinutes (optional), {string} reason
+ */
+router.put('/:id/override', validateZoneId, async (req, res) => {
+  try {
+    const multiplier = Number(req.body.multiplier);
+    const expiresInMinutes = req.body.expiresInMinutes !== undefined ? Number(req.body.expiresInMinutes) : null;
+
+    if (isNaN(multiplier) || multiplier < 1 || multiplier > 5) {
+      return res.status(400).json({ success: false, message: 'المعامل يجب أن يكون بين 1 و 5' });
+    }
+    if (expiresInMinutes !== null && (isNaN(expiresInMinutes) || expiresInMinutes <= 0)) {
+      return res.status(400).json({ success: false, message: 'مدة التجاوز غير صالحة' });
+    }
+
+    const zone = await req.surgePricingService.setOverride(req.params.id, {
+      multiplier: Number(multiplier.toFixed(2)),
+      expiresInMinutes,
+      reason: req.body.reason
+    }, req.user.id);
+
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'المنطقة غير موجودة' });
+    }
+
+    res.json({ success: true, data: req.surgePricingService.formatZone(zone) });
+  } catch (error) {
+    console.error('Error overriding surge zone:', error);
+    res.status(500).json({ success: false, message: 'فشل تعديل معامل المنطقة' });
+  }
+});
+
+/**
+ * @route DELETE /surge-zones/:id/override
+ * @desc Return the zone to its automatic multiplier
+ */
+router.delete('/:id/override', validateZoneId, async (req, res) => {
+  try {
+    const zone = await req.surgePricingService.clearOverride(req.params.id, req.user.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'المنطقة غير موجودة' });
+    }
+
+    res.json({ success: true, data: req.surgePricingService.formatZone(zone) });
+  } catch (error) {
+    console.error('Error clearing surge zone override:', error);
+    res.status(500).json({ success: false, message: 'فشل إلغاء تجاوز المعامل' });
+  }
+});
+
+module.exports = router;
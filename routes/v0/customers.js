@@ -1,7 +1,6 @@
 const express = require('express');
 const router = express.Router();
 const Customer = require('../../model/customer');
-const MoneyTransfers = require('../../model/moneyTransfers');
 const { createFinancialAccount, updateBalance } = require('../../utils/routeHelpers');
 const { verifyToken } = require('../../middlewares/customerMiddlewareAyuth');
 const ride = require('../../model/ride');
@@ -144,23 +143,10 @@ router.patch('/:id/balance', async (req, res) => {
       return res.status(400).json({ error: 'Valid amount is required' });
     }
 
-    const updatedCustomer = await updateBalance(id, amount, 'customer');
-    await updatedCustomer.populate('financialAccount');
-
-    // Create money transfer record
-    const moneyTransfer = new MoneyTransfers({
-      vault: amount,
-      transferType: amount > 0 ? 'credit' : 'debit',
-      from: {
-        id: id,
-        role: 'Customer'
-      },
-      to: {
-        id: id,
-        role: 'Customer'
-      }
+    // Ledgered together with its MoneyTransfers record
+    const updatedCustomer = await updateBalance(id, amount, 'customer', {
+      idempotencyKey: req.get('Idempotency-Key') || null
     });
-    await moneyTransfer.save();
 
     const responseData = {
       id: updatedCustomer._id,
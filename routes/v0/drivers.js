@@ -2,11 +2,23 @@ const express = require('express');
 const router = express.Router();
 const Driver = require('../../model/Driver');
 const Ride = require('../../model/ride');
-const MoneyTransfers = require('../../model/moneyTransfers');
 const { createFinancialAccount, updateBalance } = require('../../utils/routeHelpers');
 const { verifyToken } = require('../../middlewares/customerMiddlewareAyuth');
+const authenticateToken = require('../../middlewares/authenticateToken');
+const requireRole = require('../../middlewares/requireRole');
+const RideSetting = require('../../model/rideSetting');
+const {
+  DEFAULT_VEHICLE_CATEGORY,
+  getVehicleCategories,
+  findVehicleCategory,
+  formatVehicleCategory
+} = require('../../utils/vehicleCategories');
 const { default: mongoose } = require('mongoose');
 
+const verifyAdmin = requireRole(['admin'], 'Admin privileges required');
+
+const toHours = (seconds) => +(seconds / 3600).toFixed(1);
+
 // GET / - Get all drivers
 router.get('/', async (req, res) => {
   try {
@@ -105,6 +117,14 @@ router.post("/toggle-availability", verifyToken, async (req, res) => {
     if (!driver) return res.status(404).json({ message: "السائق غير موجود." });
 
     await driver.setAvailability(active);
+
+    // التوفر يفتح/يغلق وردية الكابتن (ساعات الاتصال)
+    if (active) {
+      await req.captainShiftService.openShift(driver._id);
+    } else {
+      await req.captainShiftService.closeShift(driver._id, 'unavailable');
+    }
+
     return res.json({
       message: "تم تحديث حالة التوفر بنجاح.",
       isAvailable: driver.isAvailable,
@@ -117,34 +137,24 @@ router.post("/toggle-availability", verifyToken, async (req, res) => {
 
 
 /* ─────────────────────── 1)  DRIVER  RATING  ────────────────────────────
-   Average & count of driverRating where it isn’t null.
+   Rolling weighted rating (the one dispatch uses), lifetime average,
+   star distribution, tag counts and the latest comments.
+   Captains rate their passengers through /rate-passenger.
    ---------------------------------------------------------------------- */
 router.get('/my-rating', verifyToken, async (req, res) => {
   try {
-    const driverId = new mongoose.Types.ObjectId(req.user.id);
-
-    // -- التجميع: نحسب عدد التقييمات ومتوسطها
-    const result = await Ride.aggregate([
-      { $match: { driver: driverId, driverRating: { $ne: null } } },
-      {
-        $group: {
-          _id: null,
-          totalRatings: { $sum: 1 },
-          averageRating: { $avg: '$driverRating' }
-        }
-      }
-    ]);
-
-    // إذا لم توجد نتائج، نهيّئ بقيم صفرية
-    const stats = result[0] || { totalRatings: 0, averageRating: 0 };
+    const summary = await req.ratingService.getSummary('captain', req.user.id);
 
     // نُظهِر المتوسّط فقط بعد 10 تقييمات
-    const average =
-      stats.totalRatings >= 10 ? Number(stats.averageRating.toFixed(2)) : 0; // أو استخدم null
+    const average = summary.ratingCount >= 10 ? summary.rating : 0; // أو استخدم null
 
     res.json({
-      totalRatings: stats.totalRatings,
-      averageRating: average
+      totalRatings: summary.ratingCount,
+      averageRating: average,
+      lifetimeAverage: summary.lifetimeAverage,
+      distribution: summary.distribution,
+      tags: summary.tags,
+      recentComments: summary.recentComments
     });
   } catch (err) {
     console.error(err);
@@ -152,6 +162,30 @@ router.get('/my-rating', verifyToken, async (req, res) => {
   }
 });
 
+router.post('/rate-passenger', verifyToken, async (req, res) => {
+  try {
+    const { rideId, rating, comment, tags } = req.body;
+    const result = await req.ratingService.submitRating({
+      rideId,
+      raterType: 'captain',
+      raterId: req.user.id,
+      rating,
+      comment,
+      tags
+    });
+
+    if (!result.success) {
+      const status = { not_found: 404, forbidden: 403, already_rated: 409 }[result.reason] || 400;
+      return res.status(status).json(result);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Passenger rating error:', err);
+    res.status(500).json({ success: false, message: 'فشل حفظ التقييم.' });
+  }
+});
+
+
 /* ─────────────────────── 2)  DRIVER ANALYSIS ────────────────────────────
    Lifetime + current-week KPIs and recent rides.
    ---------------------------------------------------------------------- */
@@ -197,6 +231,9 @@ router.get('/my-analysis', verifyToken, async (req, res) => {
     const lifetime = agg[0].lifetime[0] || { totalRides: 0, totalEarnings: 0 };
     const weeklyRaw = agg[0].weekly;       // array of 0–6 items
 
+    /* online / on-trip time of this week's shifts (Saturday first, same as below) */
+    const shifts = await req.captainShiftService.getOnlineSummary(driverId, weekStart);
+
     /* Build weeklyAnalytics array Saturday→Friday (Arabic labels) */
     const daysAR = ['السبت', 'الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة'];
     const wkMap = Object.fromEntries(
@@ -205,12 +242,17 @@ router.get('/my-analysis', verifyToken, async (req, res) => {
     const weeklyAnalytics = daysAR.map((name, idx) => ({
       day: name,
       rides: wkMap[idx]?.rides || 0,
-      earnings: wkMap[idx]?.earnings || 0
+      earnings: wkMap[idx]?.earnings || 0,
+      hoursOnline: toHours(shifts.days[idx].onlineSeconds)
     }));
 
     /* extra numbers for “this week” cards */
     const weeklyRides = weeklyAnalytics.reduce((s, d) => s + d.rides, 0);
     const weeklyEarnings = weeklyAnalytics.reduce((s, d) => s + d.earnings, 0);
+    const weeklyHoursOnline = toHours(shifts.onlineSeconds);
+    const earningsPerOnlineHour = shifts.onlineSeconds > 0
+      ? Math.round(weeklyEarnings / (shifts.onlineSeconds / 3600))
+      : 0;
 
     /* completion / cancellation percentages */
     const statuses = await Ride.aggregate([
@@ -234,6 +276,11 @@ router.get('/my-analysis', verifyToken, async (req, res) => {
       weeklyEarnings,
       totalRides: lifetime.totalRides,
       weeklyRides,
+      weeklyHoursOnline,
+      weeklyHoursOnTrip: toHours(shifts.onTripSeconds),
+      weeklyHoursIdle: toHours(shifts.idleSeconds),
+      earningsPerOnlineHour,
+      currentShift: shifts.currentShift,
       completionRate: +((completed / totalDecided) * 100).toFixed(1),
       cancellationRate: +((cancelled / totalDecided) * 100).toFixed(1),
       weeklyAnalytics,
@@ -257,6 +304,156 @@ router.get('/my-analysis', verifyToken, async (req, res) => {
 });
 
 
+/* ─────────────────────── 3)  VEHICLE CATEGORY  ──────────────────────────
+   Captains request a category, admins approve or reject it.
+   Until approved the captain keeps receiving rides of his current category.
+   ---------------------------------------------------------------------- */
+router.get('/vehicle-category', verifyToken, async (req, res) => {
+  try {
+    const [driver, settings] = await Promise.all([
+      Driver.findById(req.user.id).select('vehicleCategory vehicleCategoryReview').lean(),
+      RideSetting.findOne({ name: 'default' }).select('vehicleCategories').lean()
+    ]);
+    if (!driver) return res.status(404).json({ success: false, message: 'السائق غير موجود.' });
+
+    res.json({
+      success: true,
+      data: {
+        vehicleCategory: driver.vehicleCategory || DEFAULT_VEHICLE_CATEGORY,
+        review: driver.vehicleCategoryReview || null,
+        categories: getVehicleCategories(settings)
+          .filter(category => category.enabled !== false)
+          .map(formatVehicleCategory)
+      }
+    });
+  } catch (err) {
+    console.error('Vehicle category fetch error:', err);
+    res.status(500).json({ success: false, message: 'فشل جلب فئة المركبة.' });
+  }
+});
+
+router.post('/vehicle-category/request', verifyToken, async (req, res) => {
+  try {
+    const { category, notes } = req.body;
+    const settings = await RideSetting.findOne({ name: 'default' }).select('vehicleCategories').lean();
+    const requested = findVehicleCategory(settings, category);
+    if (!requested) {
+      return res.status(400).json({ success: false, message: 'فئة المركبة غير متاحة.' });
+    }
+
+    const driver = await Driver.findById(req.user.id);
+    if (!driver) return res.status(404).json({ success: false, message: 'السائق غير موجود.' });
+
+    if ((driver.vehicleCategory || DEFAULT_VEHICLE_CATEGORY) === requested.key) {
+      return res.status(400).json({ success: false, message: 'هذه هي فئتك الحالية.' });
+    }
+
+    driver.vehicleCategoryReview = {
+      status: 'pending',
+      requestedCategory: requested.key,
+      requestedAt: new Date(),
+      notes
+    };
+    await driver.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إرسال طلب تغيير الفئة للمراجعة.',
+      data: { vehicleCategory: driver.vehicleCategory, review: driver.vehicleCategoryReview }
+    });
+  } catch (err) {
+    console.error('Vehicle category request error:', err);
+    res.status(500).json({ success: false, message: 'فشل إرسال طلب الفئة.' });
+  }
+});
+
+// GET /vehicle-category/reviews - Category requests for admin review
+router.get('/vehicle-category/reviews', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 50 } = req.query;
+
+    const query = { 'vehicleCategoryReview.status': status };
+    const [drivers, total] = await Promise.all([
+      Driver.find(query)
+        .select('name phoneNumber carDetails gender vehicleCategory vehicleCategoryReview carInteriorImage carExteriorImage')
+        .sort({ 'vehicleCategoryReview.requestedAt': 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Driver.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: drivers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Vehicle category reviews fetch error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PATCH /:id/vehicle-category - Approve/reject a category request, or assign a category directly
+router.patch('/:id/vehicle-category', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { action = 'approve', category, notes } = req.body;
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ success: false, message: 'Action must be approve or reject' });
+    }
+
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    const review = driver.vehicleCategoryReview || {};
+
+    if (action === 'reject') {
+      if (review.status !== 'pending') {
+        return res.status(400).json({ success: false, message: 'No pending category request' });
+      }
+    } else {
+      const settings = await RideSetting.findOne({ name: 'default' }).select('vehicleCategories').lean();
+      const approved = findVehicleCategory(settings, category || review.requestedCategory);
+      if (!approved) {
+        return res.status(400).json({ success: false, message: 'Unknown or disabled vehicle category' });
+      }
+      if (approved.femaleOnly && driver.gender !== 'female') {
+        return res.status(400).json({ success: false, message: 'Female-only category requires a female captain' });
+      }
+      driver.vehicleCategory = approved.key;
+    }
+
+    driver.vehicleCategoryReview = {
+      status: action === 'approve' ? 'approved' : 'rejected',
+      requestedCategory: review.requestedCategory || driver.vehicleCategory,
+      requestedAt: review.requestedAt,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      notes: notes || review.notes
+    };
+    await driver.save();
+
+    res.json({
+      success: true,
+      message: action === 'approve' ? 'Vehicle category approved' : 'Vehicle category request rejected',
+      data: {
+        id: driver._id,
+        vehicleCategory: driver.vehicleCategory,
+        review: driver.vehicleCategoryReview
+      }
+    });
+  } catch (error) {
+    console.error('Vehicle category review error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
 
 // GET /:id - Get single driver
 router.get('/:id', async (req, res) => {
@@ -277,6 +474,8 @@ router.get('/:id', async (req, res) => {
       whatsAppPhoneNumber: driver.whatsAppPhoneNumber,
       profileImage: driver.profileImage,
       carDetails: driver.carDetails,
+      vehicleCategory: driver.vehicleCategory || DEFAULT_VEHICLE_CATEGORY,
+      vehicleCategoryReview: driver.vehicleCategoryReview,
       rating: 0,
       totalRides: driver.rideHistory?.length || 0,
       balance: driver.financialAccount?.vault || 0,
@@ -354,6 +553,9 @@ router.patch('/:id', async (req, res) => {
     delete updateData.password;
     delete updateData.financialAccount;
     delete updateData.rideHistory;
+    // Category changes go through PATCH /:id/vehicle-category
+    delete updateData.vehicleCategory;
+    delete updateData.vehicleCategoryReview;
 
     const driver = await Driver.findByIdAndUpdate(
       id,
@@ -398,23 +600,10 @@ router.patch('/:id/balance', async (req, res) => {
       return res.status(400).json({ error: 'Valid amount is required' });
     }
 
-    const updatedDriver = await updateBalance(id, amount, 'driver');
-    await updatedDriver.populate('financialAccount');
-
-    // Create money transfer record
-    const moneyTransfer = new MoneyTransfers({
-      vault: amount,
-      transferType: amount > 0 ? 'credit' : 'debit',
-      from: {
-        id: id,
-        role: 'Driver'
-      },
-      to: {
-        id: id,
-        role: 'Driver'
-      }
+    // Ledgered together with its MoneyTransfers record
+    const updatedDriver = await updateBalance(id, amount, 'driver', {
+      idempotencyKey: req.get('Idempotency-Key') || null
     });
-    await moneyTransfer.save();
 
     const responseData = {
       id: updatedDriver._id,
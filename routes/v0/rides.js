@@ -8,6 +8,8 @@ const { validationResult } = require("express-validator");
 const Customer = require('../../model/customer');
 const { default: mongoose } = require('mongoose');
 
+const RATING_ERROR_STATUS = { not_found: 404, forbidden: 403, already_rated: 409 };
+
 
 // GET / - Get all rides
 router.get('/', async (req, res) => {
@@ -96,40 +98,25 @@ router.post(
       return res.status(422).json({ errors: errors.array() });
     }
 
-    const { rideId, rating, points = [] } = req.body;
+    const { rideId, rating, comment, tags, points } = req.body;
+    // points: older app versions send free-form feedback here, only the values that are known tags are kept
+    const legacyTags = Array.isArray(points)
+      ? points.filter(point => req.ratingService.getTags("captain").includes(point))
+      : [];
     try {
-      // 1. fetch the ride & basic guards
-      const ride = await Ride.findById(rideId).select(
-        "passenger driver status passengerRating"
-      );
-      if (!ride) return res.status(404).json({ message: "Ride not found" });
-
-      if (!ride.passenger.equals(req.user.id))
-        return res.status(403).json({ message: "Not your ride" });
-
-      if (ride.status !== "completed")
-        return res
-          .status(400)
-          .json({ message: "Ride must be completed before rating" });
-
-      if (ride.passengerRating !== null)
-        return res.status(409).json({ message: "Ride already rated" });
-
-      // 2. update ride with rating + optional points
-      ride.passengerRating = rating;
-      if (points.length) ride.set("passengerFeedbackPoints", points); // optional
-      await ride.save();
-
-      // 3. update driver's aggregate rating (create the fields if missing)
-      await Driver.findByIdAndUpdate(
-        ride.driver,
-        {
-          $inc: { ratingCount: 1, ratingTotal: rating },
-        },
-        { upsert: false }
-      );
-
-      res.json({ success: true });
+      const result = await req.ratingService.submitRating({
+        rideId,
+        raterType: "customer",
+        raterId: req.user.id,
+        rating,
+        comment,
+        tags: tags ?? legacyTags
+      });
+
+      if (!result.success) {
+        return res.status(RATING_ERROR_STATUS[result.reason] || 400).json(result);
+      }
+      res.json(result);
     } catch (err) {
       next(err);
     }
@@ -321,7 +308,8 @@ router.patch('/:id/assign-driver', async (req, res) => {
       id,
       {
         driver: driverId,
-        status: 'accepted'
+        status: 'accepted',
+        acceptedAt: new Date()
       },
       { new: true }
     )
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const RideSetting = require('../../model/rideSetting');
+const { DEFAULT_VEHICLE_CATEGORIES } = require('../../utils/vehicleCategories');
 
 const defaultSettings = {
   name: 'default',
@@ -26,7 +27,34 @@ const defaultSettings = {
     radiusIncrementKm: 1,
     notificationTimeout: 15,
     maxDispatchTime: 300,
-    graceAfterMaxRadius: 30
+    graceAfterMaxRadius: 30,
+    scoring: {
+      enabled: true,
+      weights: {
+        eta: 0.35,
+        acceptanceRate: 0.2,
+        recentRejections: 0.15,
+        rating: 0.15,
+        idleTime: 0.1,
+        walletBalance: 0.05
+      },
+      averageSpeedKmh: 25,
+      maxEtaMinutes: 15,
+      historySize: 20,
+      rejectionWindowMinutes: 30,
+      maxRecentRejections: 3,
+      maxIdleMinutes: 60,
+      walletTarget: 10000,
+      maxCaptainsPerWave: 0
+    },
+    batchMatching: {
+      enabled: false,
+      intervalSeconds: 5,
+      searchRadiusKm: 5,
+      maxPickupMinutes: 15,
+      averageSpeedKmh: 25,
+      maxRidesPerBatch: 50
+    }
   },
   captainRules: {
     maxTopUpLimit: 1000,
@@ -37,10 +65,93 @@ const defaultSettings = {
   passengerRules: {
     cancellationFee: 1000,
     freeCancelWindow: 120,
+    captainCancellationShare: 0.5,
     minRatingRequired: 0
   },
+  scheduling: {
+    enabled: true,
+    minLeadMinutes: 30,
+    maxLeadDays: 7,
+    dispatchLeadMinutes: 15,
+    reminderMinutes: [60, 15],
+    maxScheduledPerCustomer: 3,
+    expireAfterMinutes: 30
+  },
+  stops: {
+    enabled: true,
+    maxStops: 3,
+    pricePerStop: 500,
+    freeWaitMinutes: 3,
+    waitPricePerMinute: 100
+  },
   paymentMethods: ['cash', 'wallet'],
-  allowShared: false
+  allowShared: false,
+  pooling: {
+    maxPassengers: 3,
+    maxDetourKm: 3,
+    searchRadiusKm: 3,
+    discountRate: 0.25
+  },
+  zoneSurge: {
+    enabled: false,
+    intervalSeconds: 60,
+    requestWindowMinutes: 10,
+    smoothing: 0.5,
+    activateRatio: 1.5,
+    deactivateRatio: 1.0,
+    multiplierPerRatio: 0.5,
+    maxMultiplier: 2.5,
+    maxStepPerTick: 0.25
+  },
+  tripProgress: {
+    enabled: true,
+    updateIntervalSeconds: 10,
+    nearbyAlertMinutes: 1,
+    detourThresholdKm: 0.5,
+    detourConfirmSamples: 2,
+    detourAlertCooldownSeconds: 120
+  },
+  metering: {
+    enabled: true,
+    minSampleIntervalSeconds: 5,
+    minSamples: 5,
+    maxSampleGapSeconds: 180,
+    maxSpeedKmh: 160,
+    waitingSpeedKmh: 5,
+    honourQuoteWithinPercent: 10,
+    maxIncreasePercent: 50,
+    chargeLowerActual: true
+  },
+  fatigue: {
+    enabled: true,
+    maxContinuousHours: 8,
+    breakMinutes: 30,
+    restGapMinutes: 15,
+    warnBeforeMinutes: 15,
+    checkIntervalSeconds: 60
+  },
+  destinationMode: {
+    enabled: true,
+    maxUsesPerDay: 2,
+    durationMinutes: 120,
+    minTargetDistanceKm: 3,
+    minProgressKm: 2,
+    minProgressPercent: 25,
+    arrivalRadiusKm: 1
+  },
+  ratings: {
+    ratingWindowHours: 48,
+    recentRatings: 100,
+    decay: 0.98,
+    priorRating: 5,
+    priorWeight: 3,
+    lowRatingThreshold: 2,
+    lowRatingsToFlag: 3,
+    flagWindowDays: 30,
+    flagBelowAverage: 3.5,
+    minRatingsToFlag: 10
+  },
+  vehicleCategories: DEFAULT_VEHICLE_CATEGORIES
 };
 
 // GET / - Get ride settings
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Recharge Card Redemption Routes (customers and captains)
+ * شحن المحفظة باستخدام كرت الشحن
+ * Mounted under /wallet/recharge-cards behind authenticateToken
+ */
+
+/**
+ * @route POST /wallet/recharge-cards/redeem
+ * @desc Redeem a recharge card into the caller's wallet
+ * @body {string} code
+ */
+router.post('/redeem', async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'رمز الكرت مطلوب' });
+    }
+
+    const userType = await req.rechargeCardService.resolveUserType(req.user.id);
+    if (!userType) {
+      return res.status(403).json({ success: false, message: 'المستخدم غير مخول بشحن الرصيد' });
+    }
+
+    const result = await req.rechargeCardService.redeem({
+      code,
+      userId: req.user.id,
+      userType,
+      channel: 'rest',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!result.success) {
+      if (result.reason === 'locked') {
+        res.setHeader('Retry-After', result.retryAfterSeconds);
+        return res.status(429).json({ success: false, reason: result.reason, message: result.message });
+      }
+      const statusCode = { credit_failed: 500, not_configured: 503 }[result.reason] || 400;
+      return res.status(statusCode).json({ success: false, reason: result.reason, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result });
+  } catch (error) {
+    console.error('Error redeeming recharge card:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في شحن الرصيد',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /wallet/recharge-cards/history
+ * @desc Cards redeemed by the caller
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await req.rechargeCardService.getUserRedemptions(req.user.id, {
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error fetching recharge card history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب سجل الشحن',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,52 +1,38 @@
-const FinancialAccount = require("../model/financialAccount");
-const MoneyTransfers = require("../model/moneyTransfers");
-
-const transfer = async (type, fromId, toId, amount) => {
-  try {
-    // Find the financial accounts of both parties
-    console.log("x")
-
-    const fromAccount = await FinancialAccount.findById(fromId);
-    const toAccount = await FinancialAccount.findById(toId);
-    console.log(toAccount,fromAccount)
-
-    if (!fromAccount || !toAccount) {
-      throw new Error("Financial accounts not found");
-    }
-
-    
-    // Create the money transfer
-    const moneyTransfer = new MoneyTransfers({
-      transferType: type,
-      from: { id: fromId, role: getRole(type, "from") },
-      to: { id: toId, role: getRole(type, "to") },
-      vault: amount,
-    });
-
-
-    await moneyTransfer.save();
-
-    // Update vault amounts
-    fromAccount.vault -= amount;
-    toAccount.vault += amount;
-
-    // Add the transaction to both accounts
-    const transaction = {
-      moneyTransfers: [moneyTransfer._id],
-      description: `Transfer ${type} from ${fromId} to ${toId}`,
-    };
-
-    fromAccount.transactions.push(transaction);
-    toAccount.transactions.push(transaction);
-
-    // Save the updated financial accounts
-    await fromAccount.save();
-    await toAccount.save();
-
+const FinancialAccountService = require("./financialAccountService");
+
+const financialAccountService = new FinancialAccountService(console);
+
+/**
+ * Transfer money between two financial accounts.
+ * Runs in a MongoDB transaction; a call repeating an idempotency key returns the original transfer.
+ * @param {string} type - Transfer type (utd, utc, ctc, ctu, ctd, dtu, dtc)
+ * @param {string} fromId - Source financial account ID
+ * @param {string} toId - Destination financial account ID
+ * @param {number} amount - Amount to transfer
+ * @param {Object} options - { idempotencyKey, description, metadata }
+ * @returns {Object} Transfer result from FinancialAccountService.transferMoney
+ */
+const transfer = async (type, fromId, toId, amount, options = {}) => {
+  const { idempotencyKey = null, description, metadata = {} } = options;
+
+  const result = await financialAccountService.transferMoney({
+    fromAccountId: fromId,
+    toAccountId: toId,
+    amount,
+    transferType: type,
+    fromRole: getRole(type, "from"),
+    toRole: getRole(type, "to"),
+    description: description || `Transfer ${type} from ${fromId} to ${toId}`,
+    checkBalance: false,
+    idempotencyKey,
+    metadata
+  });
+
+  if (result.success && !result.replayed) {
     console.log(`Transfer successful: ${amount} from ${fromId} to ${toId}`);
-  } catch (error) {
-    console.error("Error processing transfer:", error);
   }
+
+  return result;
 };
 
 const getRole = (type, direction) => {
@@ -59,7 +45,10 @@ const getRole = (type, direction) => {
     dtu: { from: "Driver", to: "Users" },
     dtc: { from: "Driver", to: "Customer" },
   };
-  return roleMap[type][direction];
+  return roleMap[type]?.[direction];
 };
 
+transfer.getRole = getRole;
+transfer.financialAccountService = financialAccountService;
+
 module.exports = transfer;
@@ -109,7 +109,9 @@ class AdminSocketService {
         userInfo: {
           name: adminInfo.userName,
           role: adminInfo.userRole,
-          permissions: ['location_tracking']
+          permissions: this.shared.chatService?.canSupportChats(socket.user)
+            ? ['location_tracking', 'chat_support']
+            : ['location_tracking']
         },
         stats: this.shared.locationTrackingService?.getTrackingStats() || {}
       });
@@ -153,6 +155,47 @@ class AdminSocketService {
       this.handleFocusCaptain(socket, data);
     });
 
+    // Dispatch timeline of a ride (and its live events while watching)
+    socket.on('get_dispatch_timeline', async (data) => {
+      await this.handleGetDispatchTimeline(socket, data);
+    });
+
+    socket.on('watch_dispatch', (data) => {
+      if (!data?.rideId) return;
+      socket.join(`dispatch:${data.rideId}`);
+    });
+
+    socket.on('unwatch_dispatch', (data) => {
+      if (!data?.rideId) return;
+      socket.leave(`dispatch:${data.rideId}`);
+    });
+
+    // Ride chat support (admin and support roles only)
+    socket.on('support_join_chat', async (data) => {
+      await this.handleSupportJoinChat(socket, data);
+    });
+
+    socket.on('support_leave_chat', (data) => {
+      if (!data?.rideId) return;
+      socket.leave(`chat:${data.rideId}`);
+    });
+
+    socket.on('support_send_message', async (data) => {
+      await this.handleSupportSendMessage(socket, data);
+    });
+
+    socket.on('support_mute_participant', async (data) => {
+      await this.handleSupportMute(socket, data);
+    });
+
+    socket.on('support_unmute_participant', async (data) => {
+      await this.handleSupportUnmute(socket, data);
+    });
+
+    socket.on('support_export_chat', async (data) => {
+      await this.handleSupportExportChat(socket, data);
+    });
+
     // Handle disconnection
     socket.on('disconnect', (reason) => {
       this.handleAdminDisconnection(socket, reason);
@@ -368,6 +411,228 @@ class AdminSocketService {
     }
   }
 
+  /**
+   * Handle dispatch timeline request
+   * @param {Socket} socket - Admin socket
+   * @param {Object} data - { rideId }
+   */
+  async handleGetDispatchTimeline(socket, data = {}) {
+    try {
+      const { rideId } = data;
+      if (!rideId) {
+        socket.emit('dispatch_timeline_error', { message: 'Ride ID required' });
+        return;
+      }
+
+      const timeline = await this.shared.dispatchTimelineService?.getTimeline(rideId);
+      if (!timeline) {
+        socket.emit('dispatch_timeline_error', { rideId, message: 'Dispatch timeline not found' });
+        return;
+      }
+
+      socket.emit('dispatch_timeline', { success: true, rideId, timeline, timestamp: new Date() });
+
+    } catch (error) {
+      this.logger.error('[AdminSocket] Error getting dispatch timeline:', error);
+      socket.emit('dispatch_timeline_error', { message: 'Failed to get dispatch timeline' });
+    }
+  }
+
+  /**
+   * Send a live dispatch event to admins watching the ride
+   * @param {string} rideId - Ride ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  emitToDispatchWatchers(rideId, event, data) {
+    try {
+      this.adminNamespace.to(`dispatch:${rideId}`).emit(event, data);
+    } catch (error) {
+      this.logger.error('[AdminSocket] Error emitting dispatch event:', error);
+    }
+  }
+
+  /**
+   * Check the socket user may work on ride chats, emits support_chat_error otherwise
+   * @param {Socket} socket - Admin socket
+   * @param {Object} data - Request data
+   * @returns {boolean}
+   */
+  ensureChatSupport(socket, data) {
+    if (!this.shared.chatService?.canSupportChats(socket.user)) {
+      socket.emit('support_chat_error', { rideId: data?.rideId, message: 'Support role required' });
+      return false;
+    }
+    if (!data?.rideId) {
+      socket.emit('support_chat_error', { message: 'Ride ID required' });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Open a ride chat: full thread with ride context, then live messages while joined
+   * @param {Socket} socket - Admin socket
+   * @param {Object} data - { rideId }
+   */
+  async handleSupportJoinChat(socket, data = {}) {
+    try {
+      if (!this.ensureChatSupport(socket, data)) return;
+
+      const thread = await this.shared.chatService.getSupportThread(data.rideId);
+      if (!thread) {
+        socket.emit('support_chat_error', { rideId: data.rideId, message: 'Ride not found' });
+        return;
+      }
+
+      socket.join(`chat:${data.rideId}`);
+      socket.emit('support_chat_thread', { success: true, rideId: data.rideId, ...thread, timestamp: new Date() });
+      this.logger.info(`[AdminSocket] ${socket.userName} opened chat of ride ${data.rideId}`);
+
+    } catch (error) {
+      this.logger.error('[AdminSocket] Error opening ride chat:', error);
+      socket.emit('support_chat_error', { rideId: data.rideId, message: error.status ? error.message : 'Failed to open chat' });
+    }
+  }
+
+  /**
+   * Post a message as support, delivered to both the customer and the captain
+   * @param {Socket} socket - Admin socket
+   * @param {Object} data - { rideId, text, tempId }
+   */
+  async handleSupportSendMessage(socket, data = {}) {
+    try {
+      if (!this.ensureChatSupport(socket, data)) return;
+
+      const { message, customerId, captainId } = await this.shared.chatService.sendSupportMessage({
+        rideId: data.rideId,
+        text: data.text,
+        tempId: data.tempId,
+        supportUser: socket.user
+      });
+
+      const delivery = {
+        customer: customerId ? this.shared.customerSocketService?.emitToCustomer(customerId, 'chatMessage', message) : false,
+        captain: captainId ? this.shared.customerSocketService?.emitToCaptain(captainId, 'chatMessage', message) : false
+      };
+
+      socket.emit('support_message_sent', { success: true, rideId: data.rideId, message, delivery });
+
+    } catch (error) {
+      this.logger.error('[AdminSocket] Error sending support message:', error);
+      socket.emit('support_chat_error', { rideId: data.rideId, tempId: data.tempId, message: error.message || 'Failed to send message' });
+    }
+  }
+
+  /**
+   * Mute the customer or the captain in a ride chat
+   * @param {Socket} socket - Admin socket
+   * @param {Object} data - { rideId, participantType: customer|driver, durationMinutes, reason }
+   */
+  async handleSupportMute(socket, data = {}) {
+    try {
+      if (!this.ensureChatSupport(socket, data)) return;
+
+      const mute = await this.shared.chatService.muteParticipant({
+        rideId: data.rideId,
+        participantType: data.participantType,
+        durationMinutes: data.durationMinutes,
+        reason: data.reason,
+        mutedBy: socket.userId
+      });
+
+      this.notifyParticipant(mute, 'chatMuted', {
+        rideId: data.rideId,
+        mutedUntil: mute.mutedUntil,
+        reason: mute.reason
+      });
+      this.emitToChatWatchers(data.rideId, 'support_participant_muted', { ...mute, mutedByName: socket.userName });
+
+    } catch (error) {
+      this.logger.error('[AdminSocket] Error muting chat participant:', error);
+      socket.emit('support_chat_error', { rideId: data.rideId, message: error.status ? error.message : 'Failed to mute participant' });
+    }
+  }
+
+  /**
+   * Lift a chat mute before it expires
+   * @param {Socket} socket - Admin socket
+   * @param {Object} data - { rideId, participantType: customer|driver }
+   */
+  async handleSupportUnmute(socket, data = {}) {
+    try {
+      if (!this.ensureChatSupport(socket, data)) return;
+
+      const unmuted = await this.shared.chatService.unmuteParticipant({
+        rideId: data.rideId,
+        participantType: data.participantType,
+        unmutedBy: socket.userId
+      });
+      if (!unmuted) {
+        socket.emit('support_chat_error', { rideId: data.rideId, message: 'Participant is not muted' });
+        return;
+      }
+
+      this.notifyParticipant(unmuted, 'chatUnmuted', { rideId: data.rideId });
+      this.emitToChatWatchers(data.rideId, 'support_participant_unmuted', { ...unmuted, unmutedByName: socket.userName });
+
+    } catch (error) {
+      this.logger.error('[AdminSocket] Error unmuting chat participant:', error);
+      socket.emit('support_chat_error', { rideId: data.rideId, message: 'Failed to unmute participant' });
+    }
+  }
+
+  /**
+   * Transcript of a ride chat (txt or json) as a string the dashboard saves to a file
+   * @param {Socket} socket - Admin socket
+   * @param {Object} data - { rideId, format }
+   */
+  async handleSupportExportChat(socket, data = {}) {
+    try {
+      if (!this.ensureChatSupport(socket, data)) return;
+
+      const transcript = await this.shared.chatService.exportTranscript(data.rideId, data.format);
+      if (!transcript) {
+        socket.emit('support_chat_error', { rideId: data.rideId, message: 'Ride not found' });
+        return;
+      }
+
+      socket.emit('support_chat_export', { success: true, rideId: data.rideId, ...transcript });
+
+    } catch (error) {
+      this.logger.error('[AdminSocket] Error exporting ride chat:', error);
+      socket.emit('support_chat_error', { rideId: data.rideId, message: 'Failed to export chat' });
+    }
+  }
+
+  /**
+   * Tell the muted/unmuted participant on their own socket
+   * @param {Object} participant - { participantType, participantId }
+   */
+  notifyParticipant(participant, event, data) {
+    const id = participant.participantId?.toString();
+    if (!id) return;
+    if (participant.participantType === 'customer') {
+      this.shared.customerSocketService?.emitToCustomer(id, event, data);
+    } else {
+      this.shared.customerSocketService?.emitToCaptain(id, event, data);
+    }
+  }
+
+  /**
+   * Send a live chat event to support staff who opened the ride chat
+   * @param {string} rideId - Ride ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  emitToChatWatchers(rideId, event, data) {
+    try {
+      this.adminNamespace.to(`chat:${rideId}`).emit(event, data);
+    } catch (error) {
+      this.logger.error('[AdminSocket] Error emitting chat event:', error);
+    }
+  }
+
   /**
    * Broadcast message to all connected admins
    * @param {string} event - Event name
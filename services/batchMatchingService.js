@@ -0,0 +1,211 @@
+const Ride = require("../model/ride");
+const { findNearbyCaptains, calculateDistance, getCaptainPositions } = require("../utils/helpers");
+const { solveAssignment } = require("../utils/assignment");
+
+const DEFAULT_BATCH_MATCHING = {
+  enabled: false,
+  intervalSeconds: 5,
+  searchRadiusKm: 5,
+  maxPickupMinutes: 15,
+  averageSpeedKmh: 25,
+  maxRidesPerBatch: 50
+};
+
+const BUSY_RIDE_STATUSES = ["accepted", "arrived", "onRide"];
+
+/**
+ * Batch Matching Service
+ * مطابقة جماعية: تجميع الطلبات المفتوحة والكباتن المتاحين كل بضع ثوانٍ وتعيينهم بأقل مجموع زمن وصول
+ *
+ * A ride waits for the next round, gets at most one captain from the global assignment
+ * (Hungarian on pickup minutes) and is offered to him; rides left without a captain fall back
+ * to the radius-expansion loop of DispatchService.
+ */
+class BatchMatchingService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+    this.routingService = dependencies.routingService || null; // Road pickup times, straight line without it
+    this.dispatchService = dependencies.dispatchService;
+
+    this.waiting = new Map(); // rideId -> { ride, origin, resolve, enqueuedAt }
+    this.roundTimeoutId = null;
+    this.roundRunning = false;
+  }
+
+  /**
+   * Batch settings merged with defaults
+   * @param {Object} dispatchSettings - RideSetting.dispatch
+   */
+  getSettings(dispatchSettings) {
+    const raw = dispatchSettings?.batchMatching;
+    const batchMatching = raw && typeof raw.toObject === "function" ? raw.toObject() : (raw || {});
+    return { ...DEFAULT_BATCH_MATCHING, ...batchMatching };
+  }
+
+  isEnabled(dispatchSettings) {
+    return this.getSettings(dispatchSettings).enabled;
+  }
+
+  /**
+   * Wait for the next batch round
+   * @returns {Promise<Object|null>} { captainId, pickupMinutes, batchSize, captainsConsidered } or null
+   */
+  requestMatch(ride, origin) {
+    const rideId = ride._id.toString();
+
+    return new Promise(resolve => {
+      this.waiting.set(rideId, { ride, origin, resolve, enqueuedAt: Date.now() });
+      this.scheduleRound();
+    });
+  }
+
+  scheduleRound() {
+    if (this.roundTimeoutId || this.roundRunning) return;
+
+    const { intervalSeconds } = this.getSettings(this.dispatchService.rideSettings?.dispatch);
+    this.roundTimeoutId = setTimeout(async () => {
+      this.roundTimeoutId = null;
+      await this.runRound();
+      if (this.waiting.size > 0) this.scheduleRound();
+    }, intervalSeconds * 1000);
+  }
+
+  /**
+   * One global assignment of the waiting rides to idle captains
+   */
+  async runRound() {
+    this.roundRunning = true;
+    const settings = this.getSettings(this.dispatchService.rideSettings?.dispatch);
+
+    // Oldest first, the rest waits for the next round
+    const batch = [...this.waiting.entries()]
+      .sort((a, b) => a[1].enqueuedAt - b[1].enqueuedAt)
+      .slice(0, settings.maxRidesPerBatch);
+    batch.forEach(([rideId]) => this.waiting.delete(rideId));
+
+    const results = new Map(batch.map(([rideId]) => [rideId, null]));
+
+    try {
+      const candidates = await this.collectCandidates(batch, settings);
+      const captainIds = [...new Set(candidates.flatMap(entry => entry.captainIds))];
+
+      if (captainIds.length > 0) {
+        const positions = await this.getCaptainPositions(captainIds);
+
+        const costs = await Promise.all(candidates.map(async ({ origin, captainIds: allowed }) => {
+          const pickupTimes = await this.getPickupMinutes(allowed, positions, origin, settings);
+          return captainIds.map(captainId => {
+            const pickupMinutes = pickupTimes.get(captainId);
+            if (pickupMinutes === undefined) return Infinity;
+            return pickupMinutes <= settings.maxPickupMinutes ? pickupMinutes : Infinity;
+          });
+        }));
+
+        const assignment = solveAssignment(costs);
+        assignment.forEach((column, row) => {
+          if (column === -1) return;
+          results.set(candidates[row].rideId, {
+            captainId: captainIds[column],
+            pickupMinutes: Number(costs[row][column].toFixed(1)),
+            batchSize: batch.length,
+            captainsConsidered: captainIds.length
+          });
+        });
+      }
+
+      const matched = [...results.values()].filter(Boolean).length;
+      this.logger.info(`[BatchMatching] Round: ${batch.length} rides, ${captainIds.length} idle captains, ${matched} matched, ${batch.length - matched} left to the radius loop`);
+    } catch (error) {
+      this.logger.error("[BatchMatching] Error during batch round, falling back to the radius loop:", error);
+    } finally {
+      for (const [rideId, entry] of batch) {
+        entry.resolve(results.get(rideId) || null);
+      }
+      this.roundRunning = false;
+    }
+  }
+
+  /**
+   * Idle captains within the search radius of each ride (online, no pending offer, not on a ride, right category, not on a break, towards the target in destination mode)
+   * @returns {Promise<Array<{rideId, origin, captainIds}>>}
+   */
+  async collectCandidates(batch, settings) {
+    const dispatchService = this.dispatchService;
+
+    const candidates = await Promise.all(batch.map(async ([rideId, { ride, origin }]) => {
+      const nearby = await findNearbyCaptains(this.redisClient, this.logger, origin, settings.searchRadiusKm);
+      const available = nearby.filter(captainId =>
+        dispatchService.onlineCaptains[captainId] && !dispatchService.hasPendingRide(captainId)
+      );
+      const captainIds = await dispatchService.filterCaptainsByDestination(
+        await dispatchService.filterCaptainsOnBreak(await dispatchService.filterCaptainsByCategory(available, ride)),
+        ride
+      );
+      return { rideId, origin, captainIds };
+    }));
+
+    const allCaptains = [...new Set(candidates.flatMap(entry => entry.captainIds))];
+    if (allCaptains.length === 0) return candidates;
+
+    const busy = new Set(
+      (await Ride.distinct("driver", { status: { $in: BUSY_RIDE_STATUSES }, driver: { $in: allCaptains } }))
+        .map(id => id.toString())
+    );
+
+    return candidates.map(entry => ({
+      ...entry,
+      captainIds: entry.captainIds.filter(captainId => !busy.has(captainId))
+    }));
+  }
+
+  /**
+   * Pickup minutes of the allowed captains for one ride: road ETAs when routing answers,
+   * straight line at averageSpeedKmh otherwise
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getPickupMinutes(captainIds, positions, origin, settings) {
+    const located = captainIds.filter(captainId => positions.has(captainId));
+    const straightLine = (captainId) => (calculateDistance(positions.get(captainId), origin) / settings.averageSpeedKmh) * 60;
+
+    let etas = [];
+    if (this.routingService && located.length > 0) {
+      try {
+        etas = await this.routingService.getEtas(
+          located.map(captainId => [positions.get(captainId).longitude, positions.get(captainId).latitude]),
+          [origin.longitude, origin.latitude]
+        );
+      } catch (error) {
+        this.logger.warn(`[BatchMatching] Could not read road ETAs: ${error.message}`);
+      }
+    }
+
+    return new Map(located.map((captainId, index) => {
+      const eta = etas[index];
+      return [captainId, eta && !eta.estimated ? eta.durationMinutes : straightLine(captainId)];
+    }));
+  }
+
+  /**
+   * @returns {Promise<Map<string, {latitude, longitude}>>}
+   */
+  getCaptainPositions(captainIds) {
+    return getCaptainPositions(this.redisClient, captainIds);
+  }
+
+  /**
+   * Release waiting rides (they continue with the radius loop)
+   */
+  stop() {
+    if (this.roundTimeoutId) {
+      clearTimeout(this.roundTimeoutId);
+      this.roundTimeoutId = null;
+    }
+    for (const entry of this.waiting.values()) {
+      entry.resolve(null);
+    }
+    this.waiting.clear();
+  }
+}
+
+module.exports = BatchMatchingService;
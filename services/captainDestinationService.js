@@ -0,0 +1,295 @@
+const Driver = require("../model/Driver");
+const { calculateDistance, getCaptainPositions } = require("../utils/helpers");
+
+const DEFAULT_DESTINATION_MODE = {
+  enabled: true,
+  maxUsesPerDay: 2,
+  durationMinutes: 120,
+  minTargetDistanceKm: 3,
+  minProgressKm: 2,
+  minProgressPercent: 25,
+  arrivalRadiusKm: 1
+};
+
+const toLatLng = ([longitude, latitude]) => ({ latitude, longitude });
+
+/**
+ * Captain Destination Service
+ * وضع الوجهة (العودة للمنزل): يحدد الكابتن وجهة عدداً محدوداً من المرات يومياً، وخلال تفعيله
+ * لا تُعرض عليه إلا الرحلات التي تقرّبه من وجهته بشكل ملموس
+ *
+ * A ride qualifies when its drop-off is closer to the target than the captain is now by at least
+ * max(minProgressKm, minProgressPercent of the current distance). The mode ends when it expires,
+ * when the captain reaches the target or when he clears it.
+ */
+class CaptainDestinationService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+    this.adminSocketService = dependencies.adminSocketService || null;
+    this.activeModes = new Map(); // captainId -> { target, expiresAt } for captains connected to this node
+  }
+
+  setAdminSocketService(adminSocketService) {
+    this.adminSocketService = adminSocketService;
+  }
+
+  /**
+   * Destination mode settings merged with defaults
+   * @param {Object} rideSettings - RideSetting document
+   */
+  getSettings(rideSettings) {
+    const raw = rideSettings?.destinationMode;
+    const destinationMode = raw && typeof raw.toObject === "function" ? raw.toObject() : (raw || {});
+    return { ...DEFAULT_DESTINATION_MODE, ...destinationMode };
+  }
+
+  dayKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+  }
+
+  isActive(mode, now = new Date()) {
+    return !!(mode?.active && mode.expiresAt && new Date(mode.expiresAt) > now && mode.target?.coordinates?.length === 2);
+  }
+
+  /**
+   * Mode as sent to the captain app and the admin dashboard
+   */
+  formatMode(mode, settings) {
+    const usesToday = mode?.usage?.day === this.dayKey() ? mode.usage.count : 0;
+    const active = this.isActive(mode);
+    return {
+      active,
+      target: active ? toLatLng(mode.target.coordinates) : null,
+      address: active ? mode.address || null : null,
+      activatedAt: active ? mode.activatedAt : null,
+      expiresAt: active ? mode.expiresAt : null,
+      usesToday,
+      usesLeft: Math.max(settings.maxUsesPerDay - usesToday, 0)
+    };
+  }
+
+  /**
+   * Current mode of the captain (loads it into the local cache for the arrival checks)
+   */
+  async getMode(captainId, rideSettings) {
+    const settings = this.getSettings(rideSettings);
+    const driver = await Driver.findById(captainId).select("destinationMode").lean();
+    const mode = driver?.destinationMode;
+
+    if (this.isActive(mode)) {
+      this.activeModes.set(captainId.toString(), { target: mode.target.coordinates, expiresAt: new Date(mode.expiresAt) });
+    } else {
+      this.activeModes.delete(captainId.toString());
+    }
+    return this.formatMode(mode, settings);
+  }
+
+  /**
+   * Turn destination mode on (or move the target of the active mode, which counts as a new use)
+   * @param {string} captainId
+   * @param {Object} data - { latitude, longitude, address }
+   * @param {Object} rideSettings
+   * @returns {Promise<Object>} { success, reason?, message, data? }
+   */
+  async setDestination(captainId, data, rideSettings) {
+    const settings = this.getSettings(rideSettings);
+    if (!settings.enabled) {
+      return { success: false, reason: "disabled", message: "وضع الوجهة غير متاح حالياً" };
+    }
+
+    const latitude = parseFloat(data?.latitude);
+    const longitude = parseFloat(data?.longitude);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { success: false, reason: "invalid_location", message: "موقع الوجهة غير صالح" };
+    }
+
+    const position = await this.getCaptainPosition(captainId);
+    if (position && calculateDistance(position, { latitude, longitude }) < settings.minTargetDistanceKm) {
+      return { success: false, reason: "too_close", message: "أنت قريب من وجهتك بالفعل" };
+    }
+
+    const today = this.dayKey();
+    const now = new Date();
+    const fields = {
+      "destinationMode.active": true,
+      "destinationMode.target": { type: "Point", coordinates: [longitude, latitude] },
+      "destinationMode.address": data.address,
+      "destinationMode.activatedAt": now,
+      "destinationMode.expiresAt": new Date(now.getTime() + settings.durationMinutes * 60 * 1000)
+    };
+    const unset = { "destinationMode.endedAt": "", "destinationMode.endReason": "" };
+
+    // The daily counter is taken in the same update as the mode, so parallel requests cannot pass the limit:
+    // the first use of the day resets it, later ones only increment below the limit
+    let driver = await Driver.findOneAndUpdate(
+      { _id: captainId, "destinationMode.usage.day": { $ne: today } },
+      { $set: { ...fields, "destinationMode.usage": { day: today, count: 1 } }, $unset: unset },
+      { new: true }
+    ).select("destinationMode").lean();
+    if (!driver) {
+      driver = await Driver.findOneAndUpdate(
+        { _id: captainId, "destinationMode.usage.day": today, "destinationMode.usage.count": { $lt: settings.maxUsesPerDay } },
+        { $set: fields, $inc: { "destinationMode.usage.count": 1 }, $unset: unset },
+        { new: true }
+      ).select("destinationMode").lean();
+    }
+    if (!driver) {
+      if (!(await Driver.exists({ _id: captainId }))) {
+        return { success: false, reason: "not_found", message: "السائق غير موجود" };
+      }
+      return {
+        success: false,
+        reason: "daily_limit",
+        message: `استخدمت وضع الوجهة ${settings.maxUsesPerDay} مرات اليوم، حاول غداً`
+      };
+    }
+
+    this.activeModes.set(captainId.toString(), { target: [longitude, latitude], expiresAt: driver.destinationMode.expiresAt });
+    const mode = this.formatMode(driver.destinationMode, settings);
+    this.notifyAdmins(captainId, mode);
+    this.logger.info(`[Destination] Captain ${captainId} heading to (${longitude}, ${latitude}) until ${mode.expiresAt.toISOString()} (${mode.usesLeft} uses left today)`);
+
+    return { success: true, message: "تم تفعيل وضع الوجهة", data: mode };
+  }
+
+  /**
+   * Turn destination mode off
+   * @param {string} reason - cleared | expired | arrived
+   */
+  async clearDestination(captainId, reason = "cleared", rideSettings = null) {
+    this.activeModes.delete(captainId.toString());
+
+    const driver = await Driver.findOneAndUpdate(
+      { _id: captainId, "destinationMode.active": true },
+      { $set: { "destinationMode.active": false, "destinationMode.endedAt": new Date(), "destinationMode.endReason": reason } },
+      { new: true }
+    ).select("destinationMode").lean();
+    if (!driver) return null;
+
+    const mode = this.formatMode(driver.destinationMode, this.getSettings(rideSettings));
+    this.notifyAdmins(captainId, mode);
+    this.logger.info(`[Destination] Destination mode of captain ${captainId} ended (${reason})`);
+    return mode;
+  }
+
+  /**
+   * New captain position: end the mode on arrival or expiry
+   * @returns {Promise<Object|null>} { reason, mode } when the mode ended
+   */
+  async handleCaptainLocation(captainId, location, rideSettings) {
+    const active = this.activeModes.get(captainId.toString());
+    if (!active) return null;
+
+    try {
+      const settings = this.getSettings(rideSettings);
+      let reason = null;
+      if (active.expiresAt <= new Date()) {
+        reason = "expired";
+      } else if (calculateDistance(location, toLatLng(active.target)) <= settings.arrivalRadiusKm) {
+        reason = "arrived";
+      }
+      if (!reason) return null;
+
+      const mode = await this.clearDestination(captainId, reason, rideSettings);
+      return { reason, mode };
+    } catch (error) {
+      this.logger.error(`[Destination] Error checking destination mode of captain ${captainId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Does the ride bring the captain meaningfully closer to his target
+   * @param {Object} start - Captain position { latitude, longitude }
+   * @param {Object} dropoff - { latitude, longitude }
+   * @param {Object} target - { latitude, longitude }
+   */
+  rideMovesTowardsTarget(start, dropoff, target, settings) {
+    const startDistanceKm = calculateDistance(start, target);
+    const dropoffDistanceKm = calculateDistance(dropoff, target);
+    const progressKm = startDistanceKm - dropoffDistanceKm;
+    const requiredKm = Math.max(settings.minProgressKm, startDistanceKm * (settings.minProgressPercent / 100));
+
+    return {
+      eligible: progressKm >= requiredKm,
+      progressKm: Number(progressKm.toFixed(2)),
+      requiredKm: Number(requiredKm.toFixed(2))
+    };
+  }
+
+  /**
+   * Drop captains in destination mode whose target the ride does not move them towards (dispatch)
+   * @param {Array<string>} captainIds
+   * @param {Object} ride - pickupLocation / dropoffLocation
+   * @param {Object} rideSettings
+   * @returns {Promise<Array<string>>}
+   */
+  async filterCaptainsForRide(captainIds, ride, rideSettings) {
+    const settings = this.getSettings(rideSettings);
+    if (!settings.enabled || captainIds.length === 0 || !ride.dropoffLocation?.coordinates) return captainIds;
+
+    try {
+      const heading = await Driver.find({
+        _id: { $in: captainIds },
+        "destinationMode.active": true,
+        "destinationMode.expiresAt": { $gt: new Date() }
+      }).select("destinationMode.target").lean();
+      if (heading.length === 0) return captainIds;
+
+      const positions = await this.getCaptainPositions(heading.map(driver => driver._id.toString()));
+      const pickup = toLatLng(ride.pickupLocation.coordinates);
+      const dropoff = toLatLng(ride.dropoffLocation.coordinates);
+
+      const skipped = new Set();
+      heading.forEach(driver => {
+        const captainId = driver._id.toString();
+        const start = positions.get(captainId) || pickup;
+        const check = this.rideMovesTowardsTarget(start, dropoff, toLatLng(driver.destinationMode.target.coordinates), settings);
+        if (!check.eligible) skipped.add(captainId);
+      });
+
+      if (skipped.size > 0) {
+        this.logger.debug(`[Destination] Ride ${ride._id}: ${skipped.size} captains in destination mode skipped (drop-off not towards their target)`);
+      }
+      return captainIds.filter(captainId => !skipped.has(captainId.toString()));
+    } catch (error) {
+      this.logger.error(`[Destination] Error filtering captains by destination for ride ${ride._id}:`, error);
+      return captainIds;
+    }
+  }
+
+  async getCaptainPosition(captainId) {
+    const positions = await this.getCaptainPositions([captainId.toString()]);
+    return positions.get(captainId.toString()) || null;
+  }
+
+  /**
+   * @returns {Promise<Map<string, {latitude, longitude}>>}
+   */
+  async getCaptainPositions(captainIds) {
+    try {
+      return await getCaptainPositions(this.redisClient, captainIds);
+    } catch (error) {
+      this.logger.warn(`[Destination] Could not read captain positions: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  notifyAdmins(captainId, mode) {
+    this.adminSocketService?.broadcastToAdmins("captainDestinationMode", {
+      captainId: captainId.toString(),
+      destinationMode: mode,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Captain left this node
+   */
+  forgetCaptain(captainId) {
+    this.activeModes.delete(captainId.toString());
+  }
+}
+
+module.exports = CaptainDestinationService;
@@ -0,0 +1,244 @@
+const mongoose = require("mongoose");
+const Ride = require("../model/ride");
+const Driver = require("../model/Driver");
+const { calculateDistance, getCaptainPositions } = require("../utils/helpers");
+
+const DEFAULT_SCORING = {
+  enabled: true,
+  weights: {
+    eta: 0.35,
+    acceptanceRate: 0.2,
+    recentRejections: 0.15,
+    rating: 0.15,
+    idleTime: 0.1,
+    walletBalance: 0.05
+  },
+  averageSpeedKmh: 25,
+  maxEtaMinutes: 15,
+  historySize: 20,
+  rejectionWindowMinutes: 30,
+  maxRecentRejections: 3,
+  maxIdleMinutes: 60,
+  walletTarget: 10000,
+  maxCaptainsPerWave: 0
+};
+
+const FINISHED_RIDE_STATUSES = ["awaiting_payment", "completed"];
+
+/**
+ * Captain Scoring Service
+ * ترتيب الكباتن قبل إرسال الطلب: زمن الوصول، نسبة القبول، الرفض الأخير، التقييم، مدة الانتظار ورصيد المحفظة
+ *
+ * Every factor returns a value between 0 (worst) and 1 (best) plus the raw reading it came from.
+ * The score is the weighted sum with weights from RideSetting.dispatch.scoring.weights,
+ * more factors can be plugged in with registerFactor().
+ */
+class CaptainScoringService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+    this.routingService = dependencies.routingService || null; // Road ETAs, straight line without it
+    this.factors = new Map(); // name -> { scoreFn: (candidate, context) => { value, raw }, defaultWeight }
+
+    this.registerDefaultFactors();
+  }
+
+  /**
+   * Add (or replace) a scoring factor
+   * @param {string} name - Also the key of its weight in RideSetting.dispatch.scoring.weights
+   * @param {Function} scoreFn - (candidate, context) => { value: 0..1, raw }
+   * @param {number} defaultWeight - Used while the settings have no weight for it
+   */
+  registerFactor(name, scoreFn, defaultWeight = 0) {
+    this.factors.set(name, { scoreFn, defaultWeight });
+  }
+
+  registerDefaultFactors() {
+    this.registerFactor("eta", ({ position, route }, { pickup, settings }) => {
+      if (!position || !pickup) return { value: 0, raw: null };
+      const distanceKm = route ? route.distanceKm : calculateDistance(position, pickup);
+      const etaMinutes = route ? route.durationMinutes : (distanceKm / settings.averageSpeedKmh) * 60;
+      return {
+        value: 1 - Math.min(etaMinutes / settings.maxEtaMinutes, 1),
+        raw: {
+          distanceKm: Number(distanceKm.toFixed(2)),
+          etaMinutes: Number(etaMinutes.toFixed(1)),
+          source: route ? "road" : "straight_line"
+        }
+      };
+    });
+
+    this.registerFactor("acceptanceRate", ({ history }, { settings }) => {
+      const responses = history
+        .filter(entry => ["accepted", "rejected", "timeout"].includes(entry.action))
+        .slice(-settings.historySize);
+      // No answers yet: neutral instead of punishing new captains
+      if (responses.length === 0) return { value: 0.5, raw: null };
+
+      const rate = responses.filter(entry => entry.action === "accepted").length / responses.length;
+      return { value: rate, raw: { rate: Number(rate.toFixed(2)), responses: responses.length } };
+    });
+
+    this.registerFactor("recentRejections", ({ history }, { settings, now }) => {
+      const since = now - settings.rejectionWindowMinutes * 60000;
+      const count = history.filter(entry =>
+        ["rejected", "timeout"].includes(entry.action) && new Date(entry.timestamp).getTime() >= since
+      ).length;
+      return { value: 1 - Math.min(count / settings.maxRecentRejections, 1), raw: { count } };
+    });
+
+    this.registerFactor("rating", ({ driver }) => {
+      const rating = driver?.rating ?? 5;
+      return { value: Math.min(Math.max((rating - 1) / 4, 0), 1), raw: { rating } };
+    });
+
+    this.registerFactor("idleTime", ({ lastTripAt }, { settings, now }) => {
+      // Never finished a trip: treat as idle for the whole window
+      if (!lastTripAt) return { value: 1, raw: null };
+      const idleMinutes = (now - new Date(lastTripAt).getTime()) / 60000;
+      return {
+        value: Math.min(Math.max(idleMinutes / settings.maxIdleMinutes, 0), 1),
+        raw: { idleMinutes: Math.round(idleMinutes) }
+      };
+    });
+
+    this.registerFactor("walletBalance", ({ driver }, { settings }) => {
+      const balance = driver?.financialAccount?.vault ?? driver?.balance ?? 0;
+      return {
+        value: Math.min(Math.max(balance / settings.walletTarget, 0), 1),
+        raw: { balance }
+      };
+    });
+  }
+
+  /**
+   * Scoring settings merged with defaults
+   * @param {Object} dispatchSettings - RideSetting.dispatch
+   */
+  getSettings(dispatchSettings) {
+    const raw = dispatchSettings?.scoring;
+    const scoring = raw && typeof raw.toObject === "function" ? raw.toObject() : (raw || {});
+    return {
+      ...DEFAULT_SCORING,
+      ...scoring,
+      weights: { ...DEFAULT_SCORING.weights, ...(scoring.weights || {}) }
+    };
+  }
+
+  /**
+   * Rank captains for a ride, best first
+   * @param {Array<string>} captainIds
+   * @param {Object} ride
+   * @param {Object} options - { dispatchSettings, responseHistory: Map<captainId, Array> }
+   * @returns {Promise<Array>} [{ captainId, rank, score, factors: { name: { value, weight, raw } } }]
+   */
+  async rankCaptains(captainIds, ride, { dispatchSettings, responseHistory = new Map() } = {}) {
+    if (!captainIds || captainIds.length === 0) return [];
+
+    const settings = this.getSettings(dispatchSettings);
+    if (!settings.enabled) {
+      return captainIds.map((captainId, index) => ({ captainId, rank: index + 1, score: null, factors: {} }));
+    }
+
+    // Malformed ids are dropped here, Driver.find would throw a CastError on them
+    const objectIds = captainIds
+      .filter(captainId => mongoose.Types.ObjectId.isValid(captainId))
+      .map(captainId => new mongoose.Types.ObjectId(captainId));
+
+    const [positions, drivers, lastTrips] = await Promise.all([
+      this.getCaptainPositions(captainIds),
+      Driver.find({ _id: { $in: objectIds } })
+        .select("rating balance financialAccount")
+        .populate("financialAccount", "vault")
+        .lean(),
+      Ride.aggregate([
+        // aggregate does not cast ids
+        { $match: { driver: { $in: objectIds }, status: { $in: FINISHED_RIDE_STATUSES } } },
+        { $group: { _id: "$driver", lastTripAt: { $max: "$updatedAt" } } }
+      ])
+    ]);
+
+    const driversById = new Map(drivers.map(driver => [driver._id.toString(), driver]));
+    const lastTripById = new Map(lastTrips.map(trip => [trip._id.toString(), trip.lastTripAt]));
+    const pickup = ride?.pickupLocation?.coordinates
+      ? { longitude: ride.pickupLocation.coordinates[0], latitude: ride.pickupLocation.coordinates[1] }
+      : null;
+    const routes = await this.getPickupRoutes(captainIds, positions, pickup);
+    const context = { pickup, settings, now: Date.now() };
+
+    const ranked = captainIds.map(captainId => {
+      const candidate = {
+        captainId,
+        position: positions.get(captainId) || null,
+        route: routes.get(captainId) || null,
+        driver: driversById.get(captainId) || null,
+        lastTripAt: lastTripById.get(captainId) || null,
+        history: responseHistory.get(captainId) || []
+      };
+
+      let score = 0;
+      const factors = {};
+      for (const [name, { scoreFn, defaultWeight }] of this.factors) {
+        const weight = settings.weights[name] ?? defaultWeight;
+        let result;
+        try {
+          result = scoreFn(candidate, context);
+        } catch (error) {
+          this.logger.warn(`[Scoring] Factor ${name} failed for captain ${captainId}: ${error.message}`);
+          result = { value: 0, raw: null };
+        }
+        const value = Math.min(Math.max(Number(result.value) || 0, 0), 1);
+        score += weight * value;
+        factors[name] = { value: Number(value.toFixed(3)), weight, raw: result.raw ?? null };
+      }
+
+      return { captainId, score: Number(score.toFixed(4)), factors };
+    });
+
+    // Nearest first among equal scores (captainIds come sorted by distance)
+    ranked.sort((a, b) => b.score - a.score);
+    ranked.forEach((entry, index) => { entry.rank = index + 1; });
+
+    this.logger.debug(`[Scoring] Ride ${ride?._id}: ${ranked.map(entry => `${entry.captainId}=${entry.score}`).join(", ")}`);
+    return ranked;
+  }
+
+  /**
+   * Road distance and time from each located captain to the pickup
+   * Straight-line fallbacks are left out so the eta factor keeps its own average speed for them
+   * @returns {Promise<Map<string, {distanceKm, durationMinutes}>>}
+   */
+  async getPickupRoutes(captainIds, positions, pickup) {
+    const routes = new Map();
+    if (!this.routingService || !pickup) return routes;
+
+    const located = captainIds.filter(captainId => positions.has(captainId));
+    try {
+      const etas = await this.routingService.getEtas(
+        located.map(captainId => [positions.get(captainId).longitude, positions.get(captainId).latitude]),
+        [pickup.longitude, pickup.latitude]
+      );
+      etas.forEach((eta, index) => {
+        if (eta && !eta.estimated) routes.set(located[index], eta);
+      });
+    } catch (error) {
+      this.logger.warn(`[Scoring] Could not read road ETAs: ${error.message}`);
+    }
+    return routes;
+  }
+
+  /**
+   * Current positions from the captains geo set
+   * @returns {Promise<Map<string, {latitude, longitude}>>}
+   */
+  async getCaptainPositions(captainIds) {
+    try {
+      return await getCaptainPositions(this.redisClient, captainIds);
+    } catch (error) {
+      this.logger.warn(`[Scoring] Could not read captain positions: ${error.message}`);
+      return new Map();
+    }
+  }
+}
+
+module.exports = CaptainScoringService;
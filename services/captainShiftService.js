@@ -0,0 +1,504 @@
+const CaptainShift = require("../model/captainShift");
+const Driver = require("../model/Driver");
+const Ride = require("../model/ride");
+const RideSetting = require("../model/rideSetting");
+
+const DEFAULT_FATIGUE = {
+  enabled: true,
+  maxContinuousHours: 8,
+  breakMinutes: 30,
+  restGapMinutes: 15,
+  warnBeforeMinutes: 15,
+  checkIntervalSeconds: 60
+};
+
+const ON_TRIP_STATUSES = ["accepted", "arrived", "onRide"];
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const STALE_SHIFT_MS = 15 * 60 * 1000; // Open shift without any location update for this long is closed
+
+/**
+ * Captain Shift Service
+ * ورديات الكباتن: تسجيل كل اتصال/انقطاع ووقت الاتصال ووقت الرحلات ووقت الانتظار،
+ * وفرض استراحة إجبارية بعد عدد ساعات من القيادة المتواصلة (لا يستلم الكابتن طلبات خلالها)
+ *
+ * A shift opens when an available captain connects (or switches availability on) and closes on
+ * disconnect or availability off. Continuous driving survives disconnections shorter than
+ * restGapMinutes. Breaks are Redis keys with a TTL so every node's dispatch skips the captain.
+ */
+class CaptainShiftService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+    this.captainSocketService = dependencies.captainSocketService || null;
+
+    this.settings = { ...DEFAULT_FATIGUE };
+    this.lastTouchAt = new Map(); // captainId -> timestamp of the last lastSeenAt write
+    this.localBreaks = new Map(); // captainId -> { until (ms), reason } when Redis is unavailable
+    this.intervalId = null;
+    this.tickRunning = false;
+  }
+
+  setCaptainSocketService(captainSocketService) {
+    this.captainSocketService = captainSocketService;
+  }
+
+  /**
+   * Fatigue settings merged with defaults
+   */
+  async getSettings() {
+    try {
+      const settings = await RideSetting.findOne({ name: "default" }).select("fatigue");
+      const fatigue = settings?.fatigue?.toObject ? settings.fatigue.toObject() : settings?.fatigue;
+      return { ...DEFAULT_FATIGUE, ...(fatigue || {}) };
+    } catch (error) {
+      this.logger.error("[Shifts] Error loading fatigue settings, using defaults:", error);
+      return { ...DEFAULT_FATIGUE };
+    }
+  }
+
+  breakKey(captainId) {
+    return `shift:break:${captainId}`;
+  }
+
+  /**
+   * Open (or keep) the captain's shift. Unavailable captains are not on shift.
+   * @param {string} captainId
+   * @returns {Promise<Object|null>} Open shift
+   */
+  async openShift(captainId) {
+    try {
+      const driver = await Driver.findById(captainId).select("isAvailable").lean();
+      if (!driver || driver.isAvailable === false) return null;
+
+      const now = new Date();
+      const open = await CaptainShift.findOne({ captain: captainId, status: "open" });
+      if (open) {
+        if (now - (open.lastSeenAt || open.startedAt) < STALE_SHIFT_MS) {
+          return open;
+        }
+        await this.finishShift(open, "stale", open.lastSeenAt || open.startedAt);
+      }
+
+      // A short disconnection is not a rest: the driving period goes on
+      const previous = await CaptainShift.findOne({ captain: captainId, status: "closed" })
+        .sort({ endedAt: -1 })
+        .select("endedAt continuousSince")
+        .lean();
+      const rested = !previous || now - previous.endedAt >= this.settings.restGapMinutes * 60 * 1000;
+      const continuousSince = rested ? now : previous.continuousSince;
+
+      const onTrip = await Ride.exists({ driver: captainId, status: { $in: ON_TRIP_STATUSES } });
+
+      const shift = await CaptainShift.findOneAndUpdate(
+        { captain: captainId, status: "open" },
+        {
+          $setOnInsert: {
+            captain: captainId,
+            status: "open",
+            startedAt: now,
+            lastSeenAt: now,
+            continuousSince,
+            currentTripStartedAt: onTrip ? now : null
+          }
+        },
+        { upsert: true, new: true }
+      );
+      this.lastTouchAt.set(captainId.toString(), now.getTime());
+      this.logger.info(`[Shifts] Shift opened for captain ${captainId}${rested ? "" : ` (driving since ${continuousSince.toISOString()})`}`);
+      return shift;
+    } catch (error) {
+      // Another node opened it at the same moment
+      if (error.code === 11000) {
+        return CaptainShift.findOne({ captain: captainId, status: "open" });
+      }
+      this.logger.error(`[Shifts] Could not open shift for captain ${captainId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Close the captain's open shift
+   * @param {string} captainId
+   * @param {string} reason - offline | disconnect | unavailable | stale
+   */
+  async closeShift(captainId, reason = "offline") {
+    try {
+      const open = await CaptainShift.findOne({ captain: captainId, status: "open" });
+      if (!open) return null;
+
+      this.lastTouchAt.delete(captainId.toString());
+      return await this.finishShift(open, reason, new Date());
+    } catch (error) {
+      this.logger.error(`[Shifts] Could not close shift for captain ${captainId}:`, error);
+      return null;
+    }
+  }
+
+  async finishShift(shift, reason, endedAt) {
+    const tripSeconds = shift.currentTripStartedAt
+      ? Math.max((endedAt - shift.currentTripStartedAt) / 1000, 0)
+      : 0;
+    const onTripSeconds = Math.round(shift.onTripSeconds + tripSeconds);
+    const onlineSeconds = Math.round(Math.max((endedAt - shift.startedAt) / 1000, 0));
+
+    const closed = await CaptainShift.findOneAndUpdate(
+      { _id: shift._id, status: "open" },
+      {
+        $set: {
+          status: "closed",
+          endedAt,
+          endReason: reason,
+          onTripSeconds,
+          onlineSeconds,
+          idleSeconds: Math.max(onlineSeconds - onTripSeconds, 0),
+          currentTripStartedAt: null
+        }
+      },
+      { new: true }
+    );
+    if (closed) {
+      this.logger.info(`[Shifts] Shift closed for captain ${shift.captain} (${reason}): ${Math.round(onlineSeconds / 60)} min online, ${Math.round(onTripSeconds / 60)} min on trip`);
+    }
+    return closed;
+  }
+
+  /**
+   * Captain is still online (location update). Writes are throttled; a captain whose shift was
+   * closed as stale gets a new one.
+   */
+  async touch(captainId) {
+    const key = captainId.toString();
+    const now = Date.now();
+    if (now - (this.lastTouchAt.get(key) || 0) < TOUCH_INTERVAL_MS) return;
+    this.lastTouchAt.set(key, now);
+
+    try {
+      const result = await CaptainShift.updateOne(
+        { captain: captainId, status: "open" },
+        { $set: { lastSeenAt: new Date(now) } }
+      );
+      if (result.matchedCount === 0) {
+        await this.openShift(captainId);
+      }
+    } catch (error) {
+      this.logger.error(`[Shifts] Could not update shift of captain ${captainId}:`, error);
+    }
+  }
+
+  /**
+   * Captain accepted a ride: on-trip time starts (a pooled second ride keeps the running timer)
+   */
+  async markTripStart(captainId) {
+    try {
+      await CaptainShift.updateOne(
+        { captain: captainId, status: "open", currentTripStartedAt: null },
+        { $set: { currentTripStartedAt: new Date() } }
+      );
+    } catch (error) {
+      this.logger.error(`[Shifts] Could not mark trip start for captain ${captainId}:`, error);
+    }
+  }
+
+  /**
+   * A ride of the captain ended or was cancelled: on-trip time stops once no ride is left
+   */
+  async markTripEnd(captainId) {
+    try {
+      if (await Ride.exists({ driver: captainId, status: { $in: ON_TRIP_STATUSES } })) return;
+
+      const shift = await CaptainShift.findOne({ captain: captainId, status: "open", currentTripStartedAt: { $ne: null } })
+        .select("currentTripStartedAt")
+        .lean();
+      if (!shift) return;
+
+      const seconds = Math.round(Math.max((Date.now() - shift.currentTripStartedAt) / 1000, 0));
+      await CaptainShift.updateOne(
+        { _id: shift._id, currentTripStartedAt: shift.currentTripStartedAt },
+        { $inc: { onTripSeconds: seconds }, $set: { currentTripStartedAt: null } }
+      );
+
+      // A break that fell due during the trip starts now, before the captain can take the next one
+      if (this.settings.enabled) {
+        const dueBefore = new Date(Date.now() - this.settings.maxContinuousHours * 3600 * 1000);
+        const due = await CaptainShift.findOne({
+          _id: shift._id,
+          continuousSince: { $lte: dueBefore },
+          currentTripStartedAt: null
+        }).select("captain continuousSince").lean();
+        if (due) await this.startBreak(due);
+      }
+    } catch (error) {
+      this.logger.error(`[Shifts] Could not mark trip end for captain ${captainId}:`, error);
+    }
+  }
+
+  /**
+   * Forced break of the captain, if any
+   * @returns {Promise<Object|null>} { until, reason }
+   */
+  async getBreak(captainId) {
+    if (!this.redisClient) {
+      const entry = this.localBreaks.get(captainId.toString());
+      // Held offers are not a break yet, the captain is still finishing a trip
+      if (!entry || entry.until <= Date.now() || entry.reason === "break_due") return null;
+      return { until: new Date(entry.until), reason: entry.reason };
+    }
+
+    try {
+      const value = await this.redisClient.get(this.breakKey(captainId));
+      if (!value) return null;
+      const { until, reason } = JSON.parse(value);
+      if (reason === "break_due") return null;
+      return { until: new Date(until), reason };
+    } catch (error) {
+      this.logger.error(`[Shifts] Could not read break of captain ${captainId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Drop captains on a forced break (dispatch)
+   * @param {Array<string>} captainIds
+   * @returns {Promise<Array<string>>}
+   */
+  async filterCaptainsOnBreak(captainIds) {
+    if (captainIds.length === 0) return captainIds;
+
+    if (!this.redisClient) {
+      const now = Date.now();
+      return captainIds.filter(captainId => !(this.localBreaks.get(captainId.toString())?.until > now));
+    }
+
+    try {
+      const values = await this.redisClient.mGet(captainIds.map(captainId => this.breakKey(captainId)));
+      const filtered = captainIds.filter((_, index) => !values[index]);
+      if (filtered.length < captainIds.length) {
+        this.logger.debug(`[Shifts] ${captainIds.length - filtered.length} captains skipped (forced break)`);
+      }
+      return filtered;
+    } catch (error) {
+      this.logger.error("[Shifts] Could not read forced breaks, dispatching without the check:", error);
+      return captainIds;
+    }
+  }
+
+  async start() {
+    if (this.intervalId) return;
+
+    this.settings = await this.getSettings();
+    const intervalMs = this.settings.checkIntervalSeconds * 1000;
+    this.intervalId = setInterval(() => this.tick(), intervalMs);
+    this.logger.info(`[Shifts] Fatigue checks started (${this.settings.checkIntervalSeconds}s interval, break after ${this.settings.maxContinuousHours}h, ${this.settings.enabled ? "enabled" : "disabled"})`);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.logger.info("[Shifts] Fatigue checks stopped");
+    }
+  }
+
+  async tick() {
+    if (this.tickRunning) return;
+    this.tickRunning = true;
+
+    try {
+      this.settings = await this.getSettings();
+      await this.closeStaleShifts();
+      if (!this.settings.enabled) return;
+
+      await this.sendBreakWarnings();
+      await this.startDueBreaks();
+    } catch (error) {
+      this.logger.error("[Shifts] Error during fatigue check:", error);
+    } finally {
+      this.tickRunning = false;
+    }
+  }
+
+  /**
+   * Shifts left open by a node that went down without a disconnect
+   */
+  async closeStaleShifts() {
+    const staleBefore = new Date(Date.now() - STALE_SHIFT_MS);
+    const stale = await CaptainShift.find({ status: "open", lastSeenAt: { $lt: staleBefore } });
+    for (const shift of stale) {
+      await this.finishShift(shift, "stale", shift.lastSeenAt);
+    }
+  }
+
+  async sendBreakWarnings() {
+    const { maxContinuousHours, warnBeforeMinutes } = this.settings;
+    if (warnBeforeMinutes <= 0) return;
+
+    const now = Date.now();
+    const warnFrom = new Date(now - maxContinuousHours * 3600 * 1000 + warnBeforeMinutes * 60 * 1000);
+    const shifts = await CaptainShift.find({
+      status: "open",
+      continuousSince: { $lte: warnFrom },
+      breakWarningSentAt: null
+    }).select("captain continuousSince").lean();
+
+    for (const shift of shifts) {
+      // Claim the warning so only one node sends it
+      const claimed = await CaptainShift.updateOne(
+        { _id: shift._id, breakWarningSentAt: null },
+        { $set: { breakWarningSentAt: new Date(now) } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const breakAt = new Date(new Date(shift.continuousSince).getTime() + maxContinuousHours * 3600 * 1000);
+      const minutesLeft = Math.max(Math.ceil((breakAt - now) / 60000), 0);
+      this.captainSocketService?.emitToCaptain(shift.captain.toString(), "breakWarning", {
+        breakAt,
+        minutesLeft,
+        breakMinutes: this.settings.breakMinutes,
+        message: `ستبدأ استراحتك الإجبارية بعد ${minutesLeft} دقيقة من القيادة المتواصلة`
+      });
+    }
+  }
+
+  async startDueBreaks() {
+    const { maxContinuousHours } = this.settings;
+    const dueBefore = new Date(Date.now() - maxContinuousHours * 3600 * 1000);
+    const shifts = await CaptainShift.find({
+      status: "open",
+      continuousSince: { $lte: dueBefore }
+    }).select("captain continuousSince currentTripStartedAt").lean();
+
+    for (const shift of shifts) {
+      if (shift.currentTripStartedAt) {
+        // A captain on a trip finishes it first (markTripEnd starts the break), no new offers meanwhile
+        await this.holdOffers(shift.captain.toString());
+        continue;
+      }
+      await this.startBreak(shift);
+    }
+  }
+
+  /**
+   * Start the forced break of a due shift
+   * @param {Object} shift - { _id, captain, continuousSince }
+   */
+  async startBreak(shift) {
+    const startedAt = new Date();
+    const endsAt = new Date(startedAt.getTime() + this.settings.breakMinutes * 60 * 1000);
+
+    // Claim on the driving period so only one node starts the break
+    const claimed = await CaptainShift.updateOne(
+      { _id: shift._id, continuousSince: shift.continuousSince, currentTripStartedAt: null },
+      {
+        $set: { continuousSince: endsAt, breakWarningSentAt: null },
+        $push: { breaks: { startedAt, endsAt, reason: "fatigue" } }
+      }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    await this.setBreak(shift.captain.toString(), endsAt);
+  }
+
+  /**
+   * Keep a captain whose break is due out of dispatch until the current trip ends.
+   * Renewed every check, so it lapses on its own if the trip end is never reported.
+   */
+  async holdOffers(captainId) {
+    const until = Date.now() + this.settings.checkIntervalSeconds * 2 * 1000;
+    if (this.redisClient) {
+      try {
+        await this.redisClient.set(
+          this.breakKey(captainId),
+          JSON.stringify({ until, reason: "break_due" }),
+          { PX: until - Date.now() }
+        );
+      } catch (error) {
+        this.logger.error(`[Shifts] Could not hold offers of captain ${captainId}:`, error);
+      }
+    } else {
+      this.localBreaks.set(captainId, { until, reason: "break_due" });
+    }
+  }
+
+  async setBreak(captainId, endsAt) {
+    const ttlMs = Math.max(endsAt - Date.now(), 1000);
+    if (this.redisClient) {
+      try {
+        await this.redisClient.set(
+          this.breakKey(captainId),
+          JSON.stringify({ until: endsAt.getTime(), reason: "fatigue" }),
+          { PX: ttlMs }
+        );
+      } catch (error) {
+        this.logger.error(`[Shifts] Could not store break of captain ${captainId}:`, error);
+      }
+    } else {
+      this.localBreaks.set(captainId, { until: endsAt.getTime(), reason: "fatigue" });
+    }
+
+    this.captainSocketService?.emitToCaptain(captainId, "forcedBreak", {
+      until: endsAt,
+      breakMinutes: this.settings.breakMinutes,
+      reason: "fatigue",
+      message: `لقد قدت ${this.settings.maxContinuousHours} ساعات متواصلة، لن تصلك طلبات جديدة خلال الاستراحة (${this.settings.breakMinutes} دقيقة)`
+    });
+    this.logger.info(`[Shifts] Captain ${captainId} on a forced break until ${endsAt.toISOString()}`);
+  }
+
+  /**
+   * Online and on-trip time of the captain since a date, per day (Saturday first) for /my-analysis
+   * @param {string} captainId
+   * @param {Date} from - Start of the period
+   * @returns {Promise<Object>}
+   */
+  async getOnlineSummary(captainId, from) {
+    const now = new Date();
+    const shifts = await CaptainShift.find({
+      captain: captainId,
+      $or: [{ status: "open" }, { endedAt: { $gte: from } }]
+    }).select("status startedAt endedAt onTripSeconds currentTripStartedAt continuousSince").lean();
+
+    const days = Array.from({ length: 7 }, () => ({ onlineSeconds: 0, onTripSeconds: 0 }));
+    let onlineSeconds = 0;
+    let onTripSeconds = 0;
+
+    for (const shift of shifts) {
+      const start = shift.startedAt < from ? from : shift.startedAt;
+      const end = shift.endedAt || now;
+      const shiftOnline = Math.max((end - start) / 1000, 0);
+      const shiftTotal = Math.max((end - shift.startedAt) / 1000, 1);
+      const shiftTrip = shift.onTripSeconds +
+        (shift.currentTripStartedAt ? Math.max((now - shift.currentTripStartedAt) / 1000, 0) : 0);
+      // A shift that started before the period only counts its share of trip time
+      const tripInPeriod = Math.min(shiftTrip * (shiftOnline / shiftTotal), shiftOnline);
+
+      onlineSeconds += shiftOnline;
+      onTripSeconds += tripInPeriod;
+      const day = days[(new Date(start).getDay() + 1) % 7];
+      day.onlineSeconds += shiftOnline;
+      day.onTripSeconds += tripInPeriod;
+    }
+
+    const open = shifts.find(shift => shift.status === "open");
+    const onBreak = await this.getBreak(captainId);
+    const continuousSince = open ? new Date(open.continuousSince) : null;
+
+    return {
+      onlineSeconds: Math.round(onlineSeconds),
+      onTripSeconds: Math.round(onTripSeconds),
+      idleSeconds: Math.round(Math.max(onlineSeconds - onTripSeconds, 0)),
+      days: days.map(day => ({
+        onlineSeconds: Math.round(day.onlineSeconds),
+        onTripSeconds: Math.round(day.onTripSeconds)
+      })),
+      currentShift: open
+        ? {
+          startedAt: open.startedAt,
+          continuousDrivingMinutes: continuousSince && continuousSince < now ? Math.round((now - continuousSince) / 60000) : 0,
+          breakUntil: onBreak?.until || null
+        }
+        : null
+    };
+  }
+}
+
+module.exports = CaptainShiftService;
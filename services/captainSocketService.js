@@ -4,6 +4,8 @@ const Captain = require("../model/Driver");
 const RideSetting = require("../model/rideSetting");
 const ChatService = require("./chatService"); // Chat service for messaging
 const StateManagementService = require("./stateManagementService"); // State management service
+const { formatWaypoints, getCaptainPositions } = require("../utils/helpers");
+const { DEFAULT_VEHICLE_CATEGORY } = require("../utils/vehicleCategories");
 
 /**
  * Enterprise-Grade Captain Socket Service with Seamless Queue Management
@@ -34,6 +36,7 @@ class CaptainSocketService {
 
     // Advanced queue integration
     this.dispatchService = dependencies.dispatchService || null;
+    this.clusterStateService = dependencies.clusterStateService || null; // Cross-node presence
 
     // Service state
     this.captainNamespace = null;
@@ -45,6 +48,30 @@ class CaptainSocketService {
     // Initialize financial account service
     const FinancialAccountService = require('./financialAccountService');
     this.financialAccountService = new FinancialAccountService(logger);
+
+    // Promo code service (redemption is recorded on ride completion)
+    const PromoCodeService = require('./promoCodeService');
+    this.promoCodeService = dependencies.promoCodeService || new PromoCodeService(logger);
+
+    // Recharge card redemption
+    const RechargeCardService = require('./rechargeCardService');
+    this.rechargeCardService = dependencies.rechargeCardService || new RechargeCardService(logger, this.financialAccountService);
+
+    // Shared (pooled) rides
+    const PoolingService = require('./poolingService');
+    this.poolingService = dependencies.poolingService || new PoolingService(logger, { redisClient: dependencies.redisClient });
+
+    // Road routing for the pickup ETA shown to the customer
+    const RoutingService = require('./routingService');
+    this.routingService = dependencies.routingService || new RoutingService(logger, { redisClient: dependencies.redisClient });
+    this.tripProgressService = dependencies.tripProgressService || null; // Live ETA pushed to customers
+    this.tripMeteringService = dependencies.tripMeteringService || null; // Recorded trip path and final fare
+    this.captainShiftService = dependencies.captainShiftService || null; // Shift sessions and forced breaks
+    this.captainDestinationService = dependencies.captainDestinationService || null; // "Heading home" ride filter
+    this.ratingService = dependencies.ratingService || null; // Post-trip ratings in both directions
+    this.notificationService = dependencies.notificationService || null; // Push for events missed while offline
+    this.eventJournal = dependencies.eventJournalService || null; // Numbered events replayed after a reconnection
+    this.maskedCallService = dependencies.maskedCallService || null; // Proxy numbers and in-app calls, no real numbers
     
     // 📊 ADVANCED ANALYTICS
     this.connectionMetrics = {
@@ -404,12 +431,38 @@ class CaptainSocketService {
       // Setup captain session
       this.setupCaptainSession(captainId, socket, connectionStartTime);
 
+      // Shift session (kept on a quick reconnection), a forced break still running is shown again
+      if (this.captainShiftService) {
+        await this.captainShiftService.openShift(captainId);
+        const forcedBreak = await this.captainShiftService.getBreak(captainId);
+        if (forcedBreak) {
+          socket.emit('forcedBreak', {
+            until: forcedBreak.until,
+            reason: forcedBreak.reason,
+            message: 'أنت في استراحة إجبارية، لن تصلك طلبات جديدة حتى انتهائها'
+          });
+        }
+      }
+
+      // Destination mode state and today's remaining uses
+      if (this.captainDestinationService) {
+        socket.emit('destinationMode', await this.captainDestinationService.getMode(captainId, this.rideSettings));
+      }
+
+      // Pending offer / queue left behind by a node that went down
+      if (this.dispatchService) {
+        await this.dispatchService.restoreCaptainDispatchState(captainId);
+      }
+
       // Send initial data
       await this.sendInitialData(socket, captainId);
 
       // Restore captain state
       await this.restoreCaptainState(socket, captainId);
 
+      // Events missed since the last one the app processed (only when the app sends its last sequence number)
+      await this.eventJournal?.replay(socket, 'captain', captainId, this.eventJournal.getHandshakeSeq(socket));
+
       // Setup event listeners
       this.setupEventListeners(socket, captainId);
 
@@ -431,7 +484,7 @@ class CaptainSocketService {
   /**
    * Validate captain eligibility with comprehensive checks
    */
-  async validateCaptainEligibility(captainId) {
+  async validateCaptainEligibility(captainId, options = {}) {
     try {
       const captain = await Captain.findById(captainId)
         .select('rating walletBalance isActive isVerified lastActiveAt')
@@ -467,18 +520,29 @@ class CaptainSocketService {
         };
       }
 
-      // Check for active rides
-      const activeRides = await Ride.countDocuments({
+      // Check for active rides - the passengers of one shared pool count as a single active ride
+      const activeRideDocs = await Ride.find({
         driver: captainId,
         status: { $in: ['accepted', 'arrived', 'onRide'] }
-      });
+      }).select('isShared pool.poolId').lean();
+
+      const activePools = new Set(
+        activeRideDocs.filter(ride => ride.isShared && ride.pool?.poolId).map(ride => ride.pool.poolId.toString())
+      );
+      const activeRides = activeRideDocs.filter(ride => !(ride.isShared && ride.pool?.poolId)).length + activePools.size;
 
       const maxActiveRides = this.rideSettings.captainRules.maxActiveRides;
       if (activeRides >= maxActiveRides) {
-        return {
-          eligible: false,
-          reason: `Maximum active rides limit reached: ${maxActiveRides}`
-        };
+        // A captain driving a shared pool may still take a compatible shared ride
+        const canJoinPool = options.rideId && this.poolingService &&
+          await this.poolingService.canJoinCaptainPool(captainId, options.rideId);
+
+        if (!canJoinPool) {
+          return {
+            eligible: false,
+            reason: `Maximum active rides limit reached: ${maxActiveRides}`
+          };
+        }
       }
 
       // Check if captain has been inactive for too long
@@ -513,6 +577,13 @@ class CaptainSocketService {
           timestamp: new Date()
         });
         oldSocket.disconnect(true);
+      } else if (this.clusterStateService) {
+        // Old socket lives on another node
+        this.captainNamespace.to(oldSocketId).emit('connectionReplaced', {
+          message: 'New connection established from another device',
+          timestamp: new Date()
+        });
+        this.captainNamespace.in(oldSocketId).disconnectSockets(true);
       }
       
       // Clean up old session
@@ -520,6 +591,9 @@ class CaptainSocketService {
     }
 
     this.onlineCaptains[captainId] = newSocket.id;
+    if (this.clusterStateService) {
+      await this.clusterStateService.setOnline('captain', captainId, newSocket.id);
+    }
   }
 
   /**
@@ -617,7 +691,7 @@ class CaptainSocketService {
     return await Ride.findOne({
       driver: captainId,
       status: { $in: ['accepted', 'arrived', 'onRide'] },
-    }).populate('passenger', 'name phoneNumber').lean();
+    }).populate('passenger', 'name').lean();
   }
 
   /**
@@ -627,10 +701,10 @@ class CaptainSocketService {
     this.logger.info(`[DB] 🚗 Found ongoing ride ${ongoingRide._id} (Status: ${ongoingRide.status}) for captain ${captainId}`);
 
     // Restore ride sharing map
-    if (!this.rideSharingMap.has(captainId)) {
-      this.rideSharingMap.set(captainId, ongoingRide.passenger._id);
-      this.logger.info(`[State] Restored ride sharing for captain ${captainId} and customer ${ongoingRide.passenger._id}`);
-    }
+    this.addRideSharing(captainId, ongoingRide.passenger._id);
+
+    // Contact goes through the masked call session, never the passenger's real number
+    const contact = await this.maskedCallService?.getRideContact(ongoingRide._id, 'captain', captainId) ?? null;
 
     // Send current ride details
     socket.emit("restoreRide", {
@@ -645,13 +719,27 @@ class CaptainSocketService {
       paymentMethod: ongoingRide.paymentMethod,
       pickupName: ongoingRide.pickupLocation.locationName,
       dropoffName: ongoingRide.dropoffLocation.locationName,
+      waypoints: formatWaypoints(ongoingRide),
+      isShared: !!ongoingRide.isShared,
       passengerInfo: {
         id: ongoingRide.passenger._id,
-        name: ongoingRide.passenger.name,
-        phoneNumber: ongoingRide.passenger.phoneNumber
-      }
+        name: ongoingRide.passenger.name
+      },
+      contact
     });
 
+    // Shared pool: restore location sharing for every passenger and resend the stop plan
+    if (ongoingRide.isShared && this.poolingService) {
+      const pool = await this.poolingService.getActivePool(captainId);
+      if (pool) {
+        const poolRides = await Ride.find({ _id: { $in: pool.rides }, status: { $in: ['accepted', 'arrived', 'onRide'] } })
+          .select('passenger')
+          .lean();
+        poolRides.forEach(poolRide => this.addRideSharing(captainId, poolRide.passenger));
+        socket.emit('poolUpdated', this.poolingService.formatPool(pool));
+      }
+    }
+
     this.updateCaptainActivity(captainId, 'ongoing_ride_restored');
   }
 
@@ -700,7 +788,7 @@ class CaptainSocketService {
     try {
       // Get full ride details
       const ride = await Ride.findById(pendingRide.rideId)
-        .populate('passenger', 'name phoneNumber')
+        .populate('passenger', 'name')
         .lean();
 
       if (ride) {
@@ -717,8 +805,7 @@ class CaptainSocketService {
           dropoffName: ride.dropoffLocation.locationName,
           passengerInfo: {
             id: ride.passenger._id,
-            name: ride.passenger.name,
-            phoneNumber: ride.passenger.phoneNumber
+            name: ride.passenger.name
           },
           // Client doesn't need to know this is a restored notification
           _metadata: {
@@ -779,23 +866,8 @@ class CaptainSocketService {
         return null;
       }
 
-      const location = await this.redisClient.geoPos("captains", captainId);
-      if (location && location.length > 0 && location[0]) {
-        const { longitude: lonStr, latitude: latStr } = location[0];
-        const longitude = parseFloat(lonStr);
-        const latitude = parseFloat(latStr);
-        
-        // Validate coordinates
-        if (isNaN(longitude) || isNaN(latitude) || 
-            longitude < -180 || longitude > 180 || 
-            latitude < -90 || latitude > 90) {
-          this.logger.warn(`[Redis] Invalid coordinates for captain ${captainId}: [${longitude}, ${latitude}]`);
-          return null;
-        }
-        
-        return { longitude, latitude };
-      }
-      return null;
+      const position = (await getCaptainPositions(this.redisClient, [captainId])).get(captainId.toString());
+      return position ? { longitude: position.longitude, latitude: position.latitude } : null;
     } catch (error) {
       this.logger.error(`[Redis] Error getting captain ${captainId} location:`, error);
       return null;
@@ -898,7 +970,9 @@ class CaptainSocketService {
       duration: ride.duration,
       paymentMethod: ride.paymentMethod,
       pickupName: ride.pickupLocation.locationName,
-      dropoffName: ride.dropoffLocation.locationName
+      dropoffName: ride.dropoffLocation.locationName,
+      waypoints: formatWaypoints(ride),
+      vehicleCategory: ride.vehicleCategory || DEFAULT_VEHICLE_CATEGORY
     };
   }
 
@@ -920,7 +994,9 @@ class CaptainSocketService {
         duration: ride.duration,
         paymentMethod: ride.paymentMethod,
         pickupName: ride.pickupLocation.locationName,
-        dropoffName: ride.dropoffLocation.locationName
+        dropoffName: ride.dropoffLocation.locationName,
+        waypoints: formatWaypoints(ride),
+        vehicleCategory: ride.vehicleCategory || DEFAULT_VEHICLE_CATEGORY
       });
 
       this.updateCaptainActivity(captainId, 'direct_ride_notification');
@@ -976,6 +1052,29 @@ class CaptainSocketService {
       await this.handleEndRide(socket, captainId, data);
     });
 
+    // Intermediate stops of multi-stop rides
+    socket.on("waypointArrived", async (data) => {
+      await this.handleWaypointArrived(socket, captainId, data);
+    });
+
+    socket.on("waypointDeparted", async (data) => {
+      await this.handleWaypointDeparted(socket, captainId, data);
+    });
+
+    // Destination mode ("heading home": only rides towards the target)
+    socket.on("setDestinationMode", async (data, callback) => {
+      await this.handleSetDestinationMode(socket, captainId, data, callback);
+    });
+
+    socket.on("clearDestinationMode", async (data, callback) => {
+      await this.handleClearDestinationMode(socket, captainId, typeof data === 'function' ? data : callback);
+    });
+
+    // Post-trip rating of the passenger: { rideId, rating, comment, tags }
+    socket.on("ratePassenger", async (data, callback) => {
+      await this.handleRatePassenger(socket, captainId, data, callback);
+    });
+
     // ===============================
     // Payment System Events - Captain
     // ===============================
@@ -985,6 +1084,11 @@ class CaptainSocketService {
       await this.handlePaymentSubmission(socket, captainId, data);
     });
 
+    // Redeem a recharge card into the captain wallet
+    socket.on("redeemRechargeCard", async (data, callback) => {
+      await this.handleRedeemRechargeCard(socket, captainId, data, callback);
+    });
+
     // ===============================
     // Chat System Events - Captain
     // ===============================
@@ -1079,6 +1183,40 @@ class CaptainSocketService {
       }
     });
 
+    // Event journal: acknowledge processed events, replay the ones missed
+    socket.on("eventAck", async (data) => {
+      await this.eventJournal?.acknowledge('captain', captainId, data?.seq);
+    });
+
+    socket.on("replayEvents", async (data) => {
+      if (!this.eventJournal) {
+        socket.emit('eventsReplayed', { fromSeq: data?.lastSeq ?? null, toSeq: null, count: 0, gap: true });
+        return;
+      }
+      await this.eventJournal.replay(socket, 'captain', captainId, data?.lastSeq);
+    });
+
+    // Masked calling: proxy number of the ride and in-app call signalling with the passenger
+    socket.on("getCallContact", async (data, callback) => {
+      await this.maskedCallService?.handleCallSignal(socket, 'captain', captainId, 'contact', data, callback);
+    });
+
+    socket.on("callStart", async (data, callback) => {
+      await this.maskedCallService?.handleCallSignal(socket, 'captain', captainId, 'start', data, callback);
+    });
+
+    socket.on("callAnswer", async (data, callback) => {
+      await this.maskedCallService?.handleCallSignal(socket, 'captain', captainId, 'answer', data, callback);
+    });
+
+    socket.on("callIceCandidate", async (data, callback) => {
+      await this.maskedCallService?.handleCallSignal(socket, 'captain', captainId, 'ice', data, callback);
+    });
+
+    socket.on("callEnd", async (data, callback) => {
+      await this.maskedCallService?.handleCallSignal(socket, 'captain', captainId, 'end', data, callback);
+    });
+
     // Disconnect handling
     socket.on("disconnect", (reason) => {
       this.handleDisconnect(socket, captainId, reason);
@@ -1230,11 +1368,21 @@ class CaptainSocketService {
       // Stop any active dispatch process
       this.cancelActiveDispatchProcess(rideId);
 
+      // Masked call session: both sides get a proxy number / in-app calling instead of real numbers
+      const callSession = await this.maskedCallService?.openSession(ride);
+      const contact = this.maskedCallService?.formatContact(callSession) || null;
+
       // Setup ride sharing and notify customer
-      await this.setupRideSharing(captainId, ride);
+      await this.setupRideSharing(captainId, ride, contact);
 
       // Send confirmation to captain
-      await this.sendAcceptanceConfirmation(socket, ride);
+      await this.sendAcceptanceConfirmation(socket, ride, contact);
+
+      // Shared ride: add the passenger to the captain's pool and send the updated stop plan
+      if (ride.isShared && this.poolingService) {
+        const pool = await this.poolingService.addRideToPool(ride, captainId);
+        socket.emit('poolUpdated', this.poolingService.formatPool(pool));
+      }
 
       // Update captain session
       this.updateCaptainActivity(captainId, 'ride_accepted', { rideId });
@@ -1256,11 +1404,23 @@ class CaptainSocketService {
    */
   async validateRideAcceptance(rideId, captainId) {
     // Check captain eligibility
-    const eligibilityCheck = await this.validateCaptainEligibility(captainId);
+    const eligibilityCheck = await this.validateCaptainEligibility(captainId, { rideId });
     if (!eligibilityCheck.eligible) {
       return { isValid: false, message: eligibilityCheck.reason };
     }
 
+    // The captain must be approved for the vehicle category of the ride
+    const [ride, captain] = await Promise.all([
+      Ride.findById(rideId).select('vehicleCategory').lean(),
+      Captain.findById(captainId).select('vehicleCategory').lean()
+    ]);
+    const rideCategory = ride?.vehicleCategory || DEFAULT_VEHICLE_CATEGORY;
+    const captainCategory = captain?.vehicleCategory || DEFAULT_VEHICLE_CATEGORY;
+    if (ride && rideCategory !== captainCategory) {
+      this.logger.warn(`[Validation] Captain ${captainId} (${captainCategory}) attempted to accept ${rideCategory} ride ${rideId}`);
+      return { isValid: false, message: "هذه الرحلة لفئة مركبة أخرى" };
+    }
+
     // Check if this is captain's current pending ride (if using dispatch service)
     if (this.dispatchService) {
       const pendingRide = this.dispatchService.getCaptainPendingRide(captainId);
@@ -1403,7 +1563,7 @@ class CaptainSocketService {
       // Process main vault deduction (20% of ride amount)
       if (this.paymentService && ride.totalFare) {
         try {
-          const deductionResult = await this.paymentService.processRideDeduction(captainId, ride.totalFare);
+          const deductionResult = await this.paymentService.processRideDeduction(captainId, ride.totalFare, ride._id);
           this.logger.info(`[acceptRideInDatabase] Main vault deduction processed: ${deductionResult.deductionAmount} IQD from captain ${captainId}`);
           
           // Notify captain about deduction
@@ -1450,7 +1610,7 @@ class CaptainSocketService {
           }
         },
         { new: true }
-      ).populate('passenger', 'name phoneNumber').lean();
+      ).populate('passenger', 'name').lean();
       
     } catch (error) {
       this.logger.error(`[acceptRideInDatabase] Error accepting ride ${rideId} for captain ${captainId}:`, error);
@@ -1473,13 +1633,14 @@ class CaptainSocketService {
   /**
    * Setup ride sharing between captain and customer
    */
-  async setupRideSharing(captainId, ride) {
+  async setupRideSharing(captainId, ride, contact = null) {
     try {
       const customerId = ride.passenger._id;
       
       // Start location sharing
-      this.rideSharingMap.set(captainId, customerId);
-      this.logger.info(`[State] Started ride sharing for captain ${captainId} and customer ${customerId}`);
+      this.addRideSharing(captainId, customerId);
+      this.tripProgressService?.forgetCaptain(captainId);
+      this.captainShiftService?.markTripStart(captainId);
 
       // Get captain info and notify customer
       const captainInfo = await Captain.findById(captainId)
@@ -1487,6 +1648,7 @@ class CaptainSocketService {
         .lean();
 
       if (this.customerSocketService && captainInfo) {
+        const estimatedArrival = await this.getPickupEta(captainId, ride);
         const sent = this.customerSocketService.emitToCustomer(customerId, "rideAccepted", {
           rideId: ride._id,
           driverId: captainId,
@@ -1497,7 +1659,8 @@ class CaptainSocketService {
             rating: captainInfo.rating,
             profileImage: captainInfo.profileImage
           },
-          estimatedArrival: ride.estimatedArrival
+          contact,
+          estimatedArrival
         });
 
         if (!sent) {
@@ -1509,10 +1672,36 @@ class CaptainSocketService {
     }
   }
 
+  /**
+   * Captain-to-pickup ETA from the captain's last position
+   * @returns {Promise<Object|null>} { minutes, distanceKm, estimated }
+   */
+  async getPickupEta(captainId, ride) {
+    try {
+      const location = await this.getCaptainLocation(captainId);
+      if (!location || !ride.pickupLocation?.coordinates) return null;
+
+      const [eta] = await this.routingService.getEtas(
+        [[location.longitude, location.latitude]],
+        ride.pickupLocation.coordinates
+      );
+      if (!eta) return null;
+
+      return {
+        minutes: Math.max(Math.round(eta.durationMinutes), 1),
+        distanceKm: Number(eta.distanceKm.toFixed(2)),
+        estimated: eta.estimated
+      };
+    } catch (error) {
+      this.logger.warn(`[Socket.IO Captain] Could not estimate pickup ETA for captain ${captainId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Send acceptance confirmation to captain
    */
-  async sendAcceptanceConfirmation(socket, ride) {
+  async sendAcceptanceConfirmation(socket, ride, contact = null) {
     socket.emit('rideAcceptedConfirmation', {
       rideId: ride._id,
       status: ride.status,
@@ -1523,11 +1712,13 @@ class CaptainSocketService {
       paymentMethod: ride.paymentMethod,
       pickupName: ride.pickupLocation.locationName,
       dropoffName: ride.dropoffLocation.locationName,
+      waypoints: formatWaypoints(ride),
+      isShared: !!ride.isShared,
       passengerInfo: {
         id: ride.passenger._id,
-        name: ride.passenger.name,
-        phoneNumber: ride.passenger.phoneNumber
+        name: ride.passenger.name
       },
+      contact,
       message: "Ride accepted successfully"
     });
   }
@@ -1577,8 +1768,16 @@ class CaptainSocketService {
         this.dispatchService.clearCaptainQueue(captainId, 'captain_cancelled_ride');
       }
 
-      // Stop location sharing
-      this.cleanupRideSharing(captainId);
+      // Stop location sharing with this passenger
+      this.cleanupRideSharing(captainId, ride.passenger);
+      this.tripProgressService?.forgetCaptain(captainId);
+      this.captainShiftService?.markTripEnd(captainId);
+
+      // Release the seat of a shared ride
+      if (ride.isShared && this.poolingService) {
+        const pool = await this.poolingService.removeRide(ride._id);
+        if (pool) socket.emit('poolUpdated', this.poolingService.formatPool(pool));
+      }
 
       // Process next ride in queue immediately for this captain
       if (this.dispatchService) {
@@ -1628,6 +1827,10 @@ class CaptainSocketService {
     });
 
     this.logger.info(`[DB] PERMANENTLY cancelled ride ${ride._id} - no re-dispatch`);
+    await this.maskedCallService?.closeSession(ride._id, 'ride_cancelled');
+    if (ride.promoCode?.promoCodeId) {
+      await this.promoCodeService.releaseForRide(ride._id);
+    }
   }
 
   /**
@@ -1678,6 +1881,7 @@ class CaptainSocketService {
 
         // Confirm to captain
         socket.emit("rideStatusUpdate", { rideId: ride._id, status: "arrived" });
+        this.tripProgressService?.forgetCaptain(captainId);
 
         // Update session
         this.updateCaptainActivity(captainId, 'arrived_at_pickup', { rideId });
@@ -1728,6 +1932,18 @@ class CaptainSocketService {
 
         // Confirm to captain
         socket.emit("rideStartedConfirmation", { rideId: ride._id, status: "onRide" });
+        this.tripProgressService?.forgetCaptain(captainId);
+
+        // Record the path from here to endRide
+        if (this.tripMeteringService) {
+          await this.tripMeteringService.startTrip(ride._id, captainId);
+        }
+
+        // Shared ride: passenger picked up
+        if (ride.isShared && this.poolingService) {
+          const pool = await this.poolingService.completeStop(ride._id, 'pickup');
+          if (pool) socket.emit('poolUpdated', this.poolingService.formatPool(pool));
+        }
 
         // Update session
         this.updateCaptainActivity(captainId, 'ride_started', { rideId });
@@ -1747,6 +1963,145 @@ class CaptainSocketService {
     }
   }
 
+  /**
+   * Handle captain reaching an intermediate stop
+   * @param {Object} data - { rideId, waypointId }
+   */
+  async handleWaypointArrived(socket, captainId, data) {
+    const { rideId, waypointId } = data || {};
+
+    if (!rideId || !waypointId) {
+      this.sendError(socket, "Missing ride ID or stop ID in stop arrival", rideId);
+      return;
+    }
+
+    this.logger.info(`[Socket.IO Captain] 📍 Captain ${captainId} reached stop ${waypointId} of ride ${rideId}`);
+
+    try {
+      const ride = await Ride.findOneAndUpdate(
+        {
+          _id: rideId,
+          driver: captainId,
+          status: "onRide",
+          waypoints: { $elemMatch: { _id: waypointId, status: "pending" } }
+        },
+        { $set: { "waypoints.$.status": "arrived", "waypoints.$.arrivedAt": new Date() } },
+        { new: true }
+      ).lean();
+
+      if (!ride) {
+        this.sendError(socket, "Cannot mark stop as reached. Ride is not in progress or the stop was already reached", rideId);
+        return;
+      }
+
+      const waypoints = formatWaypoints(ride);
+      const stop = waypoints.find(waypoint => waypoint.waypointId.toString() === waypointId.toString());
+
+      if (this.customerSocketService) {
+        this.customerSocketService.emitToCustomer(ride.passenger, "waypointArrived", {
+          rideId: ride._id,
+          waypoint: stop,
+          freeWaitMinutes: this.rideSettings.stops?.freeWaitMinutes ?? 3,
+          message: "وصل الكابتن إلى نقطة التوقف"
+        });
+      }
+
+      socket.emit("waypointStatusUpdate", { rideId: ride._id, waypoint: stop, waypoints });
+
+      this.updateCaptainActivity(captainId, 'arrived_at_stop', { rideId, waypointId });
+      await this.logCaptainAction(captainId, rideId, 'waypoint_arrived', { waypointId });
+
+    } catch (err) {
+      this.logger.error(`[Socket.IO Captain] Error handling stop arrival for captain ${captainId}:`, err);
+      this.sendError(socket, "Failed to mark stop as reached", rideId);
+      this.recordError(captainId, err);
+    }
+  }
+
+  /**
+   * Handle captain leaving an intermediate stop - waiting beyond the free minutes is charged
+   * @param {Object} data - { rideId, waypointId }
+   */
+  async handleWaypointDeparted(socket, captainId, data) {
+    const { rideId, waypointId } = data || {};
+
+    if (!rideId || !waypointId) {
+      this.sendError(socket, "Missing ride ID or stop ID in stop departure", rideId);
+      return;
+    }
+
+    try {
+      const current = await Ride.findOne({ _id: rideId, driver: captainId, status: "onRide" })
+        .select("waypoints")
+        .lean();
+      const arrivedStop = current?.waypoints?.find(
+        waypoint => waypoint._id.toString() === waypointId.toString() && waypoint.status === "arrived"
+      );
+
+      if (!arrivedStop) {
+        this.sendError(socket, "Cannot leave stop. The stop was not reached yet or already left", rideId);
+        return;
+      }
+
+      const departedAt = new Date();
+      const waitMinutes = Math.max((departedAt - new Date(arrivedStop.arrivedAt)) / 60000, 0);
+      const freeWaitMinutes = this.rideSettings.stops?.freeWaitMinutes ?? 3;
+      const waitPricePerMinute = this.rideSettings.stops?.waitPricePerMinute ?? 100;
+      const waitCharge = Math.ceil(Math.max(waitMinutes - freeWaitMinutes, 0)) * waitPricePerMinute;
+
+      const ride = await Ride.findOneAndUpdate(
+        {
+          _id: rideId,
+          driver: captainId,
+          status: "onRide",
+          waypoints: { $elemMatch: { _id: waypointId, status: "arrived" } }
+        },
+        {
+          $set: {
+            "waypoints.$.status": "departed",
+            "waypoints.$.departedAt": departedAt,
+            "waypoints.$.waitMinutes": Math.round(waitMinutes * 10) / 10,
+            "waypoints.$.waitCharge": waitCharge
+          },
+          $inc: { "fare.amount": waitCharge }
+        },
+        { new: true }
+      ).lean();
+
+      if (!ride) {
+        this.sendError(socket, "Cannot leave stop. The stop was already left", rideId);
+        return;
+      }
+
+      const waypoints = formatWaypoints(ride);
+      const stop = waypoints.find(waypoint => waypoint.waypointId.toString() === waypointId.toString());
+
+      this.logger.info(`[Socket.IO Captain] Captain ${captainId} left stop ${waypointId} of ride ${rideId} after ${stop.waitMinutes} min. Wait charge: ${waitCharge}`);
+      this.tripProgressService?.forgetCaptain(captainId);
+
+      if (this.customerSocketService) {
+        this.customerSocketService.emitToCustomer(ride.passenger, "waypointDeparted", {
+          rideId: ride._id,
+          waypoint: stop,
+          waitCharge,
+          fare: ride.fare.amount,
+          currency: ride.fare.currency || this.rideSettings.fare.currency,
+          message: waitCharge > 0 ? `تمت إضافة ${waitCharge} لوقت الانتظار` : "غادر الكابتن نقطة التوقف"
+        });
+      }
+
+      socket.emit("waypointStatusUpdate", { rideId: ride._id, waypoint: stop, waypoints, fare: ride.fare.amount });
+
+      this.updateCaptainActivity(captainId, 'left_stop', { rideId, waypointId });
+      await this.logCaptainAction(captainId, rideId, 'waypoint_departed', { waypointId, waitCharge });
+
+    } catch (err) {
+      this.logger.error(`[Socket.IO Captain] Error handling stop departure for captain ${captainId}:`, err);
+      this.sendError(socket, "Failed to leave stop", rideId);
+      this.recordError(captainId, err);
+    }
+  }
+
   /**
    * Handle ride completion
    */
@@ -1761,12 +2116,13 @@ class CaptainSocketService {
     this.logger.info(`[Socket.IO Captain] 🏁 Captain ${captainId} ending ride ${rideId}`);
 
     try {
+      const rideEndTime = new Date();
       const ride = await Ride.findOneAndUpdate(
         { _id: rideId, driver: captainId, status: "onRide" },
         {
           $set: {
             status: "awaiting_payment", // تغيير الحالة لانتظار الدفع
-            rideEndTime: new Date(),
+            rideEndTime,
             isDispatching: false
           }
         },
@@ -1776,14 +2132,25 @@ class CaptainSocketService {
       if (ride) {
         // Calculate ride duration
         const actualDuration = ride.rideEndTime - ride.rideStartTime;
+
+        // Final fare from the recorded path, within the tolerance rules of the quote
+        const metering = await this.meterEndedRide(ride, rideEndTime);
         
         // Clean up dispatch service tracking
         if (this.dispatchService) {
           this.dispatchService.cleanupRideNotifications(rideId);
         }
 
-        // Clean up location sharing
-        this.cleanupRideSharing(captainId);
+        // Clean up location sharing with this passenger
+        this.cleanupRideSharing(captainId, ride.passenger);
+        this.tripProgressService?.forgetCaptain(captainId);
+        this.captainShiftService?.markTripEnd(captainId);
+
+        // Shared ride: passenger dropped off
+        if (ride.isShared && this.poolingService) {
+          const pool = await this.poolingService.completeStop(ride._id, 'dropoff');
+          if (pool) socket.emit('poolUpdated', this.poolingService.formatPool(pool));
+        }
 
         // إرسال طلب الدفع للكابتن بدلاً من إنهاء الرحلة مباشرة
         socket.emit("paymentRequired", {
@@ -1793,10 +2160,11 @@ class CaptainSocketService {
           expectedAmount: ride.fare.amount,
           currency: this.rideSettings.fare.currency,
           duration: Math.round(actualDuration / (1000 * 60)),
+          fareAdjustment: metering,
           passenger: {
-            name: ride.passenger?.name || 'الزبون',
-            phoneNumber: ride.passenger?.phoneNumber
-          }
+            name: ride.passenger?.name || 'الزبون'
+          },
+          contact: await this.maskedCallService?.getRideContact(ride._id, 'captain', captainId) ?? null
         });
 
         // Notify customer that ride ended but payment pending
@@ -1806,7 +2174,8 @@ class CaptainSocketService {
             message: "الرحلة اكتملت وفي انتظار تأكيد الدفع من السائق",
             fare: ride.fare.amount,
             currency: this.rideSettings.fare.currency,
-            duration: Math.round(actualDuration / (1000 * 60))
+            duration: Math.round(actualDuration / (1000 * 60)),
+            fareAdjustment: metering
           });
         }
 
@@ -1828,6 +2197,38 @@ class CaptainSocketService {
     }
   }
 
+  /**
+   * Price an ended ride from its recorded path and store the result on it
+   * Updates ride.fare.amount in place when the final fare differs from the quote
+   * @returns {Promise<Object|null>} Quote-versus-actual summary for the apps
+   */
+  async meterEndedRide(ride, rideEndTime) {
+    if (!this.tripMeteringService) return null;
+
+    try {
+      const metering = await this.tripMeteringService.finishTrip(ride, this.rideSettings, rideEndTime);
+      await Ride.updateOne(
+        { _id: ride._id, status: "awaiting_payment" },
+        { $set: { "fare.amount": metering.finalFare, metering } }
+      );
+      ride.fare.amount = metering.finalFare;
+
+      return {
+        quotedFare: metering.quotedFare,
+        finalFare: metering.finalFare,
+        differenceAmount: metering.differenceAmount,
+        differencePercent: metering.differencePercent,
+        rule: metering.rule,
+        distanceKm: metering.distanceKm,
+        durationMinutes: metering.durationMinutes,
+        waitingMinutes: metering.waitingMinutes
+      };
+    } catch (error) {
+      this.logger.error(`[Metering] Error metering ride ${ride._id}, the quote stands:`, error);
+      return null;
+    }
+  }
+
   /**
    * Handle payment submission from captain
    */
@@ -1846,14 +2247,29 @@ class CaptainSocketService {
       const ride = await Ride.findOne({
         _id: rideId, 
         driver: captainId, 
-        status: "awaiting_payment"
+        status: { $in: ["awaiting_payment", "completed"] }
       }).populate('passenger');
 
-      if (!ride) {
+      if (!ride || (ride.status === "completed" && !ride.paymentDetails?.paymentId)) {
         this.sendError(socket, "الرحلة غير موجودة أو ليست في حالة انتظار الدفع", rideId);
         return;
       }
 
+      // إعادة إرسال نفس الطلب (مثلاً بعد انقطاع الاتصال) لا تعيد معالجة الدفع
+      if (ride.status === "completed") {
+        this.logger.info(`[Socket.IO Captain] ♻️ Replayed payment submission for completed ride ${rideId}`);
+        socket.emit("paymentProcessed", {
+          rideId,
+          status: "completed",
+          message: "تم تسجيل الدفع مسبقاً لهذه الرحلة",
+          paymentId: ride.paymentDetails.paymentId,
+          receivedAmount: ride.paymentDetails.receivedAmount,
+          expectedAmount: ride.paymentDetails.expectedAmount,
+          replayed: true
+        });
+        return;
+      }
+
       const expectedAmount = ride.fare.amount;
       const receivedAmountNum = parseFloat(receivedAmount);
       
@@ -1889,7 +2305,7 @@ class CaptainSocketService {
           let extraAmountStatus = 'transferred';
           if (receivedAmountNum > expectedAmount) {
             const extraAmount = receivedAmountNum - expectedAmount;
-            const transferResult = await this.processExtraAmount(captainId, ride.passenger._id, extraAmount);
+            const transferResult = await this.processExtraAmount(captainId, ride.passenger._id, extraAmount, rideId);
             if (transferResult === 'pending') {
               extraAmountStatus = 'pending';
             } else if (!transferResult) {
@@ -1907,8 +2323,35 @@ class CaptainSocketService {
             'paymentDetails.paymentId': paymentResult.payment._id
           });
 
-          // إشعار الكابتن بنجاح الدفع
-          socket.emit("paymentProcessed", {
+          // انتهاء جلسة الاتصال المقنّع وتحرير الرقم الوسيط
+          await this.maskedCallService?.closeSession(rideId, 'ride_completed');
+
+          // تسجيل استخدام كود الخصم بعد إكمال الرحلة
+          if (ride.promoCode?.promoCodeId) {
+            const redemptionResult = await this.promoCodeService.redeemForRide(ride);
+            if (!redemptionResult.success) {
+              this.logger.warn(`[Socket.IO Captain] Promo code ${ride.promoCode.code} not redeemed for ride ${rideId}: ${redemptionResult.reason}`);
+            }
+          }
+
+          // الرحلات المشتركة: كل راكب يدفع أجرته المخفضة بشكل مستقل
+          let poolSummary = null;
+          if (ride.isShared && ride.pool?.poolId) {
+            const unpaidPoolRides = await Ride.countDocuments({
+              'pool.poolId': ride.pool.poolId,
+              _id: { $ne: ride._id },
+              status: { $in: ['accepted', 'arrived', 'onRide', 'awaiting_payment'] }
+            });
+            poolSummary = {
+              poolId: ride.pool.poolId,
+              soloFare: ride.pool.soloFare,
+              discountRate: ride.pool.discountRate,
+              remainingPassengers: unpaidPoolRides
+            };
+          }
+
+          // إشعار الكابتن بنجاح الدفع (عبر سجل الأحداث حتى لا تضيع النتيجة عند انقطاع الاتصال)
+          this.emitToCaptain(captainId, "paymentProcessed", {
             rideId,
             status: "completed",
             message: "تم تسجيل الدفع بنجاح وإكمال الرحلة",
@@ -1918,7 +2361,9 @@ class CaptainSocketService {
             captainEarnings: paymentResult.earnings.captainEarnings,
             commission: paymentResult.earnings.companyCommission,
             extraAmountTransferred: receivedAmountNum > expectedAmount ? receivedAmountNum - expectedAmount : 0,
-            extraAmountStatus: extraAmountStatus
+            extraAmountStatus: extraAmountStatus,
+            ratingTags: this.ratingService?.getTags('customer') || [],
+            ...(poolSummary && { pool: poolSummary })
           });
 
           // تحديد رسالة المبلغ الإضافي
@@ -1946,7 +2391,13 @@ class CaptainSocketService {
               fare: expectedAmount,
               receivedAmount: receivedAmountNum,
               currency: ride.fare.currency,
-              refundAmount: receivedAmountNum > expectedAmount ? receivedAmountNum - expectedAmount : 0
+              refundAmount: receivedAmountNum > expectedAmount ? receivedAmountNum - expectedAmount : 0,
+              ratingTags: this.ratingService?.getTags('captain') || [],
+              ...(poolSummary && {
+                isShared: true,
+                soloFare: poolSummary.soloFare,
+                sharedSavings: Math.max((poolSummary.soloFare || 0) - expectedAmount, 0)
+              })
             });
           }
 
@@ -1974,10 +2425,125 @@ class CaptainSocketService {
     }
   }
 
+  /**
+   * Handle recharge card redemption by a captain
+   */
+  async handleRedeemRechargeCard(socket, captainId, data, callback) {
+    let response;
+
+    if (!data?.code) {
+      response = { success: false, reason: 'invalid_code', message: "رمز الكرت مطلوب" };
+    } else {
+      response = await this.rechargeCardService.redeem({
+        code: data.code,
+        userId: captainId,
+        userType: 'captain',
+        channel: 'socket',
+        ipAddress: socket.handshake.address,
+        userAgent: socket.handshake.headers['user-agent']
+      });
+    }
+
+    if (response.success) {
+      this.updateCaptainActivity(captainId, 'recharge_card_redeemed', {
+        amount: response.amount,
+        serialNumber: response.serialNumber
+      });
+    }
+
+    if (callback) {
+      callback(response);
+    } else {
+      socket.emit(response.success ? "rechargeCardRedeemed" : "rechargeCardError", response);
+    }
+  }
+
+  /**
+   * Captain rates the passenger after the trip
+   */
+  async handleRatePassenger(socket, captainId, data, callback) {
+    let response;
+    if (!this.ratingService) {
+      response = { success: false, reason: 'disabled', message: "التقييم غير متاح حالياً" };
+    } else {
+      try {
+        response = await this.ratingService.submitRating({
+          rideId: data?.rideId,
+          raterType: 'captain',
+          raterId: captainId,
+          rating: data?.rating,
+          comment: data?.comment,
+          tags: data?.tags
+        });
+      } catch (error) {
+        this.logger.error(`[Socket.IO Captain] Error rating passenger of ride ${data?.rideId} for captain ${captainId}:`, error);
+        response = { success: false, reason: 'server_error', message: "تعذر حفظ التقييم" };
+      }
+    }
+
+    if (callback) {
+      callback(response);
+    } else {
+      socket.emit(response.success ? "ratingSubmitted" : "ratingError", response);
+    }
+  }
+
+  /**
+   * Turn destination mode on: { latitude, longitude, address }
+   */
+  async handleSetDestinationMode(socket, captainId, data, callback) {
+    let response;
+    if (!this.captainDestinationService) {
+      response = { success: false, reason: 'disabled', message: "وضع الوجهة غير متاح حالياً" };
+    } else {
+      try {
+        response = await this.captainDestinationService.setDestination(captainId, data, this.rideSettings);
+      } catch (error) {
+        this.logger.error(`[Socket.IO Captain] Error setting destination mode for captain ${captainId}:`, error);
+        response = { success: false, reason: 'server_error', message: "تعذر تفعيل وضع الوجهة" };
+      }
+    }
+
+    if (response.success) {
+      this.updateCaptainActivity(captainId, 'destination_mode_set', { expiresAt: response.data.expiresAt });
+    }
+
+    if (callback) {
+      callback(response);
+    } else {
+      socket.emit(response.success ? "destinationMode" : "destinationModeError", response.success ? response.data : response);
+    }
+  }
+
+  /**
+   * Turn destination mode off
+   */
+  async handleClearDestinationMode(socket, captainId, callback) {
+    let response;
+    try {
+      const mode = this.captainDestinationService
+        ? (await this.captainDestinationService.clearDestination(captainId, 'cleared', this.rideSettings)) ||
+          await this.captainDestinationService.getMode(captainId, this.rideSettings)
+        : null;
+      response = { success: true, message: "تم إيقاف وضع الوجهة", data: mode };
+    } catch (error) {
+      this.logger.error(`[Socket.IO Captain] Error clearing destination mode for captain ${captainId}:`, error);
+      response = { success: false, reason: 'server_error', message: "تعذر إيقاف وضع الوجهة" };
+    }
+
+    if (callback) {
+      callback(response);
+    } else {
+      socket.emit(response.success ? "destinationMode" : "destinationModeError", response.success ? response.data : response);
+    }
+  }
+
   /**
    * Process extra amount transfer from captain to customer using Financial Account Service
+   * The ride ID keys both the transfer and its pending fallback so it is applied at most once
    */
-  async processExtraAmount(captainId, customerId, extraAmount) {
+  async processExtraAmount(captainId, customerId, extraAmount, rideId) {
+    const idempotencyKey = `extra_amount:${rideId}`;
     try {
       const Driver = require('../model/Driver');
       const Customer = require('../model/customer');
@@ -2000,9 +2566,16 @@ class CaptainSocketService {
         fromRole: "Driver",
         toRole: "Customer",
         description: `مبلغ إضافي من رحلة: ${extraAmount} دينار`,
-        checkBalance: true
+        checkBalance: true,
+        idempotencyKey,
+        metadata: { rideId }
       });
 
+      if (transferResult.success && transferResult.status === 'pending') {
+        // Already recorded as a pending transfer on a previous attempt
+        return 'pending';
+      }
+
       if (transferResult.success) {
         // Update customer wallet balance field to sync with financial account
         await Customer.findByIdAndUpdate(customerId, {
@@ -2026,7 +2599,9 @@ class CaptainSocketService {
           transferType: "dtc",
           fromRole: "Driver", 
           toRole: "Customer",
-          description: `مبلغ إضافي مؤجل من رحلة: ${extraAmount} دينار`
+          description: `مبلغ إضافي مؤجل من رحلة: ${extraAmount} دينار`,
+          idempotencyKey,
+          metadata: { rideId }
         });
 
         if (pendingResult.success) {
@@ -2074,6 +2649,31 @@ class CaptainSocketService {
       // Share location with customer if on active ride
       await this.shareLocationWithCustomer(captainId, data);
 
+      // Live ETA / remaining distance for the customers of his active rides (throttled per ride)
+      if (this.tripProgressService && this.rideSharingMap.has(captainId)) {
+        this.tripProgressService.handleCaptainLocation(captainId, data, this.rideSettings);
+      }
+
+      // Trip path sample for rides in progress (final fare metering)
+      if (this.tripMeteringService && this.rideSharingMap.has(captainId)) {
+        this.tripMeteringService.recordLocation(captainId, data, this.rideSettings);
+      }
+
+      // Keep the shift session alive (throttled)
+      this.captainShiftService?.touch(captainId);
+
+      // Destination mode ends on arrival at the target or on expiry
+      if (this.captainDestinationService) {
+        this.captainDestinationService.handleCaptainLocation(captainId, data, this.rideSettings).then(ended => {
+          if (!ended) return;
+          socket.emit('destinationModeEnded', {
+            reason: ended.reason,
+            destinationMode: ended.mode,
+            message: ended.reason === 'arrived' ? 'وصلت إلى وجهتك، تم إيقاف وضع الوجهة' : 'انتهت مدة وضع الوجهة'
+          });
+        });
+      }
+
       // Update location tracking service for admin monitoring
       if (this.locationTrackingService) {
         await this.locationTrackingService.updateCaptainLocation(captainId, data);
@@ -2105,9 +2705,9 @@ class CaptainSocketService {
    */
   async shareLocationWithCustomer(captainId, locationData) {
     if (this.rideSharingMap.has(captainId)) {
-      const customerId = this.rideSharingMap.get(captainId);
-      
-      if (this.customerSocketService) {
+      for (const customerId of this.rideSharingMap.get(captainId)) {
+        if (!this.customerSocketService) break;
+
         const sent = this.customerSocketService.emitToCustomer(customerId, "driverLocationUpdate", {
           latitude: locationData.latitude,
           longitude: locationData.longitude,
@@ -2219,6 +2819,14 @@ class CaptainSocketService {
     // Clean up online captains
     this.cleanupOnlineCaptains(socket.id);
 
+    // Close the shift unless the captain is already back on a newer socket
+    if (this.captainShiftService && !this.onlineCaptains[captainId]) {
+      this.captainShiftService.closeShift(captainId, 'disconnect');
+    }
+    if (this.captainDestinationService && !this.onlineCaptains[captainId]) {
+      this.captainDestinationService.forgetCaptain(captainId);
+    }
+
     // Clean up ride sharing
     this.cleanupRideSharing(captainId);
 
@@ -2263,6 +2871,7 @@ class CaptainSocketService {
     for (let id in this.onlineCaptains) {
       if (this.onlineCaptains[id] === socketId) {
         delete this.onlineCaptains[id];
+        this.clusterStateService?.setOffline('captain', id, socketId);
         this.logger.debug(`[State] Removed captain ${id} from online captains`);
         break;
       }
@@ -2270,14 +2879,31 @@ class CaptainSocketService {
   }
 
   /**
-   * Clean up ride sharing
+   * Start sharing the captain location with a customer (several customers on shared rides)
    */
-  cleanupRideSharing(captainId) {
-    if (this.rideSharingMap.has(captainId)) {
-      const customerId = this.rideSharingMap.get(captainId);
+  addRideSharing(captainId, customerId) {
+    if (!this.rideSharingMap.has(captainId)) {
+      this.rideSharingMap.set(captainId, new Set());
+    }
+    this.rideSharingMap.get(captainId).add(customerId.toString());
+    this.logger.info(`[State] Started ride sharing for captain ${captainId} and customer ${customerId}`);
+  }
+
+  /**
+   * Clean up ride sharing - for one customer, or for all of them when no customer is given
+   */
+  cleanupRideSharing(captainId, customerId = null) {
+    if (!this.rideSharingMap.has(captainId)) return;
+
+    const customers = this.rideSharingMap.get(captainId);
+    if (customerId) {
+      customers.delete(customerId.toString());
+    }
+
+    if (!customerId || customers.size === 0) {
       this.rideSharingMap.delete(captainId);
-      this.logger.info(`[State] Stopped ride sharing for captain ${captainId} and customer ${customerId}`);
     }
+    this.logger.info(`[State] Stopped ride sharing for captain ${captainId} and ${customerId ? `customer ${customerId}` : 'all customers'}`);
   }
 
   /**
@@ -2587,6 +3213,14 @@ class CaptainSocketService {
     return null;
   }
 
+  /**
+   * Whether the captain socket is connected to this node (not only known through the cluster)
+   */
+  isCaptainConnectedLocally(captainId) {
+    const socketId = this.onlineCaptains[captainId];
+    return !!socketId && this.captainNamespace.sockets.has(socketId);
+  }
+
   /**
    * Send error to captain
    */
@@ -2615,26 +3249,42 @@ class CaptainSocketService {
    */
   emitToCaptain(captainId, event, data) {
     const captainSocketId = this.onlineCaptains[captainId];
-    if (captainSocketId) {
-      try {
-        this.captainNamespace.to(captainSocketId).emit(event, data);
-        
-        // Update session metrics
-        const session = this.captainSessions.get(captainId);
-        if (session) {
-          session.messagesSent++;
-        }
-        
-        this.performanceMetrics.messagesSentToday++;
-        return true;
-      } catch (error) {
-        this.logger.error(`[Socket.IO Captain] Error emitting to captain ${captainId}:`, error);
-        return false;
-      }
+    const send = (payload) => {
+      // Looked up at send time, a journaled event waits for its number first
+      const socketId = this.onlineCaptains[captainId];
+      if (socketId) this.sendToCaptainSocket(captainId, socketId, event, payload);
+    };
+    if (this.eventJournal) {
+      // Journaled events are kept even while offline; all events share the per-captain order
+      this.eventJournal.emit('captain', captainId, event, data, send)
+        .catch(error => this.logger.error(`[Socket.IO Captain] Error emitting ${event} to captain ${captainId}:`, error));
+    } else {
+      send(data);
     }
+    if (captainSocketId) return true;
+
+    this.notificationService?.notifyOffline("captain", captainId, event, data);
     return false;
   }
 
+  sendToCaptainSocket(captainId, captainSocketId, event, data) {
+    try {
+      this.captainNamespace.to(captainSocketId).emit(event, data);
+
+      // Update session metrics
+      const session = this.captainSessions.get(captainId);
+      if (session) {
+        session.messagesSent++;
+      }
+
+      this.performanceMetrics.messagesSentToday++;
+      return true;
+    } catch (error) {
+      this.logger.error(`[Socket.IO Captain] Error emitting to captain ${captainId}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Emit to multiple captains
    */
@@ -3361,7 +4011,16 @@ class CaptainSocketService {
     const startTime = Date.now();
     
     try {
-      const { rideId, text, tempId, isQuick = false, quickMessageType = null } = data;
+      const {
+        rideId,
+        text,
+        tempId,
+        isQuick = false,
+        quickMessageType = null,
+        messageType = 'text',
+        attachmentId = null,
+        location = null
+      } = data;
 
       this.logger.info(`[CaptainSocket] [${debugId}] Captain sending chat message`, {
         captainId,
@@ -3374,8 +4033,8 @@ class CaptainSocketService {
         timestamp: new Date().toISOString()
       });
 
-      // Validate required fields
-      if (!rideId || !text) {
+      // Validate required fields (media and location messages may come without text)
+      if (!rideId || (messageType === 'text' && !text)) {
         this.logger.warn(`[CaptainSocket] [${debugId}] Missing required fields`, {
           captainId,
           hasRideId: !!rideId,
@@ -3400,7 +4059,10 @@ class CaptainSocketService {
         text,
         tempId,
         isQuick,
-        quickMessageType
+        quickMessageType,
+        messageType,
+        attachmentId,
+        location
       });
 
       this.logger.info(`[CaptainSocket] [${debugId}] Message saved via chat service`, {
@@ -3424,21 +4086,12 @@ class CaptainSocketService {
           isCustomerOnline: !!customerSocketId
         });
 
-        if (customerSocketId) {
-          const messageData = {
-            messageId: message._id,
-            rideId: message.rideId,
-            text: message.text,
-            senderId: message.senderId,
-            senderType: message.senderType,
-            isQuick: message.isQuick,
-            timestamp: message.createdAt,
-            tempId: message.tempId,
-            messageStatus: message.messageStatus
-          };
+        const messageData = this.chatService.formatMessage(message);
+
+        // إرسال الرسالة للزبون (تُسجل في سجل الأحداث، وإشعار للجوال إن كان غير متصل)
+        this.customerSocketService?.emitToCustomer(ride.passenger.toString(), 'chatMessage', messageData);
 
-          // إرسال الرسالة للزبون عبر الـ namespace المناسب
-          this.io.of('/customer').to(customerSocketId).emit('chatMessage', messageData);
+        if (customerSocketId) {
 
           this.logger.info(`[CaptainSocket] [${debugId}] Message sent to customer socket`, {
             captainId,
@@ -3467,17 +4120,7 @@ class CaptainSocketService {
       // Send response back to captain
       const responseData = {
         success: true,
-        message: {
-          messageId: message._id,
-          rideId: message.rideId,
-          text: message.text,
-          senderId: message.senderId,
-          senderType: message.senderType,
-          isQuick: message.isQuick,
-          timestamp: message.createdAt,
-          tempId: message.tempId,
-          messageStatus: message.messageStatus
-        }
+        message: this.chatService.formatMessage(message)
       };
 
       if (callback) {
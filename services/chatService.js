@@ -1,5 +1,17 @@
-const { ChatMessage, TypingIndicator } = require("../model/chat");
+const mongoose = require("mongoose");
+const { ChatMessage, TypingIndicator, ChatAttachment, ChatMute, MESSAGE_RETENTION_DAYS } = require("../model/chat");
 const Ride = require("../model/ride");
+const { resolveUploadPath, removeUploadedFiles } = require("../utils/uploadStorage");
+
+const MESSAGE_TYPES = ['text', 'image', 'audio', 'location'];
+const SUPPORT_ROLES = ['admin', 'support']; // أدوار تستطيع قراءة محادثات الرحلات والمشاركة فيها
+const SENDER_LABELS = { customer: 'Customer', driver: 'Captain', support: 'Support' };
+
+function chatError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
 /**
  * خدمة الدردشة الشاملة للركاب والكباتن
@@ -38,15 +50,52 @@ class ChatService {
       messageCacheTime: 3600, // ساعة واحدة في Redis
       typingTimeout: 10000, // 10 ثواني
       maxMessagesPerRide: 1000,
-      rateLimitPerMinute: 30 // 30 رسالة في الدقيقة
+      rateLimitPerMinute: 30, // 30 رسالة في الدقيقة
+
+      // مرفقات الدردشة (صور، رسائل صوتية)
+      attachments: {
+        image: {
+          maxSize: 5 * 1024 * 1024,
+          mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic']
+        },
+        audio: {
+          maxSize: 2 * 1024 * 1024,
+          maxDurationSeconds: 120,
+          mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/x-m4a', 'audio/ogg', 'audio/webm', 'audio/wav']
+        },
+        // صورة مصغرة يرسلها التطبيق مع الصورة
+        thumbnail: {
+          maxSize: 200 * 1024,
+          mimeTypes: ['image/jpeg', 'image/png', 'image/webp']
+        },
+        unsentExpiryMinutes: 60, // مرفق مرفوع لم يُرسل في رسالة
+        expiryDays: MESSAGE_RETENTION_DAYS // تنتهي مع حذف الرسائل في cleanOldMessages
+      }
     };
     
+    // الفحص التلقائي للرسائل
+    this.moderation = {
+      // كلمات مسيئة فقط، لا كلمات عادية في محادثة الرحلة (مثلاً راكب معه كلب أو حيوان أليف)
+      abusiveWords: [
+        'حمار', 'غبي', 'حقير', 'تافه', 'زباله', 'سافل', 'واطي', 'قذر', 'منحط', 'لعنه',
+        'idiot', 'stupid', 'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'moron'
+      ],
+      minPhoneDigits: 9 // أرقام متتالية تُعتبر رقم هاتف (07xxxxxxxxx، +964...)
+    };
+
+    // يُضبط بعد إنشاء خدمة سوكيت الإدارة (تنبيهات ومتابعة المحادثات)
+    this.adminSocketService = null;
+
     // معالجة معدل الإرسال
     this.rateLimitMap = new Map();
     
     this.logger.info('[ChatService] Chat service initialized successfully');
   }
 
+  setAdminSocketService(adminSocketService) {
+    this.adminSocketService = adminSocketService;
+  }
+
   /**
    * إرسال رسالة دردشة جديدة
    * @param {Object} messageData - بيانات الرسالة
@@ -64,7 +113,11 @@ class ChatService {
         text, 
         tempId, 
         isQuick = false,
-        quickMessageType = null 
+        quickMessageType = null,
+        messageType = 'text',
+        attachmentId = null,
+        location = null,
+        senderName = null
       } = messageData;
 
       // تسجيل بداية معالجة الرسالة
@@ -73,6 +126,7 @@ class ChatService {
         senderId,
         senderType,
         messageLength: text?.length || 0,
+        messageType,
         tempId,
         isQuick,
         quickMessageType,
@@ -80,14 +134,26 @@ class ChatService {
       });
 
       // التحقق من صحة البيانات
-      if (!rideId || !senderId || !senderType || !text) {
+      if (!rideId || !senderId || !senderType || (messageType === 'text' && !text)) {
         this.logger.error(`[ChatService] [${debugId}] Missing required data`, {
           hasRideId: !!rideId,
           hasSenderId: !!senderId,
           hasSenderType: !!senderType,
           hasText: !!text
         });
-        throw new Error('Missing required message data');
+        throw chatError('Missing required message data', 400);
+      }
+
+      if (!MESSAGE_TYPES.includes(messageType)) {
+        throw chatError(`Invalid message type. Allowed: ${MESSAGE_TYPES.join(', ')}`, 400);
+      }
+
+      const messageLocation = messageType === 'location' ? this.parseLocation(location) : null;
+      if (messageType === 'location' && !messageLocation) {
+        throw chatError('A valid location (latitude, longitude) is required', 400);
+      }
+      if (['image', 'audio'].includes(messageType) && !mongoose.Types.ObjectId.isValid(attachmentId)) {
+        throw chatError('A valid attachmentId is required for media messages', 400);
       }
 
       // التحقق من معدل الإرسال
@@ -124,8 +190,8 @@ class ChatService {
         createdAt: ride.createdAt
       });
 
-      // التحقق من أن المرسل جزء من الرحلة
-      const isAuthorized = (
+      // التحقق من أن المرسل جزء من الرحلة (صلاحية الدعم يتحقق منها المستدعي)
+      const isAuthorized = senderType === 'support' || (
         (senderType === 'customer' && ride.passenger && ride.passenger.toString() === senderId.toString()) ||
         (senderType === 'driver' && ride.driver && ride.driver.toString() === senderId.toString())
       );
@@ -151,12 +217,24 @@ class ChatService {
         throw new Error('Unauthorized to send message for this ride');
       }
 
+      // طرف مكتوم من قبل الدعم
+      if (senderType !== 'support') {
+        const mute = await this.getActiveMute(rideId, senderType);
+        if (mute) {
+          this.logger.warn(`[ChatService] [${debugId}] Muted participant tried to send`, { senderId, senderType, rideId });
+          const error = chatError('You have been muted in this chat by support', 403);
+          error.mutedUntil = mute.mutedUntil;
+          throw error;
+        }
+      }
+
       // إنشاء الرسالة
       this.logger.debug(`[ChatService] [${debugId}] Creating message object`, {
         rideId,
         senderId,
         senderType,
-        textLength: text.trim().length,
+        textLength: (text || '').trim().length,
+        messageType,
         tempId,
         isQuick
       });
@@ -165,17 +243,44 @@ class ChatService {
         rideId,
         senderId,
         senderType,
-        text: text.trim(),
+        messageType,
+        text: (text || '').trim(),
+        location: messageLocation,
         tempId,
         isQuick,
         metadata: {
-          quickMessageType: isQuick ? quickMessageType : null
+          quickMessageType: isQuick ? quickMessageType : null,
+          senderName: senderType === 'support' ? senderName : undefined
         }
       });
 
+      // ألفاظ مسيئة أو مشاركة رقم هاتف: تُرسل الرسالة ويُنبه الدعم
+      const moderationFlags = senderType === 'support' ? [] : this.detectViolations(text);
+      if (moderationFlags.length > 0) {
+        message.moderation = { flags: moderationFlags, flaggedAt: new Date() };
+      }
+
+      // ربط المرفق بالرسالة (مرة واحدة فقط، ومن نفس المرسل ولنفس الرحلة)
+      let attachment = null;
+      if (['image', 'audio'].includes(messageType)) {
+        attachment = await this.claimAttachment(attachmentId, message._id, { rideId, senderId, kind: messageType });
+        message.attachment = this.describeAttachment(attachment);
+      }
+
       // حفظ الرسالة
       this.logger.debug(`[ChatService] [${debugId}] Saving message to database`);
-      const savedMessage = await message.save();
+      let savedMessage;
+      try {
+        savedMessage = await message.save();
+      } catch (saveError) {
+        if (attachment) {
+          await ChatAttachment.updateOne(
+            { _id: attachment._id, messageId: message._id },
+            { $set: { messageId: null, expiresAt: attachment.previousExpiresAt } }
+          );
+        }
+        throw saveError;
+      }
       
       this.logger.info(`[ChatService] [${debugId}] Message saved successfully`, {
         messageId: savedMessage._id.toString(),
@@ -202,6 +307,12 @@ class ChatService {
         this.logger.debug(`[ChatService] [${debugId}] Redis client not available, skipping cache`);
       }
 
+      // موظفو الدعم الذين يتابعون المحادثة
+      this.adminSocketService?.emitToChatWatchers(String(rideId), 'support_chat_message', this.formatMessage(savedMessage, { includeModeration: true }));
+      if (moderationFlags.length > 0) {
+        this.raiseModerationAlert(savedMessage, ride);
+      }
+
       // تحديث آخر نشاط للرحلة
       this.logger.debug(`[ChatService] [${debugId}] Updating ride last activity`);
       await Ride.findByIdAndUpdate(rideId, {
@@ -402,10 +513,18 @@ class ChatService {
    * @param {number} daysOld - عدد الأيام للحذف
    * @returns {Object} نتيجة التنظيف
    */
-  async cleanOldMessages(daysOld = 30) {
+  async cleanOldMessages(daysOld = this.settings.attachments.expiryDays) {
     try {
       const result = await ChatMessage.cleanOldMessages(daysOld);
       this.logger.info(`[ChatService] Cleaned ${result.deletedCount} old messages`);
+
+      // ملفات المرفقات المنتهية أو التي حُذفت رسائلها
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+      result.attachmentsRemoved = await this.removeAttachments({
+        $or: [{ expiresAt: { $lt: new Date() } }, { createdAt: { $lt: cutoffDate } }]
+      });
+
       return result;
     } catch (error) {
       this.logger.error('[ChatService] Error cleaning old messages:', error);
@@ -413,10 +532,509 @@ class ChatService {
     }
   }
 
+  /**
+   * حفظ مرفق مرفوع (صورة أو رسالة صوتية) قبل إرساله في رسالة
+   * الملفات المرفوضة تُحذف من القرص
+   * @param {Object} uploadData - { rideId, uploaderId, kind, file, thumbnail, durationSeconds }
+   * @returns {Object} وصف المرفق مع attachmentId
+   */
+  async saveAttachment({ rideId, uploaderId, kind, file, thumbnail = null, durationSeconds = null }) {
+    const uploadedFiles = [file?.filename, thumbnail?.filename];
+
+    try {
+      if (!file) throw chatError('No file uploaded', 400);
+      if (!['image', 'audio'].includes(kind)) throw chatError('Attachment type must be image or audio', 400);
+      if (!mongoose.Types.ObjectId.isValid(rideId)) throw chatError('Invalid ride ID', 400);
+
+      const limits = this.settings.attachments[kind];
+      if (!limits.mimeTypes.includes(file.mimetype)) {
+        throw chatError(`Unsupported ${kind} type. Allowed: ${limits.mimeTypes.join(', ')}`, 400);
+      }
+      if (file.size > limits.maxSize) {
+        throw chatError(`File too large (max ${Math.round(limits.maxSize / 1024 / 1024)}MB)`, 400);
+      }
+
+      let duration = null;
+      if (kind === 'audio') {
+        duration = Number(durationSeconds);
+        if (!Number.isFinite(duration) || duration <= 0 || duration > limits.maxDurationSeconds) {
+          throw chatError(`Voice note duration must be between 1 and ${limits.maxDurationSeconds} seconds`, 400);
+        }
+      }
+
+      if (thumbnail) {
+        const thumbnailLimits = this.settings.attachments.thumbnail;
+        if (kind !== 'image') throw chatError('Thumbnails are only accepted for images', 400);
+        if (!thumbnailLimits.mimeTypes.includes(thumbnail.mimetype) || thumbnail.size > thumbnailLimits.maxSize) {
+          throw chatError(`Thumbnail must be an image up to ${Math.round(thumbnailLimits.maxSize / 1024)}KB`, 400);
+        }
+      }
+
+      const ride = await Ride.findById(rideId).select('passenger driver');
+      if (!ride) throw chatError('Ride not found', 404);
+      const uploaderType = this.getParticipantType(ride, uploaderId);
+      if (!uploaderType) throw chatError('Unauthorized to send message for this ride', 403);
+
+      const attachment = await ChatAttachment.create({
+        rideId,
+        uploaderId,
+        uploaderType,
+        kind,
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        thumbnail: thumbnail
+          ? { filename: thumbnail.filename, mimeType: thumbnail.mimetype, size: thumbnail.size }
+          : undefined,
+        durationSeconds: duration,
+        expiresAt: new Date(Date.now() + this.settings.attachments.unsentExpiryMinutes * 60 * 1000)
+      });
+
+      this.logger.info(`[ChatService] Stored ${kind} attachment ${attachment._id} for ride ${rideId} (${file.size} bytes)`);
+
+      return {
+        attachmentId: attachment._id,
+        ...this.describeAttachment(attachment)
+      };
+    } catch (error) {
+      await removeUploadedFiles(uploadedFiles).catch(removeError => {
+        this.logger.warn('[ChatService] Failed to remove rejected upload:', removeError);
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * ربط مرفق لم يُرسل بعد برسالة وتمديد صلاحيته لمدة الاحتفاظ بالرسائل
+   * @private
+   */
+  async claimAttachment(attachmentId, messageId, { rideId, senderId, kind }) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.settings.attachments.expiryDays * 24 * 60 * 60 * 1000);
+
+    const previous = await ChatAttachment.findOneAndUpdate(
+      {
+        _id: attachmentId,
+        rideId,
+        uploaderId: senderId,
+        kind,
+        messageId: null,
+        expiresAt: { $gt: now }
+      },
+      { $set: { messageId, expiresAt } }
+    );
+    if (!previous) {
+      throw chatError('Attachment not found, already sent or expired', 404);
+    }
+
+    const attachment = previous.toObject();
+    attachment.previousExpiresAt = previous.expiresAt;
+    attachment.messageId = messageId;
+    attachment.expiresAt = expiresAt;
+    return attachment;
+  }
+
+  /**
+   * الوصف العام للمرفق المخزن في الرسالة (بدون أسماء الملفات على القرص)
+   * @private
+   */
+  describeAttachment(attachment) {
+    const url = `/api/chat/attachments/${attachment._id}`;
+    return {
+      attachmentId: attachment._id,
+      url,
+      thumbnailUrl: attachment.thumbnail?.filename ? `${url}/thumbnail` : null,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      durationSeconds: attachment.durationSeconds || null,
+      expiresAt: attachment.expiresAt
+    };
+  }
+
+  /**
+   * ملف مرفق لأحد طرفي الرحلة
+   * @param {string} attachmentId - معرف المرفق
+   * @param {string} userId - معرف الطالب
+   * @param {string} variant - file | thumbnail
+   * @returns {Object} { filePath, mimeType }
+   */
+  async getAttachmentFile(attachmentId, userId, variant = 'file') {
+    if (!mongoose.Types.ObjectId.isValid(attachmentId)) throw chatError('Invalid attachment ID', 400);
+
+    const attachment = await ChatAttachment.findById(attachmentId).lean();
+    if (!attachment) throw chatError('Attachment not found', 404);
+    if (attachment.expiresAt < new Date()) throw chatError('Attachment expired', 410);
+
+    const isUploader = attachment.uploaderId.toString() === userId.toString();
+    if (!isUploader) {
+      // الطرف الآخر يرى المرفق فقط بعد إرساله في رسالة
+      const ride = await Ride.findById(attachment.rideId).select('passenger driver');
+      if (!attachment.messageId || !ride || !this.getParticipantType(ride, userId)) {
+        throw chatError('Unauthorized to view this attachment', 403);
+      }
+    }
+
+    const file = variant === 'thumbnail' ? attachment.thumbnail : attachment;
+    const filePath = resolveUploadPath(file?.filename);
+    if (!filePath) throw chatError('Attachment not found', 404);
+
+    return { filePath, mimeType: file.mimeType };
+  }
+
+  /**
+   * تنسيق الرسالة كما تُرسل للتطبيقات (السوكيت و REST)
+   * @param {Object} message - الرسالة المحفوظة
+   * @returns {Object} بيانات الرسالة
+   */
+  formatMessage(message, { includeModeration = false } = {}) {
+    const coordinates = message.location?.coordinates;
+    const formatted = {
+      messageId: message._id,
+      rideId: message.rideId,
+      messageType: message.messageType || 'text',
+      text: message.text,
+      attachment: message.attachment?.url ? {
+        attachmentId: message.attachment.attachmentId,
+        url: message.attachment.url,
+        thumbnailUrl: message.attachment.thumbnailUrl || null,
+        mimeType: message.attachment.mimeType,
+        size: message.attachment.size,
+        durationSeconds: message.attachment.durationSeconds || null,
+        expiresAt: message.attachment.expiresAt
+      } : null,
+      location: coordinates?.length === 2 ? {
+        latitude: coordinates[1],
+        longitude: coordinates[0],
+        label: message.location.label || null
+      } : null,
+      senderId: message.senderId,
+      senderType: message.senderType,
+      senderName: message.metadata?.senderName || null,
+      isQuick: message.isQuick,
+      timestamp: message.createdAt,
+      tempId: message.tempId,
+      messageStatus: message.messageStatus
+    };
+    if (includeModeration) {
+      formatted.moderationFlags = message.moderation?.flags || [];
+    }
+    return formatted;
+  }
+
+  // ===============================
+  // الدعم والإشراف على المحادثات
+  // ===============================
+
+  /**
+   * هل يستطيع المستخدم (User) قراءة محادثات الرحلات والمشاركة فيها
+   * @param {Object} user - مستخدم لوحة التحكم
+   * @returns {boolean}
+   */
+  canSupportChats(user) {
+    return !!user && SUPPORT_ROLES.includes(user.role);
+  }
+
+  /**
+   * محادثة رحلة كاملة مع سياقها لموظف الدعم
+   * @param {string} rideId - معرف الرحلة
+   * @returns {Object|null} { ride, messages, mutes }
+   */
+  async getSupportThread(rideId) {
+    if (!mongoose.Types.ObjectId.isValid(rideId)) throw chatError('Invalid ride ID', 400);
+
+    const ride = await Ride.findById(rideId)
+      .select('status passenger driver pickupLocation.locationName dropoffLocation.locationName fare createdAt')
+      .populate('passenger', 'name phoneNumber')
+      .populate('driver', 'name phoneNumber carDetails')
+      .lean();
+    if (!ride) return null;
+
+    const [messages, mutes] = await Promise.all([
+      ChatMessage.find({ rideId }).sort({ createdAt: 1 }).lean(),
+      this.getActiveMutes(rideId)
+    ]);
+
+    return {
+      ride: {
+        rideId: ride._id,
+        status: ride.status,
+        createdAt: ride.createdAt,
+        pickup: ride.pickupLocation?.locationName || null,
+        dropoff: ride.dropoffLocation?.locationName || null,
+        fare: ride.fare,
+        customer: ride.passenger
+          ? { id: ride.passenger._id, name: ride.passenger.name, phoneNumber: ride.passenger.phoneNumber }
+          : null,
+        captain: ride.driver
+          ? { id: ride.driver._id, name: ride.driver.name, phoneNumber: ride.driver.phoneNumber, carDetails: ride.driver.carDetails }
+          : null
+      },
+      messages: messages.map(message => this.formatMessage(message, { includeModeration: true })),
+      mutes: mutes.map(mute => this.formatMute(mute))
+    };
+  }
+
+  /**
+   * رسالة من موظف الدعم في محادثة الرحلة (تصل للطرفين)
+   * @param {Object} data - { rideId, text, tempId, supportUser }
+   * @returns {Object} { message, customerId, captainId }
+   */
+  async sendSupportMessage({ rideId, text, tempId, supportUser }) {
+    if (!mongoose.Types.ObjectId.isValid(rideId)) throw chatError('Invalid ride ID', 400);
+    if (!this.canSupportChats(supportUser)) throw chatError('Support role required', 403);
+
+    const message = await this.sendMessage({
+      rideId,
+      senderId: supportUser._id,
+      senderType: 'support',
+      senderName: supportUser.userName,
+      text,
+      tempId
+    });
+    const ride = await Ride.findById(rideId).select('passenger driver').lean();
+
+    return {
+      message: this.formatMessage(message),
+      customerId: ride?.passenger?.toString() || null,
+      captainId: ride?.driver?.toString() || null
+    };
+  }
+
+  /**
+   * نص المحادثة للتصدير (ملف نصي أو JSON)
+   * @param {string} rideId - معرف الرحلة
+   * @param {string} format - txt | json
+   * @returns {Object|null} { filename, contentType, content }
+   */
+  async exportTranscript(rideId, format = 'txt') {
+    const thread = await this.getSupportThread(rideId);
+    if (!thread) return null;
+
+    const filename = `ride-${rideId}-chat.${format === 'json' ? 'json' : 'txt'}`;
+    if (format === 'json') {
+      return { filename, contentType: 'application/json', content: JSON.stringify(thread, null, 2) };
+    }
+
+    const { ride } = thread;
+    const names = {
+      customer: ride.customer?.name || 'Customer',
+      driver: ride.captain?.name || 'Captain'
+    };
+    const lines = [
+      `Ride ${ride.rideId} (${ride.status}) - ${new Date(ride.createdAt).toISOString()}`,
+      `Customer: ${names.customer} ${ride.customer?.phoneNumber || ''}`.trim(),
+      `Captain: ${names.driver} ${ride.captain?.phoneNumber || ''}`.trim(),
+      `Route: ${ride.pickup || '-'} -> ${ride.dropoff || '-'}`,
+      ''
+    ];
+
+    for (const message of thread.messages) {
+      const sender = message.senderType === 'support'
+        ? `${SENDER_LABELS.support}${message.senderName ? ` (${message.senderName})` : ''}`
+        : `${SENDER_LABELS[message.senderType]} (${names[message.senderType]})`;
+      let content = message.text || '';
+      if (message.attachment) content = `[${message.messageType}: ${message.attachment.url}] ${content}`.trim();
+      if (message.location) {
+        content = `[location: ${message.location.latitude},${message.location.longitude}${message.location.label ? ` "${message.location.label}"` : ''}] ${content}`.trim();
+      }
+      const flags = message.moderationFlags.length ? ` {flagged: ${message.moderationFlags.join(', ')}}` : '';
+      lines.push(`[${new Date(message.timestamp).toISOString()}] ${sender}: ${content}${flags}`);
+    }
+
+    return { filename, contentType: 'text/plain; charset=utf-8', content: lines.join('\n') + '\n' };
+  }
+
+  /**
+   * كتم أحد طرفي الرحلة (لا يستطيع إرسال رسائل حتى انتهاء المدة أو إلغاء الكتم)
+   * @param {Object} muteData - { rideId, participantType, durationMinutes, reason, mutedBy }
+   * @returns {Object} الكتم
+   */
+  async muteParticipant({ rideId, participantType, durationMinutes = null, reason, mutedBy }) {
+    if (!mongoose.Types.ObjectId.isValid(rideId)) throw chatError('Invalid ride ID', 400);
+    if (!['customer', 'driver'].includes(participantType)) {
+      throw chatError('participantType must be customer or driver', 400);
+    }
+    const minutes = durationMinutes === null || durationMinutes === undefined || durationMinutes === ''
+      ? null
+      : Number(durationMinutes);
+    if (minutes !== null && (!Number.isFinite(minutes) || minutes <= 0)) {
+      throw chatError('durationMinutes must be a positive number', 400);
+    }
+
+    const ride = await Ride.findById(rideId).select('passenger driver');
+    if (!ride) throw chatError('Ride not found', 404);
+    const participantId = participantType === 'customer' ? ride.passenger : ride.driver;
+    if (!participantId) throw chatError('The ride has no such participant', 404);
+
+    await ChatMute.updateMany({ rideId, participantType, active: true }, { $set: { active: false } });
+    const mute = await ChatMute.create({
+      rideId,
+      participantType,
+      participantId,
+      mutedBy,
+      reason,
+      mutedUntil: minutes ? new Date(Date.now() + minutes * 60 * 1000) : null
+    });
+
+    this.logger.info(`[ChatService] ${participantType} ${participantId} muted in ride ${rideId} chat by ${mutedBy}${minutes ? ` for ${minutes} minutes` : ''}`);
+    return this.formatMute(mute);
+  }
+
+  /**
+   * إلغاء كتم أحد طرفي الرحلة
+   * @returns {Object|null} الطرف الذي أُلغي كتمه
+   */
+  async unmuteParticipant({ rideId, participantType, unmutedBy }) {
+    const mute = await this.getActiveMute(rideId, participantType);
+    if (!mute) return null;
+
+    await ChatMute.updateMany(
+      { rideId, participantType, active: true },
+      { $set: { active: false, unmutedBy, unmutedAt: new Date() } }
+    );
+    this.logger.info(`[ChatService] ${participantType} ${mute.participantId} unmuted in ride ${rideId} chat by ${unmutedBy}`);
+    return { rideId, participantType, participantId: mute.participantId };
+  }
+
+  async getActiveMute(rideId, participantType) {
+    const now = new Date();
+    return ChatMute.findOne({
+      rideId,
+      participantType,
+      active: true,
+      $or: [{ mutedUntil: null }, { mutedUntil: { $gt: now } }]
+    }).lean();
+  }
+
+  async getActiveMutes(rideId) {
+    const now = new Date();
+    return ChatMute.find({
+      rideId,
+      active: true,
+      $or: [{ mutedUntil: null }, { mutedUntil: { $gt: now } }]
+    }).lean();
+  }
+
+  formatMute(mute) {
+    return {
+      rideId: mute.rideId,
+      participantType: mute.participantType,
+      participantId: mute.participantId,
+      reason: mute.reason || null,
+      mutedUntil: mute.mutedUntil,
+      mutedBy: mute.mutedBy,
+      mutedAt: mute.createdAt
+    };
+  }
+
+  /**
+   * ألفاظ مسيئة أو رقم هاتف في نص الرسالة
+   * @param {string} text - نص الرسالة
+   * @returns {Array<string>} abusive_language | phone_number
+   */
+  detectViolations(text) {
+    if (!text) return [];
+    const flags = [];
+
+    // أرقام عربية/فارسية إلى لاتينية، ثم إزالة الفواصل بين الأرقام (0770 123 4567)
+    const digits = text
+      .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+      .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0))
+      .replace(/(\d)[\s\-.()]+(?=\d)/g, '$1');
+    if (new RegExp(`\\d{${this.moderation.minPhoneDigits},}`).test(digits)) {
+      flags.push('phone_number');
+    }
+
+    const abusiveWords = new Set(this.moderation.abusiveWords.map(word => this.normalizeWord(word)));
+    const words = text.split(/[^\p{L}\p{M}]+/u).filter(Boolean).map(word => this.normalizeWord(word));
+    if (words.some(word => abusiveWords.has(word) || abusiveWords.has(word.replace(/^(ال|يا)/, '')))) {
+      flags.push('abusive_language');
+    }
+
+    return flags;
+  }
+
+  /**
+   * توحيد الكلمة للمقارنة (حالة الأحرف، التشكيل، أشكال الألف والتاء المربوطة)
+   * @private
+   */
+  normalizeWord(word) {
+    return word
+      .toLowerCase()
+      .replace(/[\u064B-\u065F\u0640]/g, '')
+      .replace(/[أإآ]/g, 'ا')
+      .replace(/ة/g, 'ه')
+      .replace(/ى/g, 'ي');
+  }
+
+  /**
+   * تنبيه الإدارة برسالة مخالفة
+   * @private
+   */
+  raiseModerationAlert(message, ride) {
+    const alert = {
+      rideId: message.rideId,
+      messageId: message._id,
+      senderType: message.senderType,
+      senderId: message.senderId,
+      flags: message.moderation.flags,
+      text: message.text,
+      customerId: ride.passenger,
+      captainId: ride.driver,
+      timestamp: message.createdAt
+    };
+    this.logger.warn(`[ChatService] Message ${message._id} in ride ${message.rideId} flagged: ${alert.flags.join(', ')}`);
+    this.adminSocketService?.broadcastToAdmins('chatModerationAlert', alert);
+  }
+
   // ===============================
   // دوال المساعدة الخاصة
   // ===============================
 
+  /**
+   * نوع المستخدم في الرحلة
+   * @returns {string|null} customer | driver | null
+   */
+  getParticipantType(ride, userId) {
+    if (!userId) return null;
+    if (ride.passenger && ride.passenger.toString() === userId.toString()) return 'customer';
+    if (ride.driver && ride.driver.toString() === userId.toString()) return 'driver';
+    return null;
+  }
+
+  /**
+   * التحقق من دبوس الموقع
+   * @param {Object} location - { latitude, longitude, label }
+   * @returns {Object|null} GeoJSON Point مع الوصف
+   */
+  parseLocation(location) {
+    const latitude = Number(location?.latitude);
+    const longitude = Number(location?.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return null;
+    }
+    const label = typeof location.label === 'string' ? location.label.trim().slice(0, 200) : undefined;
+    return { type: 'Point', coordinates: [longitude, latitude], label };
+  }
+
+  /**
+   * حذف مرفقات وملفاتها
+   * @param {Object} filter - شرط البحث
+   * @returns {number} عدد المرفقات المحذوفة
+   */
+  async removeAttachments(filter) {
+    const attachments = await ChatAttachment.find(filter).select('filename thumbnail.filename').lean();
+    if (attachments.length === 0) return 0;
+
+    await removeUploadedFiles(attachments.flatMap(item => [item.filename, item.thumbnail?.filename]));
+    await ChatAttachment.deleteMany({ _id: { $in: attachments.map(item => item._id) } });
+
+    this.logger.info(`[ChatService] Removed ${attachments.length} chat attachments`);
+    return attachments.length;
+  }
+
   /**
    * فحص معدل الإرسال
    * @param {string} senderId - معرف المرسل
@@ -461,7 +1079,10 @@ class ChatService {
       const cacheKey = `chat:${message.rideId}`;
       const messageData = JSON.stringify({
         _id: message._id,
+        messageType: message.messageType,
         text: message.text,
+        attachment: message.attachment,
+        location: message.location,
         senderId: message.senderId,
         senderType: message.senderType,
         isQuick: message.isQuick,
@@ -498,7 +1119,10 @@ class ChatService {
       
       const messageStrings = messages.map(msg => JSON.stringify({
         _id: msg._id,
+        messageType: msg.messageType,
         text: msg.text,
+        attachment: msg.attachment,
+        location: msg.location,
         senderId: msg.senderId,
         senderType: msg.senderType,
         isQuick: msg.isQuick,
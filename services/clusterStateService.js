@@ -0,0 +1,380 @@
+const os = require("os");
+const crypto = require("crypto");
+
+const KEY_PREFIX = "cluster";
+const EVENTS_CHANNEL = `${KEY_PREFIX}:events`;
+
+// Delete a presence entry only while it still points at the same socket
+const PRESENCE_DELETE_SCRIPT = `
+local value = redis.call('HGET', KEYS[1], ARGV[1])
+if value and cjson.decode(value).socketId == ARGV[2] then
+  return redis.call('HDEL', KEYS[1], ARGV[1])
+end
+return 0`;
+
+const LEASE_RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const LEASE_RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+/**
+ * Cluster State Service
+ * الحالة المشتركة بين عدة نسخ من الخادم: تواجد الكباتن والعملاء، عروض الرحلات وطوابيرها، وملكية التوزيع
+ *
+ * - Every node holds a lease (cluster:node:<id>) renewed on a heartbeat, a node whose lease
+ *   expired is considered dead and its presence entries are reaped by the others.
+ * - Presence lives in Redis hashes and is mirrored into the in-process onlineCaptains /
+ *   onlineCustomers objects over the cluster:events channel, so the existing sync lookups
+ *   (and emits through the Socket.IO Redis adapter) keep working for sockets of other nodes.
+ * - Captain offers and queues are written through by the node holding the captain socket,
+ *   so a node that takes over the captain after a reconnect can restore them.
+ * - A ride is dispatched by exactly one node, the holder of cluster:dispatch:lease:<rideId>.
+ */
+class ClusterStateService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+    this.nodeId = dependencies.nodeId || process.env.NODE_ID ||
+      `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+    this.nodeLeaseMs = dependencies.nodeLeaseMs || 15000;
+    this.dispatchLeaseMs = dependencies.dispatchLeaseMs || 30000;
+    this.queueTtlMs = dependencies.queueTtlMs || 10 * 60 * 1000;
+
+    this.subscriber = null;
+    this.handlers = new Map(); // event type -> [handler]
+    this.presenceMaps = {};    // role -> shared online object
+    this.heartbeatInterval = null;
+    this.reaperInterval = null;
+    this.started = false;
+  }
+
+  presenceKey(role) {
+    return `${KEY_PREFIX}:presence:${role}`;
+  }
+
+  /**
+   * Register the node, load presence and subscribe to cluster events
+   */
+  async start() {
+    if (this.started || !this.redisClient) return;
+
+    await this.heartbeat();
+
+    this.subscriber = this.redisClient.duplicate();
+    this.subscriber.on("error", (error) => this.logger.error("[Cluster] Subscriber error:", error));
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(EVENTS_CHANNEL, (message) => this.handleMessage(message));
+
+    this.heartbeatInterval = setInterval(() => this.heartbeat(), Math.floor(this.nodeLeaseMs / 3));
+    this.reaperInterval = setInterval(() => this.reapDeadNodes(), this.nodeLeaseMs);
+    this.started = true;
+
+    await this.reapDeadNodes();
+    this.logger.info(`[Cluster] Node ${this.nodeId} joined the cluster`);
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearInterval(this.heartbeatInterval);
+    clearInterval(this.reaperInterval);
+
+    try {
+      // Leave the presence of this node to the others right away instead of waiting for the lease
+      await this.removeNodePresence(this.nodeId);
+      await this.redisClient.del(`${KEY_PREFIX}:node:${this.nodeId}`);
+      await this.redisClient.sRem(`${KEY_PREFIX}:nodes`, this.nodeId);
+      await this.subscriber.quit();
+    } catch (error) {
+      this.logger.warn(`[Cluster] Error leaving the cluster: ${error.message}`);
+    }
+    this.logger.info(`[Cluster] Node ${this.nodeId} left the cluster`);
+  }
+
+  async heartbeat() {
+    try {
+      await this.redisClient.set(`${KEY_PREFIX}:node:${this.nodeId}`, Date.now().toString(), { PX: this.nodeLeaseMs });
+      await this.redisClient.sAdd(`${KEY_PREFIX}:nodes`, this.nodeId);
+    } catch (error) {
+      this.logger.error("[Cluster] Heartbeat failed:", error);
+    }
+  }
+
+  /**
+   * Remove presence of nodes whose lease expired (one reaper per dead node)
+   */
+  async reapDeadNodes() {
+    try {
+      const nodes = await this.redisClient.sMembers(`${KEY_PREFIX}:nodes`);
+
+      for (const nodeId of nodes) {
+        if (nodeId === this.nodeId) continue;
+        if (await this.redisClient.exists(`${KEY_PREFIX}:node:${nodeId}`)) continue;
+
+        const claimed = await this.redisClient.set(`${KEY_PREFIX}:reap:${nodeId}`, this.nodeId, { NX: true, PX: this.nodeLeaseMs });
+        if (!claimed) continue;
+
+        const removed = await this.removeNodePresence(nodeId);
+        await this.redisClient.sRem(`${KEY_PREFIX}:nodes`, nodeId);
+        this.logger.warn(`[Cluster] Node ${nodeId} is gone, removed ${removed} presence entries`);
+      }
+    } catch (error) {
+      this.logger.error("[Cluster] Error reaping dead nodes:", error);
+    }
+  }
+
+  async removeNodePresence(nodeId) {
+    let removed = 0;
+    for (const role of Object.keys(this.presenceMaps)) {
+      const entries = await this.redisClient.hGetAll(this.presenceKey(role));
+      for (const [id, value] of Object.entries(entries)) {
+        const entry = this.parse(value);
+        if (entry?.nodeId === nodeId && await this.setOffline(role, id, entry.socketId)) {
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  /* ---------- Event bus ---------- */
+
+  /**
+   * Handle a cluster event published by another node
+   * @param {string} type
+   * @param {Function} handler - (payload, fromNodeId)
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, []);
+    this.handlers.get(type).push(handler);
+  }
+
+  async publish(type, payload = {}) {
+    if (!this.redisClient) return;
+    try {
+      await this.redisClient.publish(EVENTS_CHANNEL, JSON.stringify({ type, nodeId: this.nodeId, payload }));
+    } catch (error) {
+      this.logger.error(`[Cluster] Failed to publish ${type}:`, error);
+    }
+  }
+
+  handleMessage(message) {
+    const event = this.parse(message);
+    if (!event || event.nodeId === this.nodeId) return;
+
+    if (event.type === "presence") {
+      this.applyPresence(event.payload);
+      return;
+    }
+
+    for (const handler of this.handlers.get(event.type) || []) {
+      Promise.resolve()
+        .then(() => handler(event.payload, event.nodeId))
+        .catch(error => this.logger.error(`[Cluster] Error handling ${event.type} from ${event.nodeId}:`, error));
+    }
+  }
+
+  /* ---------- Presence ---------- */
+
+  /**
+   * Mirror the cluster presence of a role into a shared online object (id -> socketId)
+   * @param {string} role - 'captain' | 'customer'
+   * @param {Object} onlineMap
+   */
+  async trackPresence(role, onlineMap) {
+    this.presenceMaps[role] = onlineMap;
+    if (!this.redisClient) return;
+
+    const entries = await this.redisClient.hGetAll(this.presenceKey(role));
+    for (const [id, value] of Object.entries(entries)) {
+      const entry = this.parse(value);
+      if (entry?.socketId) onlineMap[id] = entry.socketId;
+    }
+    this.logger.info(`[Cluster] Loaded ${Object.keys(entries).length} ${role} presence entries`);
+  }
+
+  async setOnline(role, id, socketId) {
+    if (!this.redisClient) return;
+    try {
+      await this.redisClient.hSet(this.presenceKey(role), id.toString(), JSON.stringify({
+        socketId,
+        nodeId: this.nodeId,
+        since: Date.now()
+      }));
+      await this.publish("presence", { op: "online", role, id: id.toString(), socketId });
+    } catch (error) {
+      this.logger.error(`[Cluster] Failed to set ${role} ${id} online:`, error);
+    }
+  }
+
+  /**
+   * Remove the presence entry of a socket, a newer connection of the same user is kept
+   * @returns {Promise<boolean>} true when the entry was removed
+   */
+  async setOffline(role, id, socketId) {
+    if (!this.redisClient) return false;
+    try {
+      const removed = await this.redisClient.eval(PRESENCE_DELETE_SCRIPT, {
+        keys: [this.presenceKey(role)],
+        arguments: [id.toString(), socketId]
+      });
+
+      if (removed) {
+        const event = { op: "offline", role, id: id.toString(), socketId };
+        this.applyPresence(event); // also covers entries reaped from a dead node
+        await this.publish("presence", event);
+        return true;
+      }
+
+      // Reconnected on another node meanwhile: keep the mirror pointing at the live socket
+      const current = this.parse(await this.redisClient.hGet(this.presenceKey(role), id.toString()));
+      if (current?.socketId && this.presenceMaps[role]) {
+        this.presenceMaps[role][id] = current.socketId;
+      }
+      return false;
+    } catch (error) {
+      this.logger.error(`[Cluster] Failed to set ${role} ${id} offline:`, error);
+      return false;
+    }
+  }
+
+  applyPresence({ op, role, id, socketId }) {
+    const onlineMap = this.presenceMaps[role];
+    if (!onlineMap) return;
+
+    if (op === "online") {
+      onlineMap[id] = socketId;
+    } else if (op === "offline" && onlineMap[id] === socketId) {
+      delete onlineMap[id];
+    }
+  }
+
+  /* ---------- Dispatch leases ---------- */
+
+  dispatchLeaseKey(rideId) {
+    return `${KEY_PREFIX}:dispatch:lease:${rideId}`;
+  }
+
+  /**
+   * @returns {Promise<boolean>} true when this node now owns the dispatch of the ride
+   */
+  async acquireDispatchLease(rideId) {
+    if (!this.redisClient) return true;
+    try {
+      const result = await this.redisClient.set(this.dispatchLeaseKey(rideId), this.nodeId, { NX: true, PX: this.dispatchLeaseMs });
+      if (result) return true;
+      // Already ours (e.g. a restarted dispatch loop on the same node)
+      return (await this.redisClient.get(this.dispatchLeaseKey(rideId))) === this.nodeId;
+    } catch (error) {
+      this.logger.error(`[Cluster] Failed to acquire dispatch lease of ride ${rideId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the lease was lost to another node
+   */
+  async renewDispatchLease(rideId) {
+    if (!this.redisClient) return true;
+    try {
+      const renewed = await this.redisClient.eval(LEASE_RENEW_SCRIPT, {
+        keys: [this.dispatchLeaseKey(rideId)],
+        arguments: [this.nodeId, this.dispatchLeaseMs.toString()]
+      });
+      return renewed === 1;
+    } catch (error) {
+      // A Redis hiccup does not mean the lease is gone, the next renewal decides
+      this.logger.warn(`[Cluster] Could not renew dispatch lease of ride ${rideId}: ${error.message}`);
+      return true;
+    }
+  }
+
+  async releaseDispatchLease(rideId) {
+    if (!this.redisClient) return;
+    try {
+      await this.redisClient.eval(LEASE_RELEASE_SCRIPT, {
+        keys: [this.dispatchLeaseKey(rideId)],
+        arguments: [this.nodeId]
+      });
+    } catch (error) {
+      this.logger.warn(`[Cluster] Could not release dispatch lease of ride ${rideId}: ${error.message}`);
+    }
+  }
+
+  async getDispatchOwner(rideId) {
+    if (!this.redisClient) return null;
+    return this.redisClient.get(this.dispatchLeaseKey(rideId));
+  }
+
+  /* ---------- Captain offers and queues ---------- */
+
+  offerKey(captainId) {
+    return `${KEY_PREFIX}:offer:${captainId}`;
+  }
+
+  queueKey(captainId) {
+    return `${KEY_PREFIX}:queue:${captainId}`;
+  }
+
+  /**
+   * Write through the pending offer and the queue of a captain
+   * @param {string} captainId
+   * @param {Object} state - { offer: {rideId, timestamp, adjustedTimeout, ...} | null, queue: Array }
+   */
+  async saveCaptainDispatchState(captainId, { offer, queue }) {
+    if (!this.redisClient) return;
+    try {
+      if (offer) {
+        const remainingMs = Math.max((offer.timestamp + offer.adjustedTimeout) - Date.now(), 1);
+        await this.redisClient.set(this.offerKey(captainId), JSON.stringify(offer), { PX: remainingMs });
+      } else {
+        await this.redisClient.del(this.offerKey(captainId));
+      }
+
+      if (queue && queue.length > 0) {
+        await this.redisClient.set(this.queueKey(captainId), JSON.stringify(queue), { PX: this.queueTtlMs });
+      } else {
+        await this.redisClient.del(this.queueKey(captainId));
+      }
+    } catch (error) {
+      this.logger.error(`[Cluster] Failed to save dispatch state of captain ${captainId}:`, error);
+    }
+  }
+
+  /**
+   * @returns {Promise<{offer: Object|null, queue: Array}>}
+   */
+  async loadCaptainDispatchState(captainId) {
+    if (!this.redisClient) return { offer: null, queue: [] };
+    try {
+      const [offer, queue] = await Promise.all([
+        this.redisClient.get(this.offerKey(captainId)),
+        this.redisClient.get(this.queueKey(captainId))
+      ]);
+      return { offer: this.parse(offer), queue: this.parse(queue) || [] };
+    } catch (error) {
+      this.logger.error(`[Cluster] Failed to load dispatch state of captain ${captainId}:`, error);
+      return { offer: null, queue: [] };
+    }
+  }
+
+  parse(value) {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = ClusterStateService;
@@ -1,10 +1,27 @@
 const jwt = require("jsonwebtoken");
 const Ride = require("../model/ride");
 const Customer = require("../model/customer"); // Assuming you have a Customer model
+const FinancialAccount = require("../model/financialAccount");
 const RideSetting = require("../model/rideSetting"); // Add RideSetting import
 const UserSavedState = require("../model/userSavedState"); // State management model
+const { PromoCode } = require("../model/promoCode");
 const ChatService = require("./chatService"); // Chat service for messaging
 const StateManagementService = require("./stateManagementService"); // State management service
+const FinancialAccountService = require("./financialAccountService"); // Financial account service
+const RechargeCardService = require("./rechargeCardService"); // Recharge card redemption
+const RideSchedulerService = require("./rideSchedulerService"); // Scheduled rides
+const PoolingService = require("./poolingService"); // Shared rides
+const RoutingService = require("./routingService"); // Road distance and duration
+const { calculateRouteDistance, toCoordinates, estimateDuration } = require("../utils/fareCalculator");
+const { formatWaypoints } = require("../utils/helpers");
+const {
+  DEFAULT_VEHICLE_CATEGORIES,
+  DEFAULT_VEHICLE_CATEGORY,
+  getVehicleCategories,
+  findVehicleCategory,
+  getCategoryFareTable,
+  formatVehicleCategory
+} = require("../utils/vehicleCategories");
 
 class CustomerSocketService {
   constructor(io, logger, dependencies) {
@@ -16,6 +33,7 @@ class CustomerSocketService {
     this.rideSharingMap = dependencies.rideSharingMap;
     this.dispatchRide = dependencies.dispatchRide;
     this.calculateDistance = dependencies.calculateDistance;
+    this.paymentService = dependencies.paymentService;
     this.customerNamespace = null;
     this.rideSettings = null; // Cache for ride settings
     
@@ -23,7 +41,39 @@ class CustomerSocketService {
     this.chatService = new ChatService(logger, dependencies.redisClient);
     
     // Initialize state management service
-    this.stateManagementService = new StateManagementService(logger, dependencies.redisClient);
+    this.stateManagementService = new StateManagementService(logger, dependencies.redisClient, dependencies.promoCodeService);
+
+    // Financial account service (cancellation fees)
+    this.financialAccountService = dependencies.financialAccountService || new FinancialAccountService(logger);
+
+    // Recharge card redemption
+    this.rechargeCardService = dependencies.rechargeCardService || new RechargeCardService(logger, this.financialAccountService);
+
+    // Scheduled rides (lead-time validation and bookings)
+    this.rideSchedulerService = dependencies.rideSchedulerService || new RideSchedulerService(logger);
+
+    // Shared (pooled) rides
+    this.poolingService = dependencies.poolingService || new PoolingService(logger, { redisClient: dependencies.redisClient });
+
+    // Zone surge pricing (optional - no zone surge without it)
+    this.surgePricingService = dependencies.surgePricingService || null;
+    this.clusterStateService = dependencies.clusterStateService || null; // Cross-node presence
+
+    // Road routing for quotes (straight line when no routing backend is configured)
+    this.routingService = dependencies.routingService || new RoutingService(logger, { redisClient: dependencies.redisClient });
+
+    // Captain shift sessions (on-trip time stops when the customer cancels)
+    this.captainShiftService = dependencies.captainShiftService || null;
+
+    // Post-trip ratings in both directions
+    this.ratingService = dependencies.ratingService || null;
+
+    // Push notifications for events missed while offline
+    this.notificationService = dependencies.notificationService || null;
+
+    // Numbered events kept for replay after a reconnection
+    this.eventJournal = dependencies.eventJournalService || null;
+    this.maskedCallService = dependencies.maskedCallService || null; // Proxy numbers and in-app calls with the captain
     
     // Validate dependencies
     this.validateDependencies();
@@ -91,10 +141,34 @@ class CustomerSocketService {
           passengerRules: {
             cancellationFee: 1000,
             freeCancelWindow: 120,
+            captainCancellationShare: 0.5,
             minRatingRequired: 0
           },
+          scheduling: {
+            enabled: true,
+            minLeadMinutes: 30,
+            maxLeadDays: 7,
+            dispatchLeadMinutes: 15,
+            reminderMinutes: [60, 15],
+            maxScheduledPerCustomer: 3,
+            expireAfterMinutes: 30
+          },
+          stops: {
+            enabled: true,
+            maxStops: 3,
+            pricePerStop: 500,
+            freeWaitMinutes: 3,
+            waitPricePerMinute: 100
+          },
           paymentMethods: ["cash", "wallet"],
-          allowShared: false
+          allowShared: false,
+          pooling: {
+            maxPassengers: 3,
+            maxDetourKm: 3,
+            searchRadiusKm: 3,
+            discountRate: 0.25
+          },
+          vehicleCategories: DEFAULT_VEHICLE_CATEGORIES
         });
         await this.rideSettings.save();
         this.logger.info('[CustomerSocketService] Created default ride settings.');
@@ -121,10 +195,34 @@ class CustomerSocketService {
         passengerRules: {
           cancellationFee: 1000,
           freeCancelWindow: 120,
+          captainCancellationShare: 0.5,
           minRatingRequired: 0
         },
+        scheduling: {
+          enabled: true,
+          minLeadMinutes: 30,
+          maxLeadDays: 7,
+          dispatchLeadMinutes: 15,
+          reminderMinutes: [60, 15],
+          maxScheduledPerCustomer: 3,
+          expireAfterMinutes: 30
+        },
+        stops: {
+          enabled: true,
+          maxStops: 3,
+          pricePerStop: 500,
+          freeWaitMinutes: 3,
+          waitPricePerMinute: 100
+        },
         paymentMethods: ["cash", "wallet"],
-        allowShared: false
+        allowShared: false,
+        pooling: {
+          maxPassengers: 3,
+          maxDetourKm: 3,
+          searchRadiusKm: 3,
+          discountRate: 0.25
+        },
+        vehicleCategories: DEFAULT_VEHICLE_CATEGORIES
       };
     }
   }
@@ -218,10 +316,13 @@ class CustomerSocketService {
       const oldSocket = this.customerNamespace.sockets.get(oldSocketId);
       if (oldSocket) {
         oldSocket.disconnect(true);
+      } else if (this.clusterStateService) {
+        this.customerNamespace.in(oldSocketId).disconnectSockets(true);
       }
     }
 
     this.onlineCustomers[customerId] = socket.id;
+    this.clusterStateService?.setOnline('customer', customerId, socket.id);
     this.logger.info(`[Socket.IO Customer] Customer ${customerId} successfully connected. Socket ID: ${socket.id}`);
     this.logger.debug(`[State] Online customers: ${JSON.stringify(this.onlineCustomers)}`);
 
@@ -243,6 +344,9 @@ class CustomerSocketService {
     // Restore ride state on connection
     await this.restoreRideState(socket, customerId);
 
+    // Events missed since the last one the app processed (only when the app sends its last sequence number)
+    await this.eventJournal?.replay(socket, "customer", customerId, this.eventJournal.getHandshakeSeq(socket));
+
     // Setup event listeners
     this.setupEventListeners(socket, customerId);
   }
@@ -292,7 +396,7 @@ class CustomerSocketService {
       const recentCompleted = await Ride.find({
         passenger: customerId,
         status: 'completed',
-        passengerRating: null,
+        driverRating: null, // Not rated by the customer yet
         updatedAt: { $gte: new Date(Date.now() - 30 * 60 * 1000) } // Last 30 minutes
       }).populate('driver', 'name carDetails phoneNumber')
         .sort({ updatedAt: -1 })
@@ -315,6 +419,7 @@ class CustomerSocketService {
           status: rideToRestore.status,
           pickupLocation: rideToRestore.pickupLocation,
           dropoffLocation: rideToRestore.dropoffLocation,
+          waypoints: formatWaypoints(rideToRestore),
           distance: rideToRestore.distance,
           duration: rideToRestore.duration,
           fare: rideToRestore.fare,
@@ -332,6 +437,11 @@ class CustomerSocketService {
           };
         }
 
+        // Proxy number / in-app calling of the ride
+        if (['accepted', 'arrived', 'onRide'].includes(rideToRestore.status)) {
+          rideData.contact = await this.maskedCallService?.getRideContact(rideToRestore._id, "customer", customerId) ?? null;
+        }
+
         // Send comprehensive restoration event
         this.logger.info(`[Socket.IO Customer] Sending ride restoration data for ride ${rideToRestore._id}`);
         socket.emit('rideRestored', rideData);
@@ -395,7 +505,8 @@ class CustomerSocketService {
           rideId: ride._id,
           message: "Your ride has been completed. Thank you for riding with us.",
           fare: ride.fare.amount,
-          currency: this.rideSettings?.fare?.currency || "IQD"
+          currency: this.rideSettings?.fare?.currency || "IQD",
+          ratingTags: this.ratingService?.getTags('captain') || []
         });
         break;
 
@@ -434,6 +545,11 @@ class CustomerSocketService {
         }
       });
 
+      // Post-trip rating of the captain: { rideId, rating, comment, tags }
+      socket.on("rateRide", async (data, callback) => {
+        await this.handleRateRide(socket, customerId, data, callback);
+      });
+
       // Listen for ride cancellation
       socket.on("cancelRide", async (data) => {
         try {
@@ -444,6 +560,40 @@ class CustomerSocketService {
         }
       });
 
+      // Add / remove an intermediate stop (before or during the ride)
+      socket.on("addWaypoint", async (data) => {
+        try {
+          await this.handleAddWaypoint(socket, customerId, data);
+        } catch (error) {
+          this.logger.error(`[Socket.IO Customer] Error adding waypoint for customer ${customerId}:`, error);
+          socket.emit("rideError", { message: "Failed to add stop." });
+        }
+      });
+
+      socket.on("removeWaypoint", async (data) => {
+        try {
+          await this.handleRemoveWaypoint(socket, customerId, data);
+        } catch (error) {
+          this.logger.error(`[Socket.IO Customer] Error removing waypoint for customer ${customerId}:`, error);
+          socket.emit("rideError", { message: "Failed to remove stop." });
+        }
+      });
+
+      // Upcoming scheduled rides of this customer
+      socket.on("getScheduledRides", async (callback) => {
+        try {
+          const rides = await this.rideSchedulerService.getCustomerScheduledRides(customerId);
+          const response = { success: true, data: rides };
+          if (typeof callback === "function") callback(response);
+          else socket.emit("scheduledRides", response);
+        } catch (error) {
+          this.logger.error(`[Socket.IO Customer] Error fetching scheduled rides for customer ${customerId}:`, error);
+          const response = { success: false, message: "خطأ في جلب الرحلات المجدولة" };
+          if (typeof callback === "function") callback(response);
+          else socket.emit("scheduledRides", response);
+        }
+      });
+
       // Listen for fare estimate requests
       socket.on("requestFareEstimate", async (data) => {
         try {
@@ -589,6 +739,45 @@ class CustomerSocketService {
         }
       });
 
+      // Redeem a recharge card into the wallet
+      socket.on("redeemRechargeCard", async (data, callback) => {
+        await this.handleRedeemRechargeCard(socket, customerId, data, callback);
+      });
+
+      // Event journal: acknowledge processed events, replay the ones missed
+      socket.on("eventAck", async (data) => {
+        await this.eventJournal?.acknowledge("customer", customerId, data?.seq);
+      });
+
+      socket.on("replayEvents", async (data) => {
+        if (!this.eventJournal) {
+          socket.emit("eventsReplayed", { fromSeq: data?.lastSeq ?? null, toSeq: null, count: 0, gap: true });
+          return;
+        }
+        await this.eventJournal.replay(socket, "customer", customerId, data?.lastSeq);
+      });
+
+      // Masked calling: proxy number of the ride and in-app call signalling with the captain
+      socket.on("getCallContact", async (data, callback) => {
+        await this.maskedCallService?.handleCallSignal(socket, "customer", customerId, "contact", data, callback);
+      });
+
+      socket.on("callStart", async (data, callback) => {
+        await this.maskedCallService?.handleCallSignal(socket, "customer", customerId, "start", data, callback);
+      });
+
+      socket.on("callAnswer", async (data, callback) => {
+        await this.maskedCallService?.handleCallSignal(socket, "customer", customerId, "answer", data, callback);
+      });
+
+      socket.on("callIceCandidate", async (data, callback) => {
+        await this.maskedCallService?.handleCallSignal(socket, "customer", customerId, "ice", data, callback);
+      });
+
+      socket.on("callEnd", async (data, callback) => {
+        await this.maskedCallService?.handleCallSignal(socket, "customer", customerId, "end", data, callback);
+      });
+
       // ===============================
       // End State Management Events
       // ===============================      // Handle disconnect
@@ -608,22 +797,54 @@ class CustomerSocketService {
   async handleFareEstimate(socket, customerId, data) {
     this.logger.info(`[Socket.IO Customer] Received 'requestFareEstimate' from customer ${customerId}. Data: ${JSON.stringify(data)}`);
 
+    const origin = toCoordinates(data?.origin);
+    const destination = toCoordinates(data?.destination);
+
     // Validate input
-    if (!data || !data.origin || !data.destination || !data.distance) {
-      socket.emit("fareEstimateError", { message: "Invalid location or distance data provided." });
+    if (!origin || !destination) {
+      socket.emit("fareEstimateError", { message: "Invalid location data provided." });
       return;
     }
 
     try {
-      const estimatedFare = this.calculateFare(data.distance, data.duration || 0);
+      // Same distance and duration the ride request will be priced with
+      const route = await this.routingService.getRoute([origin, destination]);
+      const routeDistance = Number(route.distanceKm.toFixed(2));
+      const distance = route.estimated ? Math.max(Number(data.distance) || 0, routeDistance) : routeDistance;
+      const duration = route.estimated
+        ? (Number(data.duration) || Math.round(route.durationMinutes))
+        : Math.round(route.durationMinutes);
+
+      const zoneSurge = this.getZoneSurge(origin);
+      const zoneMultiplier = zoneSurge?.multiplier || 1;
+      const estimatedFare = this.calculateFare(distance, duration, 0, null, zoneMultiplier);
+
+      // One quote per enabled vehicle category
+      const quotes = getVehicleCategories(this.rideSettings)
+        .filter(category => category.enabled !== false)
+        .map(category => {
+          const fareTable = getCategoryFareTable(this.rideSettings?.fare, category);
+          return {
+            ...formatVehicleCategory(category),
+            baseFare: fareTable.baseFare,
+            pricePerKm: fareTable.pricePerKm,
+            estimatedFare: this.calculateFare(distance, duration, 0, category.key, zoneMultiplier)
+          };
+        });
 
       socket.emit("fareEstimate", {
         baseFare: this.rideSettings?.fare?.baseFare || 3000,
         pricePerKm: this.rideSettings?.fare?.pricePerKm || 500,
-        distance: data.distance,
+        distance,
+        duration,
         estimatedFare: estimatedFare,
+        quotes,
         currency: this.rideSettings?.fare?.currency || "IQD",
-        surge: this.rideSettings?.fare?.surge?.enabled ? {
+        surge: zoneSurge ? {
+          active: true,
+          multiplier: zoneSurge.multiplier,
+          zone: zoneSurge.zoneName
+        } : this.rideSettings?.fare?.surge?.enabled ? {
           active: this.isSurgeActive(),
           multiplier: this.rideSettings?.fare?.surge?.multiplier || 1.5
         } : null
@@ -635,53 +856,92 @@ class CustomerSocketService {
     }
   }
 
-  calculateFare(distanceKm, durationMinutes = 0) {
+  /**
+   * Estimated fare of a ride
+   * @param {number} distanceKm - Route distance
+   * @param {number} durationMinutes - Estimated duration
+   * @param {number} stopCount - Intermediate stops
+   * @param {string|null} categoryKey - Vehicle category, the general price table when not set
+   * @param {number} zoneMultiplier - Surge of the pickup zone, the higher of it and the manual surge applies
+   * @param {Date} at - Time the fare is quoted for (night and weekend multipliers)
+   */
+  calculateFare(distanceKm, durationMinutes = 0, stopCount = 0, categoryKey = null, zoneMultiplier = 1, at = new Date()) {
     if (!this.rideSettings?.fare) {
       this.logger.warn('[CustomerSocketService] Ride settings not available for fare calculation, using defaults');
       return 3000; // Default fare
     }
 
-    let fare = this.rideSettings.fare.baseFare || 3000;
+    const fareTable = getCategoryFareTable(this.rideSettings.fare, findVehicleCategory(this.rideSettings, categoryKey));
+
+    let fare = fareTable.baseFare || 3000;
 
     // Add distance cost
-    fare += distanceKm * (this.rideSettings.fare.pricePerKm || 500);
+    fare += distanceKm * (fareTable.pricePerKm || 500);
 
     // Add time cost if configured
-    fare += durationMinutes * (this.rideSettings.fare.pricePerMinute || 0);
+    fare += durationMinutes * (fareTable.pricePerMinute || 0);
+
+    // Add intermediate stops fee
+    if (stopCount > 0 && this.rideSettings.stops?.enabled !== false) {
+      fare += stopCount * (this.rideSettings.stops?.pricePerStop ?? 500);
+    }
+
+    fare *= this.getFareMultiplier(zoneMultiplier, at);
 
-    // Apply time-based multipliers
-    const now = new Date();
-    const hour = now.getHours();
-    const isWeekend = now.getDay() === 0 || now.getDay() === 6;
+    // Ensure fare is within bounds
+    fare = Math.max(fareTable.minRidePrice || 2000, fare);
+    fare = Math.min(fareTable.maxRidePrice || 7000, fare);
+
+    return Math.round(fare);
+  }
+
+  /**
+   * Combined time and surge multiplier of a quote
+   * @param {number} zoneMultiplier - Surge of the pickup zone
+   * @param {Date} at - Time the fare is quoted for
+   */
+  getFareMultiplier(zoneMultiplier = 1, at = new Date()) {
+    if (!this.rideSettings?.fare) return 1;
+
+    let multiplier = 1;
+    const hour = at.getHours();
+    const isWeekend = at.getDay() === 0 || at.getDay() === 6;
 
     // Night multiplier (assuming 10 PM to 6 AM is night)
     if (hour >= 22 || hour < 6) {
-      fare *= (this.rideSettings.fare.nightMultiplier || 1.2);
+      multiplier *= (this.rideSettings.fare.nightMultiplier || 1.2);
     }
 
     // Weekend multiplier
     if (isWeekend) {
-      fare *= (this.rideSettings.fare.weekendMultiplier || 1.15);
+      multiplier *= (this.rideSettings.fare.weekendMultiplier || 1.15);
     }
 
-    // Apply surge pricing if active
-    if (this.isSurgeActive()) {
-      fare *= (this.rideSettings.fare.surge?.multiplier || 1.5);
+    // Apply surge pricing if active (manual surge or the surge of the pickup zone)
+    const manualMultiplier = this.isSurgeActive(at) ? (this.rideSettings.fare.surge?.multiplier || 1.5) : 1;
+    const surgeMultiplier = Math.max(manualMultiplier, zoneMultiplier || 1);
+    if (surgeMultiplier > 1) {
+      multiplier *= surgeMultiplier;
     }
 
-    // Ensure fare is within bounds
-    fare = Math.max(this.rideSettings.fare.minRidePrice || 2000, fare);
-    fare = Math.min(this.rideSettings.fare.maxRidePrice || 7000, fare);
+    return multiplier;
+  }
 
-    return Math.round(fare);
+  /**
+   * Surge of the zone around a pickup point
+   * @param {Array<number>|null} coordinates - [longitude, latitude]
+   * @returns {Object|null} { zoneId, zoneName, multiplier, source }
+   */
+  getZoneSurge(coordinates) {
+    if (!this.surgePricingService || !coordinates) return null;
+    return this.surgePricingService.getSurgeForLocation(coordinates);
   }
 
-  isSurgeActive() {
+  isSurgeActive(now = new Date()) {
     if (!this.rideSettings?.fare?.surge?.enabled) {
       return false;
     }
 
-    const now = new Date();
     const surgeStart = this.rideSettings?.fare?.surge?.activeFrom;
     const surgeEnd = this.rideSettings?.fare?.surge?.activeTo;
 
@@ -753,9 +1013,133 @@ class CustomerSocketService {
       return;
     }
 
+    // Validate intermediate stops (optional)
+    const waypoints = this.normalizeWaypoints(rideData.waypoints);
+    if (!waypoints) {
+      this.logger.warn(`[Socket.IO Customer] Invalid waypoints from customer ${customerId}. Data: ${JSON.stringify(rideData.waypoints)}`);
+      socket.emit("rideError", { message: "Invalid stop location data provided. Please try again." });
+      return;
+    }
+
+    const maxStops = this.getMaxStops();
+    if (waypoints.length > maxStops) {
+      this.logger.warn(`[Socket.IO Customer] Customer ${customerId} requested ${waypoints.length} stops, max is ${maxStops}`);
+      socket.emit("rideError", { message: `الحد الأقصى لنقاط التوقف هو ${maxStops}` });
+      return;
+    }
+
+    // Shared ride (pooling) - only when enabled, a pooled ride goes straight from pickup to dropoff
+    const isShared = rideData.shared === true || rideData.rideType === 'shared';
+    if (isShared && !this.rideSettings?.allowShared) {
+      socket.emit("rideError", { message: "الرحلات المشتركة غير متاحة حالياً" });
+      return;
+    }
+    if (isShared && waypoints.length > 0) {
+      socket.emit("rideError", { message: "لا يمكن إضافة نقاط توقف إلى رحلة مشتركة" });
+      return;
+    }
+
+    // Vehicle category (carType is what the app saves in UserSavedState)
+    const categoryKey = rideData.vehicleCategory || rideData.carType || DEFAULT_VEHICLE_CATEGORY;
+    const vehicleCategory = findVehicleCategory(this.rideSettings, categoryKey);
+    if (!vehicleCategory) {
+      this.logger.warn(`[Socket.IO Customer] Unknown or disabled vehicle category ${categoryKey} from customer ${customerId}`);
+      socket.emit("rideError", { message: "فئة المركبة غير متاحة حالياً", vehicleCategory: categoryKey });
+      return;
+    }
+    if (isShared && vehicleCategory.key !== DEFAULT_VEHICLE_CATEGORY) {
+      socket.emit("rideError", { message: "الرحلات المشتركة متاحة للفئة الاقتصادية فقط" });
+      return;
+    }
+
     try {
-      // Check if customer already has an active ride
-      const existingRide = await Ride.findOne({
+      if (vehicleCategory.femaleOnly) {
+        const customer = await Customer.findById(customerId).select("gender").lean();
+        if (customer?.gender !== "female") {
+          this.logger.warn(`[Socket.IO Customer] Customer ${customerId} is not allowed to request female-only category ${vehicleCategory.key}`);
+          socket.emit("rideError", { message: "هذه الفئة مخصصة للراكبات فقط", vehicleCategory: vehicleCategory.key });
+          return;
+        }
+      }
+
+      // Scheduled ride: validate the pickup time, the scheduler starts dispatch before it
+      let schedule = null;
+      if (rideData.scheduledFor) {
+        schedule = this.rideSchedulerService.validateScheduledFor(rideData.scheduledFor, this.rideSettings?.scheduling);
+        if (!schedule.valid) {
+          this.logger.warn(`[Socket.IO Customer] Invalid scheduledFor ${rideData.scheduledFor} from customer ${customerId}: ${schedule.message}`);
+          socket.emit("rideError", { message: schedule.message, scheduledFor: rideData.scheduledFor });
+          return;
+        }
+
+        const maxBookings = this.rideSettings?.scheduling?.maxScheduledPerCustomer ?? 3;
+        const activeBookings = await this.rideSchedulerService.countCustomerBookings(customerId);
+        if (activeBookings >= maxBookings) {
+          this.logger.warn(`[Socket.IO Customer] Customer ${customerId} reached the scheduled rides limit (${maxBookings})`);
+          socket.emit("rideError", { message: `لا يمكن حجز أكثر من ${maxBookings} رحلات مجدولة` });
+          return;
+        }
+      }
+
+      // Calculate fare based on settings - with stops the distance covers every leg
+      const route = await this.routingService.getRoute([
+        [originLng, originLat],
+        ...waypoints.map(waypoint => waypoint.coordinates),
+        [destLng, destLat]
+      ]);
+      const routeDistance = Number(route.distanceKm.toFixed(2));
+      // A road-network route replaces the app's figures, a straight line only guards against understated ones
+      const distance = route.estimated ? Math.max(rideData.distance || 0, routeDistance) : routeDistance;
+      const duration = route.estimated
+        ? (rideData.duration || Math.round(route.durationMinutes))
+        : Math.round(route.durationMinutes);
+      // Zone surge is priced at request time, a booking is priced without it
+      const zoneSurge = schedule ? null : this.getZoneSurge([originLng, originLat]);
+      const pricedAt = new Date();
+      // Always priced here from the category and the zone surge, the app's figure is only compared
+      let calculatedFare =
+        this.calculateFare(distance, duration, waypoints.length, vehicleCategory.key, zoneSurge?.multiplier, pricedAt);
+      if (rideData.fareAmount !== undefined && Number(rideData.fareAmount) !== calculatedFare) {
+        this.logger.warn(`[Socket.IO Customer] Customer ${customerId} sent fare ${rideData.fareAmount}, server quote is ${calculatedFare} (${vehicleCategory.key}, surge ${zoneSurge?.multiplier || 1})`);
+      }
+
+      // Shared ride: every passenger pays a discounted split of the solo fare
+      let sharedPricing = null;
+      if (isShared) {
+        const discountRate = this.rideSettings?.pooling?.discountRate ?? 0.25;
+        sharedPricing = { soloFare: calculatedFare, discountRate };
+        calculatedFare = this.poolingService.calculateSharedFare(calculatedFare, discountRate);
+      }
+
+      // Apply promo code if provided - a use is reserved with the ride and redeemed when it completes
+      let appliedPromo = null;
+      if (rideData.promoCode) {
+        const promoResult = await this.stateManagementService.validatePromoCode({
+          promoCode: rideData.promoCode,
+          userId: customerId,
+          estimatedFare: calculatedFare
+        });
+
+        if (!promoResult.isValid) {
+          this.logger.warn(`[Socket.IO Customer] Promo code ${rideData.promoCode} rejected for customer ${customerId}: ${promoResult.reason}`);
+          socket.emit("rideError", { message: promoResult.reason, promoCode: rideData.promoCode });
+          return;
+        }
+
+        appliedPromo = {
+          promoCodeId: promoResult.promoCodeId,
+          code: promoResult.code,
+          discount: promoResult.discount,
+          originalFare: calculatedFare,
+          discountType: promoResult.promoType,
+          discountValue: promoResult.discountValue,
+          maxDiscount: promoResult.maxDiscount
+        };
+        calculatedFare = promoResult.newFare;
+      }
+
+      // Check if customer already has an active ride (a booking does not replace it)
+      const existingRide = schedule ? null : await Ride.findOne({
         passenger: customerId,
         status: { $in: ['requested', 'accepted', 'arrived', 'onRide'] }
       });
@@ -763,13 +1147,11 @@ class CustomerSocketService {
       if (existingRide) {
         existingRide.status = "cancelled"; // Cancel existing ride
         await existingRide.save();
+        if (existingRide.promoCode?.promoCodeId) {
+          await this.stateManagementService.promoCodeService.releaseForRide(existingRide._id);
+        }
       }
 
-      // Calculate fare based on settings
-      const distance = rideData.distance || 0;
-      const duration = rideData.duration || 0;
-      const calculatedFare = rideData.fareAmount || this.calculateFare(distance, duration);
-
       this.logger.info(`[Socket.IO Customer] Creating new ride for customer ${customerId}. Calculated fare: ${calculatedFare} ${this.rideSettings?.fare?.currency || "IQD"}`);
 
       const newRide = new Ride({
@@ -785,19 +1167,74 @@ class CustomerSocketService {
           locationName: rideData.destinationPlaceName,
           coordinates: [destLng, destLat], // GeoJSON format: [longitude, latitude]
         },
+        waypoints: waypoints,
+        vehicleCategory: vehicleCategory.key,
+        ...(zoneSurge && { surge: zoneSurge }),
         fare: {
           amount: calculatedFare,
           currency: this.rideSettings?.fare?.currency || "IQD",
+          multiplier: this.getFareMultiplier(zoneSurge?.multiplier, pricedAt),
         },
         distance: distance,
         duration: duration,
         paymentMethod: rideData.paymentMethod || this.rideSettings.paymentMethods[0], // Default to first available method
-        status: "requested",
-        isDispatching: true,
+        status: schedule ? "scheduled" : "requested",
+        isDispatching: !schedule,
         notified: false,
+        ...(appliedPromo && { promoCode: appliedPromo }),
+        ...(sharedPricing && { isShared: true, pool: sharedPricing }),
+        ...(schedule && {
+          scheduledFor: schedule.scheduledFor,
+          scheduling: {
+            dispatchAt: schedule.dispatchAt,
+            remindersSent: schedule.remindersSent
+          }
+        }),
       });
 
-      await newRide.save();
+      // Concurrent rides (or a booking and a ride) cannot share the last use of a code
+      if (appliedPromo) {
+        const reservation = await this.stateManagementService.promoCodeService.reserveForRide(newRide);
+        if (!reservation.success) {
+          const message = reservation.reason === 'per_customer_limit_reached'
+            ? 'لقد استخدمت هذا الكود مسبقاً'
+            : 'انتهى عدد مرات استخدام هذا الكود';
+          socket.emit("rideError", { message, promoCode: rideData.promoCode });
+          return;
+        }
+      }
+
+      try {
+        await newRide.save();
+      } catch (error) {
+        if (appliedPromo) await this.stateManagementService.promoCodeService.releaseForRide(newRide._id);
+        throw error;
+      }
+
+      if (schedule) {
+        this.logger.info(`[DB] Scheduled ride ${newRide._id} created for customer ${customerId}. Pickup: ${schedule.scheduledFor.toISOString()}, dispatch at: ${schedule.dispatchAt.toISOString()}`);
+
+        socket.emit('rideScheduled', {
+          rideId: newRide._id,
+          scheduledFor: newRide.scheduledFor,
+          pickupLocation: newRide.pickupLocation.coordinates,
+          dropoffLocation: newRide.dropoffLocation.coordinates,
+          waypoints: formatWaypoints(newRide),
+          vehicleCategory: newRide.vehicleCategory,
+          distance: newRide.distance,
+          duration: newRide.duration,
+          fare: newRide.fare.amount,
+          currency: this.rideSettings?.fare?.currency || "IQD",
+          paymentMethod: newRide.paymentMethod,
+          ...(appliedPromo && {
+            promoCode: appliedPromo.code,
+            discount: appliedPromo.discount,
+            originalFare: appliedPromo.originalFare
+          }),
+          message: "تم حجز الرحلة، سنبدأ البحث عن كابتن قبل الموعد"
+        });
+        return;
+      }
       this.logger.info(`[DB] Ride ${newRide._id} created successfully for customer ${customerId}. Status: requested. Fare: ${calculatedFare} ${this.rideSettings?.fare?.currency || "IQD"}`);
 
       // Emit confirmation back to customer
@@ -805,11 +1242,27 @@ class CustomerSocketService {
         rideId: newRide._id,
         pickupLocation: newRide.pickupLocation.coordinates,
         dropoffLocation: newRide.dropoffLocation.coordinates,
+        waypoints: formatWaypoints(newRide),
+        vehicleCategory: newRide.vehicleCategory,
         distance: newRide.distance,
         duration: newRide.duration,
         fare: newRide.fare.amount,
         currency: this.rideSettings?.fare?.currency || "IQD",
         paymentMethod: newRide.paymentMethod,
+        ...(appliedPromo && {
+          promoCode: appliedPromo.code,
+          discount: appliedPromo.discount,
+          originalFare: appliedPromo.originalFare
+        }),
+        ...(sharedPricing && {
+          isShared: true,
+          soloFare: sharedPricing.soloFare,
+          sharedDiscountRate: sharedPricing.discountRate
+        }),
+        ...(zoneSurge && {
+          surgeMultiplier: zoneSurge.multiplier,
+          surgeZone: zoneSurge.zoneName
+        }),
         message: "Ride requested. Searching for nearby captains..."
       });
 
@@ -827,6 +1280,248 @@ class CustomerSocketService {
       socket.emit("rideError", { message: "Failed to create ride. Please try again later." });
     }
   }
+  /**
+   * Normalize the stop list sent by the customer app
+   * @param {Array} rawWaypoints - [{latitude, longitude, locationName}] or [{coordinates: [lng, lat], locationName}]
+   * @returns {Array|null} Waypoints ready for the Ride document, or null if any stop is invalid
+   */
+  normalizeWaypoints(rawWaypoints) {
+    if (rawWaypoints === undefined || rawWaypoints === null) return [];
+    if (!Array.isArray(rawWaypoints)) return null;
+
+    const waypoints = [];
+    for (const [index, waypoint] of rawWaypoints.entries()) {
+      const coordinates = toCoordinates(waypoint);
+      if (!coordinates) return null;
+
+      waypoints.push({
+        type: 'Point',
+        coordinates,
+        locationName: waypoint.locationName || waypoint.placeName,
+        order: index,
+        status: 'pending'
+      });
+    }
+    return waypoints;
+  }
+
+  getMaxStops() {
+    if (this.rideSettings?.stops?.enabled === false) return 0;
+    return this.rideSettings?.stops?.maxStops ?? 3;
+  }
+
+  /**
+   * Re-quote the fare after the stop list changed.
+   * Only the change is priced: the added (or saved) distance, time and stops are charged at the
+   * category rates with the multiplier of the original quote, on top of the quote the customer accepted.
+   * With road routing the new route is used as is; on straight lines the ratio between the stored
+   * (road) distance and the straight-line route is kept.
+   * Wait charges already added at stops stay on the fare and the promo is applied again by its type.
+   */
+  async requoteRideFare(ride, previousWaypoints) {
+    const pointsThrough = (waypoints) => [
+      ride.pickupLocation.coordinates,
+      ...waypoints.slice().sort((a, b) => a.order - b.order).map(waypoint => waypoint.coordinates),
+      ride.dropoffLocation.coordinates
+    ];
+
+    const route = await this.routingService.getRoute(pointsThrough(ride.waypoints));
+
+    let distance;
+    let duration;
+    if (!route.estimated) {
+      distance = Number(route.distanceKm.toFixed(2));
+      duration = Math.round(route.durationMinutes);
+    } else {
+      const previousRoute = calculateRouteDistance(pointsThrough(previousWaypoints)).distance;
+      const detourFactor = previousRoute > 0 && ride.distance > previousRoute ? ride.distance / previousRoute : 1;
+
+      distance = Number((route.distanceKm * detourFactor).toFixed(2));
+      duration = ride.distance > 0
+        ? Math.round((ride.duration || 0) * distance / ride.distance)
+        : estimateDuration(distance);
+    }
+
+    const waitCharges = ride.waypoints.reduce((sum, waypoint) => sum + (waypoint.waitCharge || 0), 0);
+    // Quote before the promo; visited stops cannot be removed, so their wait charges are still in the sum
+    const quotedFare = ride.promoCode?.originalFare ?? Math.max((ride.fare.amount || 0) - waitCharges, 0);
+
+    let fareBeforePromo = quotedFare;
+    if (this.rideSettings?.fare) {
+      const fareTable = getCategoryFareTable(this.rideSettings.fare, findVehicleCategory(this.rideSettings, ride.vehicleCategory));
+      const pricePerStop = this.rideSettings.stops?.enabled !== false ? (this.rideSettings.stops?.pricePerStop ?? 500) : 0;
+      // Rides quoted before the multiplier was stored: the multipliers of the request time
+      const multiplier = ride.fare.multiplier || this.getFareMultiplier(ride.surge?.multiplier, ride.createdAt || new Date());
+
+      const delta = (
+        (distance - (ride.distance || 0)) * (fareTable.pricePerKm || 500) +
+        (duration - (ride.duration || 0)) * (fareTable.pricePerMinute || 0) +
+        (ride.waypoints.length - previousWaypoints.length) * pricePerStop
+      ) * multiplier;
+
+      fareBeforePromo = Math.round(Math.min(
+        Math.max(quotedFare + delta, fareTable.minRidePrice || 2000),
+        fareTable.maxRidePrice || 7000
+      ));
+    }
+
+    let discount = 0;
+    if (ride.promoCode?.code) {
+      // Codes stored before their terms were kept on the ride: the discount amount as a fixed one
+      discount = ride.promoCode.discountType
+        ? PromoCode.discountFor(ride.promoCode, fareBeforePromo)
+        : Math.min(ride.promoCode.discount || 0, fareBeforePromo);
+    }
+
+    return {
+      distance,
+      duration,
+      fareBeforePromo,
+      discount,
+      amount: Math.round(fareBeforePromo - discount + waitCharges)
+    };
+  }
+
+  /**
+   * Store a re-quote on the ride
+   */
+  applyRideQuote(ride, quote) {
+    ride.distance = quote.distance;
+    ride.duration = quote.duration;
+    ride.fare.amount = quote.amount;
+    if (ride.promoCode?.code) {
+      ride.promoCode.originalFare = quote.fareBeforePromo;
+      ride.promoCode.discount = quote.discount;
+    }
+  }
+
+  /**
+   * Notify the customer and the assigned captain about a changed stop list
+   */
+  emitRouteUpdate(socket, ride, change) {
+    const payload = {
+      rideId: ride._id,
+      change,
+      waypoints: formatWaypoints(ride),
+      distance: ride.distance,
+      duration: ride.duration,
+      fare: ride.fare.amount,
+      currency: ride.fare.currency || this.rideSettings?.fare?.currency || "IQD"
+    };
+
+    socket.emit("rideRouteUpdated", payload);
+    if (ride.driver) {
+      this.emitToCaptain(ride.driver.toString(), "rideRouteUpdated", payload);
+    }
+  }
+
+  /**
+   * Customer adds a stop to a ride that has not finished yet.
+   * @param {Object} data - { rideId, waypoint: {latitude, longitude, locationName}, position }
+   */
+  async handleAddWaypoint(socket, customerId, data) {
+    const { rideId, waypoint, position } = data || {};
+    const coordinates = toCoordinates(waypoint);
+
+    if (!rideId || !coordinates) {
+      socket.emit("rideError", { message: "Invalid stop location data provided.", rideId });
+      return;
+    }
+
+    const ride = await Ride.findOne({
+      _id: rideId,
+      passenger: customerId,
+      status: { $in: ['scheduled', 'requested', 'accepted', 'arrived', 'onRide'] }
+    });
+
+    if (!ride) {
+      socket.emit("rideError", { message: "Cannot add stop. Ride not found or already finished.", rideId });
+      return;
+    }
+
+    const maxStops = this.getMaxStops();
+    if (ride.waypoints.length >= maxStops) {
+      socket.emit("rideError", { message: `الحد الأقصى لنقاط التوقف هو ${maxStops}`, rideId });
+      return;
+    }
+
+    const previousWaypoints = ride.waypoints.map(stop => stop.toObject());
+
+    // New stops can only be placed after the stops already visited
+    const ordered = ride.waypoints.slice().sort((a, b) => a.order - b.order);
+    const visitedCount = ordered.filter(stop => stop.status !== 'pending').length;
+    const requested = Number.isInteger(position) ? position : ordered.length;
+    const insertAt = Math.min(Math.max(requested, visitedCount), ordered.length);
+
+    ordered.splice(insertAt, 0, {
+      type: 'Point',
+      coordinates,
+      locationName: waypoint.locationName || waypoint.placeName,
+      status: 'pending'
+    });
+    ride.waypoints = ordered.map((stop, index) => {
+      const plain = typeof stop.toObject === 'function' ? stop.toObject() : stop;
+      return { ...plain, order: index };
+    });
+
+    const quote = await this.requoteRideFare(ride, previousWaypoints);
+    this.applyRideQuote(ride, quote);
+    await ride.save();
+
+    this.logger.info(`[Socket.IO Customer] Customer ${customerId} added a stop to ride ${rideId} at position ${insertAt}. New fare: ${quote.amount}`);
+    this.emitRouteUpdate(socket, ride, 'waypoint_added');
+  }
+
+  /**
+   * Customer removes a stop that has not been reached yet.
+   * @param {Object} data - { rideId, waypointId }
+   */
+  async handleRemoveWaypoint(socket, customerId, data) {
+    const { rideId, waypointId } = data || {};
+
+    if (!rideId || !waypointId) {
+      socket.emit("rideError", { message: "Missing ride ID or stop ID.", rideId });
+      return;
+    }
+
+    const ride = await Ride.findOne({
+      _id: rideId,
+      passenger: customerId,
+      status: { $in: ['scheduled', 'requested', 'accepted', 'arrived', 'onRide'] }
+    });
+
+    if (!ride) {
+      socket.emit("rideError", { message: "Cannot remove stop. Ride not found or already finished.", rideId });
+      return;
+    }
+
+    const stop = ride.waypoints.id(waypointId);
+    if (!stop) {
+      socket.emit("rideError", { message: "Stop not found.", rideId });
+      return;
+    }
+
+    if (stop.status !== 'pending') {
+      socket.emit("rideError", { message: "Cannot remove a stop the captain already reached.", rideId });
+      return;
+    }
+
+    const previousWaypoints = ride.waypoints.map(waypoint => waypoint.toObject());
+
+    ride.waypoints.pull(waypointId);
+    ride.waypoints
+      .slice()
+      .sort((a, b) => a.order - b.order)
+      .forEach((waypoint, index) => { waypoint.order = index; });
+
+    const quote = await this.requoteRideFare(ride, previousWaypoints);
+    this.applyRideQuote(ride, quote);
+    await ride.save();
+
+    this.logger.info(`[Socket.IO Customer] Customer ${customerId} removed stop ${waypointId} from ride ${rideId}. New fare: ${quote.amount}`);
+    this.emitRouteUpdate(socket, ride, 'waypoint_removed');
+  }
+
   async handleRideCancellation(socket, customerId, data) {
     const rideId = typeof data === 'object' ? data.rideId : data;
     if (!rideId) {
@@ -846,34 +1541,79 @@ class CustomerSocketService {
         return;
       }
 
-      const cancellableStatuses = ['requested', 'accepted', 'arrived'];
+      const cancellableStatuses = ['scheduled', 'requested', 'accepted', 'arrived'];
       if (!cancellableStatuses.includes(ride.status)) {
         this.logger.warn(`[Socket.IO Customer] Customer ${customerId} tried to cancel ride ${rideId} with status ${ride.status}, which is not allowed.`);
         socket.emit("rideError", { message: `Cannot cancel ride. Current status is '${ride.status}'.`, rideId: rideId });
         return;
       }
 
-      // Calculate cancellation fee
-      const createdAt = new Date(ride.createdAt);
+      // Keep the status before overwriting it - needed to decide if a captain was en route
+      const previousStatus = ride.status;
+      const captainId = ride.driver ? ride.driver.toString() : null;
+      const captainEnRoute = !!captainId && ['accepted', 'arrived'].includes(previousStatus);
+
+      // Calculate cancellation fee - the free-cancel window starts when the captain accepted,
+      // time spent waiting for a match does not count (rides accepted before acceptedAt was
+      // stored fall back to the request or dispatch time)
+      const acceptedAt = new Date(ride.acceptedAt || ride.scheduling?.dispatchStartedAt || ride.createdAt);
       const now = new Date();
-      const timeDifference = (now - createdAt) / 1000; // seconds
+      const timeDifference = (now - acceptedAt) / 1000; // seconds
+      const currency = this.rideSettings?.fare?.currency || "IQD";
 
+      // The fee only applies once a captain has been assigned and is on the way
       let cancellationFee = 0;
       const freeCancelWindow = this.rideSettings?.passengerRules?.freeCancelWindow || 120;
-      if (timeDifference > freeCancelWindow) {
+      if (captainEnRoute && timeDifference > freeCancelWindow) {
         cancellationFee = this.rideSettings?.passengerRules?.cancellationFee || 1000;
-        // Here you would typically deduct from customer's wallet
-        const currency = this.rideSettings?.fare?.currency || "IQD";
-        this.logger.info(`[Socket.IO Customer] Cancellation fee of ${cancellationFee} ${currency} applied to customer ${customerId} for ride ${rideId}`);
       }
 
       this.logger.info(`[DB] Updating ride ${rideId} status to 'cancelled' due to customer cancellation. Fee: ${cancellationFee}`);
 
-      ride.status = "cancelled";
-      ride.isDispatching = false;
-      ride.cancellationReason = `Cancelled by customer ${customerId}`;
-      ride.cancellationFee = cancellationFee;
-      await ride.save();
+      // Accounts are created beforehand, the transaction only moves money
+      const feeAccounts = cancellationFee > 0 ? await this.prepareCancellationFeeAccounts(customerId, captainId) : null;
+
+      // Status change and fee in one unit: the fee is never charged on a ride that stays active
+      const { cancelledRide, cancellationCharge } = await this.financialAccountService.runInTransaction(async (session) => {
+        // Claimed on the status read above, a captain arriving meanwhile is not overwritten
+        const claimed = await Ride.findOneAndUpdate(
+          { _id: ride._id, status: previousStatus, driver: ride.driver },
+          {
+            $set: {
+              status: "cancelled",
+              isDispatching: false,
+              cancellationReason: `Cancelled by customer ${customerId}`,
+              cancelledAt: now,
+              cancelledBy: customerId,
+              cancellationType: 'customer',
+              cancellationFee
+            }
+          },
+          { new: true, session }
+        );
+        if (!claimed) return { cancelledRide: null, cancellationCharge: null };
+
+        let charge = null;
+        if (feeAccounts) {
+          charge = await this.chargeCancellationFee(claimed, customerId, cancellationFee, feeAccounts, session);
+          await Ride.updateOne({ _id: claimed._id }, { $set: { cancellationCharge: charge } }, { session });
+        }
+        return { cancelledRide: claimed, cancellationCharge: charge };
+      });
+
+      if (!cancelledRide) {
+        this.logger.warn(`[Socket.IO Customer] Ride ${rideId} changed status while customer ${customerId} was cancelling it.`);
+        socket.emit("rideError", { message: "Cannot cancel ride. Its status has just changed.", rideId: rideId });
+        return;
+      }
+      if (cancellationCharge) {
+        this.logger.info(`[Socket.IO Customer] Cancellation fee of ${cancellationFee} ${currency} for ride ${rideId}: ${cancellationCharge.status}`);
+      }
+
+      await this.maskedCallService?.closeSession(ride._id, "ride_cancelled");
+      if (ride.promoCode?.promoCodeId) {
+        await this.stateManagementService.promoCodeService.releaseForRide(ride._id);
+      }
 
       // Stop dispatch process if running
       if (this.dispatchProcesses.has(rideId.toString())) {
@@ -882,12 +1622,39 @@ class CustomerSocketService {
         cancelDispatch();
         this.dispatchProcesses.delete(rideId.toString());
         this.logger.info(`[Dispatch] Dispatch process for ride ${rideId} cancelled and removed.`);
+      } else if (this.clusterStateService) {
+        // Dispatched by another node
+        await this.clusterStateService.publish('dispatchCancelled', { rideId: rideId.toString() });
+      }
+
+      // Release the seat of a shared ride
+      let updatedPool = null;
+      if (ride.isShared && ride.pool?.poolId) {
+        updatedPool = await this.poolingService.removeRide(ride._id);
       }
 
-      // Notify captain if ride was accepted
-      if (ride.driver && (ride.status === 'accepted' || ride.status === 'arrived')) {
-        // This would typically be handled by injecting the captain service
-        this.logger.info(`[Socket.IO Captain] Notifying captain ${ride.driver} about ride ${rideId} cancellation`);
+      // Notify the captain if one was already en route
+      if (captainEnRoute) {
+        // Stop sharing location with this passenger only (a pooled captain keeps the others)
+        const sharedWith = this.rideSharingMap.get(captainId);
+        sharedWith?.delete(customerId.toString());
+        if (!sharedWith?.size) {
+          this.rideSharingMap.delete(captainId);
+        }
+        this.captainShiftService?.markTripEnd(captainId);
+
+        if (updatedPool) {
+          this.emitToCaptain(captainId, "poolUpdated", this.poolingService.formatPool(updatedPool));
+        }
+
+        const notified = this.emitToCaptain(captainId, "rideCanceled", {
+          rideId: ride._id,
+          reason: "customer_cancelled",
+          message: "قام الزبون بإلغاء الرحلة",
+          compensation: cancellationCharge?.captainShare || 0,
+          currency: currency
+        });
+        this.logger.info(`[Socket.IO Captain] Captain ${captainId} ${notified ? 'notified' : 'offline, not notified'} about ride ${rideId} cancellation`);
       }
 
       // Confirm cancellation to customer
@@ -895,7 +1662,8 @@ class CustomerSocketService {
         rideId: ride._id,
         message: "Ride successfully cancelled.",
         cancellationFee: cancellationFee,
-        currency: this.rideSettings?.fare?.currency || "IQD"
+        feeStatus: cancellationCharge?.status || null,
+        currency: currency
       });
 
     } catch (err) {
@@ -904,6 +1672,206 @@ class CustomerSocketService {
     }
   }
 
+  /**
+   * Customer rates the captain after the trip
+   */
+  async handleRateRide(socket, customerId, data, callback) {
+    let response;
+    if (!this.ratingService) {
+      response = { success: false, reason: "disabled", message: "التقييم غير متاح حالياً" };
+    } else {
+      try {
+        response = await this.ratingService.submitRating({
+          rideId: data?.rideId,
+          raterType: "customer",
+          raterId: customerId,
+          rating: data?.rating,
+          comment: data?.comment,
+          tags: data?.tags
+        });
+      } catch (error) {
+        this.logger.error(`[Socket.IO Customer] Error rating ride ${data?.rideId} for customer ${customerId}:`, error);
+        response = { success: false, reason: "server_error", message: "تعذر حفظ التقييم" };
+      }
+    }
+
+    if (callback) {
+      callback(response);
+    } else {
+      socket.emit(response.success ? "ratingSubmitted" : "ratingError", response);
+    }
+  }
+
+  /**
+   * Accounts involved in a cancellation fee, created when missing (outside the fee transaction)
+   * @param {string} customerId - Customer ID
+   * @param {string} captainId - Captain that was en route
+   * @returns {Promise<Object>} { customerAccountId, captainAccountId, mainVaultId }
+   */
+  async prepareCancellationFeeAccounts(customerId, captainId) {
+    const Driver = require("../model/Driver");
+
+    const customer = await Customer.findById(customerId).select('financialAccount');
+    if (!customer) throw new Error(`Customer ${customerId} not found`);
+
+    if (!customer.financialAccount) {
+      const account = await this.financialAccountService.createAccount(customer._id, 'customer', 0, {
+        purpose: 'customer_payments',
+        description: 'Customer financial account for payments'
+      });
+      customer.financialAccount = account._id;
+      await customer.save();
+    }
+
+    const captain = captainId ? await Driver.findById(captainId).select('financialAccount').lean() : null;
+    if (captainId && !captain?.financialAccount) {
+      this.logger.warn(`[CancellationFee] Captain ${captainId} has no financial account, full fee goes to main vault`);
+    }
+
+    const mainVault = this.paymentService
+      ? await this.paymentService.getOrCreateMainVault()
+      : await FinancialAccount.findOne({ accountType: 'main_vault', isActive: true });
+    if (!mainVault) throw new Error('Main vault account not available');
+
+    return {
+      customerAccountId: customer.financialAccount,
+      captainId: captain?.financialAccount ? captainId : null,
+      captainAccountId: captain?.financialAccount || null,
+      mainVaultId: mainVault._id
+    };
+  }
+
+  /**
+   * Charge the customer cancellation fee inside the cancellation transaction.
+   * The captain share (passengerRules.captainCancellationShare) goes to the captain who was
+   * en route, the rest to the main vault. When the customer balance is insufficient a pending
+   * transfer is created instead, which is settled later as a debt. Errors abort the cancellation.
+   * @param {Object} ride - Ride being cancelled
+   * @param {string} customerId - Customer ID
+   * @param {number} fee - Cancellation fee
+   * @param {Object} accounts - From prepareCancellationFeeAccounts
+   * @param {ClientSession} session - Cancellation transaction
+   * @returns {Promise<Object>} Charge details stored on the ride
+   */
+  async chargeCancellationFee(ride, customerId, fee, accounts, session) {
+    const Driver = require("../model/Driver");
+    const charge = {
+      amount: fee,
+      currency: this.rideSettings?.fare?.currency || "IQD",
+      status: 'failed',
+      transferId: null,
+      captainId: accounts.captainId,
+      captainShare: 0,
+      captainTransferId: null,
+      chargedAt: new Date()
+    };
+
+    const share = Math.min(Math.max(this.rideSettings?.passengerRules?.captainCancellationShare ?? 0.5, 0), 1);
+    const transferStatuses = [];
+    if (accounts.captainAccountId) {
+      charge.captainShare = Math.round(fee * share);
+    }
+    const companyShare = fee - charge.captainShare;
+
+    // Captain compensation
+    if (charge.captainShare > 0) {
+      const captainTransfer = await this.transferCancellationFee({
+        fromAccountId: accounts.customerAccountId,
+        toAccountId: accounts.captainAccountId,
+        amount: charge.captainShare,
+        transferType: "ctd", // Customer to Driver
+        toRole: "Driver",
+        description: `تعويض إلغاء الرحلة ${ride.rideCode || ride._id}`,
+        idempotencyKey: `cancellation_fee:${ride._id}:captain`,
+        session
+      });
+      charge.captainTransferId = captainTransfer.transferId;
+      transferStatuses.push(captainTransfer.status);
+
+      if (captainTransfer.status === 'completed') {
+        await Driver.updateOne({ _id: accounts.captainId }, { balance: captainTransfer.toBalance }, { session });
+      }
+    }
+
+    // Company share
+    if (companyShare > 0) {
+      const vaultTransfer = await this.transferCancellationFee({
+        fromAccountId: accounts.customerAccountId,
+        toAccountId: accounts.mainVaultId,
+        amount: companyShare,
+        transferType: "ctu", // Customer to User (main vault)
+        toRole: "Users",
+        description: `رسوم إلغاء الرحلة ${ride.rideCode || ride._id}`,
+        idempotencyKey: `cancellation_fee:${ride._id}:company`,
+        session
+      });
+      charge.transferId = vaultTransfer.transferId;
+      transferStatuses.push(vaultTransfer.status);
+    }
+
+    // failed > debt > completed
+    if (transferStatuses.includes('failed')) {
+      charge.status = 'failed';
+    } else if (transferStatuses.includes('debt')) {
+      charge.status = 'debt';
+    } else if (transferStatuses.length > 0) {
+      charge.status = 'completed';
+    }
+
+    const account = await FinancialAccount.findById(accounts.customerAccountId).select('vault').session(session);
+    if (account) {
+      await Customer.updateOne({ _id: customerId }, { walletBalance: account.vault }, { session });
+    }
+
+    return charge;
+  }
+
+  /**
+   * Transfer part of the cancellation fee, falling back to a pending transfer (debt)
+   * @returns {Promise<Object>} { status: 'completed'|'debt'|'failed', transferId, toBalance }
+   */
+  async transferCancellationFee({ fromAccountId, toAccountId, amount, transferType, toRole, description, idempotencyKey, session = null }) {
+    const transferResult = await this.financialAccountService.transferMoney({
+      fromAccountId,
+      toAccountId,
+      amount,
+      transferType,
+      fromRole: "Customer",
+      toRole,
+      description,
+      checkBalance: true,
+      idempotencyKey,
+      session
+    });
+
+    if (transferResult.success) {
+      // A replayed key may point at the pending transfer created on an earlier attempt
+      const status = transferResult.status === 'pending' ? 'debt' : 'completed';
+      return { status, transferId: transferResult.transferId, toBalance: transferResult.toBalance };
+    }
+
+    if (transferResult.reason === 'insufficient_funds') {
+      const pendingResult = await this.financialAccountService.createPendingTransfer({
+        fromAccountId,
+        toAccountId,
+        amount,
+        transferType,
+        fromRole: "Customer",
+        toRole,
+        description: `${description} (دين مستحق)`,
+        idempotencyKey,
+        session
+      });
+
+      if (pendingResult.success) {
+        return { status: 'debt', transferId: pendingResult.transferId };
+      }
+    }
+
+    this.logger.error(`[CancellationFee] Transfer of ${amount} failed: ${transferResult.reason}`);
+    return { status: 'failed', transferId: null };
+  }
+
   handleDisconnect(socket, customerId, reason) {
     this.logger.info(`[Socket.IO Customer] Customer ${customerId} disconnected. Socket ID: ${socket.id}. Reason: ${reason}`);
 
@@ -911,6 +1879,7 @@ class CustomerSocketService {
     for (let id in this.onlineCustomers) {
       if (this.onlineCustomers[id] === socket.id) {
         delete this.onlineCustomers[id];
+        this.clusterStateService?.setOffline('customer', id, socket.id);
         this.logger.info(`[State] Removed customer ${id} from onlineCustomers.`);
         this.logger.debug(`[State] Online customers: ${JSON.stringify(this.onlineCustomers)}`);
         break;
@@ -921,10 +1890,40 @@ class CustomerSocketService {
   // Method to emit events to customers (called from other services)
   emitToCustomer(customerId, event, data) {
     const customerSocketId = this.onlineCustomers[customerId];
-    if (customerSocketId) {
-      this.customerNamespace.to(customerSocketId).emit(event, data);
-      return true;
+    const send = (payload) => {
+      // Looked up at send time, a journaled event waits for its number first
+      const socketId = this.onlineCustomers[customerId];
+      if (socketId) this.customerNamespace.to(socketId).emit(event, payload);
+    };
+    if (this.eventJournal) {
+      // Journaled events are kept even while offline; all events share the per-customer order
+      this.eventJournal.emit("customer", customerId, event, data, send)
+        .catch(error => this.logger.error(`[Socket.IO Customer] Error emitting ${event} to customer ${customerId}:`, error));
+    } else {
+      send(data);
     }
+    if (customerSocketId) return true;
+
+    this.notificationService?.notifyOffline("customer", customerId, event, data);
+    return false;
+  }
+
+  // Method to emit events to captains (captain namespace lives in CaptainSocketService)
+  emitToCaptain(captainId, event, data) {
+    const captainSocketId = this.onlineCaptains[captainId];
+    const send = (payload) => {
+      const socketId = this.onlineCaptains[captainId];
+      if (socketId) this.io.of("/captain").to(socketId).emit(event, payload);
+    };
+    if (this.eventJournal) {
+      this.eventJournal.emit("captain", captainId, event, data, send)
+        .catch(error => this.logger.error(`[Socket.IO Customer] Error emitting ${event} to captain ${captainId}:`, error));
+    } else {
+      send(data);
+    }
+    if (captainSocketId) return true;
+
+    this.notificationService?.notifyOffline("captain", captainId, event, data);
     return false;
   }
 
@@ -956,7 +1955,16 @@ class CustomerSocketService {
     const startTime = Date.now();
     
     try {
-      const { rideId, text, tempId, isQuick = false, quickMessageType = null } = data;
+      const {
+        rideId,
+        text,
+        tempId,
+        isQuick = false,
+        quickMessageType = null,
+        messageType = 'text',
+        attachmentId = null,
+        location = null
+      } = data;
 
       this.logger.info(`[CustomerSocket] [${debugId}] Customer sending chat message`, {
         customerId,
@@ -969,8 +1977,8 @@ class CustomerSocketService {
         timestamp: new Date().toISOString()
       });
 
-      // Validate required fields
-      if (!rideId || !text) {
+      // Validate required fields (media and location messages may come without text)
+      if (!rideId || (messageType === 'text' && !text)) {
         this.logger.warn(`[CustomerSocket] [${debugId}] Missing required fields`, {
           customerId,
           hasRideId: !!rideId,
@@ -995,7 +2003,10 @@ class CustomerSocketService {
         text,
         tempId,
         isQuick,
-        quickMessageType
+        quickMessageType,
+        messageType,
+        attachmentId,
+        location
       });
 
       this.logger.info(`[CustomerSocket] [${debugId}] Message saved via chat service`, {
@@ -1019,21 +2030,12 @@ class CustomerSocketService {
           isDriverOnline: !!driverSocketId
         });
 
-        if (driverSocketId) {
-          const messageData = {
-            messageId: message._id,
-            rideId: message.rideId,
-            text: message.text,
-            senderId: message.senderId,
-            senderType: message.senderType,
-            isQuick: message.isQuick,
-            timestamp: message.createdAt,
-            tempId: message.tempId,
-            messageStatus: message.messageStatus
-          };
+        const messageData = this.chatService.formatMessage(message);
 
-          // إرسال الرسالة للكابتن عبر الـ namespace المناسب
-          this.io.of('/captain').to(driverSocketId).emit('chatMessage', messageData);
+        // إرسال الرسالة للكابتن (تُسجل في سجل الأحداث، وإشعار للجوال إن كان غير متصل)
+        this.emitToCaptain(ride.driver.toString(), 'chatMessage', messageData);
+
+        if (driverSocketId) {
 
           this.logger.info(`[CustomerSocket] [${debugId}] Message sent to driver socket`, {
             customerId,
@@ -1062,17 +2064,7 @@ class CustomerSocketService {
       // Send response back to customer
       const responseData = {
         success: true,
-        message: {
-          messageId: message._id,
-          rideId: message.rideId,
-          text: message.text,
-          senderId: message.senderId,
-          senderType: message.senderType,
-          isQuick: message.isQuick,
-          timestamp: message.createdAt,
-          tempId: message.tempId,
-          messageStatus: message.messageStatus
-        }
+        message: this.chatService.formatMessage(message)
       };
 
       if (callback) {
@@ -1464,6 +2456,36 @@ class CustomerSocketService {
     }
   }
 
+  /**
+   * Handle recharge card redemption
+   * @param {Object} socket - Socket instance
+   * @param {string} customerId - Customer ID
+   * @param {Object} data - { code }
+   * @param {Function} callback - Response callback
+   */
+  async handleRedeemRechargeCard(socket, customerId, data, callback) {
+    let response;
+
+    if (!data?.code) {
+      response = { success: false, reason: 'invalid_code', message: "رمز الكرت مطلوب" };
+    } else {
+      response = await this.rechargeCardService.redeem({
+        code: data.code,
+        userId: customerId,
+        userType: 'customer',
+        channel: 'socket',
+        ipAddress: socket.handshake.address,
+        userAgent: socket.handshake.headers['user-agent']
+      });
+    }
+
+    if (callback) {
+      callback(response);
+    } else {
+      socket.emit(response.success ? "rechargeCardRedeemed" : "rechargeCardError", response);
+    }
+  }
+
   // ===============================
   // End State Management Methods
   // ===============================
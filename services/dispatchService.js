@@ -1,7 +1,11 @@
 const customer = require("../model/customer");
 const Ride = require("../model/ride");
 const RideSetting = require("../model/rideSetting");
-const { findNearbyCaptains } = require("../utils/helpers");
+const Driver = require("../model/Driver");
+const { findNearbyCaptains, formatWaypoints } = require("../utils/helpers");
+const { DEFAULT_VEHICLE_CATEGORY } = require("../utils/vehicleCategories");
+const CaptainScoringService = require("./captainScoringService");
+const BatchMatchingService = require("./batchMatchingService");
 
 /**
  * Enterprise-Grade Dispatch Service with Advanced Queue Management
@@ -40,6 +44,22 @@ class DispatchService {
     // Service dependencies - injected after creation for circular dependency resolution
     this.captainSocketService = dependencies.captainSocketService || null;
     this.customerSocketService = dependencies.customerSocketService || null;
+    this.poolingService = dependencies.poolingService || null; // Shared rides matching
+    this.clusterState = dependencies.clusterStateService || null; // Cross-node leases and events
+    this.dispatchTimeline = dependencies.dispatchTimelineService || null; // Persisted audit trail per ride
+    this.routingService = dependencies.routingService || null; // Road-network pickup ETAs
+    this.captainShiftService = dependencies.captainShiftService || null; // Forced breaks (fatigue rules)
+    this.captainDestinationService = dependencies.captainDestinationService || null; // Destination mode filter
+    this.captainScoringService = dependencies.captainScoringService ||
+      new CaptainScoringService(logger, {
+        redisClient: dependencies.redisClient,
+        routingService: this.routingService
+      }); // Ranking before notification
+    this.batchMatchingService = new BatchMatchingService(logger, {
+      redisClient: dependencies.redisClient,
+      routingService: this.routingService,
+      dispatchService: this
+    }); // Optional global assignment rounds before the radius loop
 
     // Configuration and settings
     this.rideSettings = null;
@@ -55,6 +75,7 @@ class DispatchService {
     this.captainRideQueues = new Map(); // captainId -> Array<rideData>
     this.queueProcessingTimeouts = new Map(); // captainId -> timeoutId
     this.captainResponseHistory = new Map(); // captainId -> Array<{ rideId, action, timestamp }>
+    this.dispatchLeaseRenewals = new Map(); // rideId -> intervalId (rides dispatched by this node)
     
     // 📊 ADVANCED ANALYTICS AND METRICS
     this.dispatchMetrics = {
@@ -120,6 +141,7 @@ class DispatchService {
     try {
       await this.loadRideSettings();
       this.startHealthMonitoring();
+      this.registerClusterHandlers();
       this.logger.info('[DispatchService] Service initialized successfully with advanced features');
     } catch (error) {
       this.logger.error('[DispatchService] Failed to initialize service:', error);
@@ -370,6 +392,12 @@ class DispatchService {
     };
     
     queue.push(enhancedRideData);
+    this.persistCaptainDispatchState(captainId);
+    this.dispatchTimeline?.record(rideData.rideId, 'captain_queued', {
+      captainId,
+      position: queue.length,
+      blockedBy: this.captainPendingRides.get(captainId)?.rideId
+    });
     
     // Update metrics
     this.dispatchMetrics.totalQueuedRides++;
@@ -480,6 +508,7 @@ class DispatchService {
       }
       
       this.performanceCounters.currentQueuedRides--;
+      this.persistCaptainDispatchState(captainId);
       
       // Calculate queue wait time for metrics
       let queueWaitTime = 0;
@@ -525,6 +554,13 @@ class DispatchService {
         return;
       }
 
+      // Rides queued before a forced break (or a due one) are not offered during it
+      if ((await this.filterCaptainsOnBreak([captainId])).length === 0) {
+        this.logger.info(`[Queue] Captain ${captainId} is on a forced break. Clearing queue.`);
+        this.clearCaptainQueue(captainId, 'captain_on_break');
+        return;
+      }
+
       // Send the ride notification
       const sent = await this.sendRideNotificationToCaptain(captainId, rideData);
       if (sent) {
@@ -561,7 +597,8 @@ class DispatchService {
 
       // Check ride age (don't send very old rides)
       const maxAge = (this.rideSettings.dispatch.maxDispatchTime + this.rideSettings.dispatch.graceAfterMaxRadius) * 1000;
-      const rideAge = Date.now() - new Date(ride.createdAt).getTime();
+      // Scheduled rides age from the moment the scheduler started dispatching them
+      const rideAge = Date.now() - new Date(ride.scheduling?.dispatchStartedAt || ride.createdAt).getTime();
       if (rideAge > maxAge) {
         return { isValid: false, reason: 'ride_too_old' };
       }
@@ -625,6 +662,11 @@ class DispatchService {
       if (sent) {
         // Track as pending ride with enhanced metadata
         this.setCaptainPendingRide(captainId, rideData.rideId, rideData);
+        this.dispatchTimeline?.record(rideData.rideId, 'captain_notified', {
+          captainId,
+          resend: !!rideData.isReSend,
+          fromQueue: !!rideData.queuedAt
+        });
         
         // Track in ride notifications
         if (!this.rideNotifications.has(rideData.rideId)) {
@@ -678,6 +720,7 @@ class DispatchService {
       adjustedTimeout: adjustedTimeout,
       originalData: rideData
     });
+    this.persistCaptainDispatchState(captainId);
 
     this.logger.debug(`[Queue] Set pending ride ${rideId} for captain ${captainId} with ${adjustedTimeout / 1000}s timeout`);
   }
@@ -694,6 +737,7 @@ class DispatchService {
       
       // Record timeout in captain history
       this.recordCaptainResponse(captainId, rideId, 'timeout', Date.now());
+      this.dispatchTimeline?.record(rideId, 'captain_timeout', { captainId });
       
       // Clear the pending ride
       this.clearCaptainPendingRide(captainId);
@@ -724,6 +768,7 @@ class DispatchService {
       
       // Remove from pending
       this.captainPendingRides.delete(captainId);
+      this.persistCaptainDispatchState(captainId);
       
       this.logger.debug(`[Queue] Cleared pending ride ${pendingRide.rideId} for captain ${captainId}`);
       return pendingRide;
@@ -746,6 +791,7 @@ class DispatchService {
     }
     
     this.captainRideQueues.delete(captainId);
+    this.persistCaptainDispatchState(captainId);
     
     // Clear any queue processing timeout to prevent memory leaks
     const queueTimeout = this.queueProcessingTimeouts.get(captainId);
@@ -781,6 +827,7 @@ class DispatchService {
       
       // Record response in history
       this.recordCaptainResponse(captainId, rideIdStr, 'rejected', startTime, reason);
+      this.dispatchTimeline?.record(rideIdStr, 'captain_rejected', { captainId, reason });
       
       // Remove from notifications tracking
       let wasTracked = false;
@@ -842,6 +889,7 @@ class DispatchService {
       
       // Record response in history
       this.recordCaptainResponse(captainId, rideIdStr, 'accepted', startTime);
+      this.dispatchTimeline?.record(rideIdStr, 'captain_accepted', { captainId });
       
       // Clear captain's entire queue since they're now busy
       const queueClearResult = this.clearCaptainQueue(captainId, 'ride_accepted');
@@ -896,6 +944,7 @@ class DispatchService {
       
       // Record cancellation in history
       this.recordCaptainResponse(captainId, rideIdStr, 'cancelled_permanently', startTime);
+      this.dispatchTimeline?.record(rideIdStr, 'captain_cancelled', { captainId });
       
       // Clean up all tracking for this ride completely
       this.cleanupRideNotifications(rideIdStr);
@@ -946,6 +995,11 @@ class DispatchService {
         return false;
       }
     }
+
+    // Dispatched by another node - let its loop stop
+    if (this.clusterState) {
+      await this.clusterState.publish('dispatchCancelled', { rideId: rideIdStr });
+    }
     return false;
   }
 
@@ -1018,9 +1072,19 @@ class DispatchService {
     const rideId = ride._id.toString();
     const dispatch = this.rideSettings.dispatch;
 
+    // Only one node dispatches a ride
+    if (this.clusterState && !(await this.clusterState.acquireDispatchLease(rideId))) {
+      this.logger.info(`[Dispatch] Ride ${rideId} is already being dispatched by another node`);
+      return;
+    }
+
     // Initialize tracking
     this.initializeRideTracking(rideId);
     this.updateDispatchMetrics(startTime);
+    this.dispatchTimeline?.start(ride, {
+      radiusKm: dispatch.initialRadiusKm,
+      origin: [origin.longitude, origin.latitude]
+    });
 
     this.logger.info(`[Dispatch] 🚀 Starting enhanced dispatch for ride ${rideId}. Origin: (${origin.longitude}, ${origin.latitude})`);
 
@@ -1036,20 +1100,33 @@ class DispatchService {
     let radius = dispatch.initialRadiusKm;
     let cancelDispatch = false;
     let accepted = false;
+    let leaseLost = false;
 
     // Get passenger info
     const passenger = await this.getPassengerInfo(ride.passenger);
 
     // Setup cancellation function
-    const cancelFunc = () => {
-      this.logger.warn(`[Dispatch] Cancellation requested for ride ${rideId}`);
+    const cancelFunc = (reason = null) => {
+      this.logger.warn(`[Dispatch] Cancellation requested for ride ${rideId}${reason ? ` (${reason})` : ''}`);
       cancelDispatch = true;
+      if (reason === 'lease_lost') leaseLost = true;
     };
     this.dispatchProcesses.set(rideId, cancelFunc);
+    this.startDispatchLeaseRenewal(rideId, cancelFunc);
 
     try {
       const globalNotifiedCaptains = new Set();
 
+      // Shared ride: offer it first to captains already driving a compatible pool
+      if (ride.isShared && this.poolingService) {
+        accepted = await this.offerToPoolCaptains(ride, passenger, globalNotifiedCaptains, dispatchConfig);
+      }
+
+      // Batch mode: one offer from the next global assignment round, the radius loop handles leftovers
+      if (!accepted && !cancelDispatch && !ride.isShared && this.batchMatchingService.isEnabled(dispatch)) {
+        accepted = await this.offerBatchMatchedCaptain(ride, origin, passenger, globalNotifiedCaptains, dispatchConfig);
+      }
+
       while (!cancelDispatch && !accepted && radius <= dispatch.maxRadiusKm) {
         // Check timeouts and ride state
         if (await this.shouldStopDispatch(rideId, startTime, dispatchConfig.maxDispatchTime)) {
@@ -1064,9 +1141,10 @@ class DispatchService {
         
         // Find nearby captains
         const nearbyCaptainIds = await findNearbyCaptains(this.redisClient, this.logger, origin, radius);
+        this.dispatchTimeline?.record(rideId, 'radius_searched', { radiusKm: radius, found: nearbyCaptainIds.length });
 
         if (nearbyCaptainIds.length > 0) {
-          const result = await this.processRadius(rideId, nearbyCaptainIds, globalNotifiedCaptains, ride, passenger, dispatchConfig);
+          const result = await this.processRadius(rideId, nearbyCaptainIds, globalNotifiedCaptains, ride, passenger, dispatchConfig, radius);
           
           if (result.accepted) {
             accepted = true;
@@ -1089,8 +1167,12 @@ class DispatchService {
         }
       }
 
-      // Handle dispatch outcome
-      await this.handleDispatchOutcome(rideId, accepted, cancelDispatch, startTime, dispatch, ride);
+      // Handle dispatch outcome - unless another node took the ride over
+      if (leaseLost) {
+        this.logger.warn(`[Dispatch] Ride ${rideId} is now dispatched by another node, leaving its outcome to it`);
+      } else {
+        await this.handleDispatchOutcome(rideId, accepted, cancelDispatch, startTime, dispatch, ride);
+      }
 
     } catch (err) {
       await this.handleDispatchError(rideId, err, ride);
@@ -1099,13 +1181,189 @@ class DispatchService {
     }
   }
 
+  /**
+   * Offer a shared ride to captains whose pool can take it within the detour budget
+   * @returns {boolean} true when one of them accepted
+   */
+  async offerToPoolCaptains(ride, passenger, globalNotifiedCaptains, config) {
+    const rideId = ride._id.toString();
+
+    try {
+      const matches = await this.poolingService.findPoolMatches(ride);
+      const captainIds = matches.map(match => match.captainId).filter(captainId => !this.hasPendingRide(captainId));
+
+      if (captainIds.length === 0) {
+        this.logger.info(`[Dispatch] 👥 Shared ride ${rideId}: no compatible pool available, using regular dispatch`);
+        return false;
+      }
+
+      this.logger.info(`[Dispatch] 👥 Shared ride ${rideId}: offering to ${captainIds.length} pooled captains (best detour ${matches[0].detourKm} km)`);
+      this.currentRadiusNotifications.set(rideId, new Set());
+
+      const result = await this.processRadius(rideId, captainIds, globalNotifiedCaptains, ride, passenger, config);
+      return result.accepted;
+    } catch (error) {
+      this.logger.error(`[Dispatch] Error offering shared ride ${rideId} to pools:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Offer a ride to the captain it got in a batch matching round
+   * @returns {boolean} true when he accepted
+   */
+  async offerBatchMatchedCaptain(ride, origin, passenger, globalNotifiedCaptains, config) {
+    const rideId = ride._id.toString();
+
+    try {
+      const match = await this.batchMatchingService.requestMatch(ride, origin);
+      if (!match) {
+        this.logger.info(`[Dispatch] 🧮 Ride ${rideId}: no captain in the batch round, using the radius loop`);
+        return false;
+      }
+
+      // The ride may have been cancelled while waiting for the round
+      if (await this.shouldStopDispatch(rideId, config.startTime, config.maxDispatchTime)) {
+        return false;
+      }
+
+      Ride.updateOne(
+        { _id: ride._id },
+        {
+          $set: {
+            batchMatch: {
+              captain: match.captainId,
+              pickupMinutes: match.pickupMinutes,
+              batchSize: match.batchSize,
+              captainsConsidered: match.captainsConsidered,
+              matchedAt: new Date()
+            }
+          }
+        }
+      ).catch(error => this.logger.warn(`[Dispatch] Could not record batch match of ride ${rideId}: ${error.message}`));
+
+      this.dispatchTimeline?.record(rideId, 'batch_matched', {
+        captainId: match.captainId,
+        pickupMinutes: match.pickupMinutes,
+        batchSize: match.batchSize,
+        captainsConsidered: match.captainsConsidered
+      });
+      this.logger.info(`[Dispatch] 🧮 Ride ${rideId}: batch matched to captain ${match.captainId} (${match.pickupMinutes} min pickup, batch of ${match.batchSize})`);
+      this.currentRadiusNotifications.set(rideId, new Set());
+
+      const result = await this.processRadius(rideId, [match.captainId], globalNotifiedCaptains, ride, passenger, config);
+      return result.accepted;
+    } catch (error) {
+      this.logger.error(`[Dispatch] Error in batch matching for ride ${rideId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Keep only captains approved for the vehicle category of the ride
+   */
+  async filterCaptainsByCategory(captainIds, ride) {
+    if (captainIds.length === 0) return captainIds;
+
+    const category = ride.vehicleCategory || DEFAULT_VEHICLE_CATEGORY;
+    // Captains registered before categories existed count as economy
+    const categoryQuery = category === DEFAULT_VEHICLE_CATEGORY
+      ? { $in: [DEFAULT_VEHICLE_CATEGORY, null] }
+      : category;
+
+    try {
+      const drivers = await Driver.find({ _id: { $in: captainIds }, vehicleCategory: categoryQuery })
+        .select('_id')
+        .lean();
+      const eligible = new Set(drivers.map(driver => driver._id.toString()));
+      const filtered = captainIds.filter(captainId => eligible.has(captainId.toString()));
+
+      if (filtered.length < captainIds.length) {
+        this.logger.debug(`[Dispatch] 🚗 Ride ${ride._id}: ${captainIds.length - filtered.length} nearby captains skipped (category is not ${category})`);
+      }
+      return filtered;
+    } catch (error) {
+      this.logger.error(`[Dispatch] Error filtering captains by category for ride ${ride._id}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Skip captains on a forced break (continuous driving limit)
+   */
+  async filterCaptainsOnBreak(captainIds) {
+    if (!this.captainShiftService) return captainIds;
+    return this.captainShiftService.filterCaptainsOnBreak(captainIds);
+  }
+
+  /**
+   * Captains in destination mode only get rides whose drop-off moves them towards their target
+   */
+  async filterCaptainsByDestination(captainIds, ride) {
+    if (!this.captainDestinationService) return captainIds;
+    return this.captainDestinationService.filterCaptainsForRide(captainIds, ride, this.rideSettings);
+  }
+
+  /**
+   * Rank the new captains of a wave and record the ranking on the ride
+   * @returns {Promise<Array<string>>} Captain ids to notify, best first
+   */
+  async rankCaptainsForRide(ride, captainIds, radiusKm) {
+    if (captainIds.length === 0) return captainIds;
+
+    let ranking;
+    try {
+      ranking = await this.captainScoringService.rankCaptains(captainIds, ride, {
+        dispatchSettings: this.rideSettings.dispatch,
+        responseHistory: this.captainResponseHistory
+      });
+    } catch (error) {
+      this.logger.error(`[Dispatch] Error ranking captains for ride ${ride._id}, keeping nearest first:`, error);
+      return captainIds;
+    }
+
+    const { maxCaptainsPerWave } = this.captainScoringService.getSettings(this.rideSettings.dispatch);
+    const notifyCount = maxCaptainsPerWave > 0 ? maxCaptainsPerWave : ranking.length;
+    const rankedAt = new Date();
+
+    Ride.updateOne(
+      { _id: ride._id },
+      {
+        $push: {
+          dispatchRanking: {
+            $each: ranking.map(entry => ({
+              captain: entry.captainId,
+              radiusKm,
+              rank: entry.rank,
+              score: entry.score,
+              factors: entry.factors,
+              notified: entry.rank <= notifyCount,
+              rankedAt
+            })),
+            $slice: -200
+          }
+        }
+      }
+    ).catch(error => this.logger.warn(`[Dispatch] Could not record ranking of ride ${ride._id}: ${error.message}`));
+
+    this.logger.info(`[Dispatch] 🏅 Ride ${ride._id}: ranked ${ranking.length} captains${ranking[0]?.score !== null ? ` (best ${ranking[0].captainId} = ${ranking[0].score})` : ''}${notifyCount < ranking.length ? `, notifying top ${notifyCount}` : ''}`);
+
+    return ranking.slice(0, notifyCount).map(entry => entry.captainId);
+  }
+
   /**
    * Process captains in current radius with queue management and re-notification
    */
-  async processRadius(rideId, nearbyCaptainIds, globalNotifiedCaptains, ride, passenger, config) {
-    // Get new captains (not yet notified)
-    const newOnlineCaptains = nearbyCaptainIds.filter(captainId =>
-      this.onlineCaptains[captainId] && !globalNotifiedCaptains.has(captainId)
+  async processRadius(rideId, nearbyCaptainIds, globalNotifiedCaptains, ride, passenger, config, radiusKm = null) {
+    nearbyCaptainIds = await this.filterCaptainsByCategory(nearbyCaptainIds, ride);
+    nearbyCaptainIds = await this.filterCaptainsOnBreak(nearbyCaptainIds);
+    nearbyCaptainIds = await this.filterCaptainsByDestination(nearbyCaptainIds, ride);
+
+    // Get new captains (not yet notified), best ranked first
+    const newOnlineCaptains = await this.rankCaptainsForRide(
+      ride,
+      nearbyCaptainIds.filter(captainId => this.onlineCaptains[captainId] && !globalNotifiedCaptains.has(captainId)),
+      radiusKm
     );
 
     // Get previously notified captains in this radius who might be available again
@@ -1168,6 +1426,13 @@ class DispatchService {
         globalNotifiedCaptains.add(captainId);
         this.currentRadiusNotifications.get(rideId).add(captainId);
 
+        // Captain connected to another node - its node sends or queues the offer
+        if (this.isRemoteCaptain(captainId)) {
+          await this.forwardOfferToCaptainNode(captainId, { ...rideData, rideId });
+          sentImmediately++;
+          return { type: 'forwarded', captainId };
+        }
+
         // Check if captain has pending ride
         if (this.hasPendingRide(captainId)) {
           // Add to queue
@@ -1221,6 +1486,12 @@ class DispatchService {
         // These captains were already in globalNotifiedCaptains, so don't add them again
         this.currentRadiusNotifications.get(rideId).add(captainId);
 
+        if (this.isRemoteCaptain(captainId)) {
+          await this.forwardOfferToCaptainNode(captainId, { ...rideData, rideId, isReSend: true });
+          sentImmediately++;
+          return { type: 'forwarded', captainId };
+        }
+
         // Check if captain has pending ride
         if (this.hasPendingRide(captainId)) {
           // Add to queue
@@ -1306,10 +1577,19 @@ class DispatchService {
       paymentMethod: ride.paymentMethod || 'cash',
       pickupName: ride.pickupLocation.locationName || 'Unknown pickup',
       dropoffName: ride.dropoffLocation.locationName || 'Unknown destination',
+      waypoints: formatWaypoints(ride),
+      vehicleCategory: ride.vehicleCategory || DEFAULT_VEHICLE_CATEGORY,
+      isShared: !!ride.isShared,
+      ...(ride.isShared && {
+        pool: {
+          soloFare: ride.pool?.soloFare,
+          discountRate: ride.pool?.discountRate
+        }
+      }),
+      // Real phone numbers are never sent to captains, calls go through the masked call session
       passengerInfo: {
         id: passenger?._id,
-        name: passenger?.name || 'Unknown passenger',
-        phoneNumber: passenger?.phoneNumber,
+        name: passenger?.name || 'Unknown passenger'
       },
       metadata: {
         createdAt: ride.createdAt,
@@ -1399,7 +1679,7 @@ class DispatchService {
       }
       
       return await customer.findById(passengerId)
-        .select("name phoneNumber")
+        .select("name")
         .lean();
     } catch (error) {
       this.logger.error(`[Dispatch] Error fetching passenger ${passengerId}:`, error);
@@ -1440,6 +1720,15 @@ class DispatchService {
     } else {
       await this.handleMaxRadiusReached(rideId, finalRideState, startTime, dispatch);
     }
+
+    if (this.dispatchTimeline) {
+      const endState = await Ride.findById(rideId).select('status driver').lean();
+      this.dispatchTimeline.end(rideId, this.dispatchTimeline.outcomeFromStatus(endState?.status, cancelDispatch), {
+        acceptedBy: endState?.driver,
+        reason: endState?.status,
+        startedAt: ride.scheduling?.dispatchStartedAt || ride.createdAt
+      });
+    }
   }
 
   /**
@@ -1522,6 +1811,10 @@ class DispatchService {
    */
   async handleDispatchError(rideId, error, ride) {
     this.logger.error(`[Dispatch] ❌ Error during dispatch process for ride ${rideId}:`, error);
+    this.dispatchTimeline?.end(rideId, 'error', {
+      reason: error.message,
+      startedAt: ride?.scheduling?.dispatchStartedAt || ride?.createdAt
+    });
     this.dispatchMetrics.failedDispatches++;
     this.errorRecovery.consecutiveFailures++;
     this.errorRecovery.lastFailureTime = new Date();
@@ -1566,6 +1859,8 @@ class DispatchService {
       this.dispatchProcesses.delete(rideId);
       this.logger.debug(`[Dispatch] 🧹 Cleaned up dispatch process for ride ${rideId}`);
     }
+
+    this.stopDispatchLeaseRenewal(rideId, true);
     
     // Clean up notifications if ride was not accepted
     if (!accepted) {
@@ -1809,10 +2104,20 @@ class DispatchService {
 
   /**
    * Notify captains to hide ride with immediate effect
+   * @param {boolean} fromCluster - Hide requested by another node (do not publish it again)
    */
-  notifyCaptainsToHideRide(rideId, excludeCaptainId = null, reason = 'ride_taken') {
+  notifyCaptainsToHideRide(rideId, excludeCaptainId = null, reason = 'ride_taken', fromCluster = false) {
     const rideIdStr = rideId.toString();
     const notifiedCaptains = this.rideNotifications.get(rideIdStr);
+
+    // Captains of other nodes were notified (and are tracked) by their own node
+    if (this.clusterState && !fromCluster) {
+      this.clusterState.publish('rideClosed', {
+        rideId: rideIdStr,
+        excludeCaptainId: excludeCaptainId ? excludeCaptainId.toString() : null,
+        reason
+      });
+    }
     
     if (!notifiedCaptains || notifiedCaptains.size === 0) {
       this.logger.debug(`[Dispatch] No captains to notify for ride ${rideIdStr} hide`);
@@ -2069,6 +2374,160 @@ class DispatchService {
     this.logger.info('[DispatchService] Socket services injected successfully');
   }
 
+  // ===========================================================================================
+  // 🌐 MULTI-NODE COORDINATION
+  // ===========================================================================================
+  // A ride is dispatched by the node holding its lease. Offers, queues and their timers live
+  // on the node holding the captain socket; other nodes forward offers to it over the cluster bus.
+
+  /**
+   * Subscribe to dispatch events of the other nodes
+   */
+  registerClusterHandlers() {
+    if (!this.clusterState || this.clusterHandlersRegistered) return;
+    this.clusterHandlersRegistered = true;
+
+    this.clusterState.on('offerRide', ({ captainId, rideData }) => this.handleForwardedOffer(captainId, rideData));
+
+    this.clusterState.on('rideClosed', async ({ rideId, excludeCaptainId, reason }) => {
+      this.notifyCaptainsToHideRide(rideId, excludeCaptainId, reason, true);
+      await this.stopLocalDispatch(rideId);
+    });
+
+    this.clusterState.on('dispatchCancelled', ({ rideId }) => this.stopLocalDispatch(rideId));
+  }
+
+  /**
+   * Whether the captain is online on another node
+   */
+  isRemoteCaptain(captainId) {
+    if (!this.clusterState || !this.onlineCaptains[captainId]) return false;
+    if (typeof this.captainSocketService?.isCaptainConnectedLocally !== 'function') return false;
+    return !this.captainSocketService.isCaptainConnectedLocally(captainId);
+  }
+
+  async forwardOfferToCaptainNode(captainId, rideData) {
+    await this.clusterState.publish('offerRide', { captainId, rideData });
+    this.dispatchTimeline?.record(rideData.rideId, 'captain_forwarded', { captainId });
+    this.logger.info(`[Dispatch] 🌐 Forwarded ride ${rideData.rideId} to the node of captain ${captainId}`);
+  }
+
+  /**
+   * Offer forwarded by the dispatching node - only the node holding the captain socket acts on it
+   */
+  async handleForwardedOffer(captainId, rideData) {
+    if (!this.captainSocketService?.isCaptainConnectedLocally(captainId)) return;
+
+    if (this.hasPendingRide(captainId)) {
+      const queueResult = this.addRideToQueue(captainId, rideData);
+      this.logger.info(`[Dispatch] 📋 Queued forwarded ride ${rideData.rideId} for captain ${captainId} at position ${queueResult?.queuePosition}`);
+      return;
+    }
+
+    const sent = await this.sendRideNotificationToCaptain(captainId, rideData);
+    if (sent) {
+      this.recordCaptainNotification(captainId, rideData.rideId, rideData.isReSend ? 're_notification' : 'forwarded_notification');
+    }
+  }
+
+  /**
+   * Stop this node's dispatch loop of a ride (no cluster publish)
+   */
+  async stopLocalDispatch(rideId) {
+    const cancelFunc = this.dispatchProcesses.get(rideId);
+    if (!cancelFunc) return false;
+
+    cancelFunc();
+    this.dispatchProcesses.delete(rideId);
+    this.logger.info(`[Dispatch] Stopped dispatch process for ride ${rideId} on request of another node`);
+    return true;
+  }
+
+  /**
+   * Keep the dispatch lease while the loop runs, stop the loop if the lease was lost
+   */
+  startDispatchLeaseRenewal(rideId, cancelFunc) {
+    if (!this.clusterState) return;
+
+    const intervalMs = Math.floor(this.clusterState.dispatchLeaseMs / 3);
+    const intervalId = setInterval(async () => {
+      if (!(await this.clusterState.renewDispatchLease(rideId))) {
+        this.logger.warn(`[Dispatch] Lost the dispatch lease of ride ${rideId}, stopping this node's loop`);
+        this.stopDispatchLeaseRenewal(rideId, false);
+        cancelFunc('lease_lost');
+      }
+    }, intervalMs);
+
+    this.dispatchLeaseRenewals.set(rideId, intervalId);
+  }
+
+  stopDispatchLeaseRenewal(rideId, release) {
+    const intervalId = this.dispatchLeaseRenewals.get(rideId);
+    if (intervalId) {
+      clearInterval(intervalId);
+      this.dispatchLeaseRenewals.delete(rideId);
+    }
+    if (release && this.clusterState) {
+      this.clusterState.releaseDispatchLease(rideId);
+    }
+  }
+
+  /**
+   * Write the captain's pending offer and queue through to Redis
+   */
+  persistCaptainDispatchState(captainId) {
+    if (!this.clusterState) return;
+
+    const pending = this.captainPendingRides.get(captainId);
+    this.clusterState.saveCaptainDispatchState(captainId, {
+      offer: pending ? {
+        rideId: pending.rideId,
+        timestamp: pending.timestamp.getTime(),
+        adjustedTimeout: pending.adjustedTimeout,
+        attemptCount: pending.attemptCount,
+        originalData: pending.originalData
+      } : null,
+      queue: this.captainRideQueues.get(captainId) || []
+    });
+  }
+
+  /**
+   * Restore the offer and queue of a captain that (re)connected to this node
+   */
+  async restoreCaptainDispatchState(captainId) {
+    if (!this.clusterState || this.captainPendingRides.has(captainId)) return;
+
+    const { offer, queue } = await this.clusterState.loadCaptainDispatchState(captainId);
+
+    if (queue.length > 0 && !this.captainRideQueues.has(captainId)) {
+      this.captainRideQueues.set(captainId, queue);
+      this.performanceCounters.currentQueuedRides += queue.length;
+    }
+
+    if (offer) {
+      const remainingMs = Math.max((offer.timestamp + offer.adjustedTimeout) - Date.now(), 1000);
+      this.captainPendingRides.set(captainId, {
+        rideId: offer.rideId,
+        timestamp: new Date(offer.timestamp),
+        timeoutId: setTimeout(() => this.handlePendingRideTimeout(captainId, offer.rideId), remainingMs),
+        attemptCount: offer.attemptCount,
+        adjustedTimeout: offer.adjustedTimeout,
+        originalData: offer.originalData
+      });
+
+      if (!this.rideNotifications.has(offer.rideId)) {
+        this.rideNotifications.set(offer.rideId, new Set());
+      }
+      this.rideNotifications.get(offer.rideId).add(captainId);
+    } else if (queue.length > 0) {
+      setTimeout(() => this.processNextRideInQueue(captainId), 1000);
+    }
+
+    if (offer || queue.length > 0) {
+      this.logger.info(`[Queue] Restored ${offer ? 'pending offer and ' : ''}${queue.length} queued rides for captain ${captainId}`);
+    }
+  }
+
   /**
    * Refresh settings from database
    */
@@ -2115,7 +2574,7 @@ class DispatchService {
       });
 
       for (const ride of ridesToDispatch) {
-        const rideAge = (Date.now() - new Date(ride.createdAt)) / 1000;
+        const rideAge = (Date.now() - new Date(ride.scheduling?.dispatchStartedAt || ride.createdAt)) / 1000;
         const maxAge = (this.rideSettings?.dispatch?.maxDispatchTime || 300) + 
                       (this.rideSettings?.dispatch?.graceAfterMaxRadius || 30);
 
@@ -2126,11 +2585,45 @@ class DispatchService {
 
         await this.initiateBackgroundDispatch(ride, rideAge);
       }
+
+      await this.takeOverOrphanedDispatches();
     } catch (err) {
       this.logger.error("[Background Dispatch] Error checking for dispatchable rides:", err);
     }
   }
 
+  /**
+   * Resume rides still marked as dispatching whose dispatch lease expired (their node crashed)
+   */
+  async takeOverOrphanedDispatches() {
+    if (!this.clusterState) return;
+
+    // Leave freshly requested rides to the node that is just starting their dispatch
+    const settledBefore = new Date(Date.now() - 10000);
+    const dispatchingRides = await Ride.find({
+      status: 'requested',
+      isDispatching: true,
+      updatedAt: { $lt: settledBefore },
+      _id: { $nin: Array.from(this.dispatchProcesses.keys()) }
+    });
+
+    for (const ride of dispatchingRides) {
+      if (await this.clusterState.getDispatchOwner(ride._id.toString())) continue;
+
+      const rideAge = (Date.now() - new Date(ride.scheduling?.dispatchStartedAt || ride.createdAt)) / 1000;
+      const maxAge = (this.rideSettings?.dispatch?.maxDispatchTime || 300) +
+                    (this.rideSettings?.dispatch?.graceAfterMaxRadius || 30);
+
+      if (rideAge > maxAge) {
+        await this.handleExpiredRide(ride, rideAge);
+        continue;
+      }
+
+      this.logger.warn(`[Background Dispatch] Taking over orphaned dispatch of ride ${ride._id} (age: ${Math.round(rideAge)}s)`);
+      await this.initiateBackgroundDispatch(ride, rideAge);
+    }
+  }
+
   /**
    * Handle expired ride
    */
@@ -2140,6 +2633,10 @@ class DispatchService {
     ride.isDispatching = false;
     ride.cancellationReason = `Ride expired - too old (${Math.round(rideAge)}s)`;
     await ride.save();
+    this.dispatchTimeline?.end(ride._id, 'expired', {
+      reason: ride.cancellationReason,
+      startedAt: ride.scheduling?.dispatchStartedAt || ride.createdAt
+    });
 
     if (this.customerSocketService && typeof this.customerSocketService.emitToCustomer === 'function') {
       this.customerSocketService.emitToCustomer(ride.passenger, 'rideNotApproved', {
@@ -2230,6 +2727,7 @@ class DispatchService {
     this.logger.info('[DispatchService] 🔄 Starting graceful shutdown...');
     
     this.stopBackgroundDispatcher();
+    this.batchMatchingService.stop();
     
     if (this.healthCheckIntervalId) {
       clearInterval(this.healthCheckIntervalId);
@@ -0,0 +1,300 @@
+const DispatchTimeline = require("../model/dispatchTimeline");
+
+const MAX_EVENTS_PER_RIDE = 500;
+const FLUSH_INTERVAL_MS = 1000;
+
+const EVENT_COUNTERS = {
+  radius_searched: "radiusSteps",
+  captain_notified: "notifiedCount",
+  captain_queued: "queuedCount",
+  captain_rejected: "rejectionCount",
+  captain_timeout: "timeoutCount"
+};
+
+const ACCEPTED_STATUSES = ["accepted", "arrived", "onRide", "awaiting_payment", "completed"];
+
+/**
+ * Dispatch Timeline Service
+ * حفظ مسار توزيع كل رحلة للدعم الفني والتقارير (متوسط نصف القطر، أسباب الرفض حسب المنطقة)
+ *
+ * Events are buffered and written in one bulkWrite per second, so the dispatch loop never
+ * waits for the database. Admins watching a ride get every event live on the admin namespace.
+ */
+class DispatchTimelineService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.nodeId = dependencies.nodeId || null;
+    this.surgePricingService = dependencies.surgePricingService || null;
+    this.adminSocketService = dependencies.adminSocketService || null;
+
+    this.buffer = new Map(); // rideId -> { set, inc, max, events }
+    this.flushTimeoutId = null;
+  }
+
+  setAdminSocketService(adminSocketService) {
+    this.adminSocketService = adminSocketService;
+  }
+
+  /**
+   * Open (or reopen after a takeover) the timeline of a ride
+   */
+  start(ride, data = {}) {
+    const coordinates = ride.pickupLocation?.coordinates;
+    const zone = this.surgePricingService?.findZone(coordinates) || null;
+
+    const entry = this.getEntry(ride._id.toString());
+    entry.setOnInsert = {
+      passenger: ride.passenger?._id || ride.passenger,
+      vehicleCategory: ride.vehicleCategory,
+      isShared: !!ride.isShared,
+      pickup: coordinates,
+      zone: zone || undefined,
+      startedAt: new Date()
+    };
+    entry.set.status = "active";
+
+    this.record(ride._id, "dispatch_started", data);
+  }
+
+  /**
+   * Add an event to the timeline of a ride
+   * @param {string} rideId
+   * @param {string} type - One of the event types of the DispatchTimeline model
+   * @param {Object} details - { captainId, radiusKm, reason, ...data }
+   */
+  record(rideId, type, details = {}) {
+    if (!rideId) return;
+
+    const { captainId, radiusKm, reason, ...data } = details;
+    const event = {
+      type,
+      at: new Date(),
+      captain: captainId || undefined,
+      radiusKm,
+      reason,
+      node: this.nodeId || undefined,
+      data: Object.keys(data).length > 0 ? data : undefined
+    };
+
+    const entry = this.getEntry(rideId.toString());
+    entry.events.push(event);
+
+    const counter = EVENT_COUNTERS[type];
+    if (counter) entry.inc[counter] = (entry.inc[counter] || 0) + 1;
+    if (typeof radiusKm === "number") entry.max.maxRadiusKm = Math.max(entry.max.maxRadiusKm || 0, radiusKm);
+
+    if (this.adminSocketService && typeof this.adminSocketService.emitToDispatchWatchers === "function") {
+      this.adminSocketService.emitToDispatchWatchers(rideId.toString(), "dispatch_timeline_event", { rideId, event });
+    }
+  }
+
+  /**
+   * Close the timeline with the final state of the ride
+   * @param {string} rideId
+   * @param {string} outcome - accepted | cancelled | timeout | no_captain | expired | error
+   * @param {Object} details - { acceptedBy, reason, startedAt }
+   */
+  end(rideId, outcome, details = {}) {
+    const { acceptedBy, reason, startedAt } = details;
+    this.record(rideId, "dispatch_ended", { reason, outcome, captainId: acceptedBy });
+
+    const endedAt = new Date();
+    const entry = this.getEntry(rideId.toString());
+    Object.assign(entry.set, {
+      status: "finished",
+      outcome,
+      endedAt,
+      acceptedBy: acceptedBy || undefined,
+      durationSeconds: startedAt ? Math.round((endedAt - startedAt) / 1000) : undefined
+    });
+
+    if (this.adminSocketService && typeof this.adminSocketService.broadcastToAdmins === "function") {
+      this.adminSocketService.broadcastToAdmins("dispatch_ended", { rideId, outcome, endedAt });
+    }
+  }
+
+  /**
+   * Outcome of a dispatch from the status the ride ended up in
+   */
+  outcomeFromStatus(status, timedOut) {
+    if (ACCEPTED_STATUSES.includes(status)) return "accepted";
+    if (status === "cancelled") return "cancelled";
+    return timedOut ? "timeout" : "no_captain";
+  }
+
+  getEntry(rideId) {
+    if (!this.buffer.has(rideId)) {
+      this.buffer.set(rideId, { set: {}, setOnInsert: null, inc: {}, max: {}, events: [] });
+    }
+    if (!this.flushTimeoutId) {
+      this.flushTimeoutId = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+    return this.buffer.get(rideId);
+  }
+
+  async flush() {
+    this.flushTimeoutId = null;
+    if (this.buffer.size === 0) return;
+
+    const entries = [...this.buffer.entries()];
+    this.buffer.clear();
+
+    const operations = entries.map(([rideId, entry]) => {
+      const update = {
+        $push: { events: { $each: entry.events, $slice: -MAX_EVENTS_PER_RIDE } }
+      };
+      if (Object.keys(entry.set).length > 0) update.$set = entry.set;
+      if (entry.setOnInsert) update.$setOnInsert = entry.setOnInsert;
+      if (Object.keys(entry.inc).length > 0) update.$inc = entry.inc;
+      if (Object.keys(entry.max).length > 0) update.$max = entry.max;
+      if (this.nodeId) update.$addToSet = { nodes: this.nodeId };
+
+      return { updateOne: { filter: { ride: rideId }, update, upsert: true } };
+    });
+
+    try {
+      await DispatchTimeline.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // Two nodes upserting the same new timeline: the loser retries as a plain update
+      const duplicates = (error.writeErrors || []).filter(writeError => writeError.code === 11000);
+      if (duplicates.length > 0) {
+        const retry = duplicates.map(writeError => operations[writeError.index]);
+        await DispatchTimeline.bulkWrite(retry, { ordered: false })
+          .catch(retryError => this.logger.error("[DispatchTimeline] Retry after duplicate upsert failed:", retryError));
+      } else {
+        this.logger.error("[DispatchTimeline] Failed to write dispatch timelines:", error);
+      }
+    }
+  }
+
+  async getTimeline(rideId) {
+    return DispatchTimeline.findOne({ ride: rideId }).lean();
+  }
+
+  /**
+   * Timelines without their events, newest first
+   * @param {Object} filters - { outcome, zone, from, to, page, limit }
+   */
+  async listTimelines({ outcome, zone, from, to, page = 1, limit = 20 } = {}) {
+    const query = this.buildRangeQuery(from, to);
+    if (outcome) query.outcome = outcome;
+    if (zone) query["zone.zoneName"] = zone;
+
+    const [timelines, total] = await Promise.all([
+      DispatchTimeline.find(query)
+        .select("-events")
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DispatchTimeline.countDocuments(query)
+    ]);
+
+    return { timelines, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+  }
+
+  /**
+   * Aggregate dispatch report: outcomes, average radius reached, per-zone stats and rejection reasons
+   */
+  async getReport({ from, to } = {}) {
+    const match = { ...this.buildRangeQuery(from, to), status: "finished" };
+
+    const [summary, outcomes, zones, rejectionReasons] = await Promise.all([
+      DispatchTimeline.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            rides: { $sum: 1 },
+            averageMaxRadiusKm: { $avg: "$maxRadiusKm" },
+            averageDurationSeconds: { $avg: "$durationSeconds" },
+            averageNotified: { $avg: "$notifiedCount" },
+            averageRejections: { $avg: "$rejectionCount" },
+            averageTimeouts: { $avg: "$timeoutCount" }
+          }
+        }
+      ]),
+      DispatchTimeline.aggregate([
+        { $match: match },
+        { $group: { _id: "$outcome", count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      DispatchTimeline.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $ifNull: ["$zone.zoneName", "outside_zones"] },
+            rides: { $sum: 1 },
+            accepted: { $sum: { $cond: [{ $eq: ["$outcome", "accepted"] }, 1, 0] } },
+            averageMaxRadiusKm: { $avg: "$maxRadiusKm" },
+            averageDurationSeconds: { $avg: "$durationSeconds" }
+          }
+        },
+        { $sort: { rides: -1 } }
+      ]),
+      DispatchTimeline.aggregate([
+        { $match: match },
+        { $unwind: "$events" },
+        { $match: { "events.type": { $in: ["captain_rejected", "captain_timeout"] } } },
+        {
+          $group: {
+            _id: {
+              zone: { $ifNull: ["$zone.zoneName", "outside_zones"] },
+              reason: { $ifNull: ["$events.reason", "$events.type"] }
+            },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    const round = (value) => (typeof value === "number" ? Number(value.toFixed(2)) : null);
+    const totals = summary[0] || {};
+
+    return {
+      range: { from: from || null, to: to || null },
+      rides: totals.rides || 0,
+      averageMaxRadiusKm: round(totals.averageMaxRadiusKm),
+      averageDurationSeconds: round(totals.averageDurationSeconds),
+      averageNotified: round(totals.averageNotified),
+      averageRejections: round(totals.averageRejections),
+      averageTimeouts: round(totals.averageTimeouts),
+      outcomes: outcomes.map(item => ({ outcome: item._id, count: item.count })),
+      zones: zones.map(item => ({
+        zone: item._id,
+        rides: item.rides,
+        acceptanceRate: round(item.accepted / item.rides),
+        averageMaxRadiusKm: round(item.averageMaxRadiusKm),
+        averageDurationSeconds: round(item.averageDurationSeconds)
+      })),
+      rejectionReasonsByZone: rejectionReasons.map(item => ({
+        zone: item._id.zone,
+        reason: item._id.reason,
+        count: item.count
+      }))
+    };
+  }
+
+  buildRangeQuery(from, to) {
+    const query = {};
+    if (from || to) {
+      query.startedAt = {};
+      if (from) query.startedAt.$gte = new Date(from);
+      if (to) query.startedAt.$lte = new Date(to);
+    }
+    return query;
+  }
+
+  /**
+   * Write what is still buffered (shutdown)
+   */
+  async stop() {
+    if (this.flushTimeoutId) {
+      clearTimeout(this.flushTimeoutId);
+    }
+    await this.flush();
+  }
+}
+
+module.exports = DispatchTimelineService;
@@ -0,0 +1,284 @@
+const DEFAULT_WINDOW_SECONDS = 15 * 60;
+const DEFAULT_MAX_EVENTS = 200;
+// The counter outlives the journal so numbers never go back while a client still remembers one
+const SEQUENCE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Events worth replaying: state changes, offers, payment results and chat.
+// Location updates, ETA ticks and typing indicators are superseded by the next one anyway,
+// call signalling (incomingCall, ICE candidates...) is useless once the call timed out.
+const JOURNALED_EVENTS = {
+  customer: new Set([
+    "rideAccepted",
+    "driverArrived",
+    "rideStarted",
+    "rideAwaitingPayment",
+    "rideCompleted",
+    "rideCanceled",
+    "rideNotApproved",
+    "rideRouteUpdated",
+    "waypointArrived",
+    "waypointDeparted",
+    "scheduledRideReminder",
+    "scheduledRideDispatching",
+    "chatMessage",
+    "callSessionClosed"
+  ]),
+  captain: new Set([
+    "newRide",
+    "hideRide",
+    "rideCanceled",
+    "rideRouteUpdated",
+    "poolUpdated",
+    "paymentProcessed",
+    "forcedBreak",
+    "breakWarning",
+    "systemMessage",
+    "chatMessage",
+    "callSessionClosed"
+  ])
+};
+
+/**
+ * Event Journal Service
+ * سجل الأحداث لكل مستخدم: كل حدث مهم يُرسل من الخادم يأخذ رقماً تسلسلياً ويُحفظ في Redis لفترة محددة،
+ * وعند إعادة الاتصال يرسل التطبيق آخر رقم استلمه فيعيد الخادم إرسال ما فاته
+ *
+ * Protocol:
+ *   - journaled events carry eventSeq (increasing per user, shared by every node through Redis)
+ *   - the client acknowledges with `eventAck` { seq }, acknowledged entries are dropped
+ *   - on reconnect the client sends its last processed seq (handshake query/auth `lastEventSeq`
+ *     or the `replayEvents` event); missing events are re-sent with redelivered: true, then
+ *     `eventsReplayed` { fromSeq, toSeq, count, gap }. gap means some events already left the
+ *     window and the client should fall back to the full state restore.
+ *   - a live emit can race a replay, clients ignore any eventSeq they already processed
+ */
+class EventJournalService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+    this.windowSeconds = dependencies.windowSeconds ||
+      parseInt(process.env.EVENT_JOURNAL_WINDOW_SECONDS) || DEFAULT_WINDOW_SECONDS;
+    this.maxEvents = dependencies.maxEvents ||
+      parseInt(process.env.EVENT_JOURNAL_MAX_EVENTS) || DEFAULT_MAX_EVENTS;
+
+    this.localJournals = new Map(); // userType:userId -> { seq, events } when Redis is unavailable
+    this.emitQueues = new Map(); // userType:userId -> last pending emit, keeps events in order per user
+  }
+
+  isJournaled(userType, event) {
+    return !!JOURNALED_EVENTS[userType]?.has(event);
+  }
+
+  sequenceKey(userType, userId) {
+    return `journal:${userType}:${userId}:seq`;
+  }
+
+  eventsKey(userType, userId) {
+    return `journal:${userType}:${userId}:events`;
+  }
+
+  getLocalJournal(userType, userId) {
+    const key = `${userType}:${userId}`;
+    if (!this.localJournals.has(key)) {
+      this.localJournals.set(key, { seq: 0, events: [] });
+    }
+    return this.localJournals.get(key);
+  }
+
+  /**
+   * Number an event and keep it for replay. Never throws.
+   * @param {string} userType - customer | captain
+   * @param {string} userId
+   * @param {string} event - Socket event name
+   * @param {*} data - Socket payload
+   * @returns {Promise<Object|null>} { seq, event, data, emittedAt }, null when it could not be stored
+   */
+  async record(userType, userId, event, data) {
+    const emittedAt = Date.now();
+
+    if (!this.redisClient) {
+      const journal = this.getLocalJournal(userType, userId);
+      const entry = { seq: ++journal.seq, event, data, emittedAt };
+      journal.events.push(entry);
+      journal.events = journal.events
+        .filter(item => emittedAt - item.emittedAt < this.windowSeconds * 1000)
+        .slice(-this.maxEvents);
+      return entry;
+    }
+
+    try {
+      const seq = await this.redisClient.incr(this.sequenceKey(userType, userId));
+      const entry = { seq, event, data, emittedAt };
+      const eventsKey = this.eventsKey(userType, userId);
+
+      // Stored before the emit, an eventAck that beat the write would leave the entry to be replayed.
+      // A failed write still returns the entry, the event goes out but cannot be replayed.
+      try {
+        await this.redisClient.multi()
+          .zAdd(eventsKey, { score: seq, value: JSON.stringify(entry) })
+          .zRemRangeByRank(eventsKey, 0, -(this.maxEvents + 1))
+          .expire(eventsKey, this.windowSeconds)
+          .expire(this.sequenceKey(userType, userId), SEQUENCE_TTL_SECONDS)
+          .exec();
+      } catch (error) {
+        this.logger.error(`[Journal] Could not store ${event} #${seq} for ${userType} ${userId}:`, error);
+      }
+
+      return entry;
+    } catch (error) {
+      this.logger.error(`[Journal] Could not number ${event} for ${userType} ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Payload as sent to the client: the original payload with its sequence number
+   */
+  stamp(entry, data, extra = {}) {
+    if (!entry || !data || typeof data !== "object" || Array.isArray(data)) return data;
+    return { ...data, eventSeq: entry.seq, ...extra };
+  }
+
+  /**
+   * Journal an event then hand the stamped payload to the emitter
+   * The emitter runs once the entry is stored so it should look the socket up itself.
+   * Every event of a user goes through here: one emitted after a journaled event waits for it,
+   * otherwise it would overtake the journaled one while it is being stored.
+   * @param {Function} emit - (payload) => void
+   * @returns {Promise<Object|null>} Journal entry, null for events that are not journaled
+   */
+  emit(userType, userId, event, data, emit) {
+    const key = `${userType}:${userId}`;
+    const previous = this.emitQueues.get(key);
+    if (!previous && !this.isJournaled(userType, event)) {
+      emit(data);
+      return Promise.resolve(null);
+    }
+
+    const current = (previous || Promise.resolve()).then(() => this.emitNow(userType, userId, event, data, emit));
+    const tail = current.catch(() => {});
+    this.emitQueues.set(key, tail);
+    tail.then(() => {
+      if (this.emitQueues.get(key) === tail) this.emitQueues.delete(key);
+    });
+    return current;
+  }
+
+  async emitNow(userType, userId, event, data, emit) {
+    if (!this.isJournaled(userType, event)) {
+      emit(data);
+      return null;
+    }
+    const entry = await this.record(userType, userId, event, data);
+    emit(this.stamp(entry, data));
+    return entry;
+  }
+
+  /**
+   * Drop every entry up to the acknowledged sequence number
+   */
+  async acknowledge(userType, userId, seq) {
+    const ackedSeq = this.parseSeq(seq);
+    if (!ackedSeq) return false;
+
+    if (!this.redisClient) {
+      const journal = this.getLocalJournal(userType, userId);
+      journal.events = journal.events.filter(entry => entry.seq > ackedSeq);
+      return true;
+    }
+
+    try {
+      await this.redisClient.zRemRangeByScore(this.eventsKey(userType, userId), "-inf", ackedSeq);
+      return true;
+    } catch (error) {
+      this.logger.error(`[Journal] Could not acknowledge #${ackedSeq} for ${userType} ${userId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Journaled events after a sequence number, oldest first
+   * @returns {Promise<Object>} { events, currentSeq, gap }
+   */
+  async getEventsAfter(userType, userId, lastSeq) {
+    const cutoff = Date.now() - this.windowSeconds * 1000;
+    let currentSeq = 0;
+    let events = [];
+
+    if (!this.redisClient) {
+      const journal = this.getLocalJournal(userType, userId);
+      currentSeq = journal.seq;
+      events = journal.events.filter(entry => entry.seq > lastSeq);
+    } else {
+      const [storedSeq, rawEvents] = await Promise.all([
+        this.redisClient.get(this.sequenceKey(userType, userId)),
+        this.redisClient.zRangeByScore(this.eventsKey(userType, userId), `(${lastSeq}`, "+inf")
+      ]);
+      currentSeq = parseInt(storedSeq) || 0;
+      events = rawEvents.map(raw => {
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          return null;
+        }
+      }).filter(Boolean);
+    }
+
+    events = events.filter(entry => entry.emittedAt >= cutoff);
+
+    // Numbers restarted (journal lost) or the oldest missing events already expired
+    const firstMissing = lastSeq + 1;
+    const gap = lastSeq > currentSeq ||
+      (currentSeq >= firstMissing && (events[0]?.seq ?? currentSeq + 1) > firstMissing);
+
+    return { events, currentSeq, gap };
+  }
+
+  /**
+   * Re-send what the client missed since lastSeq on its new socket
+   * @returns {Promise<Object|null>} Replay summary, null when lastSeq is not a valid number
+   */
+  async replay(socket, userType, userId, lastSeq) {
+    const fromSeq = this.parseSeq(lastSeq, true);
+    if (fromSeq === null) return null;
+
+    try {
+      const { events, currentSeq, gap } = await this.getEventsAfter(userType, userId, fromSeq);
+
+      for (const entry of events) {
+        socket.emit(entry.event, this.stamp(entry, entry.data, {
+          redelivered: true,
+          emittedAt: new Date(entry.emittedAt).toISOString()
+        }));
+      }
+
+      const summary = { fromSeq, toSeq: currentSeq, count: events.length, gap };
+      socket.emit("eventsReplayed", summary);
+      if (events.length || gap) {
+        this.logger.info(`[Journal] Replayed ${events.length} events to ${userType} ${userId} (${fromSeq} -> ${currentSeq}${gap ? ", gap" : ""})`);
+      }
+      return summary;
+    } catch (error) {
+      this.logger.error(`[Journal] Replay failed for ${userType} ${userId}:`, error);
+      socket.emit("eventsReplayed", { fromSeq, toSeq: null, count: 0, gap: true });
+      return null;
+    }
+  }
+
+  /**
+   * Last processed sequence number announced in the socket handshake, if any
+   */
+  getHandshakeSeq(socket) {
+    const handshake = socket.handshake || {};
+    return handshake.auth?.lastEventSeq ?? handshake.query?.lastEventSeq;
+  }
+
+  parseSeq(value, allowZero = false) {
+    if (value === undefined || value === null || value === "") return null;
+    const seq = Number(value);
+    if (!Number.isInteger(seq) || seq < (allowZero ? 0 : 1)) return null;
+    return seq;
+  }
+}
+
+module.exports = EventJournalService;
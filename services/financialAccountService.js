@@ -1,5 +1,9 @@
+const mongoose = require('mongoose');
 const FinancialAccount = require('../model/financialAccount');
 const MoneyTransfers = require('../model/moneyTransfers');
+const Driver = require('../model/Driver');
+const Customer = require('../model/customer');
+const LedgerService = require('./ledgerService');
 
 /**
  * Financial Account Service
@@ -8,6 +12,73 @@ const MoneyTransfers = require('../model/moneyTransfers');
 class FinancialAccountService {
   constructor(logger) {
     this.logger = logger;
+    this.ledgerService = new LedgerService(logger);
+  }
+
+  /**
+   * Run money movements inside a single MongoDB transaction.
+   * When an outer session is passed the work joins that transaction instead of starting a new one.
+   * Note: transactions require MongoDB to run as a replica set (or Atlas cluster).
+   * @param {Function} work - async (session) => result
+   * @param {ClientSession|null} session - Optional outer session
+   * @returns {Promise<*>} Result returned by work
+   */
+  async runInTransaction(work, session = null) {
+    if (session) {
+      return work(session);
+    }
+
+    const ownSession = await mongoose.startSession();
+    try {
+      let result;
+      await ownSession.withTransaction(async () => {
+        result = await work(ownSession);
+      });
+      return result;
+    } finally {
+      await ownSession.endSession();
+    }
+  }
+
+  /**
+   * Find a previously recorded transfer by its idempotency key
+   * @param {string} idempotencyKey
+   * @param {ClientSession|null} session
+   */
+  async findTransferByIdempotencyKey(idempotencyKey, session = null) {
+    if (!idempotencyKey) return null;
+    return MoneyTransfers.findOne({ idempotencyKey }).session(session);
+  }
+
+  /**
+   * Map account type to the role stored on MoneyTransfers
+   */
+  getRoleForAccount(account) {
+    if (account.accountType === 'captain') return 'Driver';
+    if (account.accountType === 'customer') return 'Customer';
+    return 'Users';
+  }
+
+  /**
+   * Result returned when a request with an already used idempotency key is replayed
+   */
+  async buildReplayResult(transfer) {
+    const [fromAccount, toAccount] = await Promise.all([
+      FinancialAccount.findById(transfer.from.id).select('vault'),
+      FinancialAccount.findById(transfer.to.id).select('vault')
+    ]);
+
+    this.logger.info(`[FinancialAccount] Replayed request for idempotency key ${transfer.idempotencyKey} - returning transfer ${transfer._id}`);
+
+    return {
+      success: transfer.status !== 'failed',
+      replayed: true,
+      transferId: transfer._id,
+      fromBalance: fromAccount?.vault,
+      toBalance: toAccount?.vault,
+      newBalance: toAccount?.vault,
+      status: transfer.status
+    };
   }
 
   /**
@@ -21,6 +92,9 @@ class FinancialAccountService {
    * @param {string} params.toRole - Destination account role
    * @param {string} params.description - Transaction description
    * @param {boolean} params.checkBalance - Whether to check sufficient balance
+   * @param {string} params.idempotencyKey - Optional key, a replay with the same key is a no-op
+   * @param {Object} params.metadata - Optional metadata stored on the transfer
+   * @param {ClientSession} params.session - Optional outer transaction session
    * @returns {Object} Transfer result
    */
   async transferMoney({ 
@@ -31,71 +105,109 @@ class FinancialAccountService {
     fromRole, 
     toRole, 
     description,
-    checkBalance = true 
+    checkBalance = true,
+    idempotencyKey = null,
+    metadata = {},
+    session = null
   }) {
     try {
-      // Get both financial accounts
-      const fromAccount = await FinancialAccount.findById(fromAccountId);
-      const toAccount = await FinancialAccount.findById(toAccountId);
-
-      if (!fromAccount || !toAccount) {
-        throw new Error('One or both financial accounts not found');
-      }
-
-      // Check balance if required
-      if (checkBalance && fromAccount.vault < amount) {
-        this.logger.warn(`[FinancialAccount] Insufficient balance: ${fromAccount.vault} < ${amount}`);
-        return { 
-          success: false, 
-          reason: 'insufficient_funds',
-          availableBalance: fromAccount.vault,
-          requiredAmount: amount
-        };
-      }
+      const result = await this.runInTransaction(async (txSession) => {
+        const existing = await this.findTransferByIdempotencyKey(idempotencyKey, txSession);
+        if (existing) {
+          return { replayedTransfer: existing };
+        }
 
-      // Create money transfer record
-      const moneyTransfer = new MoneyTransfers({
-        transferType,
-        status: checkBalance && fromAccount.vault >= amount ? 'completed' : 'pending',
-        from: { id: fromAccountId, role: fromRole },
-        to: { id: toAccountId, role: toRole },
-        vault: amount,
-      });
+        // Get both financial accounts
+        const fromAccount = await FinancialAccount.findById(fromAccountId).session(txSession);
+        const toAccount = await FinancialAccount.findById(toAccountId).session(txSession);
 
-      await moneyTransfer.save();
+        if (!fromAccount || !toAccount) {
+          throw new Error('One or both financial accounts not found');
+        }
 
-      // Update balances
-      fromAccount.vault -= amount;
-      toAccount.vault += amount;
+        // Check balance if required
+        if (checkBalance && fromAccount.vault < amount) {
+          this.logger.warn(`[FinancialAccount] Insufficient balance: ${fromAccount.vault} < ${amount}`);
+          return { 
+            success: false, 
+            reason: 'insufficient_funds',
+            availableBalance: fromAccount.vault,
+            requiredAmount: amount
+          };
+        }
 
-      // Add transaction records
-      fromAccount.transactions.push({
-        moneyTransfers: [moneyTransfer._id],
-        description: `${description} - مرسل`,
-        date: new Date()
-      });
+        // Create money transfer record
+        const moneyTransfer = new MoneyTransfers({
+          transferType,
+          status: 'completed',
+          from: { id: fromAccountId, role: fromRole },
+          to: { id: toAccountId, role: toRole },
+          vault: amount,
+          description,
+          metadata,
+          ...(idempotencyKey && { idempotencyKey })
+        });
+
+        await moneyTransfer.save({ session: txSession });
+
+        // Update balances
+        fromAccount.vault -= amount;
+        toAccount.vault += amount;
+
+        // Add transaction records
+        fromAccount.transactions.push({
+          moneyTransfers: [moneyTransfer._id],
+          description: `${description} - مرسل`,
+          date: new Date()
+        });
+
+        toAccount.transactions.push({
+          moneyTransfers: [moneyTransfer._id],
+          description: `${description} - مستلم`,
+          date: new Date()
+        });
+
+        // Save both accounts
+        await fromAccount.save({ session: txSession });
+        await toAccount.save({ session: txSession });
+
+        await this.ledgerService.recordTransfer({
+          fromAccount,
+          toAccount,
+          amount,
+          entryType: transferType,
+          moneyTransfer: moneyTransfer._id,
+          description,
+          metadata,
+          session: txSession
+        });
 
-      toAccount.transactions.push({
-        moneyTransfers: [moneyTransfer._id],
-        description: `${description} - مستلم`,
-        date: new Date()
-      });
+        return {
+          success: true,
+          transferId: moneyTransfer._id,
+          fromBalance: fromAccount.vault,
+          toBalance: toAccount.vault,
+          status: 'completed'
+        };
+      }, session);
 
-      // Save both accounts
-      await fromAccount.save();
-      await toAccount.save();
+      if (result.replayedTransfer) {
+        return this.buildReplayResult(result.replayedTransfer);
+      }
 
-      this.logger.info(`[FinancialAccount] Money transfer completed: ${amount} from ${fromAccountId} to ${toAccountId}`);
+      if (result.success) {
+        this.logger.info(`[FinancialAccount] Money transfer completed: ${amount} from ${fromAccountId} to ${toAccountId}`);
+      }
 
-      return {
-        success: true,
-        transferId: moneyTransfer._id,
-        fromBalance: fromAccount.vault,
-        toBalance: toAccount.vault,
-        status: 'completed'
-      };
+      return result;
 
     } catch (error) {
+      if (error.code === 11000 && idempotencyKey && !session) {
+        const existing = await this.findTransferByIdempotencyKey(idempotencyKey);
+        if (existing) return this.buildReplayResult(existing);
+      }
+      if (session) throw error;
+
       this.logger.error('[FinancialAccount] Error transferring money:', error);
       return {
         success: false,
@@ -115,52 +227,77 @@ class FinancialAccountService {
     transferType,
     fromRole,
     toRole,
-    description
+    description,
+    idempotencyKey = null,
+    metadata = {},
+    session = null
   }) {
     try {
-      const fromAccount = await FinancialAccount.findById(fromAccountId);
-      const toAccount = await FinancialAccount.findById(toAccountId);
-
-      if (!fromAccount || !toAccount) {
-        throw new Error('One or both financial accounts not found');
-      }
+      const result = await this.runInTransaction(async (txSession) => {
+        const existing = await this.findTransferByIdempotencyKey(idempotencyKey, txSession);
+        if (existing) {
+          return { replayedTransfer: existing };
+        }
 
-      // Create pending money transfer record
-      const moneyTransfer = new MoneyTransfers({
-        transferType,
-        status: 'pending',
-        from: { id: fromAccountId, role: fromRole },
-        to: { id: toAccountId, role: toRole },
-        vault: amount,
-      });
+        const fromAccount = await FinancialAccount.findById(fromAccountId).session(txSession);
+        const toAccount = await FinancialAccount.findById(toAccountId).session(txSession);
 
-      await moneyTransfer.save();
+        if (!fromAccount || !toAccount) {
+          throw new Error('One or both financial accounts not found');
+        }
 
-      // Add transaction records (but don't change balances)
-      fromAccount.transactions.push({
-        moneyTransfers: [moneyTransfer._id],
-        description: `${description} - دين مؤجل`,
-        date: new Date()
-      });
+        // Create pending money transfer record
+        const moneyTransfer = new MoneyTransfers({
+          transferType,
+          status: 'pending',
+          from: { id: fromAccountId, role: fromRole },
+          to: { id: toAccountId, role: toRole },
+          vault: amount,
+          description,
+          metadata,
+          ...(idempotencyKey && { idempotencyKey })
+        });
+
+        await moneyTransfer.save({ session: txSession });
+
+        // Add transaction records (but don't change balances)
+        fromAccount.transactions.push({
+          moneyTransfers: [moneyTransfer._id],
+          description: `${description} - دين مؤجل`,
+          date: new Date()
+        });
+
+        toAccount.transactions.push({
+          moneyTransfers: [moneyTransfer._id],
+          description: `${description} - ائتمان مؤجل`,
+          date: new Date()
+        });
+
+        await fromAccount.save({ session: txSession });
+        await toAccount.save({ session: txSession });
 
-      toAccount.transactions.push({
-        moneyTransfers: [moneyTransfer._id],
-        description: `${description} - ائتمان مؤجل`,
-        date: new Date()
-      });
+        return {
+          success: true,
+          transferId: moneyTransfer._id,
+          status: 'pending'
+        };
+      }, session);
 
-      await fromAccount.save();
-      await toAccount.save();
+      if (result.replayedTransfer) {
+        return this.buildReplayResult(result.replayedTransfer);
+      }
 
       this.logger.info(`[FinancialAccount] Pending transfer created: ${amount} from ${fromAccountId} to ${toAccountId}`);
 
-      return {
-        success: true,
-        transferId: moneyTransfer._id,
-        status: 'pending'
-      };
+      return result;
 
     } catch (error) {
+      if (error.code === 11000 && idempotencyKey && !session) {
+        const existing = await this.findTransferByIdempotencyKey(idempotencyKey);
+        if (existing) return this.buildReplayResult(existing);
+      }
+      if (session) throw error;
+
       this.logger.error('[FinancialAccount] Error creating pending transfer:', error);
       return {
         success: false,
@@ -172,33 +309,119 @@ class FinancialAccountService {
 
   /**
    * Add balance to financial account
+   * @param {string} accountId - Financial account ID
+   * @param {number} amount - Amount to add
+   * @param {string} description - Transaction description
+   * @param {Object} options - { idempotencyKey, metadata, session }
+   */
+  async addBalance(accountId, amount, description, options = {}) {
+    return this.adjustBalance(accountId, amount, description, { ...options, direction: 'credit' });
+  }
+
+  /**
+   * Deduct balance from financial account
+   * @param {string} accountId - Financial account ID
+   * @param {number} amount - Amount to deduct
+   * @param {string} description - Transaction description
+   * @param {boolean} checkBalance - Whether to check sufficient balance
+   * @param {Object} options - { idempotencyKey, metadata, session }
+   */
+  async deductBalance(accountId, amount, description, checkBalance = true, options = {}) {
+    return this.adjustBalance(accountId, amount, description, { ...options, direction: 'debit', checkBalance });
+  }
+
+  /**
+   * Single-account credit/debit. When an idempotency key is given the movement is
+   * recorded as a MoneyTransfers entry so a replay can be detected and reversed later.
    */
-  async addBalance(accountId, amount, description) {
+  async adjustBalance(accountId, amount, description, {
+    direction,
+    checkBalance = true,
+    idempotencyKey = null,
+    metadata = {},
+    session = null
+  }) {
     try {
-      const account = await FinancialAccount.findById(accountId);
-      
-      if (!account) {
-        throw new Error('Financial account not found');
-      }
+      const result = await this.runInTransaction(async (txSession) => {
+        const existing = await this.findTransferByIdempotencyKey(idempotencyKey, txSession);
+        if (existing) {
+          return { replayedTransfer: existing };
+        }
 
-      account.vault += amount;
-      account.transactions.push({
-        moneyTransfers: [],
-        description: description,
-        date: new Date()
-      });
+        const account = await FinancialAccount.findById(accountId).session(txSession);
 
-      await account.save();
+        if (!account) {
+          throw new Error('Financial account not found');
+        }
 
-      this.logger.info(`[FinancialAccount] Balance added: ${amount} to account ${accountId}`);
+        if (direction === 'debit' && checkBalance && account.vault < amount) {
+          return {
+            success: false,
+            reason: 'insufficient_funds',
+            availableBalance: account.vault
+          };
+        }
 
-      return {
-        success: true,
-        newBalance: account.vault
-      };
+        let moneyTransfer = null;
+        if (idempotencyKey) {
+          const role = this.getRoleForAccount(account);
+          moneyTransfer = new MoneyTransfers({
+            transferType: direction,
+            status: 'completed',
+            from: { id: account._id, role },
+            to: { id: account._id, role },
+            vault: amount,
+            description,
+            metadata,
+            idempotencyKey
+          });
+          await moneyTransfer.save({ session: txSession });
+        }
+
+        account.vault += direction === 'credit' ? amount : -amount;
+        account.transactions.push({
+          moneyTransfers: moneyTransfer ? [moneyTransfer._id] : [],
+          description: description,
+          date: new Date()
+        });
+
+        await account.save({ session: txSession });
+
+        await this.ledgerService.recordAdjustment({
+          account,
+          amount,
+          direction,
+          moneyTransfer: moneyTransfer ? moneyTransfer._id : null,
+          description,
+          metadata,
+          session: txSession
+        });
+
+        return {
+          success: true,
+          newBalance: account.vault,
+          ...(moneyTransfer && { transferId: moneyTransfer._id })
+        };
+      }, session);
+
+      if (result.replayedTransfer) {
+        return this.buildReplayResult(result.replayedTransfer);
+      }
+
+      if (result.success) {
+        this.logger.info(`[FinancialAccount] Balance ${direction === 'credit' ? 'added' : 'deducted'}: ${amount} ${direction === 'credit' ? 'to' : 'from'} account ${accountId}`);
+      }
+
+      return result;
 
     } catch (error) {
-      this.logger.error('[FinancialAccount] Error adding balance:', error);
+      if (error.code === 11000 && idempotencyKey && !session) {
+        const existing = await this.findTransferByIdempotencyKey(idempotencyKey);
+        if (existing) return this.buildReplayResult(existing);
+      }
+      if (session) throw error;
+
+      this.logger.error(`[FinancialAccount] Error ${direction === 'credit' ? 'adding' : 'deducting'} balance:`, error);
       return {
         success: false,
         error: error.message
@@ -207,49 +430,180 @@ class FinancialAccountService {
   }
 
   /**
-   * Deduct balance from financial account
+   * Compensating reversal of a transfer.
+   * A completed transfer is undone by a new 'reversal' transfer moving the same amount back,
+   * a pending transfer (debt) is simply closed. The original is marked as reversed.
+   * A settled debt is refused: its settlement transfer carries the money and is the one to reverse.
+   * @param {string} transferId - Transfer to reverse
+   * @param {Object} options
+   * @param {string} options.reason - Why the transfer is reversed
+   * @param {string} options.reversedBy - User performing the reversal
+   * @param {string} options.idempotencyKey - Defaults to "reversal:<transferId>"
+   * @returns {Object} Reversal result
    */
-  async deductBalance(accountId, amount, description, checkBalance = true) {
+  async reverseTransfer(transferId, { reason = '', reversedBy = null, idempotencyKey = null } = {}) {
+    const reversalKey = idempotencyKey || `reversal:${transferId}`;
+
     try {
-      const account = await FinancialAccount.findById(accountId);
-      
-      if (!account) {
-        throw new Error('Financial account not found');
-      }
+      const result = await this.runInTransaction(async (session) => {
+        const existing = await this.findTransferByIdempotencyKey(reversalKey, session);
+        if (existing) {
+          return { replayedTransfer: existing };
+        }
+
+        const original = await MoneyTransfers.findById(transferId).session(session);
+
+        if (!original) {
+          return { success: false, reason: 'transfer_not_found' };
+        }
+
+        if (original.status === 'reversed') {
+          return { success: false, reason: 'already_reversed', reversedBy: original.reversedBy };
+        }
+
+        if (original.reversalOf) {
+          return { success: false, reason: 'cannot_reverse_reversal' };
+        }
+
+        if (original.status === 'failed') {
+          return { success: false, reason: 'transfer_failed' };
+        }
+
+        if (original.status === 'settled') {
+          return { success: false, reason: 'transfer_settled', settledBy: original.settledBy };
+        }
+
+        const description = `عكس التحويل ${original._id}${reason ? ` - ${reason}` : ''}`;
+        const balancesMoved = original.status === 'completed';
+
+        const reversal = new MoneyTransfers({
+          transferType: 'reversal',
+          status: balancesMoved ? 'completed' : 'failed',
+          from: { id: original.to.id, role: original.to.role },
+          to: { id: original.from.id, role: original.from.role },
+          vault: original.vault,
+          description,
+          metadata: { reversedBy, reason, originalStatus: original.status },
+          idempotencyKey: reversalKey,
+          reversalOf: original._id
+        });
+
+        if (balancesMoved) {
+          // Money goes back from the original receiver to the original sender.
+          // Single-account credit/debit entries only need the opposite adjustment.
+          const isSingleAccount = original.from.id.equals(original.to.id);
+          const adjustments = isSingleAccount
+            ? [{ accountId: original.from.id, delta: original.transferType === 'debit' ? original.vault : -original.vault }]
+            : [
+                { accountId: original.to.id, delta: -original.vault },
+                { accountId: original.from.id, delta: original.vault }
+              ];
+
+          const journalLines = [];
+          for (const { accountId, delta } of adjustments) {
+            const account = await FinancialAccount.findById(accountId).session(session);
+            if (!account) throw new Error('Financial account not found');
+
+            if (delta < 0 && account.vault < -delta) {
+              return {
+                success: false,
+                reason: 'insufficient_funds',
+                availableBalance: account.vault,
+                requiredAmount: -delta
+              };
+            }
+
+            account.vault += delta;
+            account.transactions.push({
+              moneyTransfers: [reversal._id],
+              description,
+              date: new Date()
+            });
+            await account.save({ session });
+            journalLines.push({ account, direction: delta > 0 ? 'credit' : 'debit', amount: Math.abs(delta) });
+          }
+
+          if (isSingleAccount) {
+            journalLines.push({ account: null, direction: journalLines[0].direction === 'credit' ? 'debit' : 'credit', amount: original.vault });
+          }
+
+          await this.ledgerService.postJournal({
+            lines: journalLines,
+            entryType: 'reversal',
+            moneyTransfer: reversal._id,
+            description,
+            metadata: { reversalOf: original._id, reason },
+            session
+          });
+        }
+
+        await reversal.save({ session });
+
+        original.status = 'reversed';
+        original.reversedBy = reversal._id;
+        original.reversedAt = new Date();
+        original.reversalReason = reason;
+        await original.save({ session });
 
-      if (checkBalance && account.vault < amount) {
         return {
-          success: false,
-          reason: 'insufficient_funds',
-          availableBalance: account.vault
+          success: true,
+          reversalId: reversal._id,
+          originalTransferId: original._id,
+          amount: original.vault,
+          balancesMoved
         };
-      }
-
-      account.vault -= amount;
-      account.transactions.push({
-        moneyTransfers: [],
-        description: description,
-        date: new Date()
       });
 
-      await account.save();
+      if (result.replayedTransfer) {
+        return {
+          success: true,
+          replayed: true,
+          reversalId: result.replayedTransfer._id,
+          originalTransferId: result.replayedTransfer.reversalOf,
+          amount: result.replayedTransfer.vault
+        };
+      }
 
-      this.logger.info(`[FinancialAccount] Balance deducted: ${amount} from account ${accountId}`);
+      if (result.success) {
+        this.logger.info(`[FinancialAccount] Transfer ${transferId} reversed by ${reversedBy || 'system'} (reversal ${result.reversalId})`);
+        await this.syncOwnerBalances(transferId);
+      }
 
-      return {
-        success: true,
-        newBalance: account.vault
-      };
+      return result;
 
     } catch (error) {
-      this.logger.error('[FinancialAccount] Error deducting balance:', error);
+      this.logger.error(`[FinancialAccount] Error reversing transfer ${transferId}:`, error);
       return {
         success: false,
+        reason: 'reversal_failed',
         error: error.message
       };
     }
   }
 
+  /**
+   * Keep the denormalized Driver.balance / Customer.walletBalance in sync after a reversal
+   */
+  async syncOwnerBalances(transferId) {
+    try {
+      const transfer = await MoneyTransfers.findById(transferId).select('from to');
+      if (!transfer) return;
+
+      const accounts = await FinancialAccount.find({ _id: { $in: [transfer.from.id, transfer.to.id] } })
+        .select('user accountType vault');
+
+      for (const account of accounts) {
+        if (account.accountType === 'captain') {
+          await Driver.findByIdAndUpdate(account.user, { balance: account.vault });
+        } else if (account.accountType === 'customer') {
+          await Customer.findByIdAndUpdate(account.user, { walletBalance: account.vault });
+        }
+      }
+    } catch (error) {
+      this.logger.warn(`[FinancialAccount] Could not sync owner balances for transfer ${transferId}: ${error.message}`);
+    }
+  }
+
   /**
    * Get account balance and recent transactions
    */
@@ -296,21 +650,35 @@ class FinancialAccountService {
 
       for (const transfer of pendingTransfers) {
         if (account.vault >= transfer.vault) {
-          const result = await this.transferMoney({
-            fromAccountId: transfer.from.id,
-            toAccountId: transfer.to.id,
-            amount: transfer.vault,
-            transferType: transfer.transferType,
-            fromRole: transfer.from.role,
-            toRole: transfer.to.role,
-            description: 'معالجة تحويل مؤجل',
-            checkBalance: true
-          });
+          // Settle the debt and close the original pending record atomically
+          const result = await this.runInTransaction(async (session) => {
+            const settlement = await this.transferMoney({
+              fromAccountId: transfer.from.id,
+              toAccountId: transfer.to.id,
+              amount: transfer.vault,
+              transferType: transfer.transferType,
+              fromRole: transfer.from.role,
+              toRole: transfer.to.role,
+              description: 'معالجة تحويل مؤجل',
+              checkBalance: true,
+              idempotencyKey: `settle_pending:${transfer._id}`,
+              metadata: { settlesTransfer: transfer._id },
+              session
+            });
+
+            if (settlement.success) {
+              await MoneyTransfers.updateOne(
+                { _id: transfer._id, status: 'pending' },
+                { status: 'settled', settledBy: settlement.transferId, settledAt: new Date() },
+                { session }
+              );
+            }
+
+            return settlement;
+          }).catch(error => ({ success: false, error: error.message }));
 
           if (result.success) {
-            // Mark original transfer as completed
-            transfer.status = 'completed';
-            await transfer.save();
+            account.vault -= transfer.vault;
             processed++;
           } else {
             failed++;
@@ -387,6 +755,7 @@ class FinancialAccountService {
       });
 
       await account.save();
+      await this.ledgerService.recordOpeningBalance(account);
       this.logger.info(`[FinancialAccountService] Created ${accountType} account for user ${userId} with balance ${initialBalance}`);
       
       return account;
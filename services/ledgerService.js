@@ -0,0 +1,483 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../model/ledgerEntry');
+const LedgerReconciliation = require('../model/ledgerReconciliation');
+const FinancialAccount = require('../model/financialAccount');
+
+const EXTERNAL_ACCOUNT_TYPE = 'external';
+
+/**
+ * Ledger Service
+ * دفتر القيود المزدوجة: تسجيل القيود، ميزان المراجعة، كشف الحساب، والمطابقة
+ *
+ * Postings are made by FinancialAccountService inside the same transaction
+ * that changes FinancialAccount.vault, so the ledger and balances move together.
+ */
+class LedgerService {
+  constructor(logger) {
+    this.logger = logger;
+    this.reconciliationInterval = null;
+    this.reconciliationRunning = false;
+  }
+
+  /**
+   * Post a balanced journal
+   * @param {Object} params
+   * @param {Array} params.lines - [{ account, direction, amount }], account is a FinancialAccount doc or null (external)
+   * @param {string} params.entryType - Movement type
+   * @param {ObjectId} params.moneyTransfer - Related MoneyTransfers record
+   * @param {string} params.description
+   * @param {Object} params.metadata
+   * @param {ClientSession} params.session - Transaction session of the balance change
+   * @returns {Promise<Array>} Created entries
+   */
+  async postJournal({ lines, entryType, moneyTransfer = null, description, metadata = {}, session = null }) {
+    if (lines.some(line => !(line.amount >= 0))) {
+      throw new Error('Ledger line amount must be a non-negative number');
+    }
+
+    // Zero-amount movements (e.g. a 0% deduction) leave nothing to record
+    const postedLines = lines.filter(line => line.amount > 0);
+    if (postedLines.length === 0) return [];
+
+    const totals = postedLines.reduce((acc, line) => {
+      acc[line.direction] += line.amount;
+      return acc;
+    }, { debit: 0, credit: 0 });
+
+    if (Math.abs(totals.debit - totals.credit) > 0.0001) {
+      throw new Error(`Unbalanced journal: debits ${totals.debit} != credits ${totals.credit}`);
+    }
+
+    const journalId = new mongoose.Types.ObjectId();
+    const entries = postedLines.map(line => ({
+      journalId,
+      account: line.account ? line.account._id : null,
+      accountType: line.account ? line.account.accountType : EXTERNAL_ACCOUNT_TYPE,
+      direction: line.direction,
+      amount: line.amount,
+      balanceAfter: line.account ? line.account.vault : null,
+      currency: line.account?.currency || 'IQD',
+      entryType,
+      moneyTransfer,
+      description,
+      metadata
+    }));
+
+    return LedgerEntry.insertMany(entries, { session });
+  }
+
+  /**
+   * Journal for a transfer between two accounts (accounts hold their post-transfer balances)
+   */
+  async recordTransfer({ fromAccount, toAccount, amount, entryType, moneyTransfer, description, metadata, session }) {
+    return this.postJournal({
+      lines: [
+        { account: fromAccount, direction: 'debit', amount },
+        { account: toAccount, direction: 'credit', amount }
+      ],
+      entryType,
+      moneyTransfer,
+      description,
+      metadata,
+      session
+    });
+  }
+
+  /**
+   * Journal for a single-account credit/debit, balanced against the external counterparty
+   */
+  async recordAdjustment({ account, amount, direction, entryType, moneyTransfer, description, metadata, session }) {
+    return this.postJournal({
+      lines: [
+        { account, direction, amount },
+        { account: null, direction: direction === 'credit' ? 'debit' : 'credit', amount }
+      ],
+      entryType: entryType || direction,
+      moneyTransfer,
+      description,
+      metadata,
+      session
+    });
+  }
+
+  /**
+   * Post the opening balance of an account: the part of its stored balance the ledger
+   * does not explain yet (money that arrived before the ledger existed).
+   * Runs once per account; claiming ledgerOpenedAt writes the account inside the
+   * transaction, so a concurrent balance change conflicts and is retried instead of
+   * being counted twice.
+   * @returns {Promise<boolean>} true if an opening entry was posted
+   */
+  async recordOpeningBalance(account, session = null) {
+    const work = async (txSession) => {
+      const opened = await FinancialAccount.findOneAndUpdate(
+        { _id: account._id, ledgerOpenedAt: null },
+        { $set: { ledgerOpenedAt: new Date() } },
+        { new: true, session: txSession }
+      );
+      if (!opened) return false;
+
+      const [ledger] = await LedgerEntry.aggregate([
+        { $match: { account: opened._id } },
+        {
+          $group: {
+            _id: null,
+            balance: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+          }
+        }
+      ]).session(txSession);
+
+      const openingAmount = (opened.vault || 0) - (ledger ? ledger.balance : 0);
+      if (Math.abs(openingAmount) < 0.0001) return false;
+
+      await this.recordAdjustment({
+        account: opened,
+        amount: Math.abs(openingAmount),
+        direction: openingAmount > 0 ? 'credit' : 'debit',
+        entryType: 'opening_balance',
+        description: 'رصيد افتتاحي',
+        session: txSession
+      });
+      return true;
+    };
+
+    if (session) return work(session);
+
+    const ownSession = await mongoose.startSession();
+    try {
+      let posted = false;
+      await ownSession.withTransaction(async () => {
+        posted = await work(ownSession);
+      });
+      return posted;
+    } finally {
+      await ownSession.endSession();
+    }
+  }
+
+  /**
+   * Post opening balances for every account not opened in the ledger yet.
+   * Run at startup before the reconciliation job, otherwise every account funded
+   * before the ledger would be reported as drift.
+   * @returns {Promise<Object>} { posted, skipped }
+   */
+  async seedOpeningBalances() {
+    const accounts = await FinancialAccount.find({ ledgerOpenedAt: null }).select('_id');
+    let posted = 0;
+
+    for (const account of accounts) {
+      if (await this.recordOpeningBalance(account)) {
+        posted++;
+      }
+    }
+
+    this.logger.info(`[Ledger] Opening balances posted for ${posted} of ${accounts.length} unopened accounts`);
+    return { posted, skipped: accounts.length - posted };
+  }
+
+  /**
+   * Build a createdAt filter for an optional date range
+   */
+  buildDateRange(from, to) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    return Object.keys(range).length ? range : null;
+  }
+
+  /**
+   * Trial balance for a date range: opening balance, debits, credits and closing balance per account
+   * @param {Object} options - { from, to, accountType }
+   * @returns {Promise<Object>} Trial balance
+   */
+  async getTrialBalance({ from, to, accountType } = {}) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    const match = {};
+    if (toDate) match.createdAt = { $lte: toDate };
+    if (accountType) match.accountType = accountType;
+
+    const periodCondition = fromDate ? { $gte: ['$createdAt', fromDate] } : true;
+
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { account: '$account', accountType: '$accountType' },
+          opening: {
+            $sum: {
+              $cond: [
+                periodCondition,
+                0,
+                { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] }
+              ]
+            }
+          },
+          debits: {
+            $sum: { $cond: [{ $and: [periodCondition, { $eq: ['$direction', 'debit'] }] }, '$amount', 0] }
+          },
+          credits: {
+            $sum: { $cond: [{ $and: [periodCondition, { $eq: ['$direction', 'credit'] }] }, '$amount', 0] }
+          }
+        }
+      },
+      { $sort: { '_id.accountType': 1 } }
+    ]);
+
+    const accountIds = rows.map(row => row._id.account).filter(Boolean);
+    const accounts = await FinancialAccount.find({ _id: { $in: accountIds } }).select('user accountType vault');
+    const accountMap = new Map(accounts.map(account => [account._id.toString(), account]));
+
+    const totals = { debits: 0, credits: 0 };
+    const lines = rows.map(row => {
+      totals.debits += row.debits;
+      totals.credits += row.credits;
+      const account = row._id.account ? accountMap.get(row._id.account.toString()) : null;
+
+      return {
+        account: row._id.account,
+        accountType: row._id.accountType,
+        user: account?.user || null,
+        openingBalance: row.opening,
+        debits: row.debits,
+        credits: row.credits,
+        closingBalance: row.opening + row.credits - row.debits
+      };
+    });
+
+    return {
+      from: fromDate,
+      to: toDate,
+      accounts: lines,
+      totals: {
+        debits: totals.debits,
+        credits: totals.credits,
+        difference: totals.credits - totals.debits
+      },
+      // External lines are only excluded by an accountType filter, otherwise both sides must match
+      balanced: accountType ? null : Math.abs(totals.credits - totals.debits) < 0.0001
+    };
+  }
+
+  /**
+   * Statement of a single account for a date range
+   * @param {string} accountId - Financial account ID
+   * @param {Object} options - { from, to, page, limit }
+   * @returns {Promise<Object|null>} Statement or null if the account does not exist
+   */
+  async getAccountStatement(accountId, { from, to, page = 1, limit = 50 } = {}) {
+    const account = await FinancialAccount.findById(accountId).select('user accountType vault currency');
+    if (!account) return null;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const accountObjectId = account._id;
+
+    const sumBalance = async (createdAt) => {
+      const match = { account: accountObjectId };
+      if (createdAt) match.createdAt = createdAt;
+      const [result] = await LedgerEntry.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } },
+            credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+      return result || { debits: 0, credits: 0, count: 0 };
+    };
+
+    const range = this.buildDateRange(from, to);
+    const opening = from ? await sumBalance({ $lt: new Date(from) }) : { debits: 0, credits: 0 };
+    const period = await sumBalance(range);
+    const openingBalance = opening.credits - opening.debits;
+
+    // Running balance is carried from the opening balance and the entries before this page
+    const query = { account: accountObjectId, ...(range && { createdAt: range }) };
+    const skip = (pageNumber - 1) * pageSize;
+    let runningBalance = openingBalance;
+
+    if (skip > 0) {
+      const [before] = await LedgerEntry.aggregate([
+        { $match: query },
+        { $sort: { createdAt: 1, _id: 1 } },
+        { $limit: skip },
+        {
+          $group: {
+            _id: null,
+            net: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+          }
+        }
+      ]);
+      runningBalance += before?.net || 0;
+    }
+
+    const entries = await LedgerEntry.find(query)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(pageSize)
+      .lean();
+
+    const statementEntries = entries.map(entry => {
+      runningBalance += entry.direction === 'credit' ? entry.amount : -entry.amount;
+      return {
+        id: entry._id,
+        journalId: entry.journalId,
+        date: entry.createdAt,
+        entryType: entry.entryType,
+        description: entry.description,
+        debit: entry.direction === 'debit' ? entry.amount : 0,
+        credit: entry.direction === 'credit' ? entry.amount : 0,
+        runningBalance,
+        moneyTransfer: entry.moneyTransfer
+      };
+    });
+
+    return {
+      account: {
+        id: account._id,
+        user: account.user,
+        accountType: account.accountType,
+        currency: account.currency,
+        currentBalance: account.vault
+      },
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      openingBalance,
+      totalDebits: period.debits,
+      totalCredits: period.credits,
+      closingBalance: openingBalance + period.credits - period.debits,
+      entries: statementEntries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: period.count,
+        pages: Math.ceil(period.count / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Recompute every account balance from the ledger and report drift against FinancialAccount.vault
+   * @param {Object} options - { trigger, triggeredBy }
+   * @returns {Promise<Object>} Saved reconciliation report
+   */
+  async reconcile({ trigger = 'scheduled', triggeredBy = null } = {}) {
+    const report = await LedgerReconciliation.create({
+      startedAt: new Date(),
+      trigger,
+      triggeredBy
+    });
+
+    try {
+      const ledgerBalances = await LedgerEntry.aggregate([
+        {
+          $group: {
+            _id: '$account',
+            balance: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } },
+            debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } },
+            credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+
+      const ledgerMap = new Map();
+      let totalDebits = 0;
+      let totalCredits = 0;
+      for (const row of ledgerBalances) {
+        totalDebits += row.debits;
+        totalCredits += row.credits;
+        if (row._id) ledgerMap.set(row._id.toString(), row);
+      }
+
+      const drifts = [];
+      let accountsChecked = 0;
+      const cursor = FinancialAccount.find({}).select('user accountType vault').lean().cursor();
+
+      for await (const account of cursor) {
+        accountsChecked++;
+        const ledger = ledgerMap.get(account._id.toString());
+        const ledgerBalance = ledger ? ledger.balance : 0;
+        const drift = (account.vault || 0) - ledgerBalance;
+
+        if (Math.abs(drift) > 0.0001) {
+          drifts.push({
+            account: account._id,
+            user: account.user,
+            accountType: account.accountType,
+            storedBalance: account.vault || 0,
+            ledgerBalance,
+            drift,
+            entryCount: ledger ? ledger.count : 0
+          });
+        }
+      }
+
+      const ledgerBalanced = Math.abs(totalDebits - totalCredits) < 0.0001;
+
+      report.finishedAt = new Date();
+      report.accountsChecked = accountsChecked;
+      report.accountsWithDrift = drifts.length;
+      report.totalDrift = drifts.reduce((sum, item) => sum + item.drift, 0);
+      report.totalDebits = totalDebits;
+      report.totalCredits = totalCredits;
+      report.ledgerBalanced = ledgerBalanced;
+      report.drifts = drifts;
+      report.status = drifts.length === 0 && ledgerBalanced ? 'balanced' : 'drift_detected';
+      await report.save();
+
+      if (report.status === 'balanced') {
+        this.logger.info(`[Ledger] Reconciliation ${report._id}: ${accountsChecked} accounts balanced`);
+      } else {
+        this.logger.warn(`[Ledger] Reconciliation ${report._id}: ${drifts.length} accounts drifted (total ${report.totalDrift}), ledger balanced: ${ledgerBalanced}`);
+      }
+
+      return report;
+
+    } catch (error) {
+      report.status = 'failed';
+      report.finishedAt = new Date();
+      report.error = error.message;
+      await report.save();
+
+      this.logger.error('[Ledger] Reconciliation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the periodic reconciliation job
+   * @param {number} intervalMs - Interval between runs (default 6 hours)
+   */
+  startReconciliationJob(intervalMs = 6 * 60 * 60 * 1000) {
+    if (this.reconciliationInterval) return;
+
+    this.reconciliationInterval = setInterval(async () => {
+      if (this.reconciliationRunning) return;
+      this.reconciliationRunning = true;
+      try {
+        await this.reconcile({ trigger: 'scheduled' });
+      } catch (error) {
+        // Already logged and stored on the report
+      } finally {
+        this.reconciliationRunning = false;
+      }
+    }, intervalMs);
+
+    this.logger.info(`[Ledger] Reconciliation job started (every ${Math.round(intervalMs / 60000)} minutes)`);
+  }
+
+  stopReconciliationJob() {
+    if (this.reconciliationInterval) {
+      clearInterval(this.reconciliationInterval);
+      this.reconciliationInterval = null;
+    }
+  }
+}
+
+module.exports = LedgerService;
@@ -140,7 +140,7 @@ class LocationTrackingService {
       }
 
       // Get captain details
-      const captain = await Driver.findById(captainId).select('name phone isOnline status');
+      const captain = await Driver.findById(captainId).select('name phone isOnline status destinationMode');
       if (!captain) {
         return;
       }
@@ -158,6 +158,7 @@ class LocationTrackingService {
         altitude: locationData.altitude || null,
         isOnline: captain.isOnline,
         status: captain.status,
+        destinationMode: this.formatDestinationMode(captain.destinationMode),
         timestamp: new Date(),
         lastUpdate: Date.now()
       };
@@ -179,6 +180,23 @@ class LocationTrackingService {
     }
   }
 
+  /**
+   * Active destination mode ("heading home") shown on the tracking map
+   * @param {Object} mode - Driver.destinationMode
+   * @returns {Object|null}
+   */
+  formatDestinationMode(mode) {
+    if (!mode?.active || !mode.expiresAt || mode.expiresAt <= new Date() || mode.target?.coordinates?.length !== 2) {
+      return null;
+    }
+    return {
+      latitude: mode.target.coordinates[1],
+      longitude: mode.target.coordinates[0],
+      address: mode.address || null,
+      expiresAt: mode.expiresAt
+    };
+  }
+
   /**
    * Remove captain location (when captain goes offline)
    * @param {string} captainId - Captain ID
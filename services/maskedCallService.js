@@ -0,0 +1,515 @@
+const crypto = require("crypto");
+const CallSession = require("../model/callSession");
+const Ride = require("../model/ride");
+const Customer = require("../model/customer");
+const Driver = require("../model/Driver");
+const { createTelephonyProvider } = require("../utils/telephonyProviders");
+
+// A session lives while the ride does: from acceptance until payment is settled
+const ACTIVE_RIDE_STATUSES = ["accepted", "arrived", "onRide", "awaiting_payment"];
+const DEFAULT_SESSION_MINUTES = 120;
+const RING_TIMEOUT_MS = 45 * 1000; // Unanswered in-app calls are marked missed after this
+const TICK_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 100;
+
+/**
+ * Masked Call Service
+ * الاتصال المقنّع بين الكابتن والزبون: جلسة لكل رحلة برقم وسيط مؤقت ومكالمات داخل التطبيق عبر السوكيت،
+ * فلا يرى أي طرف رقم الطرف الآخر، وتُغلق الجلسة عند انتهاء الرحلة
+ *
+ * In-app calls use WebRTC on the apps; the server only relays signalling between the two sockets:
+ *   callStart { rideId, offer }                 -> other side gets incomingCall { rideId, callId, from, callerName, offer }
+ *   callAnswer { rideId, callId, answer }       -> caller gets callAnswered
+ *   callIceCandidate { rideId, callId, candidate } -> relayed as callIceCandidate
+ *   callEnd { rideId, callId, reason }          -> other side gets callEnded { status, reason }
+ * When the other side is offline the caller gets reason peer_offline and can dial the proxy number.
+ * Results follow the { success, reason, message } shape of the other ride services.
+ */
+class MaskedCallService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.provider = dependencies.provider !== undefined ? dependencies.provider : this.createProviderFromEnv();
+    this.sessionMinutes = dependencies.sessionMinutes ||
+      parseInt(process.env.CALL_SESSION_TTL_MINUTES) || DEFAULT_SESSION_MINUTES;
+    this.customerSocketService = dependencies.customerSocketService || null; // emits to both sides
+
+    this.intervalId = null;
+    this.tickRunning = false;
+  }
+
+  setCustomerSocketService(customerSocketService) {
+    this.customerSocketService = customerSocketService;
+  }
+
+  /**
+   * Proxy numbers are optional: without a provider only in-app calls are offered
+   */
+  createProviderFromEnv() {
+    const name = process.env.TELEPHONY_PROVIDER;
+    if (!name) return null;
+
+    try {
+      const provider = createTelephonyProvider(name, {
+        url: process.env.TELEPHONY_API_URL,
+        apiKey: process.env.TELEPHONY_API_KEY,
+        timeoutMs: parseInt(process.env.TELEPHONY_TIMEOUT_MS) || 5000,
+        numberPrefix: process.env.TELEPHONY_FAKE_PREFIX || undefined,
+        logger: this.logger
+      });
+      this.logger.info(`[Calls] Using ${provider.name} proxy numbers`);
+      return provider;
+    } catch (error) {
+      this.logger.error(`[Calls] Invalid telephony configuration, in-app calls only: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ===============================
+  // Sessions
+  // ===============================
+
+  /**
+   * Open the call session of an accepted ride (returns the current one when it is still valid)
+   * @param {Object} ride - Ride with passenger and driver (ids or populated)
+   * @returns {Promise<Object|null>} Call session, null when it could not be opened. Never throws.
+   */
+  async openSession(ride) {
+    const rideId = ride?._id;
+    const customerId = ride?.passenger?._id || ride?.passenger;
+    const captainId = ride?.driver?._id || ride?.driver;
+    if (!rideId || !customerId || !captainId) return null;
+
+    try {
+      const existing = await CallSession.findOne({ rideId, status: "active" }).lean();
+      if (existing) {
+        if (existing.captain.toString() === captainId.toString() && existing.expiresAt > new Date()) {
+          return existing;
+        }
+        // Another captain took over the ride, or the number expired
+        await this.closeSession(rideId, existing.expiresAt > new Date() ? "captain_changed" : "expired");
+      }
+
+      let session;
+      try {
+        session = await CallSession.create({
+          rideId,
+          customer: customerId,
+          captain: captainId,
+          expiresAt: new Date(Date.now() + this.sessionMinutes * 60 * 1000)
+        });
+      } catch (error) {
+        // Another node opened it at the same time
+        if (error.code === 11000) return CallSession.findOne({ rideId, status: "active" }).lean();
+        throw error;
+      }
+
+      this.logger.info(`[Calls] Session ${session._id} opened for ride ${rideId}`);
+      return this.allocateNumber(session.toObject());
+    } catch (error) {
+      this.logger.error(`[Calls] Could not open call session for ride ${rideId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Ask the provider for a proxy number bridging both real numbers
+   * On failure the session stays usable for in-app calls and the number is retried on the next request.
+   */
+  async allocateNumber(session) {
+    if (!this.provider || session.proxyNumber) return session;
+
+    try {
+      const [customer, captain] = await Promise.all([
+        Customer.findById(session.customer).select("phoneNumber").lean(),
+        Driver.findById(session.captain).select("phoneNumber").lean()
+      ]);
+      if (!customer?.phoneNumber || !captain?.phoneNumber) return session;
+
+      const ttlSeconds = Math.max(Math.round((new Date(session.expiresAt).getTime() - Date.now()) / 1000), 60);
+      const { proxyNumber, providerSessionId } = await this.provider.allocate({
+        sessionId: session._id,
+        participants: [
+          { role: "customer", phoneNumber: customer.phoneNumber },
+          { role: "captain", phoneNumber: captain.phoneNumber }
+        ],
+        ttlSeconds
+      });
+
+      const updated = await CallSession.findOneAndUpdate(
+        { _id: session._id, status: "active" },
+        { $set: { proxyNumber, provider: this.provider.name, providerSessionId } },
+        { new: true }
+      ).lean();
+      if (!updated) {
+        // Closed while the number was being allocated
+        await this.releaseNumber({ ...session, providerSessionId });
+        return null;
+      }
+      return updated;
+    } catch (error) {
+      this.logger.warn(`[Calls] No proxy number for session ${session._id} (${this.provider.name}): ${error.message}`);
+      return session;
+    }
+  }
+
+  async releaseNumber(session) {
+    if (!this.provider || !session.providerSessionId) return;
+    try {
+      await this.provider.release({ providerSessionId: session.providerSessionId });
+    } catch (error) {
+      // The provider expires the number on its own at the session TTL
+      this.logger.warn(`[Calls] Could not release proxy number of session ${session._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Contact details of the ride for one of its participants, opening the session if needed
+   * @param {string} rideId
+   * @param {string} userType - customer | captain
+   * @param {string} userId
+   * @returns {Promise<Object>} { success, contact } or { success: false, reason, message }
+   */
+  async getContact(rideId, userType, userId) {
+    const ride = await Ride.findById(rideId).select("status passenger driver").lean().catch(() => null);
+    if (!ride || !this.isParticipant(ride.passenger, ride.driver, userType, userId)) {
+      return { success: false, reason: "not_found", message: "الرحلة غير موجودة" };
+    }
+    if (!ACTIVE_RIDE_STATUSES.includes(ride.status)) {
+      return { success: false, reason: "ride_inactive", message: "الاتصال متاح أثناء الرحلة فقط" };
+    }
+
+    let session = await this.openSession(ride);
+    if (session && !session.proxyNumber) {
+      session = await this.allocateNumber(session);
+    }
+    if (!session) {
+      return { success: false, reason: "unavailable", message: "الاتصال غير متاح حالياً" };
+    }
+    return { success: true, contact: this.formatContact(session) };
+  }
+
+  /**
+   * Contact block for ride payloads, null when calling is unavailable. Never throws.
+   */
+  async getRideContact(rideId, userType, userId) {
+    try {
+      const result = await this.getContact(rideId, userType, userId);
+      return result.success ? result.contact : null;
+    } catch (error) {
+      this.logger.warn(`[Calls] Could not get call contact of ride ${rideId} for ${userType} ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Socket event of either side: contact request or in-app call signalling towards the other side.
+   * Answers through the acknowledgement callback, or with callError / callContact without one.
+   * @param {string} action - contact | start | answer | ice | end
+   */
+  async handleCallSignal(socket, userType, userId, action, data, callback) {
+    let response;
+    try {
+      response = action === "contact"
+        ? await this.getContact(data?.rideId, userType, userId)
+        : await this.handleSignal(userType, userId, action, data || {});
+    } catch (error) {
+      this.logger.error(`[Calls] Call ${action} failed on ride ${data?.rideId} for ${userType} ${userId}:`, error);
+      response = { success: false, reason: "server_error", message: "تعذر إتمام الاتصال" };
+    }
+
+    if (callback) {
+      callback(response);
+    } else if (!response.success) {
+      socket.emit("callError", { action, rideId: data?.rideId, callId: data?.callId, ...response });
+    } else if (action === "contact") {
+      socket.emit("callContact", response.contact);
+    }
+  }
+
+  /**
+   * Contact block added to ride payloads in place of the real phone number
+   */
+  formatContact(session) {
+    if (!session) return null;
+    return {
+      rideId: session.rideId,
+      proxyNumber: session.proxyNumber || null,
+      expiresAt: session.expiresAt,
+      inAppCalling: true
+    };
+  }
+
+  /**
+   * Tear down the session of a ride: ongoing calls end, the proxy number is released
+   * @param {string} rideId
+   * @param {string} reason - ride_completed | ride_cancelled | expired | captain_changed...
+   * @returns {Promise<boolean>} Whether a session was closed. Never throws.
+   */
+  async closeSession(rideId, reason = "ride_ended") {
+    try {
+      const now = new Date();
+      // Claimed atomically so only one node releases the number
+      const session = await CallSession.findOneAndUpdate(
+        { rideId, status: "active" },
+        { $set: { status: "closed", closedAt: now, closeReason: reason } },
+        { new: true }
+      ).lean();
+      if (!session) return false;
+
+      const openCalls = session.calls.filter(call => ["ringing", "answered"].includes(call.status));
+      if (openCalls.length) {
+        await CallSession.updateOne(
+          { _id: session._id },
+          {
+            $set: {
+              "calls.$[call].status": "ended",
+              "calls.$[call].endedAt": now,
+              "calls.$[call].endReason": "session_closed"
+            }
+          },
+          { arrayFilters: [{ "call.status": { $in: ["ringing", "answered"] } }] }
+        );
+      }
+
+      await this.releaseNumber(session);
+
+      const payload = { rideId: session.rideId, reason };
+      for (const call of openCalls) {
+        this.emitToBoth(session, "callEnded", { rideId: session.rideId, callId: call.callId, status: "ended", reason: "session_closed" });
+      }
+      this.emitToBoth(session, "callSessionClosed", payload);
+
+      this.logger.info(`[Calls] Session ${session._id} of ride ${rideId} closed (${reason})`);
+      return true;
+    } catch (error) {
+      this.logger.error(`[Calls] Could not close call session of ride ${rideId}:`, error);
+      return false;
+    }
+  }
+
+  // ===============================
+  // In-app call signalling
+  // ===============================
+
+  /**
+   * Signalling message from one side of the ride
+   * @param {string} userType - customer | captain
+   * @param {string} userId
+   * @param {string} action - start | answer | ice | end
+   * @param {Object} data - { rideId, callId, offer, answer, candidate, reason }
+   * @returns {Promise<Object>} { success, ... } or { success: false, reason, message }
+   */
+  async handleSignal(userType, userId, action, data = {}) {
+    const session = await this.getParticipantSession(data.rideId, userType, userId);
+    if (!session) {
+      return { success: false, reason: "no_session", message: "لا توجد جلسة اتصال لهذه الرحلة" };
+    }
+
+    switch (action) {
+      case "start":
+        return this.startCall(session, userType, data);
+      case "answer":
+        return this.answerCall(session, userType, data);
+      case "ice":
+        return this.relayToPeer(session, userType, data.callId, "callIceCandidate", { candidate: data.candidate });
+      case "end":
+        return this.endCall(session, userType, data);
+      default:
+        return { success: false, reason: "invalid_action", message: "إجراء غير معروف" };
+    }
+  }
+
+  async startCall(session, userType, data) {
+    const callId = crypto.randomUUID();
+    // No open call is part of the filter, so both sides calling at once cannot start two calls
+    const started = await CallSession.updateOne(
+      {
+        _id: session._id,
+        status: "active",
+        calls: { $not: { $elemMatch: { status: { $in: ["ringing", "answered"] } } } }
+      },
+      { $push: { calls: { callId, caller: userType } } }
+    );
+    if (started.modifiedCount === 0) {
+      return { success: false, reason: "busy", message: "هناك مكالمة جارية بالفعل" };
+    }
+
+    const caller = userType === "customer"
+      ? await Customer.findById(session.customer).select("name").lean()
+      : await Driver.findById(session.captain).select("name").lean();
+
+    const delivered = this.emitToPeer(session, userType, "incomingCall", {
+      rideId: session.rideId,
+      callId,
+      from: userType,
+      callerName: caller?.name || null,
+      offer: data.offer
+    });
+
+    if (!delivered) {
+      await this.finishCall(session._id, callId, "missed", "peer_offline");
+      return {
+        success: false,
+        reason: "peer_offline",
+        message: "الطرف الآخر غير متصل، يمكنك الاتصال بالرقم الوسيط",
+        callId,
+        contact: this.formatContact(session)
+      };
+    }
+
+    this.logger.info(`[Calls] ${userType} started call ${callId} on ride ${session.rideId}`);
+    return { success: true, callId, contact: this.formatContact(session) };
+  }
+
+  async answerCall(session, userType, data) {
+    const call = session.calls.find(item => item.callId === data.callId);
+    if (!call || call.status !== "ringing" || call.caller === userType) {
+      return { success: false, reason: "call_not_found", message: "المكالمة غير موجودة أو انتهت" };
+    }
+
+    await CallSession.updateOne(
+      { _id: session._id, "calls.callId": data.callId },
+      { $set: { "calls.$.status": "answered", "calls.$.answeredAt": new Date() } }
+    );
+    return this.relayToPeer(session, userType, data.callId, "callAnswered", { answer: data.answer });
+  }
+
+  async endCall(session, userType, data) {
+    const call = session.calls.find(item => item.callId === data.callId);
+    if (!call || !["ringing", "answered"].includes(call.status)) {
+      return { success: false, reason: "call_not_found", message: "المكالمة غير موجودة أو انتهت" };
+    }
+
+    // Hanging up before the answer: the callee rejected it or the caller gave up
+    let status = "ended";
+    if (call.status === "ringing") {
+      status = call.caller === userType ? "missed" : "rejected";
+    }
+    const reason = data.reason || (status === "rejected" ? "rejected" : "hangup");
+
+    await this.finishCall(session._id, data.callId, status, reason);
+    this.emitToPeer(session, userType, "callEnded", { rideId: session.rideId, callId: data.callId, status, reason });
+    return { success: true, callId: data.callId, status };
+  }
+
+  async finishCall(sessionId, callId, status, reason) {
+    await CallSession.updateOne(
+      { _id: sessionId, "calls.callId": callId },
+      { $set: { "calls.$.status": status, "calls.$.endedAt": new Date(), "calls.$.endReason": reason } }
+    );
+  }
+
+  relayToPeer(session, userType, callId, event, data) {
+    const call = session.calls.find(item => item.callId === callId);
+    if (!call || !["ringing", "answered"].includes(call.status)) {
+      return { success: false, reason: "call_not_found", message: "المكالمة غير موجودة أو انتهت" };
+    }
+    const delivered = this.emitToPeer(session, userType, event, { rideId: session.rideId, callId, ...data });
+    return delivered
+      ? { success: true, callId }
+      : { success: false, reason: "peer_offline", message: "الطرف الآخر غير متصل" };
+  }
+
+  async getParticipantSession(rideId, userType, userId) {
+    if (!rideId || !userId) return null;
+    const session = await CallSession.findOne({ rideId, status: "active" }).lean().catch(() => null);
+    if (!session || session.expiresAt <= new Date()) return null;
+    return this.isParticipant(session.customer, session.captain, userType, userId) ? session : null;
+  }
+
+  isParticipant(customerId, captainId, userType, userId) {
+    const participant = userType === "customer" ? customerId : captainId;
+    return !!participant && participant.toString() === userId.toString();
+  }
+
+  emitToPeer(session, userType, event, data) {
+    if (!this.customerSocketService) return false;
+    return userType === "customer"
+      ? this.customerSocketService.emitToCaptain(session.captain.toString(), event, data)
+      : this.customerSocketService.emitToCustomer(session.customer.toString(), event, data);
+  }
+
+  emitToBoth(session, event, data) {
+    if (!this.customerSocketService) return;
+    this.customerSocketService.emitToCustomer(session.customer.toString(), event, data);
+    this.customerSocketService.emitToCaptain(session.captain.toString(), event, data);
+  }
+
+  // ===============================
+  // Worker
+  // ===============================
+
+  async start() {
+    if (this.intervalId) return;
+    this.intervalId = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.logger.info(`[Calls] Call session worker started (${this.provider ? this.provider.name : "in-app only"}, ${this.sessionMinutes} min sessions)`);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.logger.info("[Calls] Call session worker stopped");
+    }
+  }
+
+  /**
+   * Close expired sessions and sessions of rides that ended through a path that did not close them
+   * (admin completion, re-dispatch...), and mark calls nobody answered as missed
+   */
+  async tick() {
+    if (this.tickRunning) return;
+    this.tickRunning = true;
+
+    try {
+      const now = new Date();
+      let lastId = null;
+
+      while (true) {
+        const sessions = await CallSession.find({ status: "active", ...(lastId && { _id: { $gt: lastId } }) })
+          .sort({ _id: 1 })
+          .limit(BATCH_SIZE)
+          .select("rideId customer captain expiresAt calls")
+          .lean();
+        if (!sessions.length) break;
+        lastId = sessions[sessions.length - 1]._id;
+
+        const rides = await Ride.find({ _id: { $in: sessions.map(session => session.rideId) } })
+          .select("status driver")
+          .lean();
+        const ridesById = new Map(rides.map(ride => [ride._id.toString(), ride]));
+
+        for (const session of sessions) {
+          const ride = ridesById.get(session.rideId.toString());
+          if (!ride || !ACTIVE_RIDE_STATUSES.includes(ride.status)) {
+            await this.closeSession(session.rideId, "ride_ended");
+          } else if (ride.driver?.toString() !== session.captain.toString()) {
+            await this.closeSession(session.rideId, "captain_changed");
+          } else if (session.expiresAt <= now) {
+            await this.closeSession(session.rideId, "expired");
+          } else {
+            await this.expireRingingCalls(session, now);
+          }
+        }
+
+        if (sessions.length < BATCH_SIZE) break;
+      }
+    } catch (error) {
+      this.logger.error("[Calls] Call session worker tick failed:", error);
+    } finally {
+      this.tickRunning = false;
+    }
+  }
+
+  async expireRingingCalls(session, now) {
+    const unanswered = session.calls.filter(call =>
+      call.status === "ringing" && now - new Date(call.startedAt) > RING_TIMEOUT_MS
+    );
+    for (const call of unanswered) {
+      await this.finishCall(session._id, call.callId, "missed", "no_answer");
+      this.emitToBoth(session, "callEnded", { rideId: session.rideId, callId: call.callId, status: "missed", reason: "no_answer" });
+    }
+  }
+}
+
+module.exports = MaskedCallService;
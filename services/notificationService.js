@@ -0,0 +1,266 @@
+const NotificationOutbox = require("../model/notificationOutbox");
+const Customer = require("../model/customer");
+const Driver = require("../model/Driver");
+const { createNotificationProvider, ConsoleNotificationProvider } = require("../utils/notificationProviders");
+const { renderNotification, hasTemplate } = require("../utils/notificationTemplates");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+const LOCK_MS = 60 * 1000; // A node that crashed mid-send releases the entry after this
+const TICK_INTERVAL_MS = 10 * 1000;
+const BATCH_SIZE = 50;
+
+// Payload fields forwarded to the app so it can open the right screen
+const DATA_FIELDS = ["rideId", "messageId", "scheduledTime", "reason"];
+
+/**
+ * Notification Service
+ * إشعارات الجوال للمستخدمين غير المتصلين: عند فشل إرسال حدث عبر السوكيت يُحفظ إشعار في الصندوق الصادر
+ * ويُرسل عبر مزود الإشعارات مع إعادة المحاولة، ويُحذف رمز الجهاز عند رفضه من المزود
+ *
+ * Every entry is written to the outbox before it is sent, so a crash or a provider outage never
+ * loses it: the worker on any node picks up due entries and retries them with exponential backoff.
+ */
+class NotificationService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.provider = dependencies.provider || this.createProviderFromEnv();
+    this.maxAttempts = dependencies.maxAttempts ||
+      parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    this.baseDelayMs = dependencies.baseDelayMs ||
+      (parseInt(process.env.NOTIFICATION_RETRY_SECONDS) * 1000) || DEFAULT_BASE_DELAY_MS;
+
+    this.intervalId = null;
+    this.tickRunning = false;
+  }
+
+  createProviderFromEnv() {
+    const name = process.env.NOTIFICATION_PROVIDER;
+    if (!name) return new ConsoleNotificationProvider({ logger: this.logger });
+
+    try {
+      const provider = createNotificationProvider(name, {
+        url: process.env.FCM_URL,
+        serverKey: process.env.FCM_SERVER_KEY,
+        timeoutMs: parseInt(process.env.FCM_TIMEOUT_MS) || 5000,
+        filePath: process.env.NOTIFICATION_FILE,
+        logger: this.logger
+      });
+      this.logger.info(`[Push] Using ${provider.name} notifications`);
+      return provider;
+    } catch (error) {
+      this.logger.error(`[Push] Invalid notification configuration, logging notifications instead: ${error.message}`);
+      return new ConsoleNotificationProvider({ logger: this.logger });
+    }
+  }
+
+  getAccountModel(recipientType) {
+    return recipientType === "captain" ? Driver : Customer;
+  }
+
+  /**
+   * Queue a push for a socket event the user missed because they are offline
+   * Events without a template and accounts without a push token are ignored. Never throws.
+   * @param {string} recipientType - customer | captain
+   * @param {string} recipientId
+   * @param {string} event - Socket event name
+   * @param {Object} data - Socket payload
+   * @returns {Promise<Object|null>} Outbox entry
+   */
+  async notifyOffline(recipientType, recipientId, event, data = {}) {
+    if (!recipientId || !hasTemplate(recipientType, event)) return null;
+
+    try {
+      const account = await this.getAccountModel(recipientType)
+        .findById(recipientId)
+        .select("notifyToken language")
+        .lean();
+      if (!account?.notifyToken) return null;
+
+      const locale = account.language === "en" ? "en" : "ar";
+      const { title, body } = renderNotification(recipientType, event, data, locale);
+
+      const payload = { event };
+      for (const field of DATA_FIELDS) {
+        if (data?.[field] !== undefined && data[field] !== null) payload[field] = String(data[field]);
+      }
+
+      const entry = await NotificationOutbox.create({
+        recipientType,
+        recipient: recipientId,
+        event,
+        token: account.notifyToken,
+        locale,
+        title,
+        body,
+        data: payload,
+        // Newer pushes about the same ride replace older ones on the device
+        collapseKey: payload.rideId ? `ride-${payload.rideId}` : undefined
+      });
+
+      // First attempt right away, the worker handles retries
+      this.deliver(entry._id).catch((error) => {
+        this.logger.error(`[Push] Immediate delivery of ${entry._id} failed:`, error);
+      });
+      return entry;
+    } catch (error) {
+      this.logger.error(`[Push] Could not queue ${event} for ${recipientType} ${recipientId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Claim an entry and send it (no-op when another node holds it or it is not due yet)
+   * @param {string} entryId
+   * @returns {Promise<string|null>} Resulting status
+   */
+  async deliver(entryId) {
+    const now = new Date();
+    const entry = await NotificationOutbox.findOneAndUpdate(
+      {
+        _id: entryId,
+        nextAttemptAt: { $lte: now },
+        $or: [
+          { status: "pending" },
+          // A node that crashed mid-send already used the attempt
+          { status: "sending", lockedUntil: { $lt: now }, attempts: { $lt: this.maxAttempts } }
+        ]
+      },
+      {
+        $set: { status: "sending", lockedUntil: new Date(now.getTime() + LOCK_MS) },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+    if (!entry) return null;
+
+    try {
+      const result = await this.provider.send({
+        token: entry.token,
+        title: entry.title,
+        body: entry.body,
+        data: entry.data || {},
+        collapseKey: entry.collapseKey
+      });
+
+      await NotificationOutbox.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            status: "sent",
+            sentAt: new Date(),
+            lockedUntil: null,
+            provider: this.provider.name,
+            providerMessageId: result?.messageId || null
+          }
+        }
+      );
+      return "sent";
+    } catch (error) {
+      return this.handleFailure(entry, error);
+    }
+  }
+
+  async handleFailure(entry, error) {
+    const update = { lockedUntil: null, lastError: error.message, provider: this.provider.name };
+
+    if (error.invalidToken) {
+      update.status = "invalid_token";
+      await NotificationOutbox.updateOne({ _id: entry._id }, { $set: update });
+      await this.invalidateToken(entry);
+      return "invalid_token";
+    }
+
+    if (error.retryable && entry.attempts < this.maxAttempts) {
+      update.status = "pending";
+      update.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(entry.attempts));
+      await NotificationOutbox.updateOne({ _id: entry._id }, { $set: update });
+      this.logger.warn(`[Push] ${entry.event} to ${entry.recipientType} ${entry.recipient} failed (attempt ${entry.attempts}), retrying at ${update.nextAttemptAt.toISOString()}: ${error.message}`);
+      return "pending";
+    }
+
+    update.status = "failed";
+    await NotificationOutbox.updateOne({ _id: entry._id }, { $set: update });
+    this.logger.error(`[Push] ${entry.event} to ${entry.recipientType} ${entry.recipient} failed after ${entry.attempts} attempts: ${error.message}`);
+    return "failed";
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base... capped
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+  }
+
+  /**
+   * Forget a token the provider rejected and drop the other pushes still queued for it
+   * The account is only cleared if it still holds that token (the user may have logged in again)
+   */
+  async invalidateToken(entry) {
+    await this.getAccountModel(entry.recipientType).updateOne(
+      { _id: entry.recipient, notifyToken: entry.token },
+      { $set: { notifyToken: "" } }
+    );
+    await NotificationOutbox.updateMany(
+      { token: entry.token, status: "pending" },
+      { $set: { status: "invalid_token", lastError: "Token rejected by the provider" } }
+    );
+    this.logger.info(`[Push] Cleared invalid push token of ${entry.recipientType} ${entry.recipient}`);
+  }
+
+  async start() {
+    if (this.intervalId) return;
+    this.intervalId = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.logger.info(`[Push] Notification worker started (${this.provider.name}, ${this.maxAttempts} attempts)`);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.logger.info("[Push] Notification worker stopped");
+    }
+  }
+
+  /**
+   * Send due entries: retries whose backoff elapsed and entries left locked by a crashed node
+   * (while they have attempts left)
+   */
+  async tick() {
+    if (this.tickRunning) return;
+    this.tickRunning = true;
+
+    try {
+      const now = new Date();
+      // Out of attempts while locked by a crashed node: give up instead of sending again
+      await NotificationOutbox.updateMany(
+        { status: "sending", lockedUntil: { $lt: now }, attempts: { $gte: this.maxAttempts } },
+        { $set: { status: "failed", lockedUntil: null, lastError: "No result of the last attempt" } }
+      );
+
+      const due = await NotificationOutbox.find({
+        nextAttemptAt: { $lte: now },
+        $or: [
+          { status: "pending" },
+          // A node that crashed mid-send already used the attempt
+          { status: "sending", lockedUntil: { $lt: now }, attempts: { $lt: this.maxAttempts } }
+        ]
+      })
+        .sort({ nextAttemptAt: 1 })
+        .limit(BATCH_SIZE)
+        .select("_id")
+        .lean();
+
+      for (const { _id } of due) {
+        await this.deliver(_id);
+      }
+    } catch (error) {
+      this.logger.error("[Push] Notification worker tick failed:", error);
+    } finally {
+      this.tickRunning = false;
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -229,9 +229,10 @@ class PaymentService {
    * Ensures main vault exists before processing deduction
    * @param {String} captainId - Captain's user ID
    * @param {Number} rideAmount - Expected ride amount
+   * @param {String} rideId - Ride ID, a second deduction for the same ride and captain is a no-op
    * @returns {Object} Deduction result
    */
-  async processRideDeduction(captainId, rideAmount) {
+  async processRideDeduction(captainId, rideAmount, rideId = null) {
     try {
       this.logger.info(`[PaymentService] 🚖 Processing ride deduction for captain ${captainId}, ride amount: ${rideAmount}`);
 
@@ -273,12 +274,7 @@ class PaymentService {
 
       this.logger.info(`[PaymentService] 👨‍✈️ Captain account found with balance: ${captainAccount.vault} IQD`);
 
-      // Check if captain has sufficient balance
-      if (captainAccount.vault < deductionAmount) {
-        throw new Error(`Insufficient captain balance. Required: ${deductionAmount}, Available: ${captainAccount.vault}`);
-      }
-
-      // Transfer money from captain to main vault
+      // Transfer money from captain to main vault (balance is checked inside the transaction)
       this.logger.info(`[PaymentService] 💸 Transferring ${deductionAmount} IQD from captain to main vault...`);
       const transferResult = await this.financialAccountService.transferMoney({
         fromAccountId: captainAccount._id,
@@ -287,11 +283,13 @@ class PaymentService {
         transferType: 'ride_deduction',
         fromRole: 'Driver',
         toRole: 'Users',
-        description: `Main vault deduction (${this.settings.mainVaultDeductionRate * 100}%) for ride amount ${rideAmount} IQD`,
+        description: `Main vault deduction (${vaultSettings.deductionRate * 100}%) for ride amount ${rideAmount} IQD`,
         checkBalance: true,
+        idempotencyKey: rideId ? `ride_deduction:${rideId}:${captainId}` : null,
         metadata: {
+          rideId: rideId,
           rideAmount: rideAmount,
-          deductionRate: this.settings.mainVaultDeductionRate,
+          deductionRate: vaultSettings.deductionRate,
           category: 'main_vault_deduction',
           automated: true,
           timestamp: new Date(),
@@ -299,17 +297,29 @@ class PaymentService {
         }
       });
 
+      if (!transferResult.success) {
+        if (transferResult.reason === 'insufficient_funds') {
+          throw new Error(`Insufficient captain balance. Required: ${deductionAmount}, Available: ${transferResult.availableBalance}`);
+        }
+        throw new Error(transferResult.error || 'Main vault deduction failed');
+      }
+
       // Update cached main vault reference
       this.mainVaultAccount = await this.getOrCreateMainVault();
 
-      this.logger.info(`[PaymentService] ✅ Successfully deducted ${deductionAmount} IQD from captain ${captainId} to main vault`);
+      if (transferResult.replayed) {
+        this.logger.info(`[PaymentService] ♻️ Deduction for ride ${rideId} was already applied, skipping`);
+      } else {
+        this.logger.info(`[PaymentService] ✅ Successfully deducted ${deductionAmount} IQD from captain ${captainId} to main vault`);
+      }
       this.logger.info(`[PaymentService] 📊 Main vault new balance: ${this.mainVaultAccount.vault} IQD`);
       
       return {
         success: true,
         deductionAmount,
-        captainRemainingBalance: captainAccount.vault - deductionAmount,
+        captainRemainingBalance: transferResult.fromBalance,
         mainVaultNewBalance: this.mainVaultAccount.vault,
+        replayed: !!transferResult.replayed,
         transfer: transferResult
       };
 
@@ -419,10 +429,10 @@ class PaymentService {
       // Check if ride exists and get ride details
       const ride = await this.getRideForPayment(rideId, captainId);
 
-      // Check if payment already exists
+      // A replayed submission for the same ride is a no-op that returns the original payment
       const existingPayment = await Payment.findOne({ rideId });
       if (existingPayment) {
-        throw new Error('Payment already recorded for this ride');
+        return this.replayExistingPayment(existingPayment, ride, captainId);
       }
 
       // Calculate processing fee
@@ -446,19 +456,25 @@ class PaymentService {
       });
 
       // Save payment record (pre-save middleware will calculate earnings)
-      const savedPayment = await paymentRecord.save();
+      let savedPayment;
+      try {
+        savedPayment = await paymentRecord.save();
+      } catch (error) {
+        // Concurrent submission won the unique rideId index
+        if (error.code === 11000) {
+          const concurrentPayment = await Payment.findOne({ rideId });
+          if (concurrentPayment) {
+            return this.replayExistingPayment(concurrentPayment, ride, captainId);
+          }
+        }
+        throw error;
+      }
 
       // Update ride with payment details
       await this.updateRidePaymentStatus(ride, savedPayment);
 
-      // Update captain earnings
-      await this.updateCaptainEarnings(captainId, savedPayment.captainEarnings);
-
-      // Update customer spending stats
-      await this.updateCustomerSpendingStats(ride.passenger, savedPayment.receivedAmount);
-
-      // Transfer commission to admin
-      await this.transferCommissionToAdmin(savedPayment.companyCommission, rideId, captainId);
+      // Move the money in one transaction, a failed unit is retried by the next submission
+      await this.applyPaymentMovements(savedPayment, ride);
 
       // Cache payment data if Redis is available
       if (this.redisClient) {
@@ -484,6 +500,73 @@ class PaymentService {
     }
   }
 
+  /**
+   * Return the already recorded payment for a replayed submission.
+   * Money movements are re-applied with the same idempotency keys so a payment
+   * interrupted half way is completed, while a finished one is left untouched.
+   * @param {Object} payment - Existing payment record
+   * @param {Object} ride - Ride document
+   * @param {string} captainId - Captain submitting the payment
+   * @returns {Object} Payment result flagged as replayed
+   */
+  async replayExistingPayment(payment, ride, captainId) {
+    if (payment.captainId.toString() !== captainId.toString()) {
+      throw new Error('Payment already recorded for this ride');
+    }
+
+    this.logger.info(`[PaymentService] Replayed payment submission for ride ${payment.rideId}, returning payment ${payment._id}`);
+
+    await this.applyPaymentMovements(payment, ride);
+
+    return {
+      payment,
+      ride,
+      replayed: true,
+      earnings: {
+        captainEarnings: payment.captainEarnings,
+        companyCommission: payment.companyCommission,
+        processingFee: payment.processingFee
+      }
+    };
+  }
+
+  /**
+   * Apply the money movements of a payment (captain earnings, customer spending, admin commission).
+   * All three commit together or not at all; the payment's movementsAppliedAt marker is claimed
+   * in the same transaction, so a replay after a committed unit is a no-op and a replay after
+   * an aborted one applies it again.
+   * @param {Object} payment - Payment record
+   * @param {Object} ride - Ride document
+   * @returns {boolean} false when the movements were already applied
+   */
+  async applyPaymentMovements(payment, ride) {
+    const rideId = payment.rideId.toString();
+    const passengerId = ride.passenger?._id || ride.passenger;
+
+    const accounts = await this.preparePaymentAccounts(payment.captainId, passengerId);
+
+    const applied = await this.financialAccountService.runInTransaction(async (session) => {
+      const claim = await Payment.updateOne(
+        { _id: payment._id, movementsAppliedAt: null },
+        { $set: { movementsAppliedAt: new Date() } },
+        { session }
+      );
+      if (claim.modifiedCount === 0) {
+        return false;
+      }
+
+      await this.updateCaptainEarnings(payment.captainId, accounts.captainAccountId, payment.captainEarnings, rideId, session);
+      await this.updateCustomerSpendingStats(passengerId, accounts.customerAccountId, payment.receivedAmount, rideId, session);
+      await this.transferCommissionToAdmin(accounts.adminAccountId, payment.companyCommission, rideId, payment.captainId, session);
+      return true;
+    });
+
+    if (!applied) {
+      this.logger.debug(`[PaymentService] Money movements for payment ${payment._id} already applied`);
+    }
+    return applied;
+  }
+
   /**
    * Get payment history for a captain
    * @param {string} captainId - Captain ID
@@ -775,201 +858,197 @@ class PaymentService {
   }
 
   /**
-   * Update captain earnings
+   * Financial accounts touched by a payment, created when missing.
+   * Runs before the movement transaction: accounts created inside it would not be
+   * visible to the transaction's own snapshot.
    * @param {string} captainId - Captain ID
-   * @param {number} earnings - Earnings amount
+   * @param {string} customerId - Customer ID
+   * @returns {Object} { captainAccountId, customerAccountId, adminAccountId }
    */
-  async updateCaptainEarnings(captainId, earnings) {
-    try {
-      const Driver = require('../model/Driver');
-      const FinancialAccount = require('../model/financialAccount');
+  async preparePaymentAccounts(captainId, customerId) {
+    const Customer = require('../model/customer');
 
-      // Get captain with financial account
-      const captain = await Driver.findById(captainId).populate('financialAccount');
-      
-      if (!captain) {
-        this.logger.error(`[PaymentService] Captain not found: ${captainId}`);
-        return;
-      }
-
-      // Check if captain has a financial account, if not create one
-      if (!captain.financialAccount) {
-        this.logger.info(`[PaymentService] Creating financial account for captain ${captainId}`);
-        const newFinancialAccount = await this.financialAccountService.createAccount(
-          captain._id, 
-          'captain', 
-          0, // Initial balance
-          {
-            purpose: 'captain_earnings',
-            description: 'Captain financial account for earnings'
-          }
-        );
-        
-        // Update captain record with financial account reference
-        captain.financialAccount = newFinancialAccount._id;
-        await captain.save();
-        
-        // Reload captain with the new financial account
-        await captain.populate('financialAccount');
-      }
+    const captain = await Driver.findById(captainId);
+    if (!captain) {
+      throw new Error(`Captain not found: ${captainId}`);
+    }
+    if (!captain.financialAccount) {
+      this.logger.info(`[PaymentService] Creating financial account for captain ${captainId}`);
+      const account = await this.financialAccountService.createAccount(
+        captain._id,
+        'captain',
+        0, // Initial balance
+        {
+          purpose: 'captain_earnings',
+          description: 'Captain financial account for earnings'
+        }
+      );
+      captain.financialAccount = account._id;
+      await captain.save();
+    }
 
-      // Update captain's financial account vault (main balance)
-      captain.financialAccount.vault += earnings;
-      
-      // Add transaction record to captain's financial account
-      captain.financialAccount.transactions.push({
-        moneyTransfers: [],
-        description: `أرباح من رحلة: ${earnings} دينار`,
-        date: new Date()
-      });
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new Error(`Customer not found: ${customerId}`);
+    }
+    if (!customer.financialAccount) {
+      this.logger.info(`[PaymentService] Creating financial account for customer ${customerId}`);
+      const account = await this.financialAccountService.createAccount(
+        customer._id,
+        'customer',
+        0, // Initial balance - customers start with 0 and top up separately
+        {
+          purpose: 'customer_payments',
+          description: 'Customer financial account for payments'
+        }
+      );
+      customer.financialAccount = account._id;
+      await customer.save();
+    }
 
-      await captain.financialAccount.save();
+    // Find admin user with role 'admin'
+    let adminUser = await User.findOne({ role: 'admin' });
+    if (!adminUser) {
+      this.logger.warn('[PaymentService] Admin user not found, creating default admin');
+      adminUser = await this.createDefaultAdminUser();
+    }
 
-      // Update captain's summary fields (for quick access/reporting)
-      await Driver.findByIdAndUpdate(captainId, {
-        $inc: {
-          totalEarnings: earnings,
-          totalRides: 1
-        },
-        $set: {
-          lastPaymentDate: new Date(),
-          balance: captain.financialAccount.vault // Sync with financial account
+    let adminFinancialAccount = await FinancialAccount.findOne({ user: adminUser._id });
+    if (!adminFinancialAccount) {
+      this.logger.info('[PaymentService] Creating financial account for admin');
+      adminFinancialAccount = new FinancialAccount({
+        user: adminUser._id,
+        accountType: 'admin',
+        currency: 'IQD',
+        vault: 0,
+        isActive: true,
+        metadata: {
+          createdBy: 'system',
+          purpose: 'admin_earnings'
         }
       });
-
-      this.logger.debug(`[PaymentService] Updated captain ${captainId} earnings by ${earnings} via financialAccount`);
-    } catch (error) {
-      this.logger.error('[PaymentService] Error updating captain earnings:', error);
-      // Don't throw here - payment is already processed
+      await adminFinancialAccount.save();
     }
+
+    return {
+      captainAccountId: captain.financialAccount,
+      customerAccountId: customer.financialAccount,
+      adminAccountId: adminFinancialAccount._id
+    };
   }
 
   /**
-   * Transfer commission to admin account
-   * @param {number} commission - Commission amount
-   * @param {string} rideId - Ride ID for reference
-   * @param {string} captainId - Captain ID for reference
+   * Update captain earnings
+   * @param {string} captainId - Captain ID
+   * @param {string} accountId - Captain financial account ID
+   * @param {number} earnings - Earnings amount
+   * @param {string} rideId - Ride ID, used as idempotency key for the credit
+   * @param {ClientSession} session - Payment movement transaction
    */
-  async transferCommissionToAdmin(amount, description = 'Commission from ride', metadata = {}) {
-    try {
-      this.logger.info(`[transferCommissionToAdmin] Starting commission transfer: ${amount} IQD`);
-
-      // Find admin user with role 'admin'
-      let adminUser = await User.findOne({ role: 'admin' });
-      
-      if (!adminUser) {
-        this.logger.warn('[transferCommissionToAdmin] Admin user not found, creating default admin');
-        adminUser = await this.createDefaultAdminUser();
+  async updateCaptainEarnings(captainId, accountId, earnings, rideId, session) {
+    // Credit captain's financial account vault (main balance)
+    const creditResult = await this.financialAccountService.addBalance(
+      accountId,
+      earnings,
+      `أرباح من رحلة: ${earnings} دينار`,
+      {
+        idempotencyKey: `captain_earnings:${rideId}`,
+        metadata: { rideId, category: 'captain_earnings' },
+        session
       }
+    );
 
-      // Ensure admin has a financial account
-      let adminFinancialAccount = await FinancialAccount.findOne({ user: adminUser._id });
-      if (!adminFinancialAccount) {
-        this.logger.info('[transferCommissionToAdmin] Creating financial account for admin');
-        adminFinancialAccount = new FinancialAccount({
-          user: adminUser._id,
-          accountType: 'admin',
-          currency: 'IQD',
-          vault: 0,
-          isActive: true,
-          metadata: {
-            createdBy: 'system',
-            purpose: 'admin_earnings'
-          }
-        });
-        await adminFinancialAccount.save();
+    if (creditResult.replayed) {
+      this.logger.debug(`[PaymentService] Captain ${captainId} earnings for ride ${rideId} already credited`);
+      return;
+    }
+
+    // Update captain's summary fields (for quick access/reporting)
+    await Driver.findByIdAndUpdate(captainId, {
+      $inc: {
+        totalEarnings: earnings,
+        totalRides: 1
+      },
+      $set: {
+        lastPaymentDate: new Date(),
+        balance: creditResult.newBalance // Sync with financial account
       }
+    }, { session });
 
-      // Use FinancialAccountService to add balance to admin
-      const result = await this.financialAccountService.addBalance(
-        adminFinancialAccount._id,
-        amount,
-        'commission',
-        description,
-        {
-          ...metadata,
+    this.logger.debug(`[PaymentService] Updated captain ${captainId} earnings by ${earnings} via financialAccount`);
+  }
+
+  /**
+   * Transfer commission to admin account
+   * @param {string} accountId - Admin financial account ID
+   * @param {number} amount - Commission amount
+   * @param {string} rideId - Ride ID for reference, used as idempotency key
+   * @param {string} captainId - Captain ID for reference
+   * @param {ClientSession} session - Payment movement transaction
+   */
+  async transferCommissionToAdmin(accountId, amount, rideId, captainId, session) {
+    const result = await this.financialAccountService.addBalance(
+      accountId,
+      amount,
+      `Commission from ride ${rideId}`,
+      {
+        idempotencyKey: `commission:${rideId}`,
+        metadata: {
+          rideId,
+          captainId,
           category: 'admin_commission',
           automated: true,
           timestamp: new Date()
-        }
-      );
-
-      this.logger.info(`[transferCommissionToAdmin] Commission transferred successfully: ${amount} IQD to admin`);
-      return result;
+        },
+        session
+      }
+    );
 
-    } catch (error) {
-      this.logger.error('[transferCommissionToAdmin] Error transferring commission to admin:', error);
-      throw error;
-    }
+    this.logger.info(`[transferCommissionToAdmin] Commission ${result.replayed ? 'already transferred' : 'transferred successfully'}: ${amount} IQD to admin`);
+    return result;
   }
 
   /**
    * Update customer spending statistics
    * @param {string} customerId - Customer ID
+   * @param {string} accountId - Customer financial account ID
    * @param {number} amount - Amount spent
+   * @param {string} rideId - Ride ID, used as idempotency key for the debit
+   * @param {ClientSession} session - Payment movement transaction
    */
-  async updateCustomerSpendingStats(customerId, amount) {
-    try {
-      const Customer = require('../model/customer');
-      const FinancialAccount = require('../model/financialAccount');
-
-      // Get customer with financial account
-      const customer = await Customer.findById(customerId).populate('financialAccount');
-      
-      if (!customer) {
-        this.logger.error(`[PaymentService] Customer not found: ${customerId}`);
-        return;
-      }
-
-      // Check if customer has a financial account, if not create one
-      if (!customer.financialAccount) {
-        this.logger.info(`[PaymentService] Creating financial account for customer ${customerId}`);
-        const newFinancialAccount = await this.financialAccountService.createAccount(
-          customer._id, 
-          'customer', 
-          0, // Initial balance - customers start with 0 and top up separately
-          {
-            purpose: 'customer_payments',
-            description: 'Customer financial account for payments'
-          }
-        );
-        
-        // Update customer record with financial account reference
-        customer.financialAccount = newFinancialAccount._id;
-        await customer.save();
-        
-        // Reload customer with the new financial account
-        await customer.populate('financialAccount');
+  async updateCustomerSpendingStats(customerId, accountId, amount, rideId, session) {
+    const Customer = require('../model/customer');
+
+    // Deduct amount from customer's financial account (they paid this amount)
+    const debitResult = await this.financialAccountService.deductBalance(
+      accountId,
+      amount,
+      `دفع ثمن رحلة: ${amount} دينار`,
+      false,
+      {
+        idempotencyKey: `ride_payment:${rideId}`,
+        metadata: { rideId, category: 'ride_payment' },
+        session
       }
+    );
 
-      // Deduct amount from customer's financial account (they paid this amount)
-      customer.financialAccount.vault -= amount;
-      
-      // Add transaction record to customer's financial account
-      customer.financialAccount.transactions.push({
-        moneyTransfers: [],
-        description: `دفع ثمن رحلة: ${amount} دينار`,
-        date: new Date()
-      });
-
-      await customer.financialAccount.save();
+    if (debitResult.replayed) {
+      this.logger.debug(`[PaymentService] Customer ${customerId} payment for ride ${rideId} already recorded`);
+      return;
+    }
 
-      // Update customer's summary fields (for quick access/reporting)
-      await Customer.findByIdAndUpdate(customerId, {
-        $inc: {
-          totalSpent: amount,
-          totalRides: 1
-        },
-        $set: {
-          walletBalance: customer.financialAccount.vault // Sync with financial account
-        }
-      });
+    // Update customer's summary fields (for quick access/reporting)
+    await Customer.findByIdAndUpdate(customerId, {
+      $inc: {
+        totalSpent: amount,
+        totalRides: 1
+      },
+      $set: {
+        walletBalance: debitResult.newBalance // Sync with financial account
+      }
+    }, { session });
 
-      this.logger.debug(`[PaymentService] Updated customer ${customerId} spending stats: +${amount} via financialAccount`);
-    } catch (error) {
-      this.logger.error('[PaymentService] Error updating customer spending stats:', error);
-      // Don't throw here - payment is already processed
-    }
+    this.logger.debug(`[PaymentService] Updated customer ${customerId} spending stats: +${amount} via financialAccount`);
   }
 
   /**
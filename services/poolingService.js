@@ -0,0 +1,305 @@
+const Ride = require("../model/ride");
+const RidePool = require("../model/ridePool");
+const RideSetting = require("../model/rideSetting");
+const { calculateDistance, calculateRouteDistance } = require("../utils/fareCalculator");
+const { getCaptainPositions } = require("../utils/helpers");
+
+const DEFAULT_POOLING = {
+  maxPassengers: 3,
+  maxDetourKm: 3,
+  searchRadiusKm: 3,
+  discountRate: 0.25
+};
+
+const ACTIVE_RIDE_STATUSES = ["accepted", "arrived", "onRide"];
+
+/**
+ * Pooling Service
+ * مطابقة الرحلات المشتركة على مسار الكابتن ضمن حد الانحراف، وتتبع صعود ونزول كل راكب
+ *
+ * A pool is created when a captain accepts the first shared ride and stays active
+ * until every passenger of it was dropped off (or cancelled).
+ */
+class PoolingService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+  }
+
+  /**
+   * Pooling settings, disabled unless RideSetting.allowShared is on
+   */
+  async getSettings() {
+    try {
+      const settings = await RideSetting.findOne({ name: "default" }).select("allowShared pooling");
+      const pooling = settings?.pooling?.toObject ? settings.pooling.toObject() : settings?.pooling;
+      return { enabled: !!settings?.allowShared, ...DEFAULT_POOLING, ...(pooling || {}) };
+    } catch (error) {
+      this.logger.error("[Pooling] Error loading pooling settings:", error);
+      return { enabled: false, ...DEFAULT_POOLING };
+    }
+  }
+
+  /**
+   * Discounted fare of one passenger in a shared ride
+   */
+  calculateSharedFare(soloFare, discountRate = DEFAULT_POOLING.discountRate) {
+    return Math.round(soloFare * (1 - discountRate));
+  }
+
+  async getCaptainPosition(captainId) {
+    if (!this.redisClient) return null;
+
+    try {
+      const position = (await getCaptainPositions(this.redisClient, [captainId])).get(captainId.toString());
+      if (position) return [position.longitude, position.latitude];
+    } catch (error) {
+      this.logger.warn(`[Pooling] Could not read position of captain ${captainId}: ${error.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Cheapest insertion of a pickup and its dropoff into the pending stops of a pool
+   * @param {Array<number>|null} start - Captain position [lng, lat]
+   * @param {Array} pendingStops - Pending pool stops in visiting order
+   * @param {Object} pickupStop - New pickup stop
+   * @param {Object} dropoffStop - New dropoff stop
+   * @returns {{detourKm: number, stops: Array}} Added distance and the new pending stop order
+   */
+  planInsertion(start, pendingStops, pickupStop, dropoffStop) {
+    const routeLength = (stops) => {
+      const points = stops.map(stop => stop.coordinates);
+      if (start) points.unshift(start);
+      return calculateRouteDistance(points).distance;
+    };
+
+    const baseline = routeLength(pendingStops);
+    let best = null;
+
+    for (let i = 0; i <= pendingStops.length; i++) {
+      for (let j = i; j <= pendingStops.length; j++) {
+        const candidate = [...pendingStops];
+        candidate.splice(j, 0, dropoffStop);
+        candidate.splice(i, 0, pickupStop);
+
+        const detourKm = routeLength(candidate) - baseline;
+        if (!best || detourKm < best.detourKm) {
+          best = { detourKm, stops: candidate };
+        }
+      }
+    }
+
+    return { detourKm: Math.max(best.detourKm, 0), stops: best.stops };
+  }
+
+  buildRideStops(ride) {
+    return {
+      pickup: {
+        ride: ride._id,
+        passenger: ride.passenger?._id || ride.passenger,
+        type: "pickup",
+        coordinates: ride.pickupLocation.coordinates,
+        locationName: ride.pickupLocation.locationName
+      },
+      dropoff: {
+        ride: ride._id,
+        passenger: ride.passenger?._id || ride.passenger,
+        type: "dropoff",
+        coordinates: ride.dropoffLocation.coordinates,
+        locationName: ride.dropoffLocation.locationName
+      }
+    };
+  }
+
+  /**
+   * Evaluate a shared ride against one pool
+   * @returns {Object|null} { pool, captainId, detourKm, stops } when the ride fits the detour budget
+   */
+  async evaluatePool(pool, ride, settings) {
+    if (pool.rides.length >= Math.min(pool.maxPassengers, settings.maxPassengers)) return null;
+
+    const pendingStops = pool.stops.filter(stop => stop.status === "pending");
+    const start = await this.getCaptainPosition(pool.driver) || pendingStops[0]?.coordinates || null;
+
+    if (start && calculateDistance(start, ride.pickupLocation.coordinates) > settings.searchRadiusKm) {
+      return null;
+    }
+
+    const { pickup, dropoff } = this.buildRideStops(ride);
+    const plan = this.planInsertion(start, pendingStops, pickup, dropoff);
+
+    if (plan.detourKm > settings.maxDetourKm) return null;
+
+    return {
+      pool,
+      captainId: pool.driver.toString(),
+      detourKm: Number(plan.detourKm.toFixed(2)),
+      stops: plan.stops
+    };
+  }
+
+  /**
+   * Active pools that can take a shared ride, best (smallest detour) first
+   */
+  async findPoolMatches(ride, limit = 3) {
+    const settings = await this.getSettings();
+    if (!settings.enabled || !ride.isShared) return [];
+
+    const pools = await RidePool.find({ status: "active" }).lean();
+    const matches = [];
+
+    for (const pool of pools) {
+      const match = await this.evaluatePool(pool, ride, settings);
+      if (match) matches.push(match);
+    }
+
+    matches.sort((a, b) => a.detourKm - b.detourKm);
+    this.logger.info(`[Pooling] Ride ${ride._id}: ${matches.length} compatible pools out of ${pools.length} active`);
+    return matches.slice(0, limit);
+  }
+
+  async getActivePool(captainId) {
+    return RidePool.findOne({ driver: captainId, status: "active" }).lean();
+  }
+
+  /**
+   * Whether a busy captain may accept this shared ride into his current pool
+   */
+  async canJoinCaptainPool(captainId, rideId) {
+    const settings = await this.getSettings();
+    if (!settings.enabled) return false;
+
+    const ride = await Ride.findById(rideId).lean();
+    if (!ride || !ride.isShared || ride.status !== "requested") return false;
+
+    // Every active ride of the captain must belong to the same pool
+    const activeRides = await Ride.find({ driver: captainId, status: { $in: ACTIVE_RIDE_STATUSES } })
+      .select("isShared pool.poolId")
+      .lean();
+    const pool = await this.getActivePool(captainId);
+    if (!pool) return false;
+
+    const allInPool = activeRides.every(active =>
+      active.isShared && active.pool?.poolId?.toString() === pool._id.toString()
+    );
+    if (!allInPool) return false;
+
+    return !!(await this.evaluatePool(pool, ride, settings));
+  }
+
+  /**
+   * Attach an accepted shared ride to the captain's pool (a new pool for the first passenger)
+   * @returns {Object|null} The updated pool
+   */
+  async addRideToPool(ride, captainId, attempt = 1) {
+    const settings = await this.getSettings();
+    const { pickup, dropoff } = this.buildRideStops(ride);
+    const existing = await this.getActivePool(captainId);
+    let pool;
+    let detourKm = 0;
+
+    if (existing) {
+      const pendingStops = existing.stops.filter(stop => stop.status === "pending");
+      const doneStops = existing.stops.filter(stop => stop.status === "done");
+      const start = await this.getCaptainPosition(captainId) || pendingStops[0]?.coordinates || null;
+      const plan = this.planInsertion(start, pendingStops, pickup, dropoff);
+      detourKm = Number(plan.detourKm.toFixed(2));
+
+      // Only succeeds if the pool did not change meanwhile (same number of rides)
+      pool = await RidePool.findOneAndUpdate(
+        { _id: existing._id, status: "active", rides: { $size: existing.rides.length } },
+        { $push: { rides: ride._id }, $set: { stops: [...doneStops, ...plan.stops] } },
+        { new: true }
+      ).lean();
+
+      if (!pool) {
+        if (attempt >= 3) {
+          throw new Error(`Pool ${existing._id} kept changing while adding ride ${ride._id}`);
+        }
+        this.logger.warn(`[Pooling] Pool ${existing._id} changed while adding ride ${ride._id}, retrying`);
+        return this.addRideToPool(ride, captainId, attempt + 1);
+      }
+    } else {
+      pool = (await RidePool.create({
+        driver: captainId,
+        maxPassengers: settings.maxPassengers,
+        rides: [ride._id],
+        stops: [pickup, dropoff]
+      })).toObject();
+    }
+
+    await Ride.updateOne({ _id: ride._id }, { $set: { "pool.poolId": pool._id, "pool.detourKm": detourKm } });
+    this.logger.info(`[Pooling] Ride ${ride._id} added to pool ${pool._id} of captain ${captainId} (${pool.rides.length} passengers, detour ${detourKm} km)`);
+
+    return pool;
+  }
+
+  /**
+   * Mark the pickup or dropoff of a passenger as done, completes the pool after the last dropoff
+   */
+  async completeStop(rideId, type) {
+    const pool = await RidePool.findOneAndUpdate(
+      { status: "active", stops: { $elemMatch: { ride: rideId, type, status: "pending" } } },
+      { $set: { "stops.$.status": "done", "stops.$.completedAt": new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!pool) return null;
+    return this.completePoolIfFinished(pool);
+  }
+
+  /**
+   * Remove a cancelled ride from its pool
+   */
+  async removeRide(rideId) {
+    const pool = await RidePool.findOneAndUpdate(
+      { status: "active", rides: rideId },
+      { $pull: { rides: rideId, stops: { ride: rideId, status: "pending" } } },
+      { new: true }
+    ).lean();
+
+    if (!pool) return null;
+    this.logger.info(`[Pooling] Ride ${rideId} removed from pool ${pool._id}`);
+    return this.completePoolIfFinished(pool);
+  }
+
+  async completePoolIfFinished(pool) {
+    if (pool.stops.some(stop => stop.status === "pending")) return pool;
+
+    const completed = await RidePool.findOneAndUpdate(
+      { _id: pool._id, status: "active" },
+      { $set: { status: "completed", completedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    this.logger.info(`[Pooling] Pool ${pool._id} completed`);
+    return completed || pool;
+  }
+
+  /**
+   * Pool payload for the captain app
+   */
+  formatPool(pool) {
+    if (!pool) return null;
+
+    return {
+      poolId: pool._id,
+      status: pool.status,
+      passengers: pool.rides.length,
+      maxPassengers: pool.maxPassengers,
+      rides: pool.rides,
+      stops: pool.stops.map(stop => ({
+        rideId: stop.ride,
+        passengerId: stop.passenger,
+        type: stop.type,
+        coordinates: stop.coordinates,
+        locationName: stop.locationName,
+        status: stop.status,
+        completedAt: stop.completedAt
+      }))
+    };
+  }
+}
+
+module.exports = PoolingService;
@@ -0,0 +1,544 @@
+const mongoose = require('mongoose');
+const { PromoCode, PromoCodeRedemption } = require('../model/promoCode');
+const Ride = require('../model/ride');
+
+// Reservations of rides that ended this way give their use back
+const ENDED_UNCOMPLETED_STATUSES = ['cancelled', 'canceled', 'notApprove'];
+const RESERVATION_GRACE_MS = 5 * 60 * 1000; // A reservation whose ride is being saved is left alone
+const RELEASE_INTERVAL_MS = 5 * 60 * 1000;
+const RELEASE_BATCH_SIZE = 200;
+
+/**
+ * Promo Code Service
+ * خدمة التحقق من أكواد الخصم وتسجيل استخدامها عند إكمال الرحلة
+ *
+ * @class PromoCodeService
+ * @version 1.0.0
+ */
+class PromoCodeService {
+  constructor(logger) {
+    this.logger = logger;
+    this.releaseIntervalId = null;
+  }
+
+  /**
+   * توحيد صيغة الكود (مسافات وأحرف كبيرة)
+   * @param {string} code
+   * @returns {string}
+   */
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * التحقق من صلاحية كود خصم لزبون وأجرة معينة
+   * @param {Object} params
+   * @param {string} params.code - كود الخصم
+   * @param {string} params.customerId - معرف الزبون
+   * @param {number} params.fare - الأجرة المقدرة
+   * @returns {Promise<Object>} - { isValid, discount, newFare, promoType, promoCodeId, code, message } أو { isValid: false, reason }
+   */
+  async validateForCustomer({ code, customerId, fare }) {
+    try {
+      const normalizedCode = this.normalizeCode(code);
+      const estimatedFare = parseFloat(fare);
+
+      if (!normalizedCode) {
+        return { isValid: false, reason: 'كود الخصم مطلوب' };
+      }
+
+      if (!estimatedFare || estimatedFare <= 0) {
+        return { isValid: false, reason: 'تكلفة الرحلة المقدرة مطلوبة' };
+      }
+
+      const promo = await PromoCode.findOne({ code: normalizedCode });
+
+      if (!promo || !promo.isActive) {
+        return { isValid: false, reason: 'كود الخصم غير صحيح' };
+      }
+
+      let customerUsage = 0;
+      let completedRides = 0;
+      if (customerId) {
+        customerUsage = await PromoCodeRedemption.countDocuments({ promoCode: promo._id, customer: customerId });
+        if (promo.firstRideOnly) {
+          completedRides = await Ride.countDocuments({ passenger: customerId, status: 'completed' });
+        }
+      }
+
+      const reason = this.checkEligibility(promo, { fare: estimatedFare, customerUsage, completedRides });
+      if (reason) {
+        return { isValid: false, reason };
+      }
+
+      const discount = promo.calculateDiscount(estimatedFare);
+      const newFare = Math.max(estimatedFare - discount, 0);
+
+      return {
+        isValid: true,
+        discount,
+        newFare,
+        promoType: promo.discountType,
+        discountValue: promo.discountValue,
+        maxDiscount: promo.maxDiscount,
+        promoCodeId: promo._id,
+        code: promo.code,
+        message: `تم تطبيق خصم ${promo.discountType === 'percentage' ? promo.discountValue + '%' : promo.discountValue + ' دينار'}`
+      };
+
+    } catch (error) {
+      this.logger.error('[PromoCodeService] Error validating promo code:', error);
+      return { isValid: false, reason: 'خطأ في النظام' };
+    }
+  }
+
+  /**
+   * سبب رفض الكود لهذه الأجرة والزبون، أو null إذا كان صالحاً
+   * @param {Object} promo - الكود
+   * @param {Object} usage
+   * @param {number} usage.fare - الأجرة المقدرة
+   * @param {number} [usage.customerUsage] - استخدامات الزبون (المحجوزة والمكتملة)
+   * @param {number} [usage.completedRides] - رحلات الزبون المكتملة
+   * @param {Date} [usage.now]
+   * @returns {string|null}
+   */
+  checkEligibility(promo, { fare, customerUsage = 0, completedRides = 0, now = new Date() }) {
+    if (!promo || !promo.isActive) {
+      return 'كود الخصم غير صحيح';
+    }
+    if (promo.validFrom && now < promo.validFrom) {
+      return 'كود الخصم غير فعال بعد';
+    }
+    if (promo.validTo && now > promo.validTo) {
+      return 'انتهت صلاحية كود الخصم';
+    }
+    if (promo.usageLimit !== null && promo.usageLimit !== undefined && promo.usedCount >= promo.usageLimit) {
+      return 'انتهى عدد مرات استخدام هذا الكود';
+    }
+    if (fare < (promo.minFare || 0)) {
+      return `الحد الأدنى لاستخدام هذا الكود هو ${promo.minFare} ${promo.currency}`;
+    }
+    if (customerUsage >= promo.perCustomerLimit) {
+      return 'لقد استخدمت هذا الكود مسبقاً';
+    }
+    if (promo.firstRideOnly && completedRides > 0) {
+      return 'هذا الكود مخصص للرحلة الأولى فقط';
+    }
+    return null;
+  }
+
+  /**
+   * حجز استخدام من الكود داخل المعاملة: الحد الكلي في شرط التحديث نفسه ثم حد الزبون
+   * كل حجز يعدّل مستند الكود نفسه، فالحجوزات المتزامنة لنفس الكود تُنفذ بالتتابع
+   * (تعارض الكتابة يعيد المعاملة فترى الحجز الذي سبقها)
+   * @returns {Promise<Object>} - { promo } أو { reason }
+   */
+  async claimUse(promoCodeId, customerId, session) {
+    const promo = await PromoCode.findOneAndUpdate(
+      {
+        _id: promoCodeId,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!promo) {
+      const promoExists = await PromoCode.exists({ _id: promoCodeId }).session(session);
+      return { reason: promoExists ? 'usage_limit_reached' : 'promo_not_found' };
+    }
+
+    const customerUsage = await PromoCodeRedemption.countDocuments({
+      promoCode: promo._id,
+      customer: customerId
+    }).session(session);
+
+    if (customerUsage >= promo.perCustomerLimit) {
+      return { reason: 'per_customer_limit_reached' };
+    }
+    return { promo };
+  }
+
+  /**
+   * حجز استخدام الكود عند إنشاء الرحلة (قبل حفظها)، فلا تمر رحلتان متزامنتان بنفس الاستخدام
+   * @param {Object} ride - الرحلة الجديدة (تحتوي promoCode)
+   * @returns {Promise<Object>} - { success, redemption } أو { success: false, reason }
+   */
+  async reserveForRide(ride) {
+    const rideId = ride._id;
+    const customerId = ride.passenger?._id || ride.passenger;
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = null;
+
+        const claim = await this.claimUse(ride.promoCode.promoCodeId, customerId, session);
+        if (claim.reason) {
+          await session.abortTransaction();
+          result = { success: false, reason: claim.reason };
+          return;
+        }
+
+        const [redemption] = await PromoCodeRedemption.create([{
+          promoCode: claim.promo._id,
+          code: claim.promo.code,
+          customer: customerId,
+          ride: rideId,
+          originalFare: ride.promoCode.originalFare,
+          discountAmount: ride.promoCode.discount,
+          finalFare: ride.fare?.amount,
+          currency: ride.fare?.currency || claim.promo.currency,
+          status: 'reserved',
+          redeemedAt: null
+        }], { session });
+
+        result = { success: true, redemption };
+      });
+
+      if (result.success) {
+        this.logger.info(`[PromoCodeService] Reserved ${result.redemption.code} for ride ${rideId} (customer ${customerId})`);
+      } else {
+        this.logger.warn(`[PromoCodeService] Promo code not reserved for ride ${rideId}: ${result.reason}`);
+      }
+      return result;
+
+    } catch (error) {
+      this.logger.error(`[PromoCodeService] Error reserving promo code for ride ${rideId}:`, error);
+      return { success: false, reason: 'system_error', error: error.message };
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * إعادة الاستخدام المحجوز لرحلة لم تكتمل (إلغاء، عدم وجود كابتن، انتهاء الحجز)
+   * @param {string} rideId
+   * @returns {Promise<boolean>} - هل أُعيد استخدام. لا ترمي أخطاء
+   */
+  async releaseForRide(rideId) {
+    const session = await mongoose.startSession();
+    try {
+      let released = null;
+      await session.withTransaction(async () => {
+        released = await PromoCodeRedemption.findOneAndDelete(
+          { ride: rideId, status: 'reserved' },
+          { session }
+        );
+        if (released) {
+          await PromoCode.updateOne(
+            { _id: released.promoCode, usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 } },
+            { session }
+          );
+        }
+      });
+
+      if (released) {
+        this.logger.info(`[PromoCodeService] Released ${released.code} reserved by ride ${rideId}`);
+      }
+      return !!released;
+
+    } catch (error) {
+      this.logger.error(`[PromoCodeService] Error releasing promo code of ride ${rideId}:`, error);
+      return false;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * إعادة الحجوزات التي انتهت رحلاتها دون إكمال ولم تمر بمسار الإلغاء (مهمة دورية)
+   * @returns {Promise<number>} - عدد الحجوزات المعادة
+   */
+  async releaseStaleReservations() {
+    const before = new Date(Date.now() - RESERVATION_GRACE_MS);
+    const reservations = await PromoCodeRedemption.find({ status: 'reserved', createdAt: { $lt: before } })
+      .select('ride')
+      .limit(RELEASE_BATCH_SIZE)
+      .lean();
+    if (reservations.length === 0) return 0;
+
+    const rides = await Ride.find({ _id: { $in: reservations.map(r => r.ride) } }).select('status').lean();
+    const statusByRide = new Map(rides.map(ride => [ride._id.toString(), ride.status]));
+
+    let released = 0;
+    for (const reservation of reservations) {
+      const status = statusByRide.get(reservation.ride.toString());
+      // Ride never saved or ended without completing
+      if (status === undefined || ENDED_UNCOMPLETED_STATUSES.includes(status)) {
+        if (await this.releaseForRide(reservation.ride)) released++;
+      }
+    }
+    return released;
+  }
+
+  start() {
+    if (this.releaseIntervalId) return;
+    this.releaseIntervalId = setInterval(() => {
+      this.releaseStaleReservations().catch(error =>
+        this.logger.error('[PromoCodeService] Releasing stale reservations failed:', error)
+      );
+    }, RELEASE_INTERVAL_MS);
+    this.logger.info('[PromoCodeService] Reservation release worker started');
+  }
+
+  stop() {
+    if (this.releaseIntervalId) {
+      clearInterval(this.releaseIntervalId);
+      this.releaseIntervalId = null;
+    }
+  }
+
+  /**
+   * تسجيل استخدام كود الخصم عند إكمال الرحلة
+   * تثبيت الاستخدام المحجوز عند الطلب وتحديث الرحلة في معاملة واحدة؛ الرحلات التي لا حجز لها
+   * (طُلبت قبل الحجز) تحجز الاستخدام هنا بنفس الشروط
+   * @param {Object} ride - الرحلة المكتملة (تحتوي promoCode)
+   * @returns {Promise<Object>} - { success, redemption } أو { success: false, reason }
+   */
+  async redeemForRide(ride) {
+    if (!ride || !ride.promoCode || !ride.promoCode.promoCodeId) {
+      return { success: false, reason: 'no_promo_code' };
+    }
+
+    const rideId = ride._id;
+    const customerId = ride.passenger?._id || ride.passenger;
+    const promoCodeId = ride.promoCode.promoCodeId;
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = null;
+
+        const existing = await PromoCodeRedemption.findOne({ ride: rideId }).session(session);
+        if (existing && existing.status !== 'reserved') {
+          result = { success: true, redemption: existing, alreadyRedeemed: true };
+          return;
+        }
+
+        const redeemedAt = new Date();
+        let redemption;
+        if (existing) {
+          // الاستخدام محجوز منذ طلب الرحلة: تثبيته بالأجرة النهائية
+          redemption = await PromoCodeRedemption.findOneAndUpdate(
+            { _id: existing._id, status: 'reserved' },
+            {
+              $set: {
+                status: 'redeemed',
+                redeemedAt,
+                originalFare: ride.promoCode.originalFare,
+                discountAmount: ride.promoCode.discount,
+                finalFare: ride.fare?.amount
+              }
+            },
+            { new: true, session }
+          );
+        } else {
+          // رحلات طُلبت قبل الحجز عند الطلب
+          const claim = await this.claimUse(promoCodeId, customerId, session);
+          if (claim.reason) {
+            await session.abortTransaction();
+            result = { success: false, reason: claim.reason };
+            return;
+          }
+          [redemption] = await PromoCodeRedemption.create([{
+            promoCode: claim.promo._id,
+            code: claim.promo.code,
+            customer: customerId,
+            ride: rideId,
+            originalFare: ride.promoCode.originalFare,
+            discountAmount: ride.promoCode.discount,
+            finalFare: ride.fare?.amount,
+            currency: ride.fare?.currency || claim.promo.currency,
+            redeemedAt
+          }], { session });
+        }
+
+        await Ride.updateOne(
+          { _id: rideId },
+          { $set: { 'promoCode.redeemed': true, 'promoCode.redeemedAt': redemption.redeemedAt } },
+          { session }
+        );
+
+        this.logger.info(`[PromoCodeService] Redeemed ${redemption.code} for ride ${rideId} (customer ${customerId})`);
+        result = { success: true, redemption };
+      });
+
+      if (result && !result.success) {
+        this.logger.warn(`[PromoCodeService] Promo code not redeemed for ride ${rideId}: ${result.reason}`);
+      }
+      return result;
+
+    } catch (error) {
+      if (error.code === 11000) {
+        const existing = await PromoCodeRedemption.findOne({ ride: rideId });
+        return { success: true, redemption: existing, alreadyRedeemed: true };
+      }
+      this.logger.error(`[PromoCodeService] Error redeeming promo code for ride ${rideId}:`, error);
+      return { success: false, reason: 'system_error', error: error.message };
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * أكواد الخصم العامة المتاحة لزبون معين
+   * @param {string} customerId
+   * @returns {Promise<Array>}
+   */
+  async getAvailableForCustomer(customerId) {
+    const now = new Date();
+    const promos = await PromoCode.find({
+      isActive: true,
+      isPublic: true,
+      validFrom: { $lte: now },
+      $or: [{ validTo: null }, { validTo: { $gte: now } }]
+    }).sort({ createdAt: -1 }).lean();
+
+    const available = promos.filter(promo =>
+      promo.usageLimit === null || promo.usageLimit === undefined || promo.usedCount < promo.usageLimit
+    );
+
+    if (!customerId || available.length === 0) {
+      return available.map(promo => this.toPublicPromo(promo));
+    }
+
+    const usage = await PromoCodeRedemption.aggregate([
+      { $match: { customer: new mongoose.Types.ObjectId(customerId), promoCode: { $in: available.map(p => p._id) } } },
+      { $group: { _id: '$promoCode', count: { $sum: 1 } } }
+    ]);
+    const usageByPromo = new Map(usage.map(u => [u._id.toString(), u.count]));
+
+    const hasCompletedRide = available.some(p => p.firstRideOnly)
+      ? (await Ride.countDocuments({ passenger: customerId, status: 'completed' })) > 0
+      : false;
+
+    return available
+      .filter(promo => (usageByPromo.get(promo._id.toString()) || 0) < promo.perCustomerLimit)
+      .filter(promo => !(promo.firstRideOnly && hasCompletedRide))
+      .map(promo => this.toPublicPromo(promo));
+  }
+
+  /**
+   * تحويل الكود إلى صيغة مناسبة لتطبيق الزبون
+   */
+  toPublicPromo(promo) {
+    return {
+      code: promo.code,
+      description: promo.description,
+      type: promo.discountType,
+      discount: promo.discountValue,
+      maxDiscount: promo.maxDiscount,
+      minFare: promo.minFare,
+      currency: promo.currency,
+      validTo: promo.validTo,
+      firstTimeOnly: promo.firstRideOnly
+    };
+  }
+
+  /**
+   * سجل استخدام الزبون لأكواد الخصم
+   */
+  async getCustomerRedemptions(customerId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const [redemptions, total] = await Promise.all([
+      PromoCodeRedemption.find({ customer: customerId, status: { $ne: 'reserved' } })
+        .sort({ redeemedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PromoCodeRedemption.countDocuments({ customer: customerId, status: { $ne: 'reserved' } })
+    ]);
+
+    return { redemptions, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  // ===============================
+  // Admin Management
+  // ===============================
+
+  async listPromoCodes({ page = 1, limit = 20, isActive, search } = {}) {
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive;
+    if (search) filter.code = { $regex: this.normalizeCode(search), $options: 'i' };
+
+    const skip = (page - 1) * limit;
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      PromoCode.countDocuments(filter)
+    ]);
+
+    return { promoCodes, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  async getPromoCode(promoCodeId) {
+    return PromoCode.findById(promoCodeId);
+  }
+
+  async createPromoCode(data, adminId = null) {
+    const promo = new PromoCode({
+      ...this.pickEditableFields(data),
+      createdBy: adminId
+    });
+    await promo.save();
+    this.logger.info(`[PromoCodeService] Promo code ${promo.code} created by ${adminId || 'system'}`);
+    return promo;
+  }
+
+  async updatePromoCode(promoCodeId, data) {
+    const promo = await PromoCode.findById(promoCodeId);
+    if (!promo) return null;
+
+    Object.assign(promo, this.pickEditableFields(data));
+    await promo.save();
+    this.logger.info(`[PromoCodeService] Promo code ${promo.code} updated`);
+    return promo;
+  }
+
+  /**
+   * تعطيل الكود بدلاً من حذفه للحفاظ على سجل الاستخدام
+   */
+  async deactivatePromoCode(promoCodeId) {
+    const promo = await PromoCode.findByIdAndUpdate(promoCodeId, { isActive: false }, { new: true });
+    if (promo) {
+      this.logger.info(`[PromoCodeService] Promo code ${promo.code} deactivated`);
+    }
+    return promo;
+  }
+
+  async getPromoCodeRedemptions(promoCodeId, { page = 1, limit = 50 } = {}) {
+    const skip = (page - 1) * limit;
+    const [redemptions, total] = await Promise.all([
+      PromoCodeRedemption.find({ promoCode: promoCodeId })
+        .populate('customer', 'name phoneNumber')
+        .sort({ redeemedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PromoCodeRedemption.countDocuments({ promoCode: promoCodeId })
+    ]);
+
+    return { redemptions, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  pickEditableFields(data = {}) {
+    const fields = [
+      'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minFare',
+      'currency', 'validFrom', 'validTo', 'usageLimit', 'perCustomerLimit',
+      'firstRideOnly', 'isPublic', 'isActive'
+    ];
+    const picked = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) picked[field] = data[field];
+    }
+    return picked;
+  }
+}
+
+module.exports = PromoCodeService;
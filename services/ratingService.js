@@ -0,0 +1,411 @@
+const mongoose = require("mongoose");
+const Rating = require("../model/rating");
+const Ride = require("../model/ride");
+const Driver = require("../model/Driver");
+const Customer = require("../model/customer");
+const RideSetting = require("../model/rideSetting");
+
+const DEFAULT_RATINGS = {
+  ratingWindowHours: 48,
+  recentRatings: 100,
+  decay: 0.98,
+  priorRating: 5,
+  priorWeight: 3,
+  lowRatingThreshold: 2,
+  lowRatingsToFlag: 3,
+  flagWindowDays: 30,
+  flagBelowAverage: 3.5,
+  minRatingsToFlag: 10
+};
+
+// Predefined tags per side being rated
+const RATING_TAGS = {
+  captain: ["cleanliness", "driving", "politeness", "navigation", "punctuality"],
+  customer: ["politeness", "punctuality", "cleanliness", "payment"]
+};
+
+const RATEABLE_STATUSES = ["awaiting_payment", "completed"];
+
+/**
+ * Rating Service
+ * التقييم بعد الرحلة في الاتجاهين مع تعليق ووسوم، وإعادة حساب التقييم الإجمالي كمتوسط مرجّح
+ * لآخر الرحلات، وتحويل الحساب لمراجعة الإدارة عند تكرار التقييمات المنخفضة
+ *
+ * The customer rating of the captain is stored on Ride.driverRating and the captain rating of the
+ * customer on Ride.passengerRating. Newer ratings weigh more (decay per older rating) and a prior
+ * keeps one bad trip from sinking a new account.
+ */
+class RatingService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.adminSocketService = dependencies.adminSocketService || null;
+  }
+
+  setAdminSocketService(adminSocketService) {
+    this.adminSocketService = adminSocketService;
+  }
+
+  /**
+   * Rating settings merged with defaults
+   */
+  async getSettings() {
+    try {
+      const settings = await RideSetting.findOne({ name: "default" }).select("ratings");
+      const ratings = settings?.ratings?.toObject ? settings.ratings.toObject() : settings?.ratings;
+      return { ...DEFAULT_RATINGS, ...(ratings || {}) };
+    } catch (error) {
+      this.logger.error("[Ratings] Error loading rating settings, using defaults:", error);
+      return { ...DEFAULT_RATINGS };
+    }
+  }
+
+  getTags(rateeType) {
+    return RATING_TAGS[rateeType] || [];
+  }
+
+  accountModel(type) {
+    return type === "captain" ? Driver : Customer;
+  }
+
+  /**
+   * Submit a post-trip rating
+   * @param {Object} params
+   * @param {string} params.rideId
+   * @param {string} params.raterType - customer (rates the captain) | captain (rates the customer)
+   * @param {string} params.raterId
+   * @param {number} params.rating - 1..5
+   * @param {string} [params.comment]
+   * @param {Array<string>} [params.tags]
+   * @returns {Promise<Object>} { success, reason?, message, data? }
+   */
+  async submitRating({ rideId, raterType, raterId, rating, comment, tags = [] }) {
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      return { success: false, reason: "invalid_rating", message: "التقييم يجب أن يكون من 1 إلى 5" };
+    }
+    if (!mongoose.Types.ObjectId.isValid(rideId)) {
+      return { success: false, reason: "invalid_ride", message: "معرف الرحلة غير صالح" };
+    }
+
+    const rateeType = raterType === "customer" ? "captain" : "customer";
+    const allowedTags = this.getTags(rateeType);
+    const cleanTags = [...new Set(Array.isArray(tags) ? tags : [])];
+    if (cleanTags.some(tag => !allowedTags.includes(tag))) {
+      return { success: false, reason: "invalid_tags", message: `الوسوم المتاحة: ${allowedTags.join(", ")}` };
+    }
+    if (comment !== undefined && comment !== null && (typeof comment !== "string" || comment.length > 500)) {
+      return { success: false, reason: "invalid_comment", message: "التعليق يجب ألا يتجاوز 500 حرف" };
+    }
+
+    const ride = await Ride.findById(rideId).select("passenger driver status rideEndTime updatedAt driverRating passengerRating");
+    if (!ride) {
+      return { success: false, reason: "not_found", message: "الرحلة غير موجودة" };
+    }
+
+    const ownerId = raterType === "customer" ? ride.passenger : ride.driver;
+    if (!ownerId || !ownerId.equals(raterId)) {
+      return { success: false, reason: "forbidden", message: "هذه الرحلة ليست لك" };
+    }
+    if (!RATEABLE_STATUSES.includes(ride.status)) {
+      return { success: false, reason: "not_finished", message: "لا يمكن التقييم قبل انتهاء الرحلة" };
+    }
+
+    const ratingField = raterType === "customer" ? "driverRating" : "passengerRating";
+    if (ride[ratingField] !== null && ride[ratingField] !== undefined) {
+      return { success: false, reason: "already_rated", message: "تم تقييم هذه الرحلة مسبقاً" };
+    }
+
+    const settings = await this.getSettings();
+    const endedAt = ride.rideEndTime || ride.updatedAt;
+    if (Date.now() - new Date(endedAt).getTime() > settings.ratingWindowHours * 60 * 60 * 1000) {
+      return { success: false, reason: "window_closed", message: "انتهت مهلة تقييم هذه الرحلة" };
+    }
+
+    const rateeId = raterType === "customer" ? ride.driver : ride.passenger;
+    // Claim the ride field first so a second submission cannot slip in
+    const claimed = await Ride.updateOne(
+      { _id: ride._id, [ratingField]: null },
+      { $set: { [ratingField]: stars } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return { success: false, reason: "already_rated", message: "تم تقييم هذه الرحلة مسبقاً" };
+    }
+
+    const low = stars <= settings.lowRatingThreshold;
+    let saved;
+    try {
+      saved = await Rating.create({
+        ride: ride._id,
+        raterType,
+        rater: raterId,
+        rateeType,
+        ratee: rateeId,
+        rating: stars,
+        comment: comment?.trim() || undefined,
+        tags: cleanTags,
+        low
+      });
+    } catch (error) {
+      await Ride.updateOne({ _id: ride._id }, { $set: { [ratingField]: null } });
+      throw error;
+    }
+
+    const aggregate = await this.recalculate(rateeType, rateeId, settings);
+    if (low || aggregate.rating < settings.flagBelowAverage) {
+      await this.checkForReview(rateeType, rateeId, aggregate, settings);
+    }
+
+    this.logger.info(`[Ratings] ${raterType} ${raterId} rated ${rateeType} ${rateeId} ${stars}/5 on ride ${ride._id} (aggregate ${aggregate.rating} over ${aggregate.ratingCount})`);
+
+    return {
+      success: true,
+      message: "شكراً لتقييمك",
+      data: { ratingId: saved._id, rideId: ride._id, rating: stars, tags: cleanTags }
+    };
+  }
+
+  /**
+   * Rolling weighted average over the most recent ratings, stored on the account
+   * @returns {Promise<Object>} { rating, ratingCount }
+   */
+  async recalculate(rateeType, rateeId, settings = null) {
+    settings = settings || await this.getSettings();
+
+    const [recent, ratingCount] = await Promise.all([
+      Rating.find({ rateeType, ratee: rateeId })
+        .sort({ createdAt: -1 })
+        .limit(settings.recentRatings)
+        .select("rating")
+        .lean(),
+      Rating.countDocuments({ rateeType, ratee: rateeId })
+    ]);
+
+    const rating = this.weightedAverage(recent.map(entry => entry.rating), settings);
+    await this.accountModel(rateeType).updateOne({ _id: rateeId }, { $set: { rating, ratingCount } });
+    return { rating, ratingCount };
+  }
+
+  /**
+   * @param {Array<number>} ratings - Newest first
+   */
+  weightedAverage(ratings, settings) {
+    let total = settings.priorRating * settings.priorWeight;
+    let weight = settings.priorWeight;
+    ratings.forEach((value, index) => {
+      const w = Math.pow(settings.decay, index);
+      total += value * w;
+      weight += w;
+    });
+    return weight > 0 ? Number((total / weight).toFixed(2)) : settings.priorRating;
+  }
+
+  /**
+   * Flag the account for admin review after repeated low ratings or a low average
+   */
+  async checkForReview(rateeType, rateeId, aggregate, settings) {
+    const since = new Date(Date.now() - settings.flagWindowDays * 24 * 60 * 60 * 1000);
+    const lowRatings = await Rating.countDocuments({ rateeType, ratee: rateeId, low: true, createdAt: { $gte: since } });
+
+    let reason = null;
+    if (lowRatings >= settings.lowRatingsToFlag) {
+      reason = "low_ratings";
+    } else if (aggregate.ratingCount >= settings.minRatingsToFlag && aggregate.rating < settings.flagBelowAverage) {
+      reason = "low_average";
+    }
+    if (!reason) return null;
+
+    // Already waiting for a review: keep the first flag
+    const flagged = await this.accountModel(rateeType).findOneAndUpdate(
+      { _id: rateeId, "ratingReview.status": { $ne: "pending" } },
+      {
+        $set: {
+          ratingReview: {
+            status: "pending",
+            reason,
+            flaggedAt: new Date(),
+            ratingAtFlag: aggregate.rating,
+            lowRatings
+          }
+        }
+      },
+      { new: true }
+    ).select("name phoneNumber rating ratingReview").lean();
+    if (!flagged) return null;
+
+    this.logger.warn(`[Ratings] ${rateeType} ${rateeId} flagged for review (${reason}: ${lowRatings} low ratings, average ${aggregate.rating})`);
+    this.adminSocketService?.broadcastToAdmins("ratingReviewRequired", {
+      accountType: rateeType,
+      accountId: rateeId.toString(),
+      name: flagged.name,
+      phoneNumber: flagged.phoneNumber,
+      rating: flagged.rating,
+      review: flagged.ratingReview,
+      timestamp: new Date()
+    });
+    return flagged.ratingReview;
+  }
+
+  /**
+   * Summary for the rated account: aggregate, distribution, tag counts and recent comments
+   */
+  async getSummary(rateeType, rateeId) {
+    const rateeObjectId = new mongoose.Types.ObjectId(rateeId);
+    const [account, stats, recentComments] = await Promise.all([
+      this.accountModel(rateeType).findById(rateeId).select("rating ratingCount").lean(),
+      Rating.aggregate([
+        { $match: { rateeType, ratee: rateeObjectId } },
+        {
+          $facet: {
+            overall: [{ $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } }],
+            distribution: [{ $group: { _id: "$rating", count: { $sum: 1 } } }],
+            tags: [{ $unwind: "$tags" }, { $group: { _id: "$tags", count: { $sum: 1 } } }, { $sort: { count: -1 } }]
+          }
+        }
+      ]),
+      Rating.find({ rateeType, ratee: rateeId, comment: { $exists: true, $ne: "" } })
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .select("rating comment tags createdAt")
+        .lean()
+    ]);
+
+    const overall = stats[0].overall[0] || { average: 0, count: 0 };
+    const distribution = Object.fromEntries([1, 2, 3, 4, 5].map(stars => [
+      stars,
+      stats[0].distribution.find(entry => entry._id === stars)?.count || 0
+    ]));
+
+    return {
+      rating: account?.rating ?? DEFAULT_RATINGS.priorRating,
+      ratingCount: account?.ratingCount || 0,
+      lifetimeAverage: overall.count > 0 ? Number(overall.average.toFixed(2)) : 0,
+      distribution,
+      tags: stats[0].tags.map(entry => ({ tag: entry._id, count: entry.count })),
+      recentComments: recentComments.map(entry => ({
+        rating: entry.rating,
+        comment: entry.comment,
+        tags: entry.tags,
+        createdAt: entry.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Ratings of one account for the admin review screen
+   */
+  async listRatings({ rateeType, rateeId, lowOnly = false, page = 1, limit = 20 }) {
+    const query = {};
+    if (rateeType) query.rateeType = rateeType;
+    if (rateeId) query.ratee = rateeId;
+    if (lowOnly) query.low = true;
+
+    const [ratings, total] = await Promise.all([
+      Rating.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Rating.countDocuments(query)
+    ]);
+    return { ratings, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+  }
+
+  /**
+   * Accounts waiting for a rating review
+   */
+  async listFlaggedAccounts(accountType) {
+    const types = accountType ? [accountType] : ["captain", "customer"];
+    const results = await Promise.all(types.map(async type => {
+      const accounts = await this.accountModel(type).find({ "ratingReview.status": "pending" })
+        .select("name phoneNumber rating ratingCount ratingReview")
+        .sort({ "ratingReview.flaggedAt": 1 })
+        .lean();
+      return accounts.map(account => ({ accountType: type, ...account }));
+    }));
+    return results.flat();
+  }
+
+  /**
+   * Admin decision on a flagged account
+   * @param {string} action - clear | deactivate
+   */
+  async reviewAccount(accountType, accountId, { action, notes, adminId }) {
+    const activeField = accountType === "captain" ? "active" : "isActive";
+    const update = {
+      "ratingReview.status": action === "deactivate" ? "deactivated" : "cleared",
+      "ratingReview.reviewedBy": adminId,
+      "ratingReview.reviewedAt": new Date(),
+      "ratingReview.notes": notes
+    };
+    if (action === "deactivate") update[activeField] = false;
+
+    const account = await this.accountModel(accountType).findOneAndUpdate(
+      { _id: accountId, "ratingReview.status": "pending" },
+      { $set: update },
+      { new: true }
+    ).select(`name phoneNumber rating ratingCount ratingReview ${activeField}`).lean();
+
+    if (account) {
+      this.logger.info(`[Ratings] Review of ${accountType} ${accountId}: ${action} by ${adminId}`);
+    }
+    return account;
+  }
+
+  /**
+   * Copy captain ratings given before the Rating collection existed (Ride.driverRating only) so
+   * they count in the summaries. Safe to run on every start: rides that already have one are skipped.
+   * @returns {Promise<number>} Ratings created
+   */
+  async backfillRideRatings({ batchSize = 500 } = {}) {
+    const settings = await this.getSettings();
+    // Leaves rides that a submission is rating right now to submitRating
+    const ratedBefore = new Date(Date.now() - 60 * 1000);
+    const captains = new Set();
+    let created = 0;
+    let lastId = null;
+
+    for (;;) {
+      const query = { driverRating: { $ne: null }, driver: { $ne: null }, passenger: { $ne: null }, updatedAt: { $lt: ratedBefore } };
+      if (lastId) query._id = { $gt: lastId };
+      const rides = await Ride.find(query)
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .select("driver passenger driverRating rideEndTime updatedAt")
+        .lean();
+      if (rides.length === 0) break;
+      lastId = rides[rides.length - 1]._id;
+
+      const result = await Rating.bulkWrite(rides.map(ride => {
+        const ratedAt = ride.rideEndTime || ride.updatedAt;
+        return {
+          updateOne: {
+            filter: { ride: ride._id, raterType: "customer" },
+            update: {
+              $setOnInsert: {
+                rater: ride.passenger,
+                rateeType: "captain",
+                ratee: ride.driver,
+                rating: ride.driverRating,
+                tags: [],
+                low: ride.driverRating <= settings.lowRatingThreshold,
+                createdAt: ratedAt,
+                updatedAt: ratedAt
+              }
+            },
+            upsert: true,
+            timestamps: false
+          }
+        };
+      }), { ordered: false });
+
+      Object.keys(result.upsertedIds || {}).forEach(index => captains.add(rides[index].driver.toString()));
+      created += result.upsertedCount;
+    }
+
+    for (const captainId of captains) {
+      await this.recalculate("captain", captainId, settings);
+    }
+    if (created > 0) {
+      this.logger.info(`[Ratings] Backfilled ${created} ride ratings for ${captains.size} captains`);
+    }
+    return created;
+  }
+}
+
+module.exports = RatingService;
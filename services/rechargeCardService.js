@@ -0,0 +1,610 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RechargeCard = require('../model/rechargeCard');
+const RechargeCardBatch = require('../model/rechargeCardBatch');
+const RechargeCardRedemption = require('../model/rechargeCardRedemption');
+const RechargeCardLockout = require('../model/rechargeCardLockout');
+const Driver = require('../model/Driver');
+const Customer = require('../model/customer');
+const FinancialAccountService = require('./financialAccountService');
+
+const CODE_LENGTH = 16;
+const MAX_BATCH_QUANTITY = 5000;
+
+/**
+ * Recharge Card Service
+ * إنشاء دفعات كروت الشحن، تفعيلها أو إلغاؤها، واستخدامها لشحن محفظة الزبون أو الكابتن
+ */
+class RechargeCardService {
+  /**
+   * @param {Object} logger
+   * @param {FinancialAccountService} financialAccountService
+   * @param {Object} options - Brute-force limits
+   */
+  constructor(logger, financialAccountService = null, options = {}) {
+    this.logger = logger;
+    this.financialAccountService = financialAccountService || new FinancialAccountService(logger);
+
+    // Codes are stored as HMACs, a default secret would let anyone with the database recompute them.
+    // Without one the rest of the server still runs, only generating and redeeming cards is refused.
+    this.codeSecret = process.env.RECHARGE_CARD_SECRET || null;
+    if (!this.codeSecret) {
+      this.logger.warn('[RechargeCard] RECHARGE_CARD_SECRET is not set - recharge cards are unavailable');
+    }
+
+    this.limits = {
+      windowMinutes: options.windowMinutes || 15,
+      maxFailedPerUser: options.maxFailedPerUser || 5,
+      maxFailedPerIp: options.maxFailedPerIp || 20
+    };
+  }
+
+  isConfigured() {
+    return Boolean(this.codeSecret);
+  }
+
+  /**
+   * Strip spaces and dashes the customer may type from the printed code
+   */
+  normalizeCode(code) {
+    return String(code || '').replace(/[\s-]/g, '');
+  }
+
+  hashCode(code) {
+    return crypto.createHmac('sha256', this.codeSecret).update(code).digest('hex');
+  }
+
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += crypto.randomInt(0, 10).toString();
+    }
+    return code;
+  }
+
+  /**
+   * Printable form: 1234-5678-9012-3456
+   */
+  formatCode(code) {
+    return code.match(/.{1,4}/g).join('-');
+  }
+
+  // ===========================================================================================
+  // Batch management (admin)
+  // ===========================================================================================
+
+  /**
+   * Generate a batch of cards with unique serial numbers and codes.
+   * The plain codes are only returned here (for printing), the database keeps hashes.
+   * @param {Object} data - { name, denomination, quantity, currency, expiresAt, notes, activate }
+   * @param {string} adminId - Admin creating the batch
+   * @returns {Promise<Object>} { batch, cards: [{ serialNumber, code, denomination }] }
+   */
+  async generateBatch(data, adminId) {
+    if (!this.isConfigured()) {
+      const error = new Error(this.getFailureMessage('not_configured'));
+      error.code = 'not_configured';
+      throw error;
+    }
+
+    const quantity = parseInt(data.quantity);
+    const denomination = Number(data.denomination);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_BATCH_QUANTITY) {
+      throw new Error(`عدد الكروت يجب أن يكون بين 1 و ${MAX_BATCH_QUANTITY}`);
+    }
+
+    if (!(denomination > 0)) {
+      throw new Error('فئة الكرت يجب أن تكون أكبر من صفر');
+    }
+
+    const status = data.activate ? 'active' : 'inactive';
+    const batch = new RechargeCardBatch({
+      name: data.name,
+      denomination,
+      quantity,
+      currency: data.currency || 'IQD',
+      status,
+      expiresAt: data.expiresAt || null,
+      notes: data.notes,
+      createdBy: adminId,
+      ...(data.activate && { activatedAt: new Date(), activatedBy: adminId })
+    });
+    await batch.validate();
+
+    // Serial ranges of concurrent batches may collide, retry with a fresh range
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const lastCard = await RechargeCard.findOne({}).sort({ serialNumber: -1 }).select('serialNumber');
+      const serialFrom = (lastCard?.serialNumber || 100000) + 1;
+
+      const plainCards = [];
+      const usedCodes = new Set();
+      while (plainCards.length < quantity) {
+        const code = this.generateCode();
+        if (usedCodes.has(code)) continue;
+        usedCodes.add(code);
+        plainCards.push({ serialNumber: serialFrom + plainCards.length, code });
+      }
+
+      batch.serialFrom = serialFrom;
+      batch.serialTo = serialFrom + quantity - 1;
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          await batch.save({ session });
+          await RechargeCard.insertMany(plainCards.map(card => ({
+            serialNumber: card.serialNumber,
+            codeHash: this.hashCode(card.code),
+            codeLast4: card.code.slice(-4),
+            batch: batch._id,
+            vault: denomination,
+            currency: batch.currency,
+            status,
+            expiresAt: batch.expiresAt,
+            from: { id: adminId, role: 'Users' }
+          })), { session });
+        });
+
+        this.logger.info(`[RechargeCard] Batch ${batch._id} generated: ${quantity} x ${denomination} ${batch.currency} (serials ${batch.serialFrom}-${batch.serialTo})`);
+
+        return {
+          batch,
+          cards: plainCards.map(card => ({
+            serialNumber: card.serialNumber,
+            code: this.formatCode(card.code),
+            denomination,
+            currency: batch.currency
+          }))
+        };
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 3) throw error;
+        this.logger.warn(`[RechargeCard] Serial/code collision while generating batch, retrying (${attempt})`);
+        batch.isNew = true;
+      } finally {
+        await session.endSession();
+      }
+    }
+  }
+
+  /**
+   * List batches with redemption counts
+   */
+  async listBatches({ page = 1, limit = 20, status } = {}) {
+    const query = status ? { status } : {};
+
+    const [batches, total] = await Promise.all([
+      RechargeCardBatch.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RechargeCardBatch.countDocuments(query)
+    ]);
+
+    const counts = await this.getBatchCardCounts(batches.map(batch => batch._id));
+
+    return {
+      batches: batches.map(batch => ({ ...batch, cards: counts[batch._id.toString()] || {} })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  async getBatch(batchId) {
+    const batch = await RechargeCardBatch.findById(batchId).lean();
+    if (!batch) return null;
+
+    const counts = await this.getBatchCardCounts([batch._id]);
+    return { ...batch, cards: counts[batch._id.toString()] || {} };
+  }
+
+  /**
+   * Card counts per status for the given batches
+   */
+  async getBatchCardCounts(batchIds) {
+    const rows = await RechargeCard.aggregate([
+      { $match: { batch: { $in: batchIds } } },
+      {
+        $group: {
+          _id: { batch: '$batch', status: '$status' },
+          count: { $sum: 1 },
+          value: { $sum: '$vault' }
+        }
+      }
+    ]);
+
+    return rows.reduce((acc, row) => {
+      const key = row._id.batch.toString();
+      acc[key] = acc[key] || {};
+      acc[key][row._id.status] = { count: row.count, value: row.value };
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Activate an inactive batch, its unredeemed cards become usable
+   */
+  async activateBatch(batchId, adminId) {
+    const batch = await RechargeCardBatch.findOneAndUpdate(
+      { _id: batchId, status: 'inactive' },
+      { status: 'active', activatedAt: new Date(), activatedBy: adminId },
+      { new: true }
+    );
+
+    if (!batch) {
+      const exists = await RechargeCardBatch.exists({ _id: batchId });
+      return { success: false, reason: exists ? 'invalid_status' : 'not_found' };
+    }
+
+    const result = await RechargeCard.updateMany(
+      { batch: batch._id, status: 'inactive' },
+      { status: 'active' }
+    );
+
+    this.logger.info(`[RechargeCard] Batch ${batchId} activated by ${adminId} (${result.modifiedCount} cards)`);
+    return { success: true, batch, cardsActivated: result.modifiedCount };
+  }
+
+  /**
+   * Void a batch, its unredeemed cards can no longer be used (redeemed cards are kept as they are)
+   */
+  async voidBatch(batchId, adminId, reason = '') {
+    const batch = await RechargeCardBatch.findOneAndUpdate(
+      { _id: batchId, status: { $ne: 'void' } },
+      { status: 'void', voidedAt: new Date(), voidedBy: adminId, voidReason: reason },
+      { new: true }
+    );
+
+    if (!batch) {
+      const exists = await RechargeCardBatch.exists({ _id: batchId });
+      return { success: false, reason: exists ? 'invalid_status' : 'not_found' };
+    }
+
+    const result = await RechargeCard.updateMany(
+      { batch: batch._id, status: { $in: ['inactive', 'active'] } },
+      { status: 'void', voidedAt: new Date() }
+    );
+
+    this.logger.info(`[RechargeCard] Batch ${batchId} voided by ${adminId} (${result.modifiedCount} cards)`);
+    return { success: true, batch, cardsVoided: result.modifiedCount };
+  }
+
+  /**
+   * Look up a card by its printed serial number with its redemption history
+   */
+  async getCardBySerial(serialNumber) {
+    const card = await RechargeCard.findOne({ serialNumber }).populate('batch', 'name status').lean();
+    if (!card) return null;
+
+    const attempts = await RechargeCardRedemption.find({ card: card._id }).sort({ createdAt: -1 }).lean();
+    return { ...card, attempts };
+  }
+
+  /**
+   * Audit trail of redemption attempts
+   */
+  async getAuditTrail({ page = 1, limit = 50, userId, serialNumber, success } = {}) {
+    const query = {};
+    if (userId) query.user = userId;
+    if (serialNumber) query.serialNumber = serialNumber;
+    if (success !== undefined) query.success = success;
+
+    const [attempts, total] = await Promise.all([
+      RechargeCardRedemption.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RechargeCardRedemption.countDocuments(query)
+    ]);
+
+    return {
+      attempts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // ===========================================================================================
+  // Redemption (customers and captains)
+  // ===========================================================================================
+
+  /**
+   * Work out whether a token id belongs to a captain or a customer
+   * @returns {Promise<string|null>} 'captain' | 'customer' | null
+   */
+  async resolveUserType(userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+    if (await Driver.exists({ _id: userId })) return 'captain';
+    if (await Customer.exists({ _id: userId })) return 'customer';
+    return null;
+  }
+
+  /**
+   * Take a failed-attempt slot for the user and the IP address in the current fixed window.
+   * The slot is taken before the code is checked, with the limit in the update filter, so
+   * concurrent guesses cannot all slip past a read of the counter. A locked attempt takes
+   * nothing and the window end never moves, so retrying while locked does not extend it.
+   * @returns {Promise<Object>} { locked, retryAfterSeconds } or { locked: false, slots }
+   */
+  async reserveAttempt(userId, ipAddress) {
+    const windowMs = this.limits.windowMinutes * 60 * 1000;
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const expiresAt = new Date(windowStart + windowMs);
+
+    const counters = [{ key: `user:${userId}:${windowStart}`, max: this.limits.maxFailedPerUser }];
+    if (ipAddress) {
+      counters.push({ key: `ip:${ipAddress}:${windowStart}`, max: this.limits.maxFailedPerIp });
+    }
+
+    const slots = [];
+    for (const counter of counters) {
+      if (!(await this.takeSlot(counter.key, counter.max, expiresAt))) {
+        await this.releaseAttempt(slots);
+        return {
+          locked: true,
+          retryAfterSeconds: Math.max(Math.ceil((expiresAt.getTime() - Date.now()) / 1000), 1)
+        };
+      }
+      slots.push(counter.key);
+    }
+
+    return { locked: false, slots };
+  }
+
+  /**
+   * Conditional $inc of one counter
+   * @returns {Promise<boolean>} false when the counter is already at the limit
+   */
+  async takeSlot(key, max, expiresAt) {
+    // A full counter does not match the filter, so the upsert hits the unique key.
+    // Two first attempts racing on a new key also collide once, hence the second try.
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      try {
+        await RechargeCardLockout.updateOne(
+          { key, failures: { $lt: max } },
+          { $inc: { failures: 1 }, $setOnInsert: { expiresAt } },
+          { upsert: true }
+        );
+        return true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Give back slots taken by an attempt that turned out not to be a failed guess
+   */
+  async releaseAttempt(slots) {
+    if (!slots || slots.length === 0) return;
+    try {
+      await RechargeCardLockout.updateMany({ key: { $in: slots } }, { $inc: { failures: -1 } });
+    } catch (error) {
+      this.logger.error('[RechargeCard] Failed to release lockout slots:', error);
+    }
+  }
+
+  /**
+   * Find (or create) the financial account of a captain/customer
+   */
+  async getOrCreateUserAccount(userId, userType) {
+    const Model = userType === 'captain' ? Driver : Customer;
+    const owner = await Model.findById(userId).select('financialAccount');
+
+    if (!owner) {
+      throw new Error(`${userType} ${userId} not found`);
+    }
+
+    if (owner.financialAccount) {
+      return owner.financialAccount;
+    }
+
+    const account = await this.financialAccountService.createAccount(owner._id, userType, 0, {
+      purpose: userType === 'captain' ? 'captain_earnings' : 'customer_payments',
+      description: `${userType} financial account`
+    });
+    owner.financialAccount = account._id;
+    await owner.save();
+    return account._id;
+  }
+
+  /**
+   * Explain why a code could not be redeemed
+   */
+  async getFailureReason(codeHash) {
+    const card = await RechargeCard.findOne({ codeHash }).select('status expiresAt serialNumber batch');
+    if (!card) return { reason: 'invalid_code', card: null };
+
+    if (card.status === 'redeemed') return { reason: 'already_redeemed', card };
+    if (card.status === 'void') return { reason: 'card_void', card };
+    if (card.status === 'inactive') return { reason: 'card_inactive', card };
+    if (card.expiresAt && card.expiresAt <= new Date()) return { reason: 'card_expired', card };
+    return { reason: 'invalid_code', card };
+  }
+
+  getFailureMessage(reason) {
+    const messages = {
+      invalid_code: 'رمز الكرت غير صحيح',
+      already_redeemed: 'تم استخدام هذا الكرت مسبقاً',
+      card_inactive: 'هذا الكرت غير مفعل بعد',
+      card_void: 'هذا الكرت ملغي',
+      card_expired: 'انتهت صلاحية هذا الكرت',
+      locked: 'تم إيقاف الشحن مؤقتاً بسبب كثرة المحاولات الخاطئة',
+      credit_failed: 'فشل في شحن الرصيد، يرجى المحاولة لاحقاً',
+      not_configured: 'خدمة كروت الشحن غير متاحة حالياً'
+    };
+    return messages[reason] || 'فشل في استخدام الكرت';
+  }
+
+  /**
+   * Redeem a card and credit the user's FinancialAccount
+   * @param {Object} params
+   * @param {string} params.code - Printed secret code
+   * @param {string} params.userId - Captain or customer ID
+   * @param {string} params.userType - 'captain' | 'customer'
+   * @param {string} params.channel - 'rest' | 'socket'
+   * @param {string} params.ipAddress
+   * @param {string} params.userAgent
+   * @returns {Promise<Object>} { success, amount, currency, newBalance, serialNumber } or { success:false, reason, message }
+   */
+  async redeem({ code, userId, userType, channel, ipAddress = null, userAgent = null }) {
+    const audit = { user: userId, userType, channel, ipAddress, userAgent };
+
+    if (!this.isConfigured()) {
+      return { success: false, reason: 'not_configured', message: this.getFailureMessage('not_configured') };
+    }
+
+    const lockout = await this.reserveAttempt(userId, ipAddress);
+    if (lockout.locked) {
+      await this.recordAttempt({ ...audit, success: false, reason: 'locked' });
+      this.logger.warn(`[RechargeCard] Redemption locked for ${userType} ${userId} (ip ${ipAddress})`);
+      return {
+        success: false,
+        reason: 'locked',
+        retryAfterSeconds: lockout.retryAfterSeconds,
+        message: this.getFailureMessage('locked')
+      };
+    }
+
+    const normalizedCode = this.normalizeCode(code);
+    if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== CODE_LENGTH) {
+      await this.recordAttempt({ ...audit, success: false, reason: 'invalid_code' });
+      return { success: false, reason: 'invalid_code', message: this.getFailureMessage('invalid_code') };
+    }
+
+    const codeHash = this.hashCode(normalizedCode);
+
+    try {
+      const accountId = await this.getOrCreateUserAccount(userId, userType);
+      const role = userType === 'captain' ? 'Driver' : 'Customer';
+
+      const result = await this.financialAccountService.runInTransaction(async (session) => {
+        const now = new Date();
+        const card = await RechargeCard.findOneAndUpdate(
+          {
+            codeHash,
+            status: 'active',
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+          },
+          { $set: { status: 'redeemed', redeemedAt: now, to: { id: userId, role } } },
+          { new: true, session }
+        );
+
+        if (!card) {
+          return { success: false };
+        }
+
+        const credit = await this.financialAccountService.addBalance(
+          accountId,
+          card.vault,
+          `شحن رصيد بكرت رقم ${card.serialNumber}`,
+          {
+            idempotencyKey: `recharge_card:${card._id}`,
+            metadata: { rechargeCard: card._id, serialNumber: card.serialNumber, batch: card.batch },
+            session
+          }
+        );
+
+        if (!credit.success) {
+          throw new Error(credit.error || 'Failed to credit recharge card');
+        }
+
+        card.moneyTransfers = credit.transferId;
+        await card.save({ session });
+
+        return { success: true, card, credit };
+      });
+
+      if (!result.success) {
+        const failure = await this.getFailureReason(codeHash);
+        await this.recordAttempt({
+          ...audit,
+          success: false,
+          reason: failure.reason,
+          card: failure.card?._id,
+          serialNumber: failure.card?.serialNumber,
+          batch: failure.card?.batch
+        });
+        return { success: false, reason: failure.reason, message: this.getFailureMessage(failure.reason) };
+      }
+
+      const { card, credit } = result;
+
+      // Only failed guesses count towards the lockout
+      await this.releaseAttempt(lockout.slots);
+
+      // Keep the denormalized wallet balance in sync
+      if (userType === 'captain') {
+        await Driver.findByIdAndUpdate(userId, { balance: credit.newBalance });
+      } else {
+        await Customer.findByIdAndUpdate(userId, { walletBalance: credit.newBalance });
+      }
+
+      await this.recordAttempt({
+        ...audit,
+        success: true,
+        card: card._id,
+        serialNumber: card.serialNumber,
+        batch: card.batch,
+        amount: card.vault,
+        currency: card.currency,
+        moneyTransfer: credit.transferId,
+        balanceAfter: credit.newBalance
+      });
+
+      this.logger.info(`[RechargeCard] Card ${card.serialNumber} (${card.vault} ${card.currency}) redeemed by ${userType} ${userId} via ${channel}`);
+
+      return {
+        success: true,
+        amount: card.vault,
+        currency: card.currency,
+        newBalance: credit.newBalance,
+        serialNumber: card.serialNumber,
+        transferId: credit.transferId,
+        message: `تم شحن ${card.vault} ${card.currency} إلى محفظتك`
+      };
+
+    } catch (error) {
+      this.logger.error(`[RechargeCard] Error redeeming card for ${userType} ${userId}:`, error);
+      await this.releaseAttempt(lockout.slots);
+      await this.recordAttempt({ ...audit, success: false, reason: 'credit_failed' });
+      return { success: false, reason: 'credit_failed', message: this.getFailureMessage('credit_failed') };
+    }
+  }
+
+  /**
+   * Store an audit record, never let an audit failure break the redemption flow
+   */
+  async recordAttempt(attempt) {
+    try {
+      await RechargeCardRedemption.create(attempt);
+    } catch (error) {
+      this.logger.error('[RechargeCard] Failed to record redemption attempt:', error);
+    }
+  }
+
+  /**
+   * Successful redemptions of a user
+   */
+  async getUserRedemptions(userId, { page = 1, limit = 20 } = {}) {
+    const query = { user: userId, success: true };
+
+    const [redemptions, total] = await Promise.all([
+      RechargeCardRedemption.find(query)
+        .select('serialNumber amount currency balanceAfter channel createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RechargeCardRedemption.countDocuments(query)
+    ]);
+
+    return {
+      redemptions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+module.exports = RechargeCardService;
@@ -0,0 +1,264 @@
+const Ride = require("../model/ride");
+const RideSetting = require("../model/rideSetting");
+
+const DEFAULT_SCHEDULING = {
+  enabled: true,
+  minLeadMinutes: 30,
+  maxLeadDays: 7,
+  dispatchLeadMinutes: 15,
+  reminderMinutes: [60, 15],
+  maxScheduledPerCustomer: 3,
+  expireAfterMinutes: 30
+};
+
+/**
+ * Ride Scheduler Service
+ * الرحلات المجدولة: بدء التوزيع قبل الموعد، تذكير الزبون، وإلغاء الحجوزات المنتهية
+ *
+ * All state lives on the Ride documents (status "scheduled" + scheduling.dispatchAt),
+ * so a restart simply picks the pending bookings up again on the next tick.
+ * Bookings are claimed with a conditional update, so only one node dispatches a ride.
+ */
+class RideSchedulerService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.dispatchService = dependencies.dispatchService || null;
+    this.customerSocketService = dependencies.customerSocketService || null;
+
+    this.tickIntervalMs = dependencies.tickIntervalMs || 30000;
+    this.intervalId = null;
+    this.tickRunning = false;
+  }
+
+  setCustomerSocketService(customerSocketService) {
+    this.customerSocketService = customerSocketService;
+  }
+
+  /**
+   * Scheduling settings merged with defaults
+   */
+  async getSchedulingSettings() {
+    try {
+      const settings = await RideSetting.findOne({ name: "default" }).select("scheduling");
+      const scheduling = settings?.scheduling?.toObject ? settings.scheduling.toObject() : settings?.scheduling;
+      return { ...DEFAULT_SCHEDULING, ...(scheduling || {}) };
+    } catch (error) {
+      this.logger.error("[Scheduler] Error loading scheduling settings, using defaults:", error);
+      return { ...DEFAULT_SCHEDULING };
+    }
+  }
+
+  /**
+   * Validate the requested pickup time against the lead-time rules
+   * @param {string|Date} scheduledFor - Requested pickup time
+   * @param {Object} scheduling - Scheduling settings
+   * @returns {Object} { valid, scheduledFor, dispatchAt, message }
+   */
+  validateScheduledFor(scheduledFor, scheduling = DEFAULT_SCHEDULING) {
+    const settings = { ...DEFAULT_SCHEDULING, ...scheduling };
+
+    if (!settings.enabled) {
+      return { valid: false, message: "الحجز المسبق غير متاح حالياً" };
+    }
+
+    const date = new Date(scheduledFor);
+    if (isNaN(date.getTime())) {
+      return { valid: false, message: "موعد الرحلة غير صالح" };
+    }
+
+    const leadMinutes = (date.getTime() - Date.now()) / 60000;
+
+    if (leadMinutes < settings.minLeadMinutes) {
+      return {
+        valid: false,
+        message: `يجب أن يكون موعد الرحلة بعد ${settings.minLeadMinutes} دقيقة على الأقل`
+      };
+    }
+
+    if (leadMinutes > settings.maxLeadDays * 24 * 60) {
+      return {
+        valid: false,
+        message: `لا يمكن الحجز لأكثر من ${settings.maxLeadDays} أيام مقدماً`
+      };
+    }
+
+    return {
+      valid: true,
+      scheduledFor: date,
+      dispatchAt: new Date(date.getTime() - settings.dispatchLeadMinutes * 60000),
+      // Reminders that would fire immediately after booking are marked as sent
+      remindersSent: (settings.reminderMinutes || []).filter(minutes => minutes >= leadMinutes)
+    };
+  }
+
+  /**
+   * Number of upcoming bookings of a customer
+   */
+  async countCustomerBookings(customerId) {
+    return Ride.countDocuments({ passenger: customerId, status: "scheduled" });
+  }
+
+  /**
+   * Upcoming bookings of a customer
+   */
+  async getCustomerScheduledRides(customerId) {
+    return Ride.find({ passenger: customerId, status: "scheduled" })
+      .select("rideCode scheduledFor pickupLocation dropoffLocation fare distance duration paymentMethod createdAt")
+      .sort({ scheduledFor: 1 })
+      .lean();
+  }
+
+  /**
+   * Start the scheduler, the first tick reloads bookings left over from before a restart
+   */
+  async start() {
+    if (this.intervalId) return;
+
+    const pending = await Ride.countDocuments({ status: "scheduled" });
+    this.logger.info(`[Scheduler] Starting ride scheduler with ${pending} pending bookings (${this.tickIntervalMs / 1000}s interval)`);
+
+    await this.tick();
+    this.intervalId = setInterval(() => this.tick(), this.tickIntervalMs);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.logger.info("[Scheduler] Ride scheduler stopped");
+    }
+  }
+
+  async tick() {
+    if (this.tickRunning) return;
+    this.tickRunning = true;
+
+    try {
+      const settings = await this.getSchedulingSettings();
+      await this.expireStaleBookings(settings);
+      await this.sendDueReminders(settings);
+      await this.dispatchDueRides();
+    } catch (error) {
+      this.logger.error("[Scheduler] Error during scheduler tick:", error);
+    } finally {
+      this.tickRunning = false;
+    }
+  }
+
+  /**
+   * Bookings whose pickup time passed long ago (e.g. the server was down) are not dispatched anymore
+   */
+  async expireStaleBookings(settings) {
+    const cutoff = new Date(Date.now() - settings.expireAfterMinutes * 60000);
+    const staleRides = await Ride.find({ status: "scheduled", scheduledFor: { $lt: cutoff } }).select("_id passenger scheduledFor");
+
+    for (const stale of staleRides) {
+      const ride = await Ride.findOneAndUpdate(
+        { _id: stale._id, status: "scheduled" },
+        {
+          status: "notApprove",
+          isDispatching: false,
+          cancellationReason: "Scheduled ride expired before dispatch"
+        },
+        { new: true }
+      );
+      if (!ride) continue;
+
+      this.logger.warn(`[Scheduler] Scheduled ride ${ride._id} expired (pickup was ${ride.scheduledFor.toISOString()})`);
+      this.emitToCustomer(ride.passenger, "rideNotApproved", {
+        rideId: ride._id,
+        scheduledFor: ride.scheduledFor,
+        message: "انتهى موعد الرحلة المجدولة دون العثور على كابتن"
+      });
+    }
+  }
+
+  /**
+   * Remind customers ahead of pickup, each reminder offset is sent once per ride
+   */
+  async sendDueReminders(settings) {
+    const now = Date.now();
+    const reminderMinutes = [...(settings.reminderMinutes || [])].sort((a, b) => b - a);
+
+    for (const minutes of reminderMinutes) {
+      const rides = await Ride.find({
+        status: { $in: ["scheduled", "requested", "accepted"] },
+        scheduledFor: { $gt: new Date(now), $lte: new Date(now + minutes * 60000) },
+        "scheduling.remindersSent": { $ne: minutes }
+      }).select("_id");
+
+      for (const { _id } of rides) {
+        const ride = await Ride.findOneAndUpdate(
+          { _id, "scheduling.remindersSent": { $ne: minutes } },
+          { $addToSet: { "scheduling.remindersSent": minutes } },
+          { new: true }
+        );
+        if (!ride) continue;
+
+        const minutesUntilPickup = Math.max(Math.round((ride.scheduledFor.getTime() - now) / 60000), 0);
+        this.emitToCustomer(ride.passenger, "scheduledRideReminder", {
+          rideId: ride._id,
+          rideCode: ride.rideCode,
+          scheduledFor: ride.scheduledFor,
+          minutesUntilPickup,
+          status: ride.status,
+          message: `تذكير: رحلتك المجدولة بعد ${minutesUntilPickup} دقيقة`
+        });
+      }
+    }
+  }
+
+  /**
+   * Move due bookings to "requested" and start the normal dispatch
+   */
+  async dispatchDueRides() {
+    if (!this.dispatchService) {
+      this.logger.warn("[Scheduler] Dispatch service not available, skipping due rides");
+      return;
+    }
+
+    const dueRides = await Ride.find({
+      status: "scheduled",
+      "scheduling.dispatchAt": { $lte: new Date() }
+    }).select("_id").limit(50);
+
+    for (const { _id } of dueRides) {
+      const ride = await Ride.findOneAndUpdate(
+        { _id, status: "scheduled" },
+        {
+          status: "requested",
+          isDispatching: true,
+          notified: false,
+          "scheduling.dispatchStartedAt": new Date()
+        },
+        { new: true }
+      );
+      if (!ride) continue;
+
+      this.logger.info(`[Scheduler] Dispatching scheduled ride ${ride._id} (pickup ${ride.scheduledFor.toISOString()})`);
+
+      this.emitToCustomer(ride.passenger, "scheduledRideDispatching", {
+        rideId: ride._id,
+        scheduledFor: ride.scheduledFor,
+        message: "بدأ البحث عن كابتن لرحلتك المجدولة"
+      });
+
+      const origin = {
+        latitude: ride.pickupLocation.coordinates[1],
+        longitude: ride.pickupLocation.coordinates[0]
+      };
+
+      this.dispatchService.dispatchRide(ride, origin).catch(error => {
+        this.logger.error(`[Scheduler] Dispatch failed for scheduled ride ${ride._id}:`, error);
+      });
+    }
+  }
+
+  emitToCustomer(customerId, event, payload) {
+    if (this.customerSocketService && typeof this.customerSocketService.emitToCustomer === "function") {
+      this.customerSocketService.emitToCustomer(customerId, event, payload);
+    }
+  }
+}
+
+module.exports = RideSchedulerService;
@@ -0,0 +1,167 @@
+const { createRoutingProvider, HaversineRoutingProvider } = require("../utils/routingProviders");
+
+const DEFAULT_CELL_SIZE_DEGREES = 0.001; // ~110 m at the equator
+const DEFAULT_CACHE_TTL_SECONDS = 6 * 60 * 60;
+
+/**
+ * Routing Service
+ * مسافة وزمن الطريق للأجرة والتوزيع وزمن وصول الكابتن، مع تخزين مؤقت في Redis لكل زوج خلايا (انطلاق/وصول)
+ *
+ * The provider comes from ROUTING_PROVIDER (osrm | valhalla | haversine) and ROUTING_URL.
+ * Road-network legs are cached per origin/destination grid cell pair; when the provider fails
+ * the Haversine fallback answers and its figures are marked estimated and never cached.
+ */
+class RoutingService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+    this.fallbackProvider = new HaversineRoutingProvider({
+      averageSpeedKmh: parseFloat(process.env.ROUTING_FALLBACK_SPEED_KMH) || 30
+    });
+    this.provider = dependencies.provider || this.createProviderFromEnv();
+    this.cellSizeDegrees = dependencies.cellSizeDegrees ||
+      parseFloat(process.env.ROUTING_CELL_SIZE_DEGREES) || DEFAULT_CELL_SIZE_DEGREES;
+    this.cacheTtlSeconds = dependencies.cacheTtlSeconds ||
+      parseInt(process.env.ROUTING_CACHE_TTL_SECONDS) || DEFAULT_CACHE_TTL_SECONDS;
+  }
+
+  createProviderFromEnv() {
+    const name = process.env.ROUTING_PROVIDER;
+    if (!name) return this.fallbackProvider;
+
+    try {
+      const provider = createRoutingProvider(name, {
+        baseUrl: process.env.ROUTING_URL,
+        timeoutMs: parseInt(process.env.ROUTING_TIMEOUT_MS) || 3000
+      });
+      this.logger.info(`[Routing] Using ${provider.name} routing at ${process.env.ROUTING_URL || "memory"}`);
+      return provider;
+    } catch (error) {
+      this.logger.error(`[Routing] Invalid routing configuration, using straight-line distances: ${error.message}`);
+      return this.fallbackProvider;
+    }
+  }
+
+  /**
+   * Road distance and duration through ordered points
+   * @param {Array<Array<number>>} points - [longitude, latitude] (pickup, stops..., dropoff)
+   * @returns {Promise<Object>} { distanceKm, durationMinutes, legs, provider, estimated }
+   */
+  async getRoute(points) {
+    if (!Array.isArray(points) || points.length < 2) {
+      return { distanceKm: 0, durationMinutes: 0, legs: [], provider: this.provider.name, estimated: this.provider.estimated };
+    }
+
+    const pairs = points.slice(1).map((point, index) => [points[index], point]);
+    if (this.provider.estimated) {
+      return this.summarize(await this.provider.route(points), this.provider);
+    }
+
+    const cached = await this.readCache(pairs);
+    if (cached.every(Boolean)) {
+      return this.summarize({ legs: cached }, this.provider);
+    }
+
+    try {
+      // One request for the whole route, every leg is cached for the next quote
+      const route = await this.provider.route(points);
+      await this.writeCache(pairs.map((pair, index) => [pair, route.legs[index]]));
+      return this.summarize(route, this.provider);
+    } catch (error) {
+      this.logger.warn(`[Routing] ${this.provider.name} route failed, using straight-line distance: ${error.message}`);
+      return this.summarize(await this.fallbackProvider.route(points), this.fallbackProvider);
+    }
+  }
+
+  /**
+   * Travel time from many origins to one destination (captains to a pickup)
+   * @param {Array<Array<number>>} origins - [longitude, latitude]
+   * @param {Array<number>} destination - [longitude, latitude]
+   * @returns {Promise<Array<Object|null>>} { distanceKm, durationMinutes, estimated } per origin
+   */
+  async getEtas(origins, destination) {
+    if (!Array.isArray(origins) || origins.length === 0 || !destination) return [];
+
+    if (this.provider.estimated) {
+      const table = await this.provider.table(origins, [destination]);
+      return table.map(([cell]) => ({ ...cell, estimated: true }));
+    }
+
+    const pairs = origins.map(origin => [origin, destination]);
+    const results = (await this.readCache(pairs)).map(leg => (leg ? { ...leg, estimated: false } : null));
+    const missing = results.map((leg, index) => (leg ? -1 : index)).filter(index => index !== -1);
+    if (missing.length === 0) return results;
+
+    try {
+      const table = await this.provider.table(missing.map(index => origins[index]), [destination]);
+      const fetched = [];
+      missing.forEach((originIndex, row) => {
+        const cell = table[row]?.[0] || null;
+        results[originIndex] = cell ? { ...cell, estimated: false } : null;
+        if (cell) fetched.push([pairs[originIndex], cell]);
+      });
+      await this.writeCache(fetched);
+    } catch (error) {
+      this.logger.warn(`[Routing] ${this.provider.name} table failed, using straight-line ETAs: ${error.message}`);
+      const table = await this.fallbackProvider.table(missing.map(index => origins[index]), [destination]);
+      missing.forEach((originIndex, row) => {
+        results[originIndex] = { ...table[row][0], estimated: true };
+      });
+    }
+    return results;
+  }
+
+  summarize(route, provider) {
+    const legs = route.legs.map(leg => ({ distanceKm: leg.distanceKm, durationMinutes: leg.durationMinutes }));
+    return {
+      distanceKm: legs.reduce((sum, leg) => sum + leg.distanceKm, 0),
+      durationMinutes: legs.reduce((sum, leg) => sum + leg.durationMinutes, 0),
+      legs,
+      provider: provider.name,
+      estimated: provider.estimated
+    };
+  }
+
+  cell([longitude, latitude]) {
+    return `${Math.floor(longitude / this.cellSizeDegrees)},${Math.floor(latitude / this.cellSizeDegrees)}`;
+  }
+
+  cacheKey([from, to]) {
+    return `routing:${this.provider.name}:${this.cell(from)}:${this.cell(to)}`;
+  }
+
+  async readCache(pairs) {
+    if (!this.redisClient) return pairs.map(() => null);
+
+    try {
+      const values = await this.redisClient.mGet(pairs.map(pair => this.cacheKey(pair)));
+      return values.map(value => (value ? JSON.parse(value) : null));
+    } catch (error) {
+      this.logger.warn(`[Routing] Could not read the route cache: ${error.message}`);
+      return pairs.map(() => null);
+    }
+  }
+
+  /**
+   * @param {Array} entries - [[from, to], { distanceKm, durationMinutes }]
+   */
+  async writeCache(entries) {
+    if (!this.redisClient || entries.length === 0) return;
+
+    try {
+      const multi = this.redisClient.multi();
+      entries.forEach(([pair, leg]) => {
+        if (!leg) return;
+        multi.set(this.cacheKey(pair), JSON.stringify({
+          distanceKm: leg.distanceKm,
+          durationMinutes: leg.durationMinutes
+        }), { EX: this.cacheTtlSeconds });
+      });
+      await multi.exec();
+    } catch (error) {
+      this.logger.warn(`[Routing] Could not write the route cache: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RoutingService;
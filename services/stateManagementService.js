@@ -1,14 +1,16 @@
 const UserSavedState = require('../model/userSavedState');
 const Ride = require('../model/ride');
+const PromoCodeService = require('./promoCodeService');
 
 /**
  * State Management Service
  * خدمة إدارة حفظ واستعادة الحالة للمستخدمين
  */
 class StateManagementService {
-  constructor(logger, redisClient = null) {
+  constructor(logger, redisClient = null, promoCodeService = null) {
     this.logger = logger;
     this.redisClient = redisClient;
+    this.promoCodeService = promoCodeService || new PromoCodeService(logger);
     
     // تشغيل تنظيف دوري للحالات المنتهية الصلاحية كل 6 ساعات
     this.startCleanupInterval();
@@ -258,52 +260,11 @@ class StateManagementService {
     try {
       const { promoCode, userId, estimatedFare } = promoData;
 
-      // هنا يمكن إضافة منطق التحقق من أكواد الخصم
-      // للآن سنستخدم كود تجريبي بسيط
-      
-      const validPromoCodes = {
-        'LYGO10': { discount: 10, type: 'percentage', maxUse: 100, usedCount: 0 },
-        'WELCOME20': { discount: 20, type: 'percentage', maxUse: 1, usedCount: 0, firstTimeOnly: true },
-        'SAVE5000': { discount: 5000, type: 'fixed', maxUse: 50, usedCount: 10 }
-      };
-
-      const promo = validPromoCodes[promoCode];
-
-      if (!promo) {
-        return {
-          isValid: false,
-          reason: 'كود الخصم غير صحيح'
-        };
-      }
-
-      if (promo.usedCount >= promo.maxUse) {
-        return {
-          isValid: false,
-          reason: 'انتهى عدد مرات استخدام هذا الكود'
-        };
-      }
-
-      let discount = 0;
-      let newFare = estimatedFare;
-
-      if (promo.type === 'percentage') {
-        discount = (estimatedFare * promo.discount) / 100;
-        newFare = estimatedFare - discount;
-      } else if (promo.type === 'fixed') {
-        discount = Math.min(promo.discount, estimatedFare);
-        newFare = estimatedFare - discount;
-      }
-
-      // تأكد من عدم جعل التكلفة سالبة
-      newFare = Math.max(newFare, 0);
-
-      return {
-        isValid: true,
-        discount: discount,
-        newFare: newFare,
-        promoType: promo.type,
-        message: `تم تطبيق خصم ${promo.type === 'percentage' ? promo.discount + '%' : promo.discount + ' دينار'}`
-      };
+      return await this.promoCodeService.validateForCustomer({
+        code: promoCode,
+        customerId: userId,
+        fare: estimatedFare
+      });
 
     } catch (error) {
       this.logger.error('[StateManagement] Error validating promo code:', error);
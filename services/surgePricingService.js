@@ -0,0 +1,330 @@
+const Ride = require("../model/ride");
+const RideSetting = require("../model/rideSetting");
+const SurgeZone = require("../model/surgeZone");
+const { isPointInPolygon, getCaptainPositions } = require("../utils/helpers");
+
+const DEFAULT_ZONE_SURGE = {
+  enabled: false,
+  intervalSeconds: 60,
+  requestWindowMinutes: 10,
+  smoothing: 0.5,
+  activateRatio: 1.5,
+  deactivateRatio: 1.0,
+  multiplierPerRatio: 0.5,
+  maxMultiplier: 2.5,
+  maxStepPerTick: 0.25
+};
+
+const BUSY_RIDE_STATUSES = ["accepted", "arrived", "onRide"];
+
+/**
+ * Surge Pricing Service
+ * معامل زيادة الأسعار لكل منطقة حسب نسبة الطلبات المفتوحة إلى الكباتن المتاحين
+ *
+ * Every tick counts open requests (Ride pickups) and available captains (Redis positions
+ * of onlineCaptains) per zone, smooths the ratio, switches surge on/off with hysteresis
+ * and moves the multiplier towards its target in capped steps.
+ * Fare quotes read the cached zones, so pricing never waits for the database.
+ */
+class SurgePricingService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.onlineCaptains = dependencies.onlineCaptains || {};
+    this.redisClient = dependencies.redisClient || null;
+    this.adminSocketService = dependencies.adminSocketService || null;
+
+    this.zones = [];
+    this.settings = { ...DEFAULT_ZONE_SURGE };
+    this.intervalId = null;
+    this.tickRunning = false;
+  }
+
+  setAdminSocketService(adminSocketService) {
+    this.adminSocketService = adminSocketService;
+  }
+
+  /**
+   * Zone surge settings merged with defaults
+   */
+  async getSettings() {
+    try {
+      const settings = await RideSetting.findOne({ name: "default" }).select("zoneSurge");
+      const zoneSurge = settings?.zoneSurge?.toObject ? settings.zoneSurge.toObject() : settings?.zoneSurge;
+      return { ...DEFAULT_ZONE_SURGE, ...(zoneSurge || {}) };
+    } catch (error) {
+      this.logger.error("[Surge] Error loading zone surge settings, using defaults:", error);
+      return { ...DEFAULT_ZONE_SURGE };
+    }
+  }
+
+  async start() {
+    if (this.intervalId) return;
+
+    this.settings = await this.getSettings();
+    await this.tick();
+
+    const intervalMs = this.settings.intervalSeconds * 1000;
+    this.intervalId = setInterval(() => this.tick(), intervalMs);
+    this.logger.info(`[Surge] Zone surge started with ${this.zones.length} zones (${this.settings.intervalSeconds}s interval, ${this.settings.enabled ? "enabled" : "disabled"})`);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.logger.info("[Surge] Zone surge stopped");
+    }
+  }
+
+  async refreshZones() {
+    this.zones = await SurgeZone.find({ enabled: true }).lean();
+    return this.zones;
+  }
+
+  async tick() {
+    if (this.tickRunning) return;
+    this.tickRunning = true;
+
+    try {
+      this.settings = await this.getSettings();
+      await this.refreshZones();
+
+      if (!this.settings.enabled || this.zones.length === 0) return;
+
+      const [pickups, captainPositions] = await Promise.all([
+        this.getOpenRequestPickups(),
+        this.getAvailableCaptainPositions()
+      ]);
+
+      const now = new Date();
+      const operations = this.zones.map(zone => {
+        const polygon = zone.area.coordinates;
+        const openRequests = pickups.filter(point => isPointInPolygon(point, polygon)).length;
+        const onlineCaptains = captainPositions.filter(point => isPointInPolygon(point, polygon)).length;
+
+        zone.state = this.computeZoneState(zone.state, openRequests, onlineCaptains, now);
+        return { updateOne: { filter: { _id: zone._id }, update: { $set: { state: zone.state } } } };
+      });
+
+      await SurgeZone.bulkWrite(operations, { ordered: false });
+
+      const surging = this.zones.filter(zone => zone.state.active);
+      if (surging.length > 0) {
+        this.logger.info(`[Surge] ${surging.length}/${this.zones.length} zones surging: ${surging.map(zone => `${zone.name} x${zone.state.multiplier}`).join(", ")}`);
+      }
+
+      this.broadcastZones();
+    } catch (error) {
+      this.logger.error("[Surge] Error during surge tick:", error);
+    } finally {
+      this.tickRunning = false;
+    }
+  }
+
+  /**
+   * Next state of a zone from the latest counts
+   * @param {Object} previous - Current zone state
+   * @param {number} openRequests - Open requests inside the zone
+   * @param {number} onlineCaptains - Available captains inside the zone
+   * @param {Date} now
+   * @returns {Object} New zone state
+   */
+  computeZoneState(previous = {}, openRequests, onlineCaptains, now = new Date()) {
+    const settings = this.settings;
+    const ratio = openRequests / Math.max(onlineCaptains, 1);
+
+    // Rolling ratio: the newest reading only moves it by the smoothing weight
+    const smoothedRatio = previous.updatedAt
+      ? settings.smoothing * ratio + (1 - settings.smoothing) * (previous.smoothedRatio || 0)
+      : ratio;
+
+    // Hysteresis: turns on above activateRatio, only turns off again below deactivateRatio
+    let active = !!previous.active;
+    if (!active && smoothedRatio >= settings.activateRatio) active = true;
+    else if (active && smoothedRatio <= settings.deactivateRatio) active = false;
+
+    const target = active
+      ? Math.min(Math.max(1 + (smoothedRatio - 1) * settings.multiplierPerRatio, 1), settings.maxMultiplier)
+      : 1;
+
+    const current = previous.multiplier || 1;
+    const step = Math.max(Math.min(target - current, settings.maxStepPerTick), -settings.maxStepPerTick);
+
+    return {
+      openRequests,
+      onlineCaptains,
+      ratio: Number(ratio.toFixed(2)),
+      smoothedRatio: Number(smoothedRatio.toFixed(2)),
+      active,
+      multiplier: Number((current + step).toFixed(2)),
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Pickup points of rides still waiting for a captain
+   */
+  async getOpenRequestPickups() {
+    const since = new Date(Date.now() - this.settings.requestWindowMinutes * 60000);
+    const rides = await Ride.find({ status: "requested", createdAt: { $gte: since } })
+      .select("pickupLocation.coordinates")
+      .lean();
+
+    return rides
+      .map(ride => ride.pickupLocation?.coordinates)
+      .filter(coordinates => Array.isArray(coordinates) && coordinates.length === 2);
+  }
+
+  /**
+   * Positions of online captains that are not on a ride
+   */
+  async getAvailableCaptainPositions() {
+    const captainIds = Object.keys(this.onlineCaptains);
+    if (!this.redisClient || captainIds.length === 0) return [];
+
+    const busyCaptains = new Set(
+      (await Ride.distinct("driver", { status: { $in: BUSY_RIDE_STATUSES }, driver: { $in: captainIds } }))
+        .map(id => id.toString())
+    );
+    const availableIds = captainIds.filter(captainId => !busyCaptains.has(captainId));
+    if (availableIds.length === 0) return [];
+
+    try {
+      const positions = await getCaptainPositions(this.redisClient, availableIds);
+      return Array.from(positions.values(), ({ longitude, latitude }) => [longitude, latitude]);
+    } catch (error) {
+      this.logger.warn(`[Surge] Could not read captain positions: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Effective multiplier of a zone (active admin override first)
+   */
+  getZoneMultiplier(zone, now = new Date()) {
+    const override = zone.override;
+    if (override?.multiplier && (!override.expiresAt || new Date(override.expiresAt) > now)) {
+      return { multiplier: override.multiplier, source: "override" };
+    }
+    if (!this.settings.enabled) {
+      return { multiplier: 1, source: "auto" };
+    }
+    return { multiplier: zone.state?.multiplier || 1, source: "auto" };
+  }
+
+  /**
+   * Surge for a pickup point, the highest zone wins where zones overlap
+   * @param {Array<number>} coordinates - [longitude, latitude]
+   * @returns {Object|null} { zoneId, zoneName, multiplier, source } or null outside surging zones
+   */
+  getSurgeForLocation(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+    let best = null;
+    for (const zone of this.zones) {
+      if (!isPointInPolygon(coordinates, zone.area.coordinates)) continue;
+
+      const { multiplier, source } = this.getZoneMultiplier(zone);
+      if (multiplier > 1 && (!best || multiplier > best.multiplier)) {
+        best = { zoneId: zone._id, zoneName: zone.name, multiplier, source };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Zone containing a point, whether it is surging or not
+   * @param {Array<number>} coordinates - [longitude, latitude]
+   * @returns {Object|null} { zoneId, zoneName }
+   */
+  findZone(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+    const zone = this.zones.find(candidate => isPointInPolygon(coordinates, candidate.area.coordinates));
+    return zone ? { zoneId: zone._id, zoneName: zone.name } : null;
+  }
+
+  /**
+   * Options for calculateRideFare with the surge of the pickup zone
+   */
+  getFareOptions(coordinates) {
+    const surge = this.getSurgeForLocation(coordinates);
+    if (!surge) return {};
+    return { surgeActive: true, surgeMultiplier: surge.multiplier, surgeZone: surge };
+  }
+
+  /**
+   * Admin override of a zone multiplier
+   * @param {string} zoneId
+   * @param {Object} params - { multiplier, expiresInMinutes, reason }
+   * @param {string} adminId
+   */
+  async setOverride(zoneId, { multiplier, expiresInMinutes, reason }, adminId) {
+    const zone = await SurgeZone.findByIdAndUpdate(
+      zoneId,
+      {
+        $set: {
+          override: {
+            multiplier,
+            reason,
+            setBy: adminId,
+            setAt: new Date(),
+            expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60000) : undefined
+          }
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (!zone) return null;
+
+    this.logger.info(`[Surge] Admin ${adminId} set zone ${zone.name} to x${multiplier}${expiresInMinutes ? ` for ${expiresInMinutes} min` : ""}`);
+    await this.refreshZones();
+    this.broadcastZones();
+    return zone;
+  }
+
+  async clearOverride(zoneId, adminId) {
+    const zone = await SurgeZone.findByIdAndUpdate(zoneId, { $unset: { override: 1 } }, { new: true }).lean();
+    if (!zone) return null;
+
+    this.logger.info(`[Surge] Admin ${adminId} cleared the override of zone ${zone.name}`);
+    await this.refreshZones();
+    this.broadcastZones();
+    return zone;
+  }
+
+  /**
+   * Zones with their live state and effective multiplier
+   */
+  async listZones() {
+    const zones = await SurgeZone.find({}).sort({ name: 1 }).lean();
+    return zones.map(zone => this.formatZone(zone));
+  }
+
+  formatZone(zone) {
+    const effective = this.getZoneMultiplier(zone);
+    return {
+      id: zone._id,
+      name: zone.name,
+      enabled: zone.enabled,
+      area: zone.area,
+      state: zone.state,
+      override: zone.override?.multiplier ? zone.override : null,
+      multiplier: zone.enabled ? effective.multiplier : 1,
+      source: effective.source
+    };
+  }
+
+  broadcastZones() {
+    if (this.adminSocketService && typeof this.adminSocketService.broadcastToAdmins === "function") {
+      this.adminSocketService.broadcastToAdmins("surgeZonesUpdated", {
+        enabled: this.settings.enabled,
+        zones: this.zones.map(zone => this.formatZone(zone)),
+        timestamp: new Date()
+      });
+    }
+  }
+}
+
+module.exports = SurgePricingService;
@@ -31,7 +31,7 @@ class SystemService {
     }
   }
 
-  setupGracefulShutdown(server, io, redisClient) {
+  setupGracefulShutdown(server, io, redisClient, clusterStateService = null) {
     const signals = ['SIGINT', 'SIGTERM', 'SIGQUIT'];
     
     signals.forEach(signal => {
@@ -55,9 +55,11 @@ class SystemService {
               this.logger.info('[System] Socket.IO connections closed.');
             }
 
-            // 3. Close Redis connection
+            // 3. Leave the cluster (hand presence over to the other nodes), then close Redis
+            const leaveCluster = clusterStateService ? clusterStateService.stop() : Promise.resolve();
             this.logger.info('[System] Closing Redis connection...');
-            redisClient.quit()
+            leaveCluster
+              .then(() => redisClient.quit())
               .then(() => this.logger.info('[Redis] Redis client quit successfully.'))
               .catch(redisErr => this.logger.error('[Redis] Error quitting Redis client:', redisErr))
               .finally(() => {
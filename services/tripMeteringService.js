@@ -0,0 +1,312 @@
+const RideTrack = require("../model/rideTrack");
+const { PromoCode } = require("../model/promoCode");
+const { calculateDistance } = require("../utils/helpers");
+
+const DEFAULT_METERING = {
+  enabled: true,
+  minSampleIntervalSeconds: 5,
+  minSamples: 5,
+  maxSampleGapSeconds: 180,
+  maxSpeedKmh: 160,
+  waitingSpeedKmh: 5,
+  honourQuoteWithinPercent: 10,
+  maxIncreasePercent: 50,
+  chargeLowerActual: true
+};
+
+const TRACK_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * Trip Metering Service
+ * عدّاد الرحلة: تسجيل مسار الكابتن بين بدء الرحلة وإنهائها، ثم حساب الأجرة الفعلية
+ * من المسافة والزمن ووقت الانتظار المقاسة ومقارنتها بالسعر المعروض
+ *
+ * Samples live in Redis while the trip runs (any node can receive the captain's updates) and are
+ * written to RideTrack once on endRide. Stop waits are already charged per waypoint, so time spent
+ * at a stop is not counted again as waiting.
+ */
+class TripMeteringService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.redisClient = dependencies.redisClient || null;
+    this.customerSocketService = dependencies.customerSocketService || null; // Quote engine
+    this.lastSampleAt = new Map(); // captainId -> timestamp of the last stored sample
+  }
+
+  setCustomerSocketService(customerSocketService) {
+    this.customerSocketService = customerSocketService;
+  }
+
+  /**
+   * Metering settings merged with defaults
+   * @param {Object} rideSettings - RideSetting document
+   */
+  getSettings(rideSettings) {
+    const raw = rideSettings?.metering;
+    const metering = raw && typeof raw.toObject === "function" ? raw.toObject() : (raw || {});
+    return { ...DEFAULT_METERING, ...metering };
+  }
+
+  captainKey(captainId) {
+    return `metering:captain:${captainId}`;
+  }
+
+  trackKey(rideId) {
+    return `metering:ride:${rideId}`;
+  }
+
+  /**
+   * Start recording the captain's path for a ride (startRide)
+   */
+  async startTrip(rideId, captainId) {
+    if (!this.redisClient) return;
+
+    try {
+      await this.redisClient.multi()
+        .sAdd(this.captainKey(captainId), rideId.toString())
+        .expire(this.captainKey(captainId), TRACK_TTL_SECONDS)
+        .del(this.trackKey(rideId))
+        .exec();
+      this.lastSampleAt.delete(captainId.toString());
+    } catch (error) {
+      this.logger.error(`[Metering] Could not start metering ride ${rideId}:`, error);
+    }
+  }
+
+  /**
+   * Store a location sample for every ride the captain is metering
+   * @param {Object} location - { latitude, longitude }
+   */
+  async recordLocation(captainId, location, rideSettings) {
+    if (!this.redisClient) return;
+
+    const settings = this.getSettings(rideSettings);
+    if (!settings.enabled) return;
+
+    const now = Date.now();
+    const key = captainId.toString();
+    if (now - (this.lastSampleAt.get(key) || 0) < settings.minSampleIntervalSeconds * 1000) return;
+    this.lastSampleAt.set(key, now);
+
+    try {
+      const rideIds = await this.redisClient.sMembers(this.captainKey(captainId));
+      if (rideIds.length === 0) {
+        this.lastSampleAt.delete(key);
+        return;
+      }
+
+      const sample = JSON.stringify([location.longitude, location.latitude, now]);
+      const multi = this.redisClient.multi();
+      rideIds.forEach(rideId => {
+        multi.rPush(this.trackKey(rideId), sample);
+        multi.expire(this.trackKey(rideId), TRACK_TTL_SECONDS);
+      });
+      await multi.exec();
+    } catch (error) {
+      this.logger.error(`[Metering] Could not record location of captain ${captainId}:`, error);
+    }
+  }
+
+  /**
+   * Stop recording, store the track and price the trip (endRide)
+   * @param {Object} ride - Ride after the move to awaiting_payment (lean)
+   * @param {Object} rideSettings - RideSetting document
+   * @param {Date} endedAt
+   * @returns {Promise<Object>} Ride.metering block
+   */
+  async finishTrip(ride, rideSettings, endedAt = new Date()) {
+    const settings = this.getSettings(rideSettings);
+    const rideId = ride._id.toString();
+    const samples = await this.takeSamples(rideId, ride.driver);
+
+    const startedAt = ride.rideStartTime ? new Date(ride.rideStartTime) : (samples[0] ? new Date(samples[0][2]) : endedAt);
+    const { acceptedSamples, ...measured } = this.measure(samples, startedAt, endedAt, ride.waypoints || [], settings);
+
+    await RideTrack.create({
+      ride: ride._id,
+      captain: ride.driver,
+      startedAt,
+      endedAt,
+      ...measured,
+      samples: acceptedSamples.map(([longitude, latitude, at, speedKmh]) => ({
+        coordinates: [longitude, latitude],
+        at: new Date(at),
+        speedKmh
+      }))
+    }).catch(error => this.logger.error(`[Metering] Could not store the track of ride ${rideId}:`, error));
+
+    const metering = this.decideFare(ride, measured, settings);
+    this.logger.info(`[Metering] Ride ${rideId}: quoted ${metering.quotedFare}, metered ${metering.meteredFare ?? "-"}, final ${metering.finalFare} (${metering.rule}) over ${metering.distanceKm} km / ${metering.durationMinutes} min`);
+    return metering;
+  }
+
+  async takeSamples(rideId, captainId) {
+    if (!this.redisClient) return [];
+
+    try {
+      const [raw] = await this.redisClient.multi()
+        .lRange(this.trackKey(rideId), 0, -1)
+        .del(this.trackKey(rideId))
+        .sRem(this.captainKey(captainId), rideId)
+        .exec();
+      return (raw || [])
+        .map(value => JSON.parse(value))
+        .sort((a, b) => a[2] - b[2]);
+    } catch (error) {
+      this.logger.error(`[Metering] Could not read the track of ride ${rideId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Distance, duration and waiting time from the samples
+   * @param {Array} samples - [[longitude, latitude, timestamp]] sorted by time
+   */
+  measure(samples, startedAt, endedAt, waypoints, settings) {
+    const stopWindows = waypoints
+      .filter(waypoint => waypoint.arrivedAt)
+      .map(waypoint => [new Date(waypoint.arrivedAt).getTime(), new Date(waypoint.departedAt || endedAt).getTime()]);
+    const atStop = (time) => stopWindows.some(([from, to]) => time >= from && time <= to);
+
+    let distanceKm = 0;
+    let waitingSeconds = 0;
+    let droppedSamples = 0;
+    let maxGapSeconds = 0;
+    const acceptedSamples = [];
+
+    for (const sample of samples) {
+      const previous = acceptedSamples[acceptedSamples.length - 1];
+      if (!previous) {
+        acceptedSamples.push([...sample, 0]);
+        continue;
+      }
+
+      const seconds = (sample[2] - previous[2]) / 1000;
+      if (seconds <= 0) continue;
+
+      const legKm = calculateDistance(
+        { longitude: previous[0], latitude: previous[1] },
+        { longitude: sample[0], latitude: sample[1] }
+      );
+      const speedKmh = legKm / (seconds / 3600);
+      if (speedKmh > settings.maxSpeedKmh) {
+        droppedSamples++;
+        continue;
+      }
+
+      distanceKm += legKm;
+      maxGapSeconds = Math.max(maxGapSeconds, seconds);
+      if (speedKmh < settings.waitingSpeedKmh && !atStop(sample[2])) {
+        waitingSeconds += seconds;
+      }
+      acceptedSamples.push([...sample, Number(speedKmh.toFixed(1))]);
+    }
+
+    // Time before the first and after the last sample counts as a gap too
+    if (acceptedSamples.length > 0) {
+      maxGapSeconds = Math.max(
+        maxGapSeconds,
+        (acceptedSamples[0][2] - startedAt.getTime()) / 1000,
+        (endedAt.getTime() - acceptedSamples[acceptedSamples.length - 1][2]) / 1000
+      );
+    }
+
+    return {
+      distanceKm: Number(distanceKm.toFixed(2)),
+      durationMinutes: Math.max(Math.round((endedAt - startedAt) / 60000), 0),
+      waitingMinutes: Math.round(waitingSeconds / 60),
+      sampleCount: acceptedSamples.length,
+      droppedSamples,
+      maxGapSeconds: Math.round(maxGapSeconds),
+      reliable: acceptedSamples.length >= settings.minSamples && maxGapSeconds <= settings.maxSampleGapSeconds,
+      acceptedSamples
+    };
+  }
+
+  /**
+   * Fare from the measured trip, before promo discount and stop wait charges.
+   * Priced by the quote's engine with the ride's category, the surge recorded at request time and
+   * the time multipliers of the request time, so only the measured distance and duration differ.
+   * Waiting is covered by the measured duration, the quote has no separate waiting charge.
+   */
+  priceMeasuredTrip(ride, measured) {
+    if (!this.customerSocketService) return null;
+
+    return this.customerSocketService.calculateFare(
+      measured.distanceKm,
+      measured.durationMinutes,
+      (ride.waypoints || []).length,
+      ride.vehicleCategory,
+      ride.surge?.multiplier || 1,
+      ride.createdAt ? new Date(ride.createdAt) : new Date()
+    );
+  }
+
+  /**
+   * Promo discount on a metered fare, by the code's type like the quote
+   */
+  getPromoDiscount(ride, fare) {
+    if (!ride.promoCode?.code) return 0;
+    return ride.promoCode.discountType
+      ? PromoCode.discountFor(ride.promoCode, fare)
+      : Math.min(ride.promoCode.discount || 0, fare);
+  }
+
+  /**
+   * Apply the tolerance rules to the quote and the metered fare
+   * @returns {Object} Ride.metering block
+   */
+  decideFare(ride, measured, settings) {
+    const quotedFare = ride.fare.amount;
+    const metering = {
+      quotedFare,
+      meteredFare: null,
+      finalFare: quotedFare,
+      rule: null,
+      differenceAmount: 0,
+      differencePercent: 0,
+      distanceKm: measured.distanceKm,
+      durationMinutes: measured.durationMinutes,
+      waitingMinutes: measured.waitingMinutes,
+      sampleCount: measured.sampleCount,
+      meteredAt: new Date()
+    };
+
+    if (!settings.enabled) return { ...metering, rule: "disabled" };
+    // A shared fare is a split of the pooled route, the passenger's own path does not price it
+    if (ride.isShared) return { ...metering, rule: "shared_ride" };
+    if (!measured.reliable) return { ...metering, rule: "unreliable_track" };
+
+    const grossFare = this.priceMeasuredTrip(ride, measured);
+    if (grossFare === null) return { ...metering, rule: "unreliable_track" };
+
+    const stopWaitCharges = (ride.waypoints || []).reduce((sum, waypoint) => sum + (waypoint.waitCharge || 0), 0);
+    const meteredFare = Math.round(grossFare - this.getPromoDiscount(ride, grossFare) + stopWaitCharges);
+    const meteredDifference = quotedFare > 0 ? ((meteredFare - quotedFare) / quotedFare) * 100 : 0;
+
+    let finalFare;
+    let rule;
+    if (Math.abs(meteredDifference) <= settings.honourQuoteWithinPercent) {
+      finalFare = quotedFare;
+      rule = "within_tolerance";
+    } else if (meteredFare > quotedFare) {
+      const cap = Math.round(quotedFare * (1 + settings.maxIncreasePercent / 100));
+      finalFare = Math.min(meteredFare, cap);
+      rule = meteredFare > cap ? "capped" : "metered";
+    } else {
+      finalFare = settings.chargeLowerActual ? meteredFare : quotedFare;
+      rule = settings.chargeLowerActual ? "metered" : "quote_honoured";
+    }
+
+    return {
+      ...metering,
+      meteredFare,
+      finalFare,
+      rule,
+      differenceAmount: finalFare - quotedFare,
+      differencePercent: quotedFare > 0 ? Number((((finalFare - quotedFare) / quotedFare) * 100).toFixed(1)) : 0
+    };
+  }
+}
+
+module.exports = TripMeteringService;
@@ -0,0 +1,192 @@
+const Ride = require("../model/ride");
+
+const DEFAULT_TRIP_PROGRESS = {
+  enabled: true,
+  updateIntervalSeconds: 10,
+  nearbyAlertMinutes: 1,
+  detourThresholdKm: 0.5,
+  detourConfirmSamples: 2,
+  detourAlertCooldownSeconds: 120
+};
+
+const TRACKED_STATUSES = ["accepted", "onRide"];
+const RIDE_REFRESH_MS = 15000;
+
+/**
+ * Trip Progress Service
+ * تقدم الرحلة المباشر للزبون: زمن وصول الكابتن لنقطة الانطلاق، المسافة والزمن المتبقيان حتى الوصول،
+ * وتنبيهات "الكابتن على بعد دقيقة" و"الكابتن يسلك طريقاً أطول"
+ *
+ * Fed by the captain's location updates, throttled per ride. A detour is a remaining road distance
+ * that stays above the best one seen in the current phase by more than detourThresholdKm.
+ */
+class TripProgressService {
+  constructor(logger, dependencies = {}) {
+    this.logger = logger;
+    this.routingService = dependencies.routingService;
+    this.customerSocketService = dependencies.customerSocketService || null;
+
+    this.captainRides = new Map(); // captainId -> { rides, loadedAt }
+    this.progress = new Map(); // rideId -> { captainId, phase, lastSentAt, bestDistanceKm, detourSamples, lastDetourAlertAt, nearbyAlertSent }
+  }
+
+  setCustomerSocketService(customerSocketService) {
+    this.customerSocketService = customerSocketService;
+  }
+
+  /**
+   * Trip progress settings merged with defaults
+   * @param {Object} rideSettings - RideSetting document
+   */
+  getSettings(rideSettings) {
+    const raw = rideSettings?.tripProgress;
+    const tripProgress = raw && typeof raw.toObject === "function" ? raw.toObject() : (raw || {});
+    return { ...DEFAULT_TRIP_PROGRESS, ...tripProgress };
+  }
+
+  /**
+   * New captain position: push progress of each of his active rides when its interval is due
+   * @param {string} captainId
+   * @param {Object} location - { latitude, longitude }
+   * @param {Object} rideSettings
+   */
+  async handleCaptainLocation(captainId, location, rideSettings) {
+    const settings = this.getSettings(rideSettings);
+    if (!settings.enabled || !this.customerSocketService) return;
+
+    try {
+      const rides = await this.getActiveRides(captainId);
+      const position = [location.longitude, location.latitude];
+      await Promise.all(rides.map(ride => this.updateRide(captainId, ride, position, location, settings)));
+    } catch (error) {
+      this.logger.error(`[TripProgress] Error updating trip progress for captain ${captainId}:`, error);
+    }
+  }
+
+  /**
+   * Rides of the captain in a tracked status, re-read at most every RIDE_REFRESH_MS
+   */
+  async getActiveRides(captainId) {
+    const cached = this.captainRides.get(captainId);
+    if (cached && Date.now() - cached.loadedAt < RIDE_REFRESH_MS) return cached.rides;
+
+    const rides = await Ride.find({ driver: captainId, status: { $in: TRACKED_STATUSES } })
+      .select("passenger status pickupLocation dropoffLocation waypoints")
+      .lean();
+    this.captainRides.set(captainId, { rides, loadedAt: Date.now() });
+
+    // Rides that left the tracked statuses lose their progress state
+    const activeIds = new Set(rides.map(ride => ride._id.toString()));
+    for (const [rideId, state] of this.progress) {
+      if (state.captainId === captainId && !activeIds.has(rideId)) this.progress.delete(rideId);
+    }
+    return rides;
+  }
+
+  async updateRide(captainId, ride, position, location, settings) {
+    const rideId = ride._id.toString();
+    const phase = ride.status === "accepted" ? "to_pickup" : "to_dropoff";
+    const now = Date.now();
+
+    let state = this.progress.get(rideId);
+    if (!state || state.phase !== phase) {
+      state = {
+        captainId,
+        phase,
+        lastSentAt: 0,
+        bestDistanceKm: Infinity,
+        detourSamples: 0,
+        lastDetourAlertAt: 0,
+        nearbyAlertSent: false
+      };
+      this.progress.set(rideId, state);
+    }
+    if (now - state.lastSentAt < settings.updateIntervalSeconds * 1000) return;
+    state.lastSentAt = now;
+
+    const remainingStops = phase === "to_dropoff"
+      ? (ride.waypoints || [])
+        .filter(waypoint => waypoint.status !== "departed")
+        .sort((a, b) => a.order - b.order)
+      : [];
+    const destination = phase === "to_pickup" ? ride.pickupLocation.coordinates : ride.dropoffLocation.coordinates;
+    const route = await this.routingService.getRoute([
+      position,
+      ...remainingStops.map(waypoint => waypoint.coordinates),
+      destination
+    ]);
+
+    const distanceKm = Number(route.distanceKm.toFixed(2));
+    const etaMinutes = Math.round(route.durationMinutes);
+
+    this.customerSocketService.emitToCustomer(ride.passenger, "tripProgress", {
+      rideId: ride._id,
+      phase,
+      status: ride.status,
+      distanceKm,
+      etaMinutes,
+      estimatedArrivalAt: new Date(now + route.durationMinutes * 60000),
+      nextStop: remainingStops.length > 0
+        ? {
+          waypointId: remainingStops[0]._id,
+          locationName: remainingStops[0].locationName,
+          distanceKm: Number(route.legs[0].distanceKm.toFixed(2)),
+          etaMinutes: Math.round(route.legs[0].durationMinutes)
+        }
+        : null,
+      captainLocation: { latitude: location.latitude, longitude: location.longitude },
+      estimated: route.estimated,
+      timestamp: new Date(now)
+    });
+
+    if (phase === "to_pickup" && !state.nearbyAlertSent && route.durationMinutes <= settings.nearbyAlertMinutes) {
+      state.nearbyAlertSent = true;
+      this.customerSocketService.emitToCustomer(ride.passenger, "captainNearby", {
+        rideId: ride._id,
+        etaMinutes: Math.max(etaMinutes, 1),
+        distanceKm,
+        message: `الكابتن على بعد ${Math.max(etaMinutes, 1)} دقيقة`
+      });
+    }
+
+    this.checkDetour(ride, state, distanceKm, etaMinutes, settings, now);
+  }
+
+  checkDetour(ride, state, distanceKm, etaMinutes, settings, now) {
+    const extraKm = distanceKm - state.bestDistanceKm;
+
+    if (extraKm <= settings.detourThresholdKm) {
+      state.bestDistanceKm = Math.min(state.bestDistanceKm, distanceKm);
+      state.detourSamples = 0;
+      return;
+    }
+
+    state.detourSamples++;
+    if (state.detourSamples < settings.detourConfirmSamples) return;
+    if (now - state.lastDetourAlertAt < settings.detourAlertCooldownSeconds * 1000) return;
+
+    state.lastDetourAlertAt = now;
+    this.customerSocketService.emitToCustomer(ride.passenger, "captainDetour", {
+      rideId: ride._id,
+      phase: state.phase,
+      extraKm: Number(extraKm.toFixed(2)),
+      distanceKm,
+      etaMinutes,
+      message: "الكابتن يسلك طريقاً أطول من المتوقع"
+    });
+    this.logger.info(`[TripProgress] Ride ${ride._id}: detour of ${extraKm.toFixed(2)} km during ${state.phase}`);
+
+    // The new route is the reference from here on
+    state.bestDistanceKm = distanceKm;
+    state.detourSamples = 0;
+  }
+
+  /**
+   * Drop the cached rides of a captain after a status change (accept, arrival, start, stop, end, cancel)
+   */
+  forgetCaptain(captainId) {
+    this.captainRides.delete(captainId.toString());
+  }
+}
+
+module.exports = TripProgressService;
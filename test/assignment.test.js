@@ -0,0 +1,117 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { solveAssignment } = require("../utils/assignment");
+
+const totalCost = (costs, assignment) =>
+  assignment.reduce((sum, column, row) => sum + (column === -1 ? 0 : costs[row][column]), 0);
+
+/**
+ * Best (most pairs, then lowest cost) assignment by trying every permutation
+ */
+function bruteForce(costs) {
+  const rowCount = costs.length;
+  const columnCount = costs[0].length;
+  let best = { pairs: -1, cost: Infinity };
+
+  const visit = (row, usedColumns, pairs, cost) => {
+    if (row === rowCount) {
+      if (pairs > best.pairs || (pairs === best.pairs && cost < best.cost)) best = { pairs, cost };
+      return;
+    }
+    // A row may stay unassigned when there are more rows than columns or only forbidden columns are left
+    visit(row + 1, usedColumns, pairs, cost);
+    for (let column = 0; column < columnCount; column++) {
+      if (usedColumns.has(column) || !Number.isFinite(costs[row][column])) continue;
+      usedColumns.add(column);
+      visit(row + 1, usedColumns, pairs + 1, cost + costs[row][column]);
+      usedColumns.delete(column);
+    }
+  };
+
+  visit(0, new Set(), 0, 0);
+  return best;
+}
+
+// Small deterministic generator so failures can be reproduced
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+describe("solveAssignment", () => {
+  it("solves a square matrix", () => {
+    const costs = [
+      [4, 1, 3],
+      [2, 0, 5],
+      [3, 2, 2]
+    ];
+    const assignment = solveAssignment(costs);
+
+    assert.deepEqual(assignment, [1, 0, 2]);
+    assert.equal(totalCost(costs, assignment), 5);
+  });
+
+  it("leaves extra rows unassigned when there are fewer columns", () => {
+    const costs = [[9], [1], [5]];
+
+    assert.deepEqual(solveAssignment(costs), [-1, 0, -1]);
+  });
+
+  it("uses only the cheapest columns when there are more columns than rows", () => {
+    const costs = [
+      [7, 3, 9, 1],
+      [2, 8, 6, 4]
+    ];
+
+    assert.deepEqual(solveAssignment(costs), [3, 0]);
+  });
+
+  it("never assigns a forbidden pair", () => {
+    const costs = [
+      [Infinity, 5],
+      [Infinity, 1]
+    ];
+    const assignment = solveAssignment(costs);
+
+    assert.equal(assignment.filter(column => column === 1).length, 1);
+    assert.ok(!assignment.includes(0));
+  });
+
+  it("prefers more pairs over a cheaper but smaller assignment", () => {
+    // Row 0 alone would take column 0 for 1, but then row 1 has nothing left
+    const costs = [
+      [1, 10],
+      [5, Infinity]
+    ];
+
+    assert.deepEqual(solveAssignment(costs), [1, 0]);
+  });
+
+  it("returns no pairs for empty input", () => {
+    assert.deepEqual(solveAssignment([]), []);
+    assert.deepEqual(solveAssignment([[], []]), [-1, -1]);
+  });
+
+  it("matches brute force on random matrices", () => {
+    const next = random(42);
+    for (let round = 0; round < 200; round++) {
+      const rowCount = 1 + Math.floor(next() * 5);
+      const columnCount = 1 + Math.floor(next() * 5);
+      const costs = Array.from({ length: rowCount }, () =>
+        Array.from({ length: columnCount }, () => (next() < 0.2 ? Infinity : Math.round(next() * 100)))
+      );
+
+      const assignment = solveAssignment(costs);
+      const columns = assignment.filter(column => column !== -1);
+      const expected = bruteForce(costs);
+
+      assert.equal(new Set(columns).size, columns.length, `column used twice in ${JSON.stringify(costs)}`);
+      assert.equal(columns.length, expected.pairs, `pair count for ${JSON.stringify(costs)}`);
+      assert.equal(totalCost(costs, assignment), expected.cost, `cost for ${JSON.stringify(costs)}`);
+    }
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Ride = require("../model/ride");
+const Driver = require("../model/Driver");
+const CaptainScoringService = require("../services/captainScoringService");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const now = new Date("2026-06-01T12:00:00Z").getTime();
+const pickup = { latitude: 33.3, longitude: 44.4 };
+const minutesAgo = minutes => new Date(now - minutes * 60000);
+
+function score(service, name, candidate, overrides = {}) {
+  const settings = { ...service.getSettings(), ...overrides };
+  return service.factors.get(name).scoreFn({ history: [], ...candidate }, { pickup, settings, now });
+}
+
+describe("CaptainScoringService factors", () => {
+  const service = new CaptainScoringService(silentLogger);
+
+  it("scores the eta from the straight line, or the road route when there is one", () => {
+    assert.equal(score(service, "eta", { position: pickup }).value, 1);
+
+    // About 5 km north at 25 km/h is 12 minutes out of 15
+    const far = score(service, "eta", { position: { latitude: 33.345, longitude: 44.4 } });
+    assert.equal(far.raw.source, "straight_line");
+    assert.ok(Math.abs(far.value - 0.2) < 0.01);
+
+    const road = score(service, "eta", { position: pickup, route: { distanceKm: 3, durationMinutes: 6 } });
+    assert.deepEqual(road, { value: 0.6, raw: { distanceKm: 3, etaMinutes: 6, source: "road" } });
+
+    assert.equal(score(service, "eta", { position: null }).value, 0);
+  });
+
+  it("rates acceptance over the latest answers and is neutral without any", () => {
+    assert.equal(score(service, "acceptanceRate", {}).value, 0.5);
+
+    const history = ["rejected", "accepted", "accepted", "timeout", "accepted"].map(action => ({ action }));
+    assert.equal(score(service, "acceptanceRate", { history }).value, 0.6);
+    assert.equal(score(service, "acceptanceRate", { history }, { historySize: 2 }).value, 0.5);
+  });
+
+  it("only counts rejections inside the window", () => {
+    const history = [
+      { action: "rejected", timestamp: minutesAgo(90) },
+      { action: "rejected", timestamp: minutesAgo(10) },
+      { action: "timeout", timestamp: minutesAgo(5) },
+      { action: "accepted", timestamp: minutesAgo(1) }
+    ];
+    const result = score(service, "recentRejections", { history });
+
+    assert.deepEqual(result.raw, { count: 2 });
+    assert.ok(Math.abs(result.value - 1 / 3) < 0.001);
+    assert.equal(score(service, "recentRejections", { history: [...history, ...history] }).value, 0);
+  });
+
+  it("maps the 1-5 rating to 0-1 and treats unrated captains as 5", () => {
+    assert.equal(score(service, "rating", { driver: { rating: 1 } }).value, 0);
+    assert.equal(score(service, "rating", { driver: { rating: 3 } }).value, 0.5);
+    assert.equal(score(service, "rating", { driver: null }).value, 1);
+  });
+
+  it("favours captains who have waited longer since their last trip", () => {
+    assert.equal(score(service, "idleTime", { lastTripAt: null }).value, 1);
+    assert.equal(score(service, "idleTime", { lastTripAt: minutesAgo(30) }).value, 0.5);
+    assert.equal(score(service, "idleTime", { lastTripAt: minutesAgo(180) }).value, 1);
+  });
+
+  it("reads the wallet from the financial account before the driver balance", () => {
+    assert.equal(score(service, "walletBalance", { driver: { balance: 2000, financialAccount: { vault: 5000 } } }).value, 0.5);
+    assert.equal(score(service, "walletBalance", { driver: { balance: 2000 } }).value, 0.2);
+    assert.equal(score(service, "walletBalance", { driver: { balance: -500 } }).value, 0);
+  });
+});
+
+describe("CaptainScoringService.rankCaptains", () => {
+  const ids = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId().toString());
+  const ride = { pickupLocation: { coordinates: [pickup.longitude, pickup.latitude] } };
+  let service, driverFilter;
+
+  beforeEach(() => {
+    service = new CaptainScoringService(silentLogger);
+    mock.method(service, "getCaptainPositions", async () => new Map([
+      [ids[0], { latitude: 33.33, longitude: 44.4 }],
+      [ids[1], { latitude: 33.301, longitude: 44.4 }],
+      [ids[2], { latitude: 33.302, longitude: 44.4 }]
+    ]));
+    mock.method(Driver, "find", filter => {
+      driverFilter = filter;
+      const drivers = [
+        { _id: new mongoose.Types.ObjectId(ids[0]), rating: 5, balance: 10000 },
+        { _id: new mongoose.Types.ObjectId(ids[1]), rating: 4, balance: 10000 },
+        { _id: new mongoose.Types.ObjectId(ids[2]), rating: 2, balance: 0 }
+      ];
+      const chain = { select: () => chain, populate: () => chain, lean: async () => drivers };
+      return chain;
+    });
+    mock.method(Ride, "aggregate", async () => []);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("ranks by the weighted factors, best first", async () => {
+    const responseHistory = new Map([
+      [ids[1], [{ action: "accepted", timestamp: minutesAgo(120) }]],
+      [ids[2], [{ action: "rejected", timestamp: new Date() }, { action: "timeout", timestamp: new Date() }]]
+    ]);
+
+    const ranked = await service.rankCaptains(ids, ride, { responseHistory });
+
+    // The farthest captain still beats the one who just turned two requests down
+    assert.deepEqual(ranked.map(entry => entry.captainId), [ids[1], ids[0], ids[2]]);
+    assert.deepEqual(ranked.map(entry => entry.rank), [1, 2, 3]);
+    assert.equal(ranked[0].factors.acceptanceRate.value, 1);
+    assert.deepEqual(ranked[2].factors.recentRejections.raw, { count: 2 });
+    assert.ok(ranked[0].score > ranked[1].score && ranked[1].score > ranked[2].score);
+  });
+
+  it("uses the weights from the dispatch settings", async () => {
+    const dispatchSettings = { scoring: { weights: { eta: 0, acceptanceRate: 0, recentRejections: 0, rating: 1, idleTime: 0, walletBalance: 0 } } };
+
+    const ranked = await service.rankCaptains([ids[2], ids[1], ids[0]], ride, { dispatchSettings });
+
+    assert.deepEqual(ranked.map(entry => entry.captainId), [ids[0], ids[1], ids[2]]);
+    assert.equal(ranked[0].score, 1);
+  });
+
+  it("keeps the given order when scoring is disabled", async () => {
+    const ranked = await service.rankCaptains([ids[2], ids[0]], ride, { dispatchSettings: { scoring: { enabled: false } } });
+
+    assert.deepEqual(ranked, [
+      { captainId: ids[2], rank: 1, score: null, factors: {} },
+      { captainId: ids[0], rank: 2, score: null, factors: {} }
+    ]);
+  });
+
+  it("queries drivers with valid ids only and still ranks the malformed one", async () => {
+    const ranked = await service.rankCaptains([ids[0], "not-an-id"], ride);
+
+    assert.equal(driverFilter._id.$in.length, 1);
+    assert.ok(driverFilter._id.$in[0] instanceof mongoose.Types.ObjectId);
+    assert.deepEqual(ranked.map(entry => entry.captainId).sort(), [ids[0], "not-an-id"].sort());
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ChatService = require("../services/chatService");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const service = new ChatService(silentLogger);
+
+describe("ChatService.detectViolations", () => {
+  it("flags nothing in ordinary trip messages", () => {
+    assert.deepEqual(service.detectViolations("أنا في الطريق، سأصل خلال 5 دقائق"), []);
+    assert.deepEqual(service.detectViolations("معي كلب صغير، هل هذا مقبول؟"), []);
+    assert.deepEqual(service.detectViolations("هل يسمح بحيوان أليف في السيارة"), []);
+    assert.deepEqual(service.detectViolations(""), []);
+    assert.deepEqual(service.detectViolations(null), []);
+  });
+
+  it("flags abusive words with the article, vocative, diacritics and letter variants", () => {
+    assert.deepEqual(service.detectViolations("انت غبي"), ["abusive_language"]);
+    assert.deepEqual(service.detectViolations("يا حمار"), ["abusive_language"]);
+    assert.deepEqual(service.detectViolations("ياحمار"), ["abusive_language"]);
+    assert.deepEqual(service.detectViolations("السافل"), ["abusive_language"]);
+    assert.deepEqual(service.detectViolations("غَبِي"), ["abusive_language"]);
+    assert.deepEqual(service.detectViolations("زبالة"), ["abusive_language"]);
+    assert.deepEqual(service.detectViolations("You IDIOT!"), ["abusive_language"]);
+  });
+
+  it("does not flag abusive words inside longer words", () => {
+    assert.deepEqual(service.detectViolations("Scunthorpe stupidity"), []);
+  });
+
+  it("flags phone numbers written with spaces, dashes or Arabic digits", () => {
+    assert.deepEqual(service.detectViolations("اتصل بي 07701234567"), ["phone_number"]);
+    assert.deepEqual(service.detectViolations("رقمي 0770 123 4567"), ["phone_number"]);
+    assert.deepEqual(service.detectViolations("+964-770-123-4567"), ["phone_number"]);
+    assert.deepEqual(service.detectViolations("٠٧٧٠١٢٣٤٥٦٧"), ["phone_number"]);
+    assert.deepEqual(service.detectViolations("۰۷۷۰۱۲۳۴۵۶۷"), ["phone_number"]);
+  });
+
+  it("does not flag short numbers", () => {
+    assert.deepEqual(service.detectViolations("البيت رقم 12 والطابق 3"), []);
+    assert.deepEqual(service.detectViolations("الأجرة 5000 دينار"), []);
+  });
+
+  it("reports both violations", () => {
+    assert.deepEqual(service.detectViolations("يا غبي اتصل على 07701234567"), ["phone_number", "abusive_language"]);
+  });
+});
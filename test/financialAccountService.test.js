@@ -0,0 +1,276 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const FinancialAccount = require("../model/financialAccount");
+const MoneyTransfers = require("../model/moneyTransfers");
+const FinancialAccountService = require("../services/financialAccountService");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * In-memory accounts and transfers behind the model calls the service makes.
+ * Transactions run the work once; an aborted one is not rolled back, so tests only look at results.
+ */
+function useFakeStore(service) {
+  const store = { accounts: new Map(), transfers: [] };
+  const sameId = (a, b) => a.toString() === b.toString();
+  const query = value => Object.assign(Promise.resolve(value), {
+    session: async () => value,
+    select: async () => value
+  });
+
+  mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async work => work(),
+    endSession: async () => {}
+  }));
+  // Every read returns its own copy of the account, as separate queries do
+  mock.method(FinancialAccount, "findById", id => {
+    const stored = store.accounts.get(id.toString());
+    if (!stored) return query(null);
+    const account = { ...stored, transactions: [...stored.transactions] };
+    account.save = async () => Object.assign(stored, { vault: account.vault, transactions: account.transactions });
+    return query(account);
+  });
+  mock.method(MoneyTransfers, "findOne", filter =>
+    query(store.transfers.find(item => item.idempotencyKey === filter.idempotencyKey) || null)
+  );
+  mock.method(MoneyTransfers, "findById", id => query(store.transfers.find(item => sameId(item._id, id)) || null));
+  mock.method(MoneyTransfers, "find", async filter =>
+    store.transfers.filter(item => sameId(item.from.id, filter["from.id"]) && item.status === filter.status)
+  );
+  mock.method(MoneyTransfers, "updateOne", async (filter, update) => {
+    const transfer = store.transfers.find(item => sameId(item._id, filter._id) && item.status === filter.status);
+    if (transfer) Object.assign(transfer, update);
+  });
+  mock.method(MoneyTransfers.prototype, "save", async function () {
+    if (!store.transfers.includes(this)) store.transfers.push(this);
+    return this;
+  });
+  mock.method(service.ledgerService, "recordTransfer", async () => {});
+  mock.method(service.ledgerService, "recordAdjustment", async () => {});
+  mock.method(service.ledgerService, "postJournal", async () => {});
+  mock.method(service, "syncOwnerBalances", async () => {});
+
+  store.addAccount = (accountType, vault) => {
+    const account = { _id: new mongoose.Types.ObjectId(), accountType, vault, transactions: [] };
+    store.accounts.set(account._id.toString(), account);
+    return account;
+  };
+  return store;
+}
+
+describe("FinancialAccountService idempotency", () => {
+  const service = new FinancialAccountService(silentLogger);
+  let store, captain, customer;
+
+  beforeEach(() => {
+    store = useFakeStore(service);
+    captain = store.addAccount("captain", 10000);
+    customer = store.addAccount("customer", 0);
+  });
+  afterEach(() => mock.restoreAll());
+
+  function transfer(overrides = {}) {
+    return service.transferMoney({
+      fromAccountId: captain._id,
+      toAccountId: customer._id,
+      amount: 3000,
+      transferType: "dtc",
+      fromRole: "Driver",
+      toRole: "Customer",
+      description: "تحويل",
+      idempotencyKey: "transfer-1",
+      ...overrides
+    });
+  }
+
+  it("moves the money once when a transfer is replayed with the same key", async () => {
+    const first = await transfer();
+    const replay = await transfer();
+
+    assert.equal(first.success, true);
+    assert.equal(replay.replayed, true);
+    assert.equal(replay.transferId, first.transferId);
+    assert.equal(captain.vault, 7000);
+    assert.equal(customer.vault, 3000);
+    assert.equal(store.transfers.length, 1);
+  });
+
+  it("moves the money again for a different key", async () => {
+    await transfer();
+    await transfer({ idempotencyKey: "transfer-2" });
+
+    assert.equal(captain.vault, 4000);
+    assert.equal(store.transfers.length, 2);
+  });
+
+  it("does not record a transfer that lacks the funds", async () => {
+    const result = await transfer({ amount: 20000 });
+
+    assert.equal(result.reason, "insufficient_funds");
+    assert.equal(captain.vault, 10000);
+    assert.equal(store.transfers.length, 0);
+  });
+
+  it("credits and debits once per key", async () => {
+    await service.addBalance(customer._id, 5000, "شحن", { idempotencyKey: "credit-1" });
+    const creditReplay = await service.addBalance(customer._id, 5000, "شحن", { idempotencyKey: "credit-1" });
+    await service.deductBalance(customer._id, 2000, "خصم", true, { idempotencyKey: "debit-1" });
+    const debitReplay = await service.deductBalance(customer._id, 2000, "خصم", true, { idempotencyKey: "debit-1" });
+
+    assert.equal(creditReplay.replayed, true);
+    assert.equal(debitReplay.replayed, true);
+    assert.equal(debitReplay.newBalance, 3000);
+    assert.equal(customer.vault, 3000);
+  });
+});
+
+describe("FinancialAccountService.reverseTransfer", () => {
+  const service = new FinancialAccountService(silentLogger);
+  let store, captain, customer;
+
+  beforeEach(() => {
+    store = useFakeStore(service);
+    captain = store.addAccount("captain", 10000);
+    customer = store.addAccount("customer", 0);
+  });
+  afterEach(() => mock.restoreAll());
+
+  function pendingDebt(amount = 3000) {
+    return service.createPendingTransfer({
+      fromAccountId: captain._id,
+      toAccountId: customer._id,
+      amount,
+      transferType: "dtc",
+      fromRole: "Driver",
+      toRole: "Customer",
+      description: "دين"
+    });
+  }
+
+  it("moves the money of a completed transfer back, once", async () => {
+    const { transferId } = await service.transferMoney({
+      fromAccountId: captain._id,
+      toAccountId: customer._id,
+      amount: 3000,
+      transferType: "dtc",
+      fromRole: "Driver",
+      toRole: "Customer",
+      description: "تحويل"
+    });
+
+    const reversal = await service.reverseTransfer(transferId, { reason: "خطأ" });
+    const replay = await service.reverseTransfer(transferId, { reason: "خطأ" });
+
+    assert.equal(reversal.success, true);
+    assert.equal(reversal.balancesMoved, true);
+    assert.equal(replay.replayed, true);
+    assert.equal(replay.reversalId.toString(), reversal.reversalId.toString());
+    assert.equal(captain.vault, 10000);
+    assert.equal(customer.vault, 0);
+    assert.equal(store.transfers.find(item => item._id.equals(transferId)).status, "reversed");
+  });
+
+  it("reverses a single-account debit by crediting it back", async () => {
+    const { transferId } = await service.deductBalance(captain._id, 4000, "خصم", true, { idempotencyKey: "debit-1" });
+
+    const reversal = await service.reverseTransfer(transferId);
+
+    assert.equal(reversal.success, true);
+    assert.equal(captain.vault, 10000);
+  });
+
+  it("closes a pending debt without moving money", async () => {
+    const { transferId } = await pendingDebt();
+
+    const reversal = await service.reverseTransfer(transferId);
+
+    assert.equal(reversal.success, true);
+    assert.equal(reversal.balancesMoved, false);
+    assert.equal(captain.vault, 10000);
+    assert.equal(customer.vault, 0);
+  });
+
+  it("refuses failed transfers and reversals", async () => {
+    const { transferId } = await pendingDebt();
+    store.transfers[0].status = "failed";
+    assert.equal((await service.reverseTransfer(transferId)).reason, "transfer_failed");
+
+    store.transfers[0].status = "pending";
+    const { reversalId } = await service.reverseTransfer(transferId, { idempotencyKey: "other-key" });
+    assert.equal((await service.reverseTransfer(reversalId)).reason, "cannot_reverse_reversal");
+    assert.equal((await service.reverseTransfer(transferId, { idempotencyKey: "third-key" })).reason, "already_reversed");
+  });
+});
+
+describe("FinancialAccountService.processPendingTransfers", () => {
+  const service = new FinancialAccountService(silentLogger);
+  let store, captain, customer;
+
+  beforeEach(() => {
+    store = useFakeStore(service);
+    captain = store.addAccount("captain", 0);
+    customer = store.addAccount("customer", 0);
+  });
+  afterEach(() => mock.restoreAll());
+
+  function pendingDebt(amount) {
+    return service.createPendingTransfer({
+      fromAccountId: captain._id,
+      toAccountId: customer._id,
+      amount,
+      transferType: "dtc",
+      fromRole: "Driver",
+      toRole: "Customer",
+      description: "دين"
+    });
+  }
+
+  it("settles the debts the balance covers and links them to their settlement", async () => {
+    const covered = await pendingDebt(3000);
+    const tooLarge = await pendingDebt(8000);
+    captain.vault = 5000;
+
+    const result = await service.processPendingTransfers(captain._id);
+
+    assert.deepEqual(result, { processed: 1, failed: 0 });
+    assert.equal(captain.vault, 2000);
+    assert.equal(customer.vault, 3000);
+
+    const debt = store.transfers.find(item => item._id.equals(covered.transferId));
+    const settlement = store.transfers.find(item => item.idempotencyKey === `settle_pending:${covered.transferId}`);
+    assert.equal(debt.status, "settled");
+    assert.equal(debt.settledBy.toString(), settlement._id.toString());
+    assert.equal(settlement.status, "completed");
+    assert.equal(store.transfers.find(item => item._id.equals(tooLarge.transferId)).status, "pending");
+  });
+
+  it("does not settle the same debt twice", async () => {
+    await pendingDebt(3000);
+    captain.vault = 10000;
+
+    await service.processPendingTransfers(captain._id);
+    const again = await service.processPendingTransfers(captain._id);
+
+    assert.deepEqual(again, { processed: 0, failed: 0 });
+    assert.equal(captain.vault, 7000);
+  });
+
+  it("only lets the settlement be reversed, so the money comes back once", async () => {
+    const { transferId } = await pendingDebt(3000);
+    captain.vault = 5000;
+    await service.processPendingTransfers(captain._id);
+    const debt = store.transfers.find(item => item._id.equals(transferId));
+
+    const refused = await service.reverseTransfer(transferId);
+    assert.equal(refused.success, false);
+    assert.equal(refused.reason, "transfer_settled");
+    assert.equal(refused.settledBy.toString(), debt.settledBy.toString());
+
+    const reversal = await service.reverseTransfer(debt.settledBy);
+    assert.equal(reversal.success, true);
+    assert.equal(captain.vault, 5000);
+    assert.equal(customer.vault, 0);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  FcmNotificationProvider,
+  ConsoleNotificationProvider,
+  createNotificationProvider
+} = require("../utils/notificationProviders");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const message = { token: "device-token-1", title: "Title", body: "Body", data: { rideId: "r1", fare: 5000 } };
+
+/**
+ * FCM provider whose HTTP client answers with the given result or throws the given status
+ */
+function createFcm({ result, status, code } = {}) {
+  const provider = new FcmNotificationProvider({ serverKey: "test-key" });
+  provider.requests = [];
+  provider.http = {
+    post: async (url, payload) => {
+      provider.requests.push(payload);
+      if (status || code) {
+        const error = new Error("request failed");
+        if (status) error.response = { status };
+        if (code) error.code = code;
+        throw error;
+      }
+      return { data: { results: [result] } };
+    }
+  };
+  return provider;
+}
+
+async function sendError(provider) {
+  try {
+    await provider.send(message);
+  } catch (error) {
+    return error;
+  }
+  assert.fail("send should have thrown");
+}
+
+describe("FcmNotificationProvider", () => {
+  it("returns the message id and sends data values as strings", async () => {
+    const provider = createFcm({ result: { message_id: "m-1" } });
+    const result = await provider.send(message);
+
+    assert.deepEqual(result, { messageId: "m-1" });
+    assert.equal(provider.requests[0].to, "device-token-1");
+    assert.deepEqual(provider.requests[0].data, { rideId: "r1", fare: "5000" });
+  });
+
+  for (const code of ["NotRegistered", "InvalidRegistration", "UNREGISTERED"]) {
+    it(`treats ${code} as an invalid token`, async () => {
+      const error = await sendError(createFcm({ result: { error: code } }));
+      assert.equal(error.invalidToken, true);
+      assert.equal(error.retryable, false);
+    });
+  }
+
+  for (const code of ["MismatchSenderId", "INVALID_ARGUMENT"]) {
+    it(`keeps the token on ${code}`, async () => {
+      const error = await sendError(createFcm({ result: { error: code } }));
+      assert.equal(error.invalidToken, false);
+      assert.equal(error.retryable, false);
+    });
+  }
+
+  it("retries when FCM is unavailable", async () => {
+    const error = await sendError(createFcm({ result: { error: "Unavailable" } }));
+    assert.equal(error.invalidToken, false);
+    assert.equal(error.retryable, true);
+  });
+
+  it("retries server errors, rate limiting and network failures but not other client errors", async () => {
+    assert.equal((await sendError(createFcm({ status: 503 }))).retryable, true);
+    assert.equal((await sendError(createFcm({ status: 429 }))).retryable, true);
+    assert.equal((await sendError(createFcm({ code: "ECONNRESET" }))).retryable, true);
+    assert.equal((await sendError(createFcm({ status: 401 }))).retryable, false);
+  });
+
+  it("needs a server key", () => {
+    assert.throws(() => new FcmNotificationProvider({}), /server key/);
+  });
+});
+
+describe("ConsoleNotificationProvider", () => {
+  it("keeps sent notifications and rejects the configured tokens", async () => {
+    const provider = new ConsoleNotificationProvider({ logger: silentLogger, invalidTokens: ["dead-token"] });
+
+    assert.deepEqual(await provider.send(message), { messageId: "console-1" });
+    assert.equal(provider.sent.length, 1);
+
+    const error = await sendError(new ConsoleNotificationProvider({ logger: silentLogger, invalidTokens: ["device-token-1"] }));
+    assert.equal(error.invalidToken, true);
+  });
+});
+
+describe("createNotificationProvider", () => {
+  it("creates providers by name and rejects unknown ones", () => {
+    assert.equal(createNotificationProvider("console", { logger: silentLogger }).name, "console");
+    assert.equal(createNotificationProvider(undefined, { logger: silentLogger }).name, "console");
+    assert.equal(createNotificationProvider("FCM", { serverKey: "test-key" }).name, "fcm");
+    assert.throws(() => createNotificationProvider("sms"), /Unknown notification provider/);
+  });
+});
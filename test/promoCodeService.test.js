@@ -0,0 +1,218 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const { PromoCode, PromoCodeRedemption } = require("../model/promoCode");
+const Ride = require("../model/ride");
+const PromoCodeService = require("../services/promoCodeService");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const service = new PromoCodeService(silentLogger);
+
+function promoTerms(overrides = {}) {
+  return {
+    isActive: true,
+    validFrom: new Date("2026-01-01"),
+    validTo: null,
+    usageLimit: null,
+    usedCount: 0,
+    perCustomerLimit: 1,
+    minFare: 0,
+    currency: "IQD",
+    firstRideOnly: false,
+    ...overrides
+  };
+}
+
+describe("PromoCode.discountFor", () => {
+  it("takes a percentage of the fare, capped by the max discount", () => {
+    assert.equal(PromoCode.discountFor({ discountType: "percentage", discountValue: 20 }, 5000), 1000);
+    assert.equal(PromoCode.discountFor({ discountType: "percentage", discountValue: 20, maxDiscount: 600 }, 5000), 600);
+  });
+
+  it("takes a fixed amount, never more than the fare", () => {
+    assert.equal(PromoCode.discountFor({ discountType: "fixed", discountValue: 1500 }, 5000), 1500);
+    assert.equal(PromoCode.discountFor({ discountType: "fixed", discountValue: 1500 }, 1000), 1000);
+  });
+
+  it("rounds to whole dinars", () => {
+    assert.equal(PromoCode.discountFor({ discountType: "percentage", discountValue: 15 }, 3333), 500);
+  });
+});
+
+describe("PromoCodeService.checkEligibility", () => {
+  const now = new Date("2026-06-01T12:00:00Z");
+
+  it("accepts a valid code", () => {
+    assert.equal(service.checkEligibility(promoTerms(), { fare: 5000, now }), null);
+  });
+
+  it("rejects inactive, not yet valid and expired codes", () => {
+    assert.match(service.checkEligibility(promoTerms({ isActive: false }), { fare: 5000, now }), /غير صحيح/);
+    assert.match(service.checkEligibility(promoTerms({ validFrom: new Date("2026-07-01") }), { fare: 5000, now }), /غير فعال بعد/);
+    assert.match(service.checkEligibility(promoTerms({ validTo: new Date("2026-05-01") }), { fare: 5000, now }), /انتهت صلاحية/);
+  });
+
+  it("enforces the global limit", () => {
+    assert.equal(service.checkEligibility(promoTerms({ usageLimit: 3, usedCount: 2 }), { fare: 5000, now }), null);
+    assert.match(service.checkEligibility(promoTerms({ usageLimit: 3, usedCount: 3 }), { fare: 5000, now }), /عدد مرات استخدام/);
+  });
+
+  it("enforces the per-customer limit", () => {
+    assert.equal(service.checkEligibility(promoTerms({ perCustomerLimit: 2 }), { fare: 5000, customerUsage: 1, now }), null);
+    assert.match(service.checkEligibility(promoTerms({ perCustomerLimit: 2 }), { fare: 5000, customerUsage: 2, now }), /استخدمت هذا الكود/);
+  });
+
+  it("enforces the minimum fare", () => {
+    assert.match(service.checkEligibility(promoTerms({ minFare: 3000 }), { fare: 2500, now }), /الحد الأدنى/);
+    assert.equal(service.checkEligibility(promoTerms({ minFare: 3000 }), { fare: 3000, now }), null);
+  });
+
+  it("keeps first-ride codes to customers without a completed ride", () => {
+    assert.equal(service.checkEligibility(promoTerms({ firstRideOnly: true }), { fare: 5000, completedRides: 0, now }), null);
+    assert.match(service.checkEligibility(promoTerms({ firstRideOnly: true }), { fare: 5000, completedRides: 1, now }), /مخصص للرحلة/);
+  });
+});
+
+/**
+ * In-memory promo code and redemptions behind the model calls the service makes.
+ * Transactions run the work once; an aborted one is not rolled back, so tests only look at results.
+ */
+function useFakeStore(promoOverrides = {}) {
+  const store = {
+    promo: {
+      _id: new mongoose.Types.ObjectId(),
+      code: "WELCOME",
+      currency: "IQD",
+      usedCount: 0,
+      usageLimit: null,
+      perCustomerLimit: 1,
+      ...promoOverrides
+    },
+    redemptions: [],
+    rideUpdates: []
+  };
+  const withSession = value => ({ session: async () => value });
+  const sameId = (a, b) => a.toString() === b.toString();
+
+  mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async work => work(),
+    abortTransaction: async () => {},
+    endSession: async () => {}
+  }));
+  mock.method(PromoCode, "findOneAndUpdate", async () => {
+    const { promo } = store;
+    if (promo.usageLimit !== null && promo.usedCount >= promo.usageLimit) return null;
+    promo.usedCount++;
+    return { ...promo };
+  });
+  mock.method(PromoCode, "exists", () => withSession(true));
+  mock.method(PromoCode, "updateOne", async (filter, update) => {
+    store.promo.usedCount += update.$inc.usedCount;
+  });
+  mock.method(PromoCodeRedemption, "countDocuments", filter =>
+    withSession(store.redemptions.filter(item => sameId(item.customer, filter.customer)).length)
+  );
+  mock.method(PromoCodeRedemption, "findOne", filter =>
+    withSession(store.redemptions.find(item => sameId(item.ride, filter.ride)) || null)
+  );
+  mock.method(PromoCodeRedemption, "create", async ([doc]) => {
+    const redemption = { _id: new mongoose.Types.ObjectId(), status: "redeemed", ...doc };
+    store.redemptions.push(redemption);
+    return [redemption];
+  });
+  mock.method(PromoCodeRedemption, "findOneAndUpdate", async (filter, update) => {
+    const redemption = store.redemptions.find(item => sameId(item._id, filter._id) && item.status === filter.status);
+    if (!redemption) return null;
+    Object.assign(redemption, update.$set);
+    return redemption;
+  });
+  mock.method(PromoCodeRedemption, "findOneAndDelete", async filter => {
+    const index = store.redemptions.findIndex(item => sameId(item.ride, filter.ride) && item.status === filter.status);
+    return index === -1 ? null : store.redemptions.splice(index, 1)[0];
+  });
+  mock.method(Ride, "updateOne", async (filter, update) => {
+    store.rideUpdates.push(update.$set);
+  });
+  return store;
+}
+
+function rideWithPromo(store, customerId = new mongoose.Types.ObjectId()) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    passenger: customerId,
+    fare: { amount: 4000, currency: "IQD" },
+    promoCode: { promoCodeId: store.promo._id, code: store.promo.code, discount: 1000, originalFare: 5000 }
+  };
+}
+
+describe("PromoCodeService reservations", () => {
+  let store;
+  beforeEach(() => { store = useFakeStore({ usageLimit: 1 }); });
+  afterEach(() => mock.restoreAll());
+
+  it("lets only one of two rides take the last use of a code", async () => {
+    const first = await service.reserveForRide(rideWithPromo(store));
+    const second = await service.reserveForRide(rideWithPromo(store));
+
+    assert.equal(first.success, true);
+    assert.equal(first.redemption.status, "reserved");
+    assert.deepEqual(second, { success: false, reason: "usage_limit_reached" });
+    assert.equal(store.promo.usedCount, 1);
+  });
+
+  it("keeps a customer from holding the code on a booking and a ride at once", async () => {
+    store.promo.usageLimit = null;
+    const customerId = new mongoose.Types.ObjectId();
+    const booking = await service.reserveForRide(rideWithPromo(store, customerId));
+    const ride = await service.reserveForRide(rideWithPromo(store, customerId));
+
+    assert.equal(booking.success, true);
+    assert.deepEqual(ride, { success: false, reason: "per_customer_limit_reached" });
+  });
+
+  it("gives the use back when the ride is cancelled", async () => {
+    const ride = rideWithPromo(store);
+    await service.reserveForRide(ride);
+
+    assert.equal(await service.releaseForRide(ride._id), true);
+    assert.equal(store.promo.usedCount, 0);
+    assert.equal(store.redemptions.length, 0);
+    assert.equal(await service.releaseForRide(ride._id), false);
+
+    assert.equal((await service.reserveForRide(rideWithPromo(store))).success, true);
+  });
+
+  it("redeems the reservation at completion without taking another use", async () => {
+    const ride = rideWithPromo(store);
+    await service.reserveForRide(ride);
+    ride.fare.amount = 4200;
+
+    const result = await service.redeemForRide(ride);
+
+    assert.equal(result.success, true);
+    assert.equal(result.redemption.status, "redeemed");
+    assert.equal(result.redemption.finalFare, 4200);
+    assert.equal(store.promo.usedCount, 1);
+    assert.equal(store.rideUpdates[0]["promoCode.redeemed"], true);
+  });
+
+  it("does not redeem a ride twice", async () => {
+    const ride = rideWithPromo(store);
+    await service.reserveForRide(ride);
+    await service.redeemForRide(ride);
+
+    const replay = await service.redeemForRide(ride);
+    assert.equal(replay.alreadyRedeemed, true);
+    assert.equal(store.promo.usedCount, 1);
+  });
+
+  it("takes the use at completion for rides requested before reservations, within the limits", async () => {
+    const legacy = await service.redeemForRide(rideWithPromo(store));
+    const overLimit = await service.redeemForRide(rideWithPromo(store));
+
+    assert.equal(legacy.success, true);
+    assert.equal(store.promo.usedCount, 1);
+    assert.deepEqual(overLimit, { success: false, reason: "usage_limit_reached" });
+  });
+});
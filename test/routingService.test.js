@@ -0,0 +1,130 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { StaticRoutingProvider } = require("../utils/routingProviders");
+const RoutingService = require("../services/routingService");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const pickup = [44.4052, 33.3051];
+const dropoff = [44.4553, 33.3254];
+
+/**
+ * Redis stand-in with the commands the route cache uses
+ */
+function createRedis() {
+  const values = new Map();
+  return {
+    values,
+    mGet: async keys => keys.map(key => values.get(key) ?? null),
+    multi() {
+      const writes = [];
+      const multi = {
+        set: (key, value) => { writes.push([key, value]); return multi; },
+        exec: async () => writes.forEach(([key, value]) => values.set(key, value))
+      };
+      return multi;
+    }
+  };
+}
+
+function createService(legs = []) {
+  const provider = new StaticRoutingProvider({ legs });
+  const redisClient = createRedis();
+  const service = new RoutingService(silentLogger, { provider, redisClient, cellSizeDegrees: 0.01 });
+  return { service, provider, redisClient };
+}
+
+function failing(provider) {
+  const fail = async () => { throw new Error("provider down"); };
+  mock.method(provider, "route", fail);
+  mock.method(provider, "table", fail);
+}
+
+describe("RoutingService cache keys", () => {
+  it("shares a key between points in the same cells, per provider and direction", () => {
+    const { service } = createService();
+
+    assert.equal(service.cacheKey([pickup, dropoff]), "routing:static:4440,3330:4445,3332");
+    assert.equal(service.cacheKey([[44.4091, 33.3009], [44.4502, 33.3299]]), service.cacheKey([pickup, dropoff]));
+    assert.notEqual(service.cacheKey([[44.4121, 33.3051], dropoff]), service.cacheKey([pickup, dropoff]));
+    assert.notEqual(service.cacheKey([dropoff, pickup]), service.cacheKey([pickup, dropoff]));
+  });
+
+  it("answers a later route in the same cells from the cache", async () => {
+    const { service, provider, redisClient } = createService([{ from: pickup, to: dropoff, distanceKm: 7, durationMinutes: 12 }]);
+
+    const first = await service.getRoute([pickup, dropoff]);
+    const nearby = await service.getRoute([[44.4013, 33.3012], [44.4517, 33.3211]]);
+
+    assert.deepEqual(first, { distanceKm: 7, durationMinutes: 12, legs: [{ distanceKm: 7, durationMinutes: 12 }], provider: "static", estimated: false });
+    assert.deepEqual(nearby, first);
+    assert.equal(provider.calls.length, 1);
+    assert.equal(redisClient.values.size, 1);
+  });
+});
+
+describe("RoutingService fallback", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("estimates the route in a straight line when the provider fails and caches nothing", async () => {
+    const { service, provider, redisClient } = createService();
+    failing(provider);
+
+    const route = await service.getRoute([pickup, dropoff]);
+
+    assert.equal(route.estimated, true);
+    assert.equal(route.provider, "haversine");
+    assert.ok(route.distanceKm > 5 && route.distanceKm < 6);
+    assert.equal(redisClient.values.size, 0);
+  });
+
+  it("marks fallback ETAs estimated and asks the provider again next time", async () => {
+    const { service, provider, redisClient } = createService();
+    failing(provider);
+
+    const etas = await service.getEtas([dropoff], pickup);
+    assert.equal(etas[0].estimated, true);
+    assert.equal(redisClient.values.size, 0);
+
+    mock.restoreAll();
+    const retried = await service.getEtas([dropoff], pickup);
+    assert.equal(retried[0].estimated, false);
+    assert.equal(provider.calls.length, 1);
+    assert.equal(redisClient.values.size, 1);
+  });
+});
+
+describe("RoutingService.getEtas", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("only asks the provider for the origins missing from the cache", async () => {
+    const near = [44.41, 33.31];
+    const far = [44.5, 33.4];
+    const { service, provider } = createService([
+      { from: near, to: pickup, distanceKm: 2, durationMinutes: 4 },
+      { from: far, to: pickup, distanceKm: 15, durationMinutes: 20 }
+    ]);
+
+    await service.getEtas([near], pickup);
+    const etas = await service.getEtas([far, near], pickup);
+
+    assert.deepEqual(etas, [
+      { distanceKm: 15, durationMinutes: 20, estimated: false },
+      { distanceKm: 2, durationMinutes: 4, estimated: false }
+    ]);
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(provider.calls[1].sources, [far]);
+  });
+
+  it("falls back only for the missing origins and keeps the cached ones", async () => {
+    const near = [44.41, 33.31];
+    const { service, provider } = createService([{ from: near, to: pickup, distanceKm: 2, durationMinutes: 4 }]);
+    await service.getEtas([near], pickup);
+    failing(provider);
+
+    const etas = await service.getEtas([near, dropoff], pickup);
+
+    assert.deepEqual(etas[0], { distanceKm: 2, durationMinutes: 4, estimated: false });
+    assert.equal(etas[1].estimated, true);
+  });
+});
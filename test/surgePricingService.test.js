@@ -0,0 +1,130 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const SurgePricingService = require("../services/surgePricingService");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Service with deterministic settings: no smoothing unless asked for, so each reading is the ratio
+ */
+function createService(overrides = {}) {
+  const service = new SurgePricingService(silentLogger);
+  service.settings = {
+    ...service.settings,
+    enabled: true,
+    smoothing: 1,
+    activateRatio: 1.5,
+    deactivateRatio: 1.0,
+    multiplierPerRatio: 0.5,
+    maxMultiplier: 2.5,
+    maxStepPerTick: 0.25,
+    ...overrides
+  };
+  return service;
+}
+
+/**
+ * Feed readings of [openRequests, onlineCaptains] tick by tick
+ */
+function run(service, readings, initial = {}) {
+  let state = initial;
+  const states = [];
+  readings.forEach(([openRequests, onlineCaptains], index) => {
+    state = service.computeZoneState(state, openRequests, onlineCaptains, new Date(1700000000000 + index * 60000));
+    states.push(state);
+  });
+  return states;
+}
+
+describe("SurgePricingService.computeZoneState", () => {
+  it("switches on once the ratio reaches activateRatio", () => {
+    const service = createService();
+    const [below, at] = run(service, [[14, 10], [15, 10]]);
+
+    assert.equal(below.active, false);
+    assert.equal(below.multiplier, 1);
+    assert.equal(at.active, true);
+    assert.ok(at.multiplier > 1);
+  });
+
+  it("stays on while the ratio is between deactivateRatio and activateRatio", () => {
+    const service = createService();
+    const states = run(service, [[20, 10], [13, 10], [11, 10]]);
+
+    assert.deepEqual(states.map(state => state.active), [true, true, true]);
+  });
+
+  it("does not switch on inside the band when it was off", () => {
+    const service = createService();
+    const states = run(service, [[13, 10], [12, 10], [14, 10]]);
+
+    assert.ok(states.every(state => !state.active && state.multiplier === 1));
+  });
+
+  it("switches off only at or below deactivateRatio", () => {
+    const service = createService();
+    const states = run(service, [[20, 10], [11, 10], [10, 10]]);
+
+    assert.deepEqual(states.map(state => state.active), [true, true, false]);
+  });
+
+  it("moves the multiplier towards its target in capped steps, up and down", () => {
+    const service = createService();
+    // Ratio 5 targets 1 + 4 * 0.5 = 3, capped at maxMultiplier 2.5
+    const up = run(service, Array(8).fill([50, 10]));
+    assert.deepEqual(up.map(state => state.multiplier), [1.25, 1.5, 1.75, 2, 2.25, 2.5, 2.5, 2.5]);
+
+    const down = run(service, Array(3).fill([0, 10]), up[up.length - 1]);
+    assert.equal(down[0].active, false);
+    assert.deepEqual(down.map(state => state.multiplier), [2.25, 2, 1.75]);
+  });
+
+  it("smooths the ratio with the previous reading", () => {
+    const service = createService({ smoothing: 0.5 });
+    const [first, second] = run(service, [[10, 10], [30, 10]]);
+
+    assert.equal(first.smoothedRatio, 1);
+    // 0.5 * 3 + 0.5 * 1 = 2
+    assert.equal(second.smoothedRatio, 2);
+    assert.equal(second.active, true);
+  });
+
+  it("treats a zone without captains as one captain", () => {
+    const service = createService();
+    const [state] = run(service, [[2, 0]]);
+
+    assert.equal(state.ratio, 2);
+    assert.equal(state.active, true);
+  });
+});
+
+describe("SurgePricingService.getZoneMultiplier", () => {
+  const now = new Date("2026-01-01T12:00:00Z");
+
+  it("prefers an active admin override", () => {
+    const service = createService();
+    const zone = {
+      state: { multiplier: 1.5 },
+      override: { multiplier: 2, expiresAt: new Date(now.getTime() + 60000) }
+    };
+
+    assert.deepEqual(service.getZoneMultiplier(zone, now), { multiplier: 2, source: "override" });
+  });
+
+  it("ignores an expired override", () => {
+    const service = createService();
+    const zone = {
+      state: { multiplier: 1.5 },
+      override: { multiplier: 2, expiresAt: new Date(now.getTime() - 60000) }
+    };
+
+    assert.deepEqual(service.getZoneMultiplier(zone, now), { multiplier: 1.5, source: "auto" });
+  });
+
+  it("returns 1 when automatic zone surge is disabled", () => {
+    const service = createService({ enabled: false });
+
+    assert.deepEqual(service.getZoneMultiplier({ state: { multiplier: 1.75 } }, now), { multiplier: 1, source: "auto" });
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FakeTelephonyProvider, createTelephonyProvider } = require("../utils/telephonyProviders");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const customer = { role: "customer", phoneNumber: "+9647701111111" };
+const captain = { role: "captain", phoneNumber: "+9647702222222" };
+
+function createProvider(options = {}) {
+  return new FakeTelephonyProvider({ logger: silentLogger, ...options });
+}
+
+describe("FakeTelephonyProvider", () => {
+  it("allocates distinct numbers from the pool", async () => {
+    const provider = createProvider();
+    const first = await provider.allocate({ sessionId: "s1", participants: [customer, captain], ttlSeconds: 60 });
+    const second = await provider.allocate({ sessionId: "s2", participants: [customer, captain], ttlSeconds: 60 });
+
+    assert.equal(first.proxyNumber, "+9647990000000");
+    assert.equal(second.proxyNumber, "+9647990000001");
+    assert.notEqual(first.providerSessionId, second.providerSessionId);
+  });
+
+  it("reuses a released number and releasing twice is not an error", async () => {
+    const provider = createProvider();
+    const first = await provider.allocate({ sessionId: "s1", participants: [customer, captain], ttlSeconds: 60 });
+    await provider.allocate({ sessionId: "s2", participants: [customer, captain], ttlSeconds: 60 });
+
+    await provider.release({ providerSessionId: first.providerSessionId });
+    await provider.release({ providerSessionId: first.providerSessionId });
+
+    const third = await provider.allocate({ sessionId: "s3", participants: [customer, captain], ttlSeconds: 60 });
+    assert.equal(third.proxyNumber, first.proxyNumber);
+  });
+
+  it("fails with a retryable error when the pool is exhausted", async () => {
+    const provider = createProvider({ poolSize: 1 });
+    await provider.allocate({ sessionId: "s1", participants: [customer, captain], ttlSeconds: 60 });
+
+    await assert.rejects(
+      provider.allocate({ sessionId: "s2", participants: [customer, captain], ttlSeconds: 60 }),
+      error => error.retryable === true
+    );
+  });
+
+  it("bridges each participant to the other one", async () => {
+    const provider = createProvider();
+    const { proxyNumber } = await provider.allocate({ sessionId: "s1", participants: [customer, captain], ttlSeconds: 60 });
+
+    assert.equal(provider.route(customer.phoneNumber, proxyNumber), captain.phoneNumber);
+    assert.equal(provider.route(captain.phoneNumber, proxyNumber), customer.phoneNumber);
+  });
+
+  it("does not route strangers, released numbers or expired sessions", async () => {
+    const provider = createProvider();
+    const active = await provider.allocate({ sessionId: "s1", participants: [customer, captain], ttlSeconds: 60 });
+    assert.equal(provider.route("+9647709999999", active.proxyNumber), null);
+
+    await provider.release({ providerSessionId: active.providerSessionId });
+    assert.equal(provider.route(customer.phoneNumber, active.proxyNumber), null);
+
+    const expired = await provider.allocate({ sessionId: "s2", participants: [customer, captain], ttlSeconds: 0 });
+    assert.equal(provider.route(customer.phoneNumber, expired.proxyNumber), null);
+  });
+});
+
+describe("createTelephonyProvider", () => {
+  it("creates providers by name and rejects unknown ones", () => {
+    assert.equal(createTelephonyProvider("fake", { logger: silentLogger }).name, "fake");
+    assert.equal(createTelephonyProvider("HTTP", { url: "https://calls.example/", apiKey: "key" }).name, "http");
+    assert.throws(() => createTelephonyProvider("http", {}), /API url and key/);
+    assert.throws(() => createTelephonyProvider(undefined), /Unknown telephony provider/);
+  });
+});
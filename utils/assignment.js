@@ -0,0 +1,91 @@
+/**
+ * Assignment Helper
+ * حل مسألة التعيين (Hungarian) لمصفوفة تكاليف مستطيلة: كل صف يأخذ عموداً واحداً على الأكثر بأقل مجموع
+ */
+
+/**
+ * Minimum-cost assignment of rows to columns
+ * @param {Array<Array<number>>} costs - costs[row][column], use Infinity for forbidden pairs
+ * @returns {Array<number>} Column of each row, -1 when the row stays unassigned
+ */
+function solveAssignment(costs) {
+  const rowCount = costs.length;
+  const columnCount = rowCount > 0 ? costs[0].length : 0;
+  if (rowCount === 0 || columnCount === 0) return new Array(rowCount).fill(-1);
+
+  // The algorithm needs rows <= columns: solve the transposed matrix otherwise
+  if (rowCount > columnCount) {
+    const transposed = costs[0].map((_, column) => costs.map(row => row[column]));
+    const columnToRow = solveAssignment(transposed);
+    const result = new Array(rowCount).fill(-1);
+    columnToRow.forEach((row, column) => {
+      if (row !== -1) result[row] = column;
+    });
+    return result;
+  }
+
+  // Forbidden pairs get a cost above any real assignment, dropped again at the end
+  const finite = costs.flat().filter(Number.isFinite);
+  const forbidden = (finite.length ? Math.max(...finite.map(Math.abs)) : 1) * (rowCount + 1) + 1;
+  const cost = (row, column) => (Number.isFinite(costs[row][column]) ? costs[row][column] : forbidden);
+
+  // Potentials method, 1-indexed (index 0 is the virtual start)
+  const u = new Array(rowCount + 1).fill(0);
+  const v = new Array(columnCount + 1).fill(0);
+  const owner = new Array(columnCount + 1).fill(0); // column -> row
+  const way = new Array(columnCount + 1).fill(0);
+
+  for (let row = 1; row <= rowCount; row++) {
+    owner[0] = row;
+    let column0 = 0;
+    const minValue = new Array(columnCount + 1).fill(Infinity);
+    const used = new Array(columnCount + 1).fill(false);
+
+    do {
+      used[column0] = true;
+      const row0 = owner[column0];
+      let delta = Infinity;
+      let column1 = 0;
+
+      for (let column = 1; column <= columnCount; column++) {
+        if (used[column]) continue;
+        const reduced = cost(row0 - 1, column - 1) - u[row0] - v[column];
+        if (reduced < minValue[column]) {
+          minValue[column] = reduced;
+          way[column] = column0;
+        }
+        if (minValue[column] < delta) {
+          delta = minValue[column];
+          column1 = column;
+        }
+      }
+
+      for (let column = 0; column <= columnCount; column++) {
+        if (used[column]) {
+          u[owner[column]] += delta;
+          v[column] -= delta;
+        } else {
+          minValue[column] -= delta;
+        }
+      }
+      column0 = column1;
+    } while (owner[column0] !== 0);
+
+    do {
+      const column1 = way[column0];
+      owner[column0] = owner[column1];
+      column0 = column1;
+    } while (column0 !== 0);
+  }
+
+  const result = new Array(rowCount).fill(-1);
+  for (let column = 1; column <= columnCount; column++) {
+    const row = owner[column] - 1;
+    if (row >= 0 && Number.isFinite(costs[row][column - 1])) {
+      result[row] = column - 1;
+    }
+  }
+  return result;
+}
+
+module.exports = { solveAssignment };
@@ -6,6 +6,8 @@
  * @author Senior Backend Team
  */
 
+const { findVehicleCategory, getCategoryFareTable } = require('./vehicleCategories');
+
 // ===========================================================================================
 // DISTANCE CALCULATION
 // ===========================================================================================
@@ -36,6 +38,43 @@ function calculateDistance(coords1, coords2) {
 
     return distance;
 }
+/**
+ * Normalize a point given as {coordinates: [lng, lat]} or {latitude, longitude}.
+ * @param {Object} point - The point to normalize.
+ * @returns {Array<number>|null} The coordinates as [longitude, latitude], or null if invalid.
+ */
+function toCoordinates(point) {
+    if (!point) return null;
+
+    const coordinates = Array.isArray(point.coordinates)
+        ? [Number(point.coordinates[0]), Number(point.coordinates[1])]
+        : [Number(point.longitude), Number(point.latitude)];
+
+    if (coordinates.some(value => isNaN(value)) ||
+        Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+        return null;
+    }
+
+    return coordinates;
+}
+
+/**
+ * Calculates the total distance of a route passing through ordered points.
+ * @param {Array<Array<number>>} points - Ordered coordinates as [longitude, latitude] (pickup, stops..., dropoff).
+ * @returns {{distance: number, legs: Array<number>}} Total distance and per-leg distances in kilometers.
+ */
+function calculateRouteDistance(points) {
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+        legs.push(calculateDistance(points[i - 1], points[i]));
+    }
+
+    return {
+        distance: legs.reduce((sum, leg) => sum + leg, 0),
+        legs
+    };
+}
+
 function estimateDuration(distanceKm) {
     const averageSpeedKmh = 30; // km per hour
     const durationHours = distanceKm / averageSpeedKmh;
@@ -74,6 +113,7 @@ function calculateRideFare(rideDetails, settings, options = {}) {
             baseFare: calculateBaseFare(context),
             distanceFare: calculateDistanceFare(context),
             timeFare: calculateTimeFare(context),
+            stops: calculateStopsFare(context),
 
             // Dynamic pricing
             surgePricing: calculateSurgePricing(context),
@@ -167,15 +207,20 @@ function validateCalculationInputs(rideDetails, settings) {
  */
 function initializeCalculationContext(rideDetails, settings, options) {
     const now = new Date();
+    // A configured vehicle category brings its own price table
+    const vehicleCategory = findVehicleCategory(settings, rideDetails.vehicleType);
 
     return {
         // Ride information
         ride: {
             distance: rideDetails.distance,
             duration: rideDetails.duration || estimateDuration(rideDetails.distance),
+            waitingTime: rideDetails.waitingTime, // measured minutes at low speed (metered trips only)
             pickupLocation: rideDetails.pickupLocation,
             dropoffLocation: rideDetails.dropoffLocation,
+            waypoints: rideDetails.waypoints || [],
             vehicleType: rideDetails.vehicleType || 'standard',
+            vehicleCategory: vehicleCategory ? vehicleCategory.key : null,
             paymentMethod: rideDetails.paymentMethod || 'cash',
             isShared: rideDetails.isShared || false,
             priority: rideDetails.priority || 'normal',
@@ -187,7 +232,7 @@ function initializeCalculationContext(rideDetails, settings, options) {
         settings: {
             ...settings,
             // Ensure defaults for missing values
-            fare: {
+            fare: getCategoryFareTable({
                 baseFare: 3000,
                 pricePerKm: 500,
                 pricePerMinute: 0,
@@ -197,7 +242,7 @@ function initializeCalculationContext(rideDetails, settings, options) {
                 weekendMultiplier: 1.15,
                 currency: 'IQD',
                 ...settings.fare
-            }
+            }, vehicleCategory)
         },
 
         // Time context
@@ -216,7 +261,8 @@ function initializeCalculationContext(rideDetails, settings, options) {
             demandLevel: options.demandLevel || getDemandLevel(rideDetails, now),
             surgeActive: options.surgeActive || false,
             surgeMultiplier: options.surgeMultiplier || 1.0,
-            cityZone: getCityZone(rideDetails.pickupLocation),
+            surgeZone: options.surgeZone || null, // { zoneId, zoneName, multiplier, source } from the surge service
+            cityZone: options.surgeZone?.zoneName || getCityZone(rideDetails.pickupLocation),
             weatherCondition: options.weatherCondition || 'normal'
         },
 
@@ -250,7 +296,10 @@ function calculateBaseFare(context) {
         'van': 1.6
     };
 
-    const vehicleMultiplier = vehicleMultipliers[context.ride.vehicleType] || 1.0;
+    // Category prices are already in the fare table, the multiplier only covers unconfigured types
+    const vehicleMultiplier = context.ride.vehicleCategory
+        ? 1.0
+        : vehicleMultipliers[context.ride.vehicleType] || 1.0;
     baseFare *= vehicleMultiplier;
 
     return {
@@ -343,24 +392,51 @@ function calculateTimeFare(context) {
     let timeFare = billableTime * pricePerMinute;
 
     // Additional waiting time charges (after first 3 minutes)
+    // A metered trip brings its measured waiting time, a quote approximates it from the duration
     const freeWaitingTime = 3;
-    if (duration > freeWaitingTime) {
-        const waitingTime = duration - freeWaitingTime;
-        const waitingRate = pricePerMinute * 1.5; // 50% higher rate for waiting
-        timeFare += waitingTime * waitingRate;
-    }
+    const measured = typeof context.ride.waitingTime === 'number';
+    const waitingTime = Math.max(0, (measured ? context.ride.waitingTime : duration) - freeWaitingTime);
+    const waitingRate = pricePerMinute * 1.5; // 50% higher rate for waiting
+    timeFare += waitingTime * waitingRate;
 
     return {
         amount: Math.round(timeFare),
         duration: duration,
         billableTime: billableTime,
         pricePerMinute: pricePerMinute,
-        waitingTime: Math.max(0, duration - freeWaitingTime),
-        waitingRate: pricePerMinute * 1.5,
+        waitingTime: waitingTime,
+        waitingRate: waitingRate,
+        waitingMeasured: measured,
         included: true
     };
 }
 
+/**
+ * Calculate intermediate stops fee
+ */
+function calculateStopsFare(context) {
+    const stopsConfig = {
+        enabled: true,
+        pricePerStop: 500,
+        ...(context.settings.stops || {})
+    };
+    const stopCount = context.ride.waypoints.length;
+
+    if (!stopsConfig.enabled || stopCount === 0) {
+        return {
+            amount: 0,
+            count: stopCount,
+            pricePerStop: stopsConfig.pricePerStop
+        };
+    }
+
+    return {
+        amount: Math.round(stopCount * stopsConfig.pricePerStop),
+        count: stopCount,
+        pricePerStop: stopsConfig.pricePerStop
+    };
+}
+
 /**
  * Calculate surge pricing
  */
@@ -383,7 +459,11 @@ function calculateSurgePricing(context) {
         active: true,
         multiplier: surgeMultiplier,
         reason: getSurgeReason(context),
-        level: getSurgeLevel(surgeMultiplier)
+        level: getSurgeLevel(surgeMultiplier),
+        zone: context.market.surgeZone ? {
+            id: context.market.surgeZone.zoneId,
+            name: context.market.surgeZone.zoneName
+        } : null
     };
 }
 
@@ -795,6 +875,7 @@ function generateCalculationMetadata(context) {
         currency: context.settings.fare.currency,
         rideType: context.ride.isShared ? 'shared' : 'individual',
         vehicleType: context.ride.vehicleType,
+        vehicleCategory: context.ride.vehicleCategory,
         cityZone: context.market.cityZone,
         demandLevel: context.market.demandLevel,
         timeContext: {
@@ -816,6 +897,7 @@ function calculateTotals(fareBreakdown, context) {
         fareBreakdown.baseFare.amount +
         fareBreakdown.distanceFare.amount +
         fareBreakdown.timeFare.amount +
+        fareBreakdown.stops.amount +
         fareBreakdown.surgePricing.amount +
         fareBreakdown.demandMultiplier.amount +
         fareBreakdown.timeMultipliers.combined.totalAmount +
@@ -852,6 +934,7 @@ function calculateTotals(fareBreakdown, context) {
             fees: Math.round(
                 fareBreakdown.serviceFee.amount +
                 fareBreakdown.bookingFee.amount +
+                fareBreakdown.stops.amount +
                 fareBreakdown.tolls.amount +
                 fareBreakdown.airportFee.amount
             )
@@ -910,6 +993,7 @@ function generateDetailedFareResponse(fareBreakdown, finalFare, context) {
             baseFare: fareBreakdown.baseFare,
             distanceFare: fareBreakdown.distanceFare,
             timeFare: fareBreakdown.timeFare,
+            stops: fareBreakdown.stops,
             surgePricing: fareBreakdown.surgePricing,
             demandMultiplier: fareBreakdown.demandMultiplier,
             timeMultipliers: fareBreakdown.timeMultipliers,
@@ -992,6 +1076,9 @@ function getCityZone(location) {
 }
 
 function getSurgeReason(context) {
+    if (context.market.surgeZone) {
+        return context.market.surgeZone.source === 'override' ? 'admin_override' : 'zone_demand';
+    }
     if (context.time.isPeakHour) return 'peak_hour';
     if (context.market.demandLevel === 'very_high') return 'high_demand';
     if (context.time.isHoliday) return 'holiday';
@@ -1100,12 +1187,15 @@ module.exports = {
     calculateRideFare,
     validateCalculationInputs,
     calculateDistance,
+    calculateRouteDistance,
+    toCoordinates,
     getFareForCoordinates,
     estimateDuration,
     // Export individual calculation functions for testing
     calculateBaseFare,
     calculateDistanceFare,
     calculateTimeFare,
+    calculateStopsFare,
     calculateSurgePricing,
     calculateTimeMultipliers,
     calculateServiceFee,
@@ -62,7 +62,65 @@ const findNearbyCaptains = async (redisClient, logger, origin, radius = 2) => {
   }
 };
 
+// Function to read current captain positions from the captains geo set (missing or invalid ones are left out)
+const getCaptainPositions = async (redisClient, captainIds) => {
+  const positions = new Map();
+  if (!redisClient || captainIds.length === 0) return positions;
+
+  const ids = captainIds.map(String);
+  const results = await redisClient.geoPos("captains", ids);
+  results.forEach((position, index) => {
+    if (!position) return;
+    const longitude = parseFloat(position.longitude);
+    const latitude = parseFloat(position.latitude);
+    if (isNaN(longitude) || isNaN(latitude) || Math.abs(longitude) > 180 || Math.abs(latitude) > 90) return;
+    positions.set(ids[index], { latitude, longitude });
+  });
+  return positions;
+};
+
+// Function to shape a ride's intermediate stops for socket payloads (ordered)
+function formatWaypoints(ride) {
+  return (ride?.waypoints || [])
+    .slice()
+    .sort((a, b) => a.order - b.order)
+    .map((waypoint) => ({
+      waypointId: waypoint._id,
+      order: waypoint.order,
+      coordinates: waypoint.coordinates,
+      locationName: waypoint.locationName,
+      status: waypoint.status,
+      arrivedAt: waypoint.arrivedAt,
+      departedAt: waypoint.departedAt,
+      waitMinutes: waypoint.waitMinutes || 0,
+      waitCharge: waypoint.waitCharge || 0,
+    }));
+}
+
+// Function to check if a [longitude, latitude] point is inside a GeoJSON polygon (ray casting, holes excluded)
+function isPointInPolygon(point, polygonCoordinates) {
+  if (!point || !Array.isArray(polygonCoordinates) || polygonCoordinates.length === 0) return false;
+
+  const insideRing = (ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      const intersects = (yi > point[1]) !== (yj > point[1]) &&
+        point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi;
+      if (intersects) inside = !inside;
+    }
+    return inside;
+  };
+
+  const [outerRing, ...holes] = polygonCoordinates;
+  return insideRing(outerRing) && !holes.some(insideRing);
+}
+
 module.exports = {
   calculateDistance,
-  findNearbyCaptains
+  findNearbyCaptains,
+  getCaptainPositions,
+  formatWaypoints,
+  isPointInPolygon
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Notification Providers
+ * مزودو الإشعارات: إرسال الإشعار لجهاز المستخدم (FCM) أو تسجيله محلياً في ملف/السجل للاختبار
+ *
+ * Every provider implements the same interface:
+ *   send({ token, title, body, data, collapseKey }) -> { messageId }
+ *   name                                            -> stored on the outbox entry
+ * A failed send throws an Error with:
+ *   invalidToken -> the device token is no longer valid (never retried, the token is cleared)
+ *   retryable    -> temporary failure, retried with backoff
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+// Only errors about the token itself: a sender mismatch or a bad payload are our own misconfiguration
+const INVALID_TOKEN_ERRORS = ["NotRegistered", "InvalidRegistration", "UNREGISTERED"];
+
+function notificationError(message, { invalidToken = false, retryable = false } = {}) {
+  const error = new Error(message);
+  error.invalidToken = invalidToken;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * FCM-style HTTP push (legacy /fcm/send payload, server key authorization)
+ */
+class FcmNotificationProvider {
+  constructor({ url = "https://fcm.googleapis.com/fcm/send", serverKey, timeoutMs = 5000 } = {}) {
+    if (!serverKey) throw new Error("FCM push needs a server key");
+    this.name = "fcm";
+    this.http = axios.create({
+      timeout: timeoutMs,
+      headers: { Authorization: `key=${serverKey}`, "Content-Type": "application/json" }
+    });
+    this.url = url;
+  }
+
+  async send({ token, title, body, data = {}, collapseKey }) {
+    let response;
+    try {
+      response = await this.http.post(this.url, {
+        to: token,
+        priority: "high",
+        collapse_key: collapseKey,
+        notification: { title, body, sound: "default" },
+        // FCM data values must be strings
+        data: Object.fromEntries(Object.entries(data).map(([key, value]) => [
+          key,
+          typeof value === "string" ? value : JSON.stringify(value)
+        ]))
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      // 4xx other than rate limiting will fail the same way next time
+      const retryable = !status || status === 429 || status >= 500;
+      throw notificationError(`FCM request failed: ${status || error.code || error.message}`, { retryable });
+    }
+
+    const result = response.data?.results?.[0];
+    if (result?.error) {
+      const invalidToken = INVALID_TOKEN_ERRORS.includes(result.error);
+      throw notificationError(`FCM rejected the message: ${result.error}`, {
+        invalidToken,
+        retryable: !invalidToken && ["Unavailable", "InternalServerError"].includes(result.error)
+      });
+    }
+    return { messageId: result?.message_id || null };
+  }
+}
+
+/**
+ * Appends every notification as a JSON line (local runs and tests)
+ */
+class FileNotificationProvider {
+  constructor({ filePath = path.join(process.cwd(), "notifications.log") } = {}) {
+    this.name = "file";
+    this.filePath = filePath;
+  }
+
+  async send({ token, title, body, data = {} }) {
+    const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.promises.appendFile(
+      this.filePath,
+      JSON.stringify({ messageId, token, title, body, data, at: new Date().toISOString() }) + "\n"
+    );
+    return { messageId };
+  }
+}
+
+/**
+ * Writes every notification to the logger, keeps the last ones in memory
+ */
+class ConsoleNotificationProvider {
+  constructor({ logger = console, invalidTokens = [] } = {}) {
+    this.name = "console";
+    this.logger = logger;
+    this.invalidTokens = new Set(invalidTokens); // Tokens answered as unregistered, for tests
+    this.sent = [];
+  }
+
+  async send({ token, title, body, data = {} }) {
+    if (this.invalidTokens.has(token)) {
+      throw notificationError("Token not registered", { invalidToken: true });
+    }
+    const messageId = `console-${this.sent.length + 1}`;
+    this.sent.push({ messageId, token, title, body, data });
+    this.logger.info(`[Push] ${token.slice(0, 12)}… ${title}: ${body}`);
+    return { messageId };
+  }
+}
+
+/**
+ * Provider by name: fcm | file | console
+ */
+function createNotificationProvider(name, options = {}) {
+  switch ((name || "console").toLowerCase()) {
+    case "fcm":
+      return new FcmNotificationProvider(options);
+    case "file":
+      return new FileNotificationProvider(options);
+    case "console":
+      return new ConsoleNotificationProvider(options);
+    default:
+      throw new Error(`Unknown notification provider: ${name}`);
+  }
+}
+
+module.exports = {
+  FcmNotificationProvider,
+  FileNotificationProvider,
+  ConsoleNotificationProvider,
+  createNotificationProvider,
+  notificationError
+};
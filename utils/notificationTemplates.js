@@ -0,0 +1,127 @@
+/**
+ * Notification Templates
+ * نصوص الإشعارات لكل حدث باللغتين العربية والإنجليزية
+ *
+ * Keyed by recipient type then socket event name. Events without a template (location updates,
+ * pool updates, hideRide...) are not worth a push and are dropped when the user is offline.
+ * Each template returns { title, body } from the payload that was meant for the socket.
+ */
+
+const TEMPLATES = {
+  customer: {
+    rideAccepted: {
+      ar: (data) => ({
+        title: "تم قبول رحلتك",
+        body: `الكابتن ${data.driverInfo?.name || ""} في الطريق إليك${data.estimatedArrival?.minutes ? ` (${data.estimatedArrival.minutes} دقيقة)` : ""}`
+      }),
+      en: (data) => ({
+        title: "Ride accepted",
+        body: `Captain ${data.driverInfo?.name || ""} is on the way${data.estimatedArrival?.minutes ? ` (${data.estimatedArrival.minutes} min)` : ""}`
+      })
+    },
+    captainNearby: {
+      ar: (data) => ({ title: "الكابتن قريب", body: `الكابتن على بعد ${data.etaMinutes} دقيقة` }),
+      en: (data) => ({ title: "Captain nearby", body: `Your captain is ${data.etaMinutes} min away` })
+    },
+    driverArrived: {
+      ar: () => ({ title: "وصل الكابتن", body: "الكابتن بانتظارك في نقطة الانطلاق" }),
+      en: () => ({ title: "Captain arrived", body: "Your captain is waiting at the pickup point" })
+    },
+    rideStarted: {
+      ar: () => ({ title: "بدأت الرحلة", body: "رحلة سعيدة!" }),
+      en: () => ({ title: "Ride started", body: "Enjoy your ride!" })
+    },
+    rideAwaitingPayment: {
+      ar: (data) => ({ title: "وصلت إلى وجهتك", body: `أجرة الرحلة ${data.fare} ${data.currency || ""}`.trim() }),
+      en: (data) => ({ title: "You have arrived", body: `Ride fare: ${data.fare} ${data.currency || ""}`.trim() })
+    },
+    rideCompleted: {
+      ar: (data) => ({ title: "إيصال الرحلة", body: `تم دفع ${data.receivedAmount ?? data.fare} ${data.currency || ""}، شكراً لاستخدامك خدمتنا`.trim() }),
+      en: (data) => ({ title: "Ride receipt", body: `Paid ${data.receivedAmount ?? data.fare} ${data.currency || ""}. Thank you for riding with us`.trim() })
+    },
+    rideCanceled: {
+      ar: () => ({ title: "تم إلغاء الرحلة", body: "ألغى الكابتن الرحلة، يمكنك طلب رحلة جديدة" }),
+      en: () => ({ title: "Ride cancelled", body: "The captain cancelled the ride, please request a new one" })
+    },
+    rideNotApproved: {
+      ar: () => ({ title: "لم يتم العثور على كابتن", body: "لم نجد كابتن متاحاً لطلبك، حاول مرة أخرى" }),
+      en: () => ({ title: "No captain found", body: "We couldn't find an available captain, please try again" })
+    },
+    scheduledRideReminder: {
+      ar: (data) => ({ title: "تذكير برحلتك المجدولة", body: `رحلتك بعد ${data.minutesUntilPickup} دقيقة` }),
+      en: (data) => ({ title: "Scheduled ride reminder", body: `Your ride is in ${data.minutesUntilPickup} min` })
+    },
+    scheduledRideDispatching: {
+      ar: () => ({ title: "رحلتك المجدولة", body: "بدأ البحث عن كابتن لرحلتك" }),
+      en: () => ({ title: "Scheduled ride", body: "We are looking for a captain for your ride" })
+    },
+    chatMessage: {
+      ar: (data) => ({ title: data.senderType === "support" ? SUPPORT_TITLE.ar : "رسالة من الكابتن", body: chatPreview(data, "ar") }),
+      en: (data) => ({ title: data.senderType === "support" ? SUPPORT_TITLE.en : "Message from your captain", body: chatPreview(data, "en") })
+    }
+  },
+  captain: {
+    rideCanceled: {
+      ar: (data) => ({
+        title: "تم إلغاء الرحلة",
+        body: data.compensation ? `ألغى الزبون الرحلة، تعويضك ${data.compensation} ${data.currency || ""}`.trim() : "ألغى الزبون الرحلة"
+      }),
+      en: (data) => ({
+        title: "Ride cancelled",
+        body: data.compensation ? `The customer cancelled, your compensation: ${data.compensation} ${data.currency || ""}`.trim() : "The customer cancelled the ride"
+      })
+    },
+    breakWarning: {
+      ar: (data) => ({ title: "اقتربت الاستراحة", body: `تبدأ استراحتك الإجبارية بعد ${data.minutesLeft} دقيقة` }),
+      en: (data) => ({ title: "Break coming up", body: `Your mandatory break starts in ${data.minutesLeft} min` })
+    },
+    forcedBreak: {
+      ar: (data) => ({ title: "استراحة إجبارية", body: `لن تصلك طلبات لمدة ${data.breakMinutes} دقيقة` }),
+      en: (data) => ({ title: "Mandatory break", body: `No ride offers for the next ${data.breakMinutes} min` })
+    },
+    chatMessage: {
+      ar: (data) => ({ title: data.senderType === "support" ? SUPPORT_TITLE.ar : "رسالة من الزبون", body: chatPreview(data, "ar") }),
+      en: (data) => ({ title: data.senderType === "support" ? SUPPORT_TITLE.en : "Message from your passenger", body: chatPreview(data, "en") })
+    }
+  }
+};
+
+// Chat messages posted by support staff into a ride chat
+const SUPPORT_TITLE = { ar: "رسالة من الدعم", en: "Message from support" };
+
+const CHAT_MEDIA_PREVIEW = {
+  image: { ar: "📷 صورة", en: "📷 Photo" },
+  audio: { ar: "🎤 رسالة صوتية", en: "🎤 Voice message" },
+  location: { ar: "📍 موقع", en: "📍 Location" }
+};
+
+// Text of the message, or a label for photos, voice notes and location pins without a caption
+function chatPreview(data, locale) {
+  if (data.text) return truncate(data.text);
+  return CHAT_MEDIA_PREVIEW[data.messageType]?.[locale] || "";
+}
+
+function truncate(text, length = 120) {
+  const value = String(text || "");
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+/**
+ * Title and body for an event, null when the event is not pushed
+ * @param {string} recipientType - customer | captain
+ * @param {string} event - Socket event name
+ * @param {Object} data - Socket payload
+ * @param {string} locale - ar | en (falls back to ar)
+ * @returns {Object|null} { title, body }
+ */
+function renderNotification(recipientType, event, data = {}, locale = "ar") {
+  const template = TEMPLATES[recipientType]?.[event];
+  if (!template) return null;
+  return (template[locale] || template.ar)(data || {});
+}
+
+function hasTemplate(recipientType, event) {
+  return !!TEMPLATES[recipientType]?.[event];
+}
+
+module.exports = { renderNotification, hasTemplate };
@@ -1,7 +1,11 @@
+const mongoose = require('mongoose');
 const Driver = require('../model/Driver');
 const Customer = require('../model/customer');
 const FinancialAccount = require('../model/financialAccount');
 const MoneyTransfers = require('../model/moneyTransfers');
+const FinancialAccountService = require('../services/financialAccountService');
+
+const financialAccountService = new FinancialAccountService(console);
 
 // Helper function to create financial account for new users
 const createFinancialAccount = async () => {
@@ -14,7 +18,9 @@ const createFinancialAccount = async () => {
 };
 
 // Helper function to update balance
-const updateBalance = async (userId, amount, userType) => {
+// The movement is recorded as a MoneyTransfers entry and ledgered in one transaction,
+// pass the request's idempotency key so a retried request is not applied twice
+const updateBalance = async (userId, amount, userType, { idempotencyKey = null } = {}) => {
   const Model = userType === 'driver' ? Driver : Customer;
   const user = await Model.findById(userId).populate('financialAccount');
   
@@ -30,16 +36,20 @@ const updateBalance = async (userId, amount, userType) => {
     await user.populate('financialAccount');
   }
 
-  // Update vault balance
-  user.financialAccount.vault += amount;
-  
-  // Add transaction record
-  user.financialAccount.transactions.push({
-    date: new Date(),
-    description: `Balance ${amount > 0 ? 'credit' : 'debit'} of ${Math.abs(amount)} IQD`
-  });
+  const description = `Balance ${amount > 0 ? 'credit' : 'debit'} of ${Math.abs(amount)} IQD`;
+  const options = {
+    idempotencyKey: `manual_balance:${idempotencyKey || new mongoose.Types.ObjectId()}`,
+    metadata: { category: 'manual_balance', userId, userType }
+  };
+  const result = amount > 0
+    ? await financialAccountService.addBalance(user.financialAccount._id, amount, description, options)
+    : await financialAccountService.deductBalance(user.financialAccount._id, Math.abs(amount), description, false, options);
+
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to update balance');
+  }
 
-  await user.financialAccount.save();
+  await user.populate('financialAccount');
   return user;
 };
 
@@ -0,0 +1,223 @@
+/**
+ * Routing Providers
+ * مزودو المسارات: مسافة وزمن على شبكة الطرق (OSRM / Valhalla) أو خط مستقيم (Haversine) كبديل
+ *
+ * Every provider implements the same interface, points are [longitude, latitude]:
+ *   route(points)                -> { distanceKm, durationMinutes, legs: [{ distanceKm, durationMinutes }] }
+ *   table(sources, destinations) -> [[{ distanceKm, durationMinutes } | null]] (sources x destinations)
+ *   name                         -> used in cache keys and responses
+ *   estimated                    -> true when the figures are not road-network figures
+ */
+
+const axios = require("axios");
+const { calculateDistance } = require("./helpers");
+
+const toLatLng = ([longitude, latitude]) => ({ latitude, longitude });
+
+/**
+ * Straight-line distance at a fixed average speed (the behaviour before road routing)
+ */
+class HaversineRoutingProvider {
+  constructor({ averageSpeedKmh = 30 } = {}) {
+    this.name = "haversine";
+    this.estimated = true;
+    this.averageSpeedKmh = averageSpeedKmh;
+  }
+
+  leg(from, to) {
+    const distanceKm = calculateDistance(toLatLng(from), toLatLng(to));
+    return { distanceKm, durationMinutes: (distanceKm / this.averageSpeedKmh) * 60 };
+  }
+
+  async route(points) {
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+      legs.push(this.leg(points[i - 1], points[i]));
+    }
+    return {
+      distanceKm: legs.reduce((sum, leg) => sum + leg.distanceKm, 0),
+      durationMinutes: legs.reduce((sum, leg) => sum + leg.durationMinutes, 0),
+      legs
+    };
+  }
+
+  async table(sources, destinations) {
+    return sources.map(source => destinations.map(destination => this.leg(source, destination)));
+  }
+}
+
+/**
+ * Self-hosted OSRM (http://router.project-osrm.org compatible API)
+ */
+class OsrmRoutingProvider {
+  constructor({ baseUrl, profile = "driving", timeoutMs = 3000 } = {}) {
+    if (!baseUrl) throw new Error("OSRM routing needs a base URL");
+    this.name = "osrm";
+    this.estimated = false;
+    this.profile = profile;
+    this.http = axios.create({ baseURL: baseUrl.replace(/\/$/, ""), timeout: timeoutMs });
+  }
+
+  coordinates(points) {
+    return points.map(([longitude, latitude]) => `${longitude},${latitude}`).join(";");
+  }
+
+  async route(points) {
+    const { data } = await this.http.get(`/route/v1/${this.profile}/${this.coordinates(points)}`, {
+      params: { overview: "false", steps: "false" }
+    });
+    if (data.code !== "Ok" || !data.routes?.length) {
+      throw new Error(`OSRM route failed: ${data.code} ${data.message || ""}`.trim());
+    }
+
+    const [route] = data.routes;
+    return {
+      distanceKm: route.distance / 1000,
+      durationMinutes: route.duration / 60,
+      legs: route.legs.map(leg => ({ distanceKm: leg.distance / 1000, durationMinutes: leg.duration / 60 }))
+    };
+  }
+
+  async table(sources, destinations) {
+    const points = [...sources, ...destinations];
+    const { data } = await this.http.get(`/table/v1/${this.profile}/${this.coordinates(points)}`, {
+      params: {
+        sources: sources.map((_, index) => index).join(";"),
+        destinations: destinations.map((_, index) => sources.length + index).join(";"),
+        annotations: "duration,distance"
+      }
+    });
+    if (data.code !== "Ok") {
+      throw new Error(`OSRM table failed: ${data.code} ${data.message || ""}`.trim());
+    }
+
+    return data.durations.map((row, i) => row.map((duration, j) => {
+      const distance = data.distances?.[i]?.[j];
+      if (duration === null || distance === null || distance === undefined) return null;
+      return { distanceKm: distance / 1000, durationMinutes: duration / 60 };
+    }));
+  }
+}
+
+/**
+ * Self-hosted Valhalla
+ */
+class ValhallaRoutingProvider {
+  constructor({ baseUrl, costing = "auto", timeoutMs = 3000 } = {}) {
+    if (!baseUrl) throw new Error("Valhalla routing needs a base URL");
+    this.name = "valhalla";
+    this.estimated = false;
+    this.costing = costing;
+    this.http = axios.create({ baseURL: baseUrl.replace(/\/$/, ""), timeout: timeoutMs });
+  }
+
+  locations(points) {
+    return points.map(([lon, lat]) => ({ lat, lon }));
+  }
+
+  async route(points) {
+    const { data } = await this.http.post("/route", {
+      locations: this.locations(points),
+      costing: this.costing,
+      units: "kilometers",
+      directions_type: "none"
+    });
+    if (!data.trip?.summary) {
+      throw new Error(`Valhalla route failed: ${data.error || "no trip"}`);
+    }
+
+    return {
+      distanceKm: data.trip.summary.length,
+      durationMinutes: data.trip.summary.time / 60,
+      legs: data.trip.legs.map(leg => ({ distanceKm: leg.summary.length, durationMinutes: leg.summary.time / 60 }))
+    };
+  }
+
+  async table(sources, destinations) {
+    const { data } = await this.http.post("/sources_to_targets", {
+      sources: this.locations(sources),
+      targets: this.locations(destinations),
+      costing: this.costing,
+      units: "kilometers"
+    });
+    if (!Array.isArray(data.sources_to_targets)) {
+      throw new Error(`Valhalla matrix failed: ${data.error || "no matrix"}`);
+    }
+
+    return data.sources_to_targets.map(row => row.map(cell => (
+      cell && cell.distance !== null && cell.time !== null
+        ? { distanceKm: cell.distance, durationMinutes: cell.time / 60 }
+        : null
+    )));
+  }
+}
+
+/**
+ * In-memory provider for tests and local runs: fixed legs, Haversine for anything not set
+ */
+class StaticRoutingProvider {
+  constructor({ averageSpeedKmh = 30, legs = [] } = {}) {
+    this.name = "static";
+    this.estimated = false;
+    this.fallback = new HaversineRoutingProvider({ averageSpeedKmh });
+    this.legs = new Map();
+    this.calls = [];
+    legs.forEach(({ from, to, distanceKm, durationMinutes }) => this.setLeg(from, to, { distanceKm, durationMinutes }));
+  }
+
+  key(from, to) {
+    return `${from[0]},${from[1]}>${to[0]},${to[1]}`;
+  }
+
+  setLeg(from, to, { distanceKm, durationMinutes }) {
+    this.legs.set(this.key(from, to), { distanceKm, durationMinutes });
+  }
+
+  leg(from, to) {
+    return this.legs.get(this.key(from, to)) || this.fallback.leg(from, to);
+  }
+
+  async route(points) {
+    this.calls.push({ method: "route", points });
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+      legs.push(this.leg(points[i - 1], points[i]));
+    }
+    return {
+      distanceKm: legs.reduce((sum, leg) => sum + leg.distanceKm, 0),
+      durationMinutes: legs.reduce((sum, leg) => sum + leg.durationMinutes, 0),
+      legs
+    };
+  }
+
+  async table(sources, destinations) {
+    this.calls.push({ method: "table", sources, destinations });
+    return sources.map(source => destinations.map(destination => this.leg(source, destination)));
+  }
+}
+
+/**
+ * Provider by name: osrm | valhalla | static | haversine
+ */
+function createRoutingProvider(name, options = {}) {
+  switch ((name || "haversine").toLowerCase()) {
+    case "osrm":
+      return new OsrmRoutingProvider(options);
+    case "valhalla":
+      return new ValhallaRoutingProvider(options);
+    case "static":
+      return new StaticRoutingProvider(options);
+    case "haversine":
+      return new HaversineRoutingProvider(options);
+    default:
+      throw new Error(`Unknown routing provider: ${name}`);
+  }
+}
+
+module.exports = {
+  HaversineRoutingProvider,
+  OsrmRoutingProvider,
+  ValhallaRoutingProvider,
+  StaticRoutingProvider,
+  createRoutingProvider
+};
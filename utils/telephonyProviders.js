@@ -0,0 +1,151 @@
+/**
+ * Telephony Providers
+ * مزودو الأرقام الوسيطة: رقم افتراضي مؤقت لكل رحلة يربط مكالمة الكابتن بالزبون دون كشف الرقم الحقيقي
+ *
+ * Every provider implements the same interface:
+ *   allocate({ sessionId, participants, ttlSeconds }) -> { proxyNumber, providerSessionId }
+ *     participants: [{ role: customer|captain, phoneNumber }] - a call from either real number
+ *     to proxyNumber is bridged to the other participant
+ *   release({ providerSessionId })                    -> void, releasing twice is not an error
+ *   name                                              -> stored on the call session
+ * A failed call throws an Error with retryable set when the request may succeed later.
+ */
+
+const axios = require("axios");
+
+function telephonyError(message, { retryable = false } = {}) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Number-masking HTTP API:
+ *   POST   {url}/sessions       { reference, ttlSeconds, participants } -> { id, proxyNumber }
+ *   DELETE {url}/sessions/{id}
+ */
+class HttpTelephonyProvider {
+  constructor({ url, apiKey, timeoutMs = 5000 } = {}) {
+    if (!url || !apiKey) throw new Error("Proxy calling needs an API url and key");
+    this.name = "http";
+    this.url = url.replace(/\/+$/, "");
+    this.http = axios.create({
+      timeout: timeoutMs,
+      headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" }
+    });
+  }
+
+  async allocate({ sessionId, participants, ttlSeconds }) {
+    let response;
+    try {
+      response = await this.http.post(`${this.url}/sessions`, {
+        reference: String(sessionId),
+        ttlSeconds,
+        participants
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      throw telephonyError(`Proxy API request failed: ${status || error.code || error.message}`, {
+        retryable: !status || status === 429 || status >= 500
+      });
+    }
+
+    if (!response.data?.proxyNumber) {
+      throw telephonyError("Proxy API returned no number");
+    }
+    return { proxyNumber: response.data.proxyNumber, providerSessionId: String(response.data.id) };
+  }
+
+  async release({ providerSessionId }) {
+    if (!providerSessionId) return;
+    try {
+      await this.http.delete(`${this.url}/sessions/${encodeURIComponent(providerSessionId)}`);
+    } catch (error) {
+      // Already expired on the provider side
+      if (error.response?.status === 404) return;
+      const status = error.response?.status;
+      throw telephonyError(`Proxy API release failed: ${status || error.code || error.message}`, {
+        retryable: !status || status === 429 || status >= 500
+      });
+    }
+  }
+}
+
+/**
+ * In-memory numbers for local runs and tests: allocates from a fixed range and can route a
+ * simulated call, nothing actually rings
+ */
+class FakeTelephonyProvider {
+  constructor({ numberPrefix = "+964799000", poolSize = 1000, logger = console } = {}) {
+    this.name = "fake";
+    this.numberPrefix = numberPrefix;
+    this.poolSize = poolSize;
+    this.logger = logger;
+    this.sessions = new Map(); // providerSessionId -> { proxyNumber, participants, expiresAt }
+    this.nextId = 1;
+  }
+
+  async allocate({ sessionId, participants, ttlSeconds }) {
+    const used = new Set(Array.from(this.sessions.values()).map(session => session.proxyNumber));
+    let proxyNumber = null;
+    for (let index = 0; index < this.poolSize; index++) {
+      const candidate = `${this.numberPrefix}${String(index).padStart(4, "0")}`;
+      if (!used.has(candidate)) {
+        proxyNumber = candidate;
+        break;
+      }
+    }
+    if (!proxyNumber) throw telephonyError("No proxy number available", { retryable: true });
+
+    const providerSessionId = `fake-${this.nextId++}`;
+    this.sessions.set(providerSessionId, {
+      reference: String(sessionId),
+      proxyNumber,
+      participants,
+      expiresAt: Date.now() + ttlSeconds * 1000
+    });
+    this.logger.info(`[Calls] Fake proxy ${proxyNumber} allocated for session ${sessionId}`);
+    return { proxyNumber, providerSessionId };
+  }
+
+  async release({ providerSessionId }) {
+    const session = this.sessions.get(providerSessionId);
+    if (!session) return;
+    this.sessions.delete(providerSessionId);
+    this.logger.info(`[Calls] Fake proxy ${session.proxyNumber} released`);
+  }
+
+  /**
+   * Number a call to proxyNumber from fromNumber would be bridged to, null when it is not allowed
+   */
+  route(fromNumber, proxyNumber) {
+    const session = Array.from(this.sessions.values()).find(item =>
+      item.proxyNumber === proxyNumber && item.expiresAt > Date.now()
+    );
+    if (!session) return null;
+    const caller = session.participants.find(participant => participant.phoneNumber === fromNumber);
+    if (!caller) return null;
+    return session.participants.find(participant => participant !== caller)?.phoneNumber || null;
+  }
+}
+
+/**
+ * Provider by name: http | fake
+ */
+function createTelephonyProvider(name, options = {}) {
+  switch ((name || "").toLowerCase()) {
+    case "http":
+      return new HttpTelephonyProvider(options);
+    case "fake":
+      return new FakeTelephonyProvider(options);
+    default:
+      throw new Error(`Unknown telephony provider: ${name}`);
+  }
+}
+
+module.exports = {
+  HttpTelephonyProvider,
+  FakeTelephonyProvider,
+  createTelephonyProvider,
+  telephonyError
+};
@@ -0,0 +1,58 @@
+/**
+ * Upload Storage
+ * تخزين الملفات المرفوعة على القرص (الصور العامة ومرفقات الدردشة)
+ */
+
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Create uploads directory if it doesn't exist
+const uploadsDir = path.join(__dirname, '../uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    // Generate unique filename: timestamp-randomstring.extension
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const extension = path.extname(file.originalname);
+    cb(null, uniqueSuffix + extension);
+  }
+});
+
+/**
+ * Absolute path of a stored file, null for names that would leave the uploads directory
+ */
+function resolveUploadPath(filename) {
+  if (!filename || path.basename(filename) !== filename) return null;
+  return path.join(uploadsDir, filename);
+}
+
+/**
+ * Delete stored files, missing ones are ignored
+ * @param {Array<string>} filenames
+ */
+async function removeUploadedFiles(filenames) {
+  await Promise.all(filenames.filter(Boolean).map(async (filename) => {
+    const filePath = resolveUploadPath(filename);
+    if (!filePath) return;
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }));
+}
+
+module.exports = {
+  uploadsDir,
+  storage,
+  resolveUploadPath,
+  removeUploadedFiles
+};
@@ -0,0 +1,125 @@
+/**
+ * Vehicle Categories Helper
+ * فئات المركبات (اقتصادي، مريح، فان، للنساء فقط) وجدول تسعير كل فئة
+ */
+
+const DEFAULT_VEHICLE_CATEGORY = 'economy';
+
+const DEFAULT_VEHICLE_CATEGORIES = [
+    {
+        key: 'economy',
+        name: 'اقتصادي',
+        description: 'سيارة عادية حتى 4 ركاب',
+        seats: 4,
+        baseFare: 3000,
+        pricePerKm: 500,
+        pricePerMinute: 0,
+        minRidePrice: 2000,
+        maxRidePrice: 7000,
+        femaleOnly: false,
+        enabled: true
+    },
+    {
+        key: 'comfort',
+        name: 'مريح',
+        description: 'سيارة حديثة وواسعة',
+        seats: 4,
+        baseFare: 4000,
+        pricePerKm: 650,
+        pricePerMinute: 0,
+        minRidePrice: 3000,
+        maxRidePrice: 10000,
+        femaleOnly: false,
+        enabled: true
+    },
+    {
+        key: 'van',
+        name: 'فان',
+        description: 'مركبة حتى 7 ركاب',
+        seats: 7,
+        baseFare: 5000,
+        pricePerKm: 800,
+        pricePerMinute: 0,
+        minRidePrice: 4000,
+        maxRidePrice: 14000,
+        femaleOnly: false,
+        enabled: true
+    },
+    {
+        key: 'women_only',
+        name: 'للنساء فقط',
+        description: 'كابتن امرأة لراكبات فقط',
+        seats: 4,
+        baseFare: 3500,
+        pricePerKm: 550,
+        pricePerMinute: 0,
+        minRidePrice: 2500,
+        maxRidePrice: 8000,
+        femaleOnly: true,
+        enabled: true
+    }
+];
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Configured categories, the defaults when the settings have none
+ * @param {Object} settings - RideSetting document or plain object
+ * @returns {Array} Categories as plain objects
+ */
+function getVehicleCategories(settings) {
+    const configured = settings?.vehicleCategories;
+    if (Array.isArray(configured) && configured.length > 0) {
+        return configured.map(toPlain);
+    }
+    return DEFAULT_VEHICLE_CATEGORIES.map(category => ({ ...category }));
+}
+
+/**
+ * Enabled category by key
+ * @returns {Object|null}
+ */
+function findVehicleCategory(settings, key) {
+    if (!key) return null;
+    return getVehicleCategories(settings).find(category => category.key === key && category.enabled !== false) || null;
+}
+
+/**
+ * The general fare table with the category prices on top (multipliers and surge stay global)
+ * @param {Object} fare - RideSetting.fare
+ * @param {Object|null} category - Vehicle category
+ * @returns {Object} Fare table
+ */
+function getCategoryFareTable(fare = {}, category = null) {
+    const table = { ...toPlain(fare) };
+    if (!category) return table;
+
+    for (const field of ['baseFare', 'pricePerKm', 'pricePerMinute', 'minRidePrice', 'maxRidePrice']) {
+        if (typeof category[field] === 'number') {
+            table[field] = category[field];
+        }
+    }
+    return table;
+}
+
+/**
+ * Public category payload for the apps
+ */
+function formatVehicleCategory(category) {
+    return {
+        key: category.key,
+        name: category.name,
+        description: category.description,
+        seats: category.seats,
+        femaleOnly: !!category.femaleOnly
+    };
+}
+
+module.exports = {
+    DEFAULT_VEHICLE_CATEGORY,
+    DEFAULT_VEHICLE_CATEGORIES,
+    getVehicleCategories,
+    findVehicleCategory,
+    getCategoryFareTable,
+    formatVehicleCategory
+};